@@ -12,11 +12,24 @@
  * - Code metrics (lines, complexity)
  * - P/Invoke declarations
  * - TODO/FIXME comments
+ * 
+ * Usage: node analyzer.js              - analyze and write analysis-results.json
+ *        node analyzer.js diff <old> [new] - compare two analysis-results.json files
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const config = require('./config');
+const csharpParser = require('./csharp-parser');
+const csprojParser = require('./csproj-parser');
+const codeMetrics = require('./code-metrics');
+const callGraph = require('./call-graph');
+const pinvokeAnalysis = require('./pinvoke-analysis');
+const sqlUsage = require('./sql-usage');
+
+// Bump whenever the shape of a fileResult changes so stale caches are discarded
+const CACHE_VERSION = 8;
 
 // Analysis results
 const results = {
@@ -28,7 +41,12 @@ const results = {
     classes: [],
     methods: [],
     pInvokes: [],
+    sqlUsage: [],
     todos: [],
+    inactiveMembers: [],
+    orphans: [],
+    missingCompileItems: [],
+    callGraph: null,
     metrics: {
         totalProjects: 0,
         totalFiles: 0,
@@ -36,7 +54,19 @@ const results = {
         totalClasses: 0,
         totalMethods: 0,
         totalPInvokes: 0,
-        totalTodos: 0
+        totalTodos: 0,
+        totalSqlStatements: 0,
+        totalOrphans: 0,
+        sharedFiles: 0,
+        averageComplexity: 0,
+        maxComplexity: 0,
+        files: {},
+        projects: {}
+    },
+    cache: {
+        reused: 0,
+        reparsed: 0,
+        removed: 0
     },
     errors: []
 };
@@ -86,50 +116,40 @@ function parseSolutionFile(slnPath) {
 
 /**
  * Parse a .csproj file to extract dependencies and source files
+ * (old-style and SDK-style, see csproj-parser.js)
  */
 function parseProjectFile(project) {
     console.log(`  Parsing project: ${project.name}`);
     
     try {
-        const content = fs.readFileSync(project.fullPath, 'utf8');
-        const projectDir = path.dirname(project.fullPath);
-        
-        // Extract target framework
-        const frameworkMatch = content.match(/<TargetFrameworkVersion>([^<]+)<\/TargetFrameworkVersion>/);
-        const framework = frameworkMatch ? frameworkMatch[1] : 'Unknown';
-        
-        // Extract output type
-        const outputMatch = content.match(/<OutputType>([^<]+)<\/OutputType>/);
-        const outputType = outputMatch ? outputMatch[1] : 'Library';
+        const info = csprojParser.parseProject(project.fullPath);
         
-        // Extract project references
-        const dependencies = [];
-        const projRefRegex = /<ProjectReference Include="([^"]+)">/g;
-        let match;
-        while ((match = projRefRegex.exec(content)) !== null) {
-            const depPath = match[1];
-            const depName = path.basename(depPath, '.csproj');
-            dependencies.push(depName);
-        }
-        
-        // Extract compile items (source files)
-        const sourceFiles = [];
-        const compileRegex = /<Compile Include="([^"]+)"/g;
-        while ((match = compileRegex.exec(content)) !== null) {
-            sourceFiles.push(match[1]);
+        if (info.unresolvedItems.length > 0) {
+            results.errors.push({
+                type: 'project',
+                path: project.fullPath,
+                error: `Unresolved Compile items (MSBuild properties): ${info.unresolvedItems.join(', ')}`
+            });
         }
         
-        // Extract define constants
-        const definesMatch = content.match(/<DefineConstants>([^<]+)<\/DefineConstants>/);
-        const defines = definesMatch ? definesMatch[1].split(';') : [];
+        const sourceFiles = info.compileItems.map(item => path.relative(config.MICS_PATH, item.file));
+        const linkedFiles = info.compileItems
+            .filter(item => item.link)
+            .map(item => ({ file: path.relative(config.MICS_PATH, item.file), link: item.link }));
         
         return {
             ...project,
-            framework,
-            outputType,
-            dependencies,
+            sdkStyle: info.sdkStyle,
+            framework: info.framework,
+            targetFrameworks: info.targetFrameworks,
+            outputType: info.outputType,
+            dependencies: info.projectReferences.map(ref => ref.name),
+            packageReferences: info.packageReferences,
+            assemblyReferences: info.assemblyReferences,
             sourceFiles,
-            defines,
+            linkedFiles,
+            configurations: info.configurations,
+            defines: symbolsForConfiguration(info.configurations).symbols,
             sourceFileCount: sourceFiles.length
         };
         
@@ -139,17 +159,121 @@ function parseProjectFile(project) {
     }
 }
 
+/**
+ * Map each compiled file (absolute path) to the projects that compile it,
+ * in solution order. Also records Compile items that do not exist on disk.
+ */
+function buildCompileIndex(projects) {
+    const index = new Map();
+    for (const proj of projects) {
+        for (const relativePath of proj.sourceFiles || []) {
+            const filePath = path.resolve(config.MICS_PATH, relativePath);
+            if (!fs.existsSync(filePath)) {
+                results.missingCompileItems.push({ project: proj.name, relativePath });
+                continue;
+            }
+            if (!index.has(filePath)) {
+                index.set(filePath, []);
+            }
+            index.get(filePath).push(proj.name);
+        }
+    }
+    return index;
+}
+
+/**
+ * Projects that compile a file. Projects whose .csproj could not be parsed
+ * have no compile list, so they fall back to owning their own folder.
+ */
+function findOwningProjects(filePath, compileIndex) {
+    if (compileIndex.has(filePath)) {
+        return compileIndex.get(filePath);
+    }
+    const fallback = results.projects.find(proj =>
+        proj.error && filePath.startsWith(path.dirname(proj.fullPath) + path.sep));
+    return fallback ? [fallback.name] : [];
+}
+
+/**
+ * Pick the selected build configuration's symbols, falling back to the
+ * project's first configuration when it does not declare the selected one
+ */
+function symbolsForConfiguration(configurations) {
+    const names = Object.keys(configurations || {});
+    if (names.length === 0) {
+        return { name: null, symbols: [] };
+    }
+    const name = names.includes(config.options.buildConfiguration) ?
+        config.options.buildConfiguration : names[0];
+    return { name, symbols: configurations[name] };
+}
+
+function memberKey(member) {
+    return `${member.containingType || ''}.${member.name}@${member.startLine}`;
+}
+
+/**
+ * Re-parse a file that uses #if under every build configuration of its
+ * project. Returns per-configuration inactive line counts and every member
+ * that only exists in some configurations.
+ */
+function analyzeConditionalCode(content, parsed, configurations, selected) {
+    const perConfiguration = {};
+    const members = new Map();
+    const names = Object.keys(configurations);
+    
+    for (const name of names) {
+        const run = name === selected ? parsed : csharpParser.parse(content, { defines: configurations[name] });
+        perConfiguration[name] = {
+            inactiveRanges: run.inactiveRanges,
+            // The #if/#else/#endif lines themselves are not counted
+            inactiveLines: run.inactiveRanges.reduce((sum, r) => sum + Math.max(0, r.endLine - r.startLine - 1), 0)
+        };
+        const add = (member, kind) => {
+            const key = memberKey(member);
+            if (!members.has(key)) {
+                members.set(key, {
+                    kind,
+                    name: member.name,
+                    containingType: member.containingType,
+                    startLine: member.startLine,
+                    configurations: []
+                });
+            }
+            const entry = members.get(key);
+            if (!entry.configurations.includes(name)) {
+                entry.configurations.push(name);
+            }
+        };
+        run.types.forEach(type => add(type, type.kind));
+        run.methods.forEach(method => add(method, method.kind));
+    }
+    
+    return {
+        configurations: perConfiguration,
+        conditionalMembers: [...members.values()].filter(m => m.configurations.length < names.length)
+    };
+}
+
 /**
  * Analyze a C# source file
+ * 
+ * The returned fileResult is self-contained (it is also what gets cached),
+ * so nothing is added to the global results here - see addFileResult().
+ * Pass `content` when the file has already been read for hashing.
+ * `configurations` ({ Debug: [...symbols], ... }) decides #if blocks; without
+ * it the first branch of every conditional is taken.
  */
-function analyzeCSharpFile(filePath, projectName) {
+function analyzeCSharpFile(filePath, projectName, content = null, configurations = null) {
     try {
         const stats = fs.statSync(filePath);
         if (stats.size > config.options.maxFileSize) {
             return null;
         }
         
-        const content = fs.readFileSync(filePath, 'utf8');
+        if (content === null) {
+            content = fs.readFileSync(filePath, 'utf8');
+        }
         const lines = content.split('\n');
         const lineCount = lines.length;
         
@@ -161,68 +285,110 @@ function analyzeCSharpFile(filePath, projectName) {
             classes: [],
             methods: [],
             pInvokes: [],
+            sqlUsage: [],
             todos: []
         };
         
-        // Extract namespaces
-        const namespaceMatch = content.match(/namespace\s+([\w.]+)/);
-        fileResult.namespace = namespaceMatch ? namespaceMatch[1] : null;
+        const build = symbolsForConfiguration(configurations);
+        const parsed = csharpParser.parse(content, build.name ? { defines: build.symbols } : {});
+        fileResult.configuration = build.name;
         
-        // Extract using statements
-        const usings = [];
-        const usingRegex = /using\s+([\w.]+);/g;
-        let match;
-        while ((match = usingRegex.exec(content)) !== null) {
-            usings.push(match[1]);
+        // Files with #if are compared across all configurations of the project
+        let conditional = null;
+        if (build.name && /^[ \t]*#[ \t]*if\b/m.test(content)) {
+            conditional = analyzeConditionalCode(content, parsed, configurations, build.name);
+            fileResult.preprocessor = conditional.configurations;
+            fileResult.inactiveMembers = conditional.conditionalMembers
+                .filter(m => !m.configurations.includes(build.name))
+                .map(m => ({ ...m, file: fileResult.relativePath, project: projectName }));
         }
-        fileResult.usings = usings;
+        const conditionalKeys = new Map(conditional ?
+            conditional.conditionalMembers.map(m => [memberKey(m), m.configurations]) : []);
+        
+        // Namespaces (first one kept as the file's namespace)
+        fileResult.namespace = parsed.namespaces.length > 0 ? parsed.namespaces[0].name : null;
+        fileResult.namespaces = parsed.namespaces.map(ns => ns.name);
+        fileResult.usings = parsed.usings;
         
-        // Extract classes/structs
-        const classRegex = /(?:public|private|internal|protected)?\s*(?:static|abstract|sealed|partial)?\s*(class|struct|interface|enum)\s+(\w+)(?:<[^>]+>)?(?:\s*:\s*([^\{]+))?/g;
-        while ((match = classRegex.exec(content)) !== null) {
-            const [_, type, name, inheritance] = match;
-            const classInfo = {
-                type,
-                name,
-                inheritance: inheritance ? inheritance.trim() : null,
+        // Classes/structs/interfaces/enums/records
+        for (const type of parsed.types) {
+            fileResult.classes.push({
+                type: type.kind,
+                name: type.name,
+                inheritance: type.inheritance,
+                containingType: type.containingType,
+                namespace: type.namespace,
+                modifiers: type.modifiers,
+                startLine: type.startLine,
+                endLine: type.endLine,
                 file: fileResult.relativePath,
                 project: projectName
-            };
-            fileResult.classes.push(classInfo);
-            results.classes.push(classInfo);
+            });
+            if (conditionalKeys.has(memberKey(type))) {
+                fileResult.classes[fileResult.classes.length - 1].configurations = conditionalKeys.get(memberKey(type));
+            }
         }
         
-        // Extract methods
-        const methodRegex = /(?:public|private|internal|protected)\s+(?:static\s+)?(?:virtual\s+|override\s+|abstract\s+|async\s+)?(?:[\w<>\[\],\s]+)\s+(\w+)\s*\(([^)]*)\)/g;
-        while ((match = methodRegex.exec(content)) !== null) {
-            const [fullMatch, name, params] = match;
-            
-            // Skip constructors and property accessors
-            if (name === 'get' || name === 'set' || name === 'if' || name === 'while' || name === 'for') continue;
-            
+        // Methods, constructors, operators
+        for (const method of parsed.methods) {
             const methodInfo = {
-                name,
-                parameters: params.trim(),
+                name: method.name,
+                kind: method.kind,
+                returnType: method.returnType,
+                parameters: method.parameters,
+                arity: method.parameterList.length,
+                minArity: method.parameterList.filter(p => p.defaultValue === null && p.modifier !== 'params').length,
+                variadic: method.parameterList.some(p => p.modifier === 'params'),
+                modifiers: method.modifiers,
+                containingType: method.containingType,
+                namespace: method.namespace,
+                startLine: method.startLine,
+                endLine: method.endLine,
+                calls: callGraph.extractCalls(parsed.tokens, method),
                 file: fileResult.relativePath,
                 project: projectName
             };
+            if (conditionalKeys.has(memberKey(method))) {
+                // Only compiled in these configurations
+                methodInfo.configurations = conditionalKeys.get(memberKey(method));
+            }
+            if (config.options.calculateComplexity) {
+                Object.assign(methodInfo, codeMetrics.computeMethodMetrics(parsed.tokens, method));
+            }
+            if (config.options.analyzeSql) {
+                methodInfo.dbApis = sqlUsage.findDbApiCalls(methodInfo.calls);
+                if (method.bodyStart !== null) {
+                    const member = `${method.containingType ? method.containingType + '.' : ''}${method.name}`;
+                    for (const usage of sqlUsage.extractSqlUsage(parsed.tokens, method.bodyStart, method.bodyEnd)) {
+                        fileResult.sqlUsage.push({ ...usage, member, file: fileResult.relativePath, project: projectName });
+                    }
+                }
+            }
             fileResult.methods.push(methodInfo);
-            results.methods.push(methodInfo);
-        }
-        
-        // Extract P/Invoke declarations
-        if (config.options.analyzePInvoke) {
-            const pInvokeRegex = /\[DllImport\s*\(\s*"([^"]+)"[^\]]*\)\s*\][^;]*(?:extern\s+)?(?:static\s+)?(?:\w+\s+)+(\w+)\s*\([^)]*\)/g;
-            while ((match = pInvokeRegex.exec(content)) !== null) {
-                const [_, dllName, funcName] = match;
-                const pInvokeInfo = {
-                    dll: dllName,
-                    function: funcName,
+            
+            // P/Invoke declarations: extern methods carrying [DllImport]
+            const dllImport = method.attributes.find(a => a.name === 'DllImport' || a.name.endsWith('.DllImport'));
+            if (config.options.analyzePInvoke && dllImport && method.modifiers.includes('extern')) {
+                const signature = pinvokeAnalysis.describePInvoke(method, dllImport);
+                fileResult.pInvokes.push({
+                    ...signature,
+                    risks: pinvokeAnalysis.assessRisks(signature, method.modifiers),
+                    containingType: method.containingType,
+                    line: method.startLine,
                     file: fileResult.relativePath,
                     project: projectName
-                };
-                fileResult.pInvokes.push(pInvokeInfo);
-                results.pInvokes.push(pInvokeInfo);
+                });
+            }
+        }
+        
+        // SQL in field initializers and constants (outside any method body)
+        if (config.options.analyzeSql) {
+            const inBody = usage => parsed.methods.some(m =>
+                m.bodyStart !== null && usage.line >= m.startLine && usage.line <= m.endLine);
+            for (const usage of sqlUsage.extractSqlUsage(parsed.tokens, 0, parsed.tokens.length - 1)) {
+                if (!inBody(usage)) {
+                    fileResult.sqlUsage.push({ ...usage, member: null, file: fileResult.relativePath, project: projectName });
+                }
             }
         }
         
@@ -242,7 +408,6 @@ function analyzeCSharpFile(filePath, projectName) {
                         project: projectName
                     };
                     fileResult.todos.push(todoInfo);
-                    results.todos.push(todoInfo);
                 }
                 todoRegex.lastIndex = 0; // Reset regex for next line
             }
@@ -256,6 +421,164 @@ function analyzeCSharpFile(filePath, projectName) {
     }
 }
 
+/**
+ * Add a (fresh or cached) file result to the global results
+ */
+function addFileResult(fileResult) {
+    results.files.push(fileResult);
+    results.classes.push(...fileResult.classes);
+    results.methods.push(...fileResult.methods);
+    results.pInvokes.push(...fileResult.pInvokes);
+    results.sqlUsage.push(...fileResult.sqlUsage);
+    results.todos.push(...fileResult.todos);
+    results.inactiveMembers.push(...(fileResult.inactiveMembers || []));
+    results.metrics.totalLines += fileResult.lines;
+}
+
+/**
+ * Hash file content for cache validation
+ */
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Options that change what analyzeCSharpFile extracts; a cache built with
+ * different values is not reusable.
+ */
+function cacheSignature() {
+    return JSON.stringify({
+        version: CACHE_VERSION,
+        micsPath: config.MICS_PATH,
+        trackTodos: config.options.trackTodos,
+        calculateComplexity: config.options.calculateComplexity,
+        analyzePInvoke: config.options.analyzePInvoke,
+        analyzeSql: config.options.analyzeSql,
+        sqlTablePrefixes: config.options.sqlTablePrefixes,
+        maxFileSize: config.options.maxFileSize,
+        buildConfiguration: config.options.buildConfiguration
+    });
+}
+
+/**
+ * Load the per-file analysis cache (empty if missing, stale or unreadable)
+ */
+function loadCache(cachePath) {
+    const empty = { signature: cacheSignature(), files: {} };
+    if (!config.options.useCache || !fs.existsSync(cachePath)) {
+        return empty;
+    }
+    
+    try {
+        const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        if (cache.signature !== empty.signature || !cache.files) {
+            console.log('  Cache is from a different analyzer version/configuration - ignoring');
+            return empty;
+        }
+        return cache;
+    } catch (err) {
+        results.errors.push({ type: 'cache', path: cachePath, error: err.message });
+        return empty;
+    }
+}
+
+/**
+ * Return the cached fileResult for a file if it is still valid.
+ * A matching mtime/size is trusted without reading the file; otherwise the
+ * content hash decides. `entry.hash` is refreshed in place when content is read.
+ */
+function getCachedFileResult(entry, filePath, stats, projectName, definesKey) {
+    if (!entry || entry.project !== projectName || entry.defines !== definesKey) {
+        return { fileResult: null, content: null };
+    }
+    
+    if (entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+        return { fileResult: entry.fileResult, content: null };
+    }
+    
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (entry.hash === hashContent(content)) {
+        return { fileResult: entry.fileResult, content };
+    }
+    return { fileResult: null, content };
+}
+
+/**
+ * Analyze one file, reusing the cached result when the file is unchanged
+ */
+function analyzeWithCache(filePath, projectName, oldCache, newCache, configurations = null) {
+    const key = path.relative(config.MICS_PATH, filePath);
+    const definesKey = JSON.stringify(configurations);
+    
+    let stats;
+    try {
+        stats = fs.statSync(filePath);
+    } catch (err) {
+        results.errors.push({ type: 'file', path: filePath, error: err.message });
+        return null;
+    }
+
+    // Oversized files are skipped unread, as analyzeCSharpFile would skip them
+    if (stats.size > config.options.maxFileSize) {
+        return null;
+    }
+
+    const cached = getCachedFileResult(oldCache.files[key], filePath, stats, projectName, definesKey);
+    if (cached.fileResult) {
+        results.cache.reused++;
+        newCache.files[key] = {
+            ...oldCache.files[key],
+            mtimeMs: stats.mtimeMs,
+            size: stats.size
+        };
+        return cached.fileResult;
+    }
+    
+    const content = cached.content !== null ? cached.content : fs.readFileSync(filePath, 'utf8');
+    const fileResult = analyzeCSharpFile(filePath, projectName, content, configurations);
+    results.cache.reparsed++;
+    
+    if (fileResult) {
+        newCache.files[key] = {
+            hash: hashContent(content),
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            project: projectName,
+            defines: definesKey,
+            fileResult
+        };
+    }
+    return fileResult;
+}
+
+/**
+ * Roll method metrics up per file and per project into results.metrics
+ */
+function aggregateMetrics() {
+    const overall = codeMetrics.summarizeMethods(results.methods);
+    results.metrics.averageComplexity = overall.averageComplexity;
+    results.metrics.maxComplexity = overall.maxComplexity;
+    
+    for (const file of results.files) {
+        results.metrics.files[file.relativePath] = {
+            project: file.project,
+            lines: file.lines,
+            ...codeMetrics.summarizeMethods(file.methods)
+        };
+    }
+    
+    const methodsByProject = {};
+    for (const method of results.methods) {
+        (methodsByProject[method.project] = methodsByProject[method.project] || []).push(method);
+    }
+    for (const [project, methods] of Object.entries(methodsByProject)) {
+        results.metrics.projects[project] = {
+            files: results.files.filter(f => f.project === project).length,
+            ...codeMetrics.summarizeMethods(methods)
+        };
+    }
+}
+
 /**
  * Recursively find all .cs files in a directory
  */
@@ -271,7 +594,7 @@ function findCSharpFiles(dir, files = []) {
                 if (!config.options.skipDirs.includes(entry.name)) {
                     findCSharpFiles(fullPath, files);
                 }
-            } else if (entry.isFile() && entry.name.endsWith('.cs')) {
+            } else if (entry.isFile() && entry.name.endsWith('.cs') && config.isFileIncluded(fullPath)) {
                 files.push(fullPath);
             }
         }
@@ -305,13 +628,23 @@ async function analyze() {
     console.log('='.repeat(60));
     console.log('MICS# Code Analyzer (READ-ONLY MODE)');
     console.log('='.repeat(60));
+    // --source / mics-analyzer.json are only applied once the CLI has been parsed
+    results.micsPath = config.MICS_PATH;
+    results.buildConfiguration = config.options.buildConfiguration;
     console.log(`\nSource (READ-ONLY): ${config.MICS_PATH}`);
     console.log(`Output Directory:   ${config.OUTPUT_DIR}`);
+    console.log(`Configuration:      ${config.options.buildConfiguration}`);
+    if (config.configFile) {
+        console.log(`Config File:        ${config.configFile}`);
+    }
+    if (config.include.length > 0 || config.exclude.length > 0) {
+        console.log(`Include/Exclude:    ${config.include.join(', ') || '*'} / ${config.exclude.join(', ') || '-'}`);
+    }
     
     // Check if path exists
     if (!fs.existsSync(config.MICS_PATH)) {
         console.error(`\nERROR: Path not found: ${config.MICS_PATH}`);
-        console.error('Please update the MICS_PATH in config.js');
+        console.error('Pass --source <dir>, set "source" in mics-analyzer.json, or update MICS_PATH in config.js');
         process.exit(1);
     }
     
@@ -331,30 +664,47 @@ async function analyze() {
     const allCsFiles = findCSharpFiles(config.MICS_PATH);
     console.log(`  Found ${allCsFiles.length} C# files`);
     
+    const cachePath = path.join(config.OUTPUT_DIR, 'analysis-cache.json');
+    const oldCache = loadCache(cachePath);
+    const newCache = { signature: oldCache.signature, files: {} };
+    
+    // A file belongs to every project whose Compile items include it; files
+    // on disk that no project compiles are orphans and are not analyzed.
+    const compileIndex = buildCompileIndex(results.projects);
+    
     let processed = 0;
     for (const filePath of allCsFiles) {
-        // Determine which project this file belongs to
-        let projectName = 'Unknown';
-        for (const proj of results.projects) {
-            if (filePath.startsWith(path.dirname(proj.fullPath))) {
-                projectName = proj.name;
-                break;
-            }
+        const owners = findOwningProjects(filePath, compileIndex);
+        processed++;
+        
+        if (owners.length === 0) {
+            const nearest = results.projects
+                .filter(proj => filePath.startsWith(path.dirname(proj.fullPath) + path.sep))
+                .sort((a, b) => b.fullPath.length - a.fullPath.length)[0];
+            results.orphans.push({
+                relativePath: path.relative(config.MICS_PATH, filePath),
+                nearestProject: nearest ? nearest.name : null
+            });
+            continue;
         }
         
-        const fileResult = analyzeCSharpFile(filePath, projectName);
+        // Classes and methods are attributed to the first project; the file keeps the full list
+        const owner = results.projects.find(proj => proj.name === owners[0]);
+        const fileResult = analyzeWithCache(filePath, owners[0], oldCache, newCache, owner && owner.configurations);
         if (fileResult) {
-            results.files.push(fileResult);
-            results.metrics.totalLines += fileResult.lines;
+            addFileResult({ ...fileResult, projects: owners });
         }
         
-        processed++;
         if (processed % 50 === 0) {
             process.stdout.write(`  Processed ${processed}/${allCsFiles.length} files\r`);
         }
     }
     console.log(`  Processed ${processed}/${allCsFiles.length} files`);
     
+    // Anything cached that was not seen this run has been deleted (or moved)
+    results.cache.removed = Object.keys(oldCache.files)
+        .filter(key => !newCache.files[key]).length;
+    
     // Calculate final metrics
     results.metrics.totalProjects = results.projects.length;
     results.metrics.totalFiles = results.files.length;
@@ -362,10 +712,23 @@ async function analyze() {
     results.metrics.totalMethods = results.methods.length;
     results.metrics.totalPInvokes = results.pInvokes.length;
     results.metrics.totalTodos = results.todos.length;
+    results.metrics.totalSqlStatements = results.sqlUsage.filter(u => u.kind !== 'NAME').length;
+    results.metrics.totalOrphans = results.orphans.length;
+    results.metrics.sharedFiles = results.files.filter(f => f.projects.length > 1).length;
+    if (config.options.calculateComplexity) {
+        aggregateMetrics();
+    }
+    
+    // Resolve call sites against the methods found in the solution
+    results.callGraph = callGraph.buildCallGraph(results.methods, results.pInvokes);
+    pinvokeAnalysis.countCallSites(results.pInvokes, results.methods, results.callGraph.edges);
     
     // Save results (safely, only to OUTPUT_DIR)
     const outputPath = path.join(config.OUTPUT_DIR, 'analysis-results.json');
     safeWriteFile(outputPath, JSON.stringify(results, null, 2));
+    if (config.options.useCache) {
+        safeWriteFile(cachePath, JSON.stringify(newCache));
+    }
     
     // Print summary
     console.log('\n' + '='.repeat(60));
@@ -378,16 +741,55 @@ async function analyze() {
     console.log(`  Methods:      ${results.metrics.totalMethods}`);
     console.log(`  P/Invokes:    ${results.metrics.totalPInvokes}`);
     console.log(`  TODOs:        ${results.metrics.totalTodos}`);
+    console.log(`  SQL:          ${results.metrics.totalSqlStatements} statements, ${results.sqlUsage.length - results.metrics.totalSqlStatements} table name mentions`);
+    console.log(`  Orphans:      ${results.metrics.totalOrphans} (not in any project), ${results.metrics.sharedFiles} shared by several projects`);
+    if (config.options.calculateComplexity) {
+        console.log(`  Complexity:   avg ${results.metrics.averageComplexity}, max ${results.metrics.maxComplexity}`);
+    }
+    const calls = results.callGraph.summary;
+    console.log(`  Calls:        ${calls.resolved} resolved, ${calls.ambiguous} ambiguous, ${calls.pinvoke} P/Invoke, ${calls.unresolved} unresolved`);
     console.log(`  Errors:       ${results.errors.length}`);
+    console.log(`  Cache:        ${results.cache.reused} reused, ${results.cache.reparsed} reparsed, ${results.cache.removed} removed`);
     console.log('='.repeat(60));
     console.log(`\nResults saved to: ${outputPath}`);
     
     return results;
 }
 
-// Run analyzer
-analyze().catch(err => {
-    console.error('Analysis failed:', err);
+function showHelp() {
+    console.log('Usage: node analyzer.js [options]');
+    console.log('       node analyzer.js diff <old-results.json> [new-results.json] [options]');
+    console.log('');
+    console.log(config.CLI_USAGE);
+}
+
+let args;
+try {
+    args = config.load(process.argv.slice(2).filter(a => a !== '--help' && a !== '-h'));
+} catch (err) {
+    console.error(`ERROR: ${err.message}\n`);
+    showHelp();
     process.exit(1);
-});
+}
 
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    showHelp();
+} else if (args[0] === 'diff') {
+    // "node analyzer.js diff <old> [new]" compares snapshots instead of analyzing
+    try {
+        require('./snapshot-diff').runDiff(args.slice(1));
+    } catch (err) {
+        console.error('Diff failed:', err.message);
+        process.exit(1);
+    }
+} else if (args.length > 0) {
+    console.error(`ERROR: Unexpected argument: ${args[0]}\n`);
+    showHelp();
+    process.exit(1);
+} else {
+    // Run analyzer
+    analyze().catch(err => {
+        console.error('Analysis failed:', err);
+        process.exit(1);
+    });
+}
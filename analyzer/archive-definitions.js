@@ -0,0 +1,458 @@
+/**
+ * MICS Archive Table Definitions
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Loads the tsip_archive.Archive* tables from every archive capture
+ * script (notes/shared/scripts/*-archive-capture/*.sql) with the DDL
+ * parser, and compares their source columns against the user tables
+ * (tt_%_parm, ft_%_site, ...) the drop triggers copy from.
+ *
+ * The trigger INSERT ... SELECT statements (also inside dynamic SQL
+ * strings) are parsed as well: they say which user column lands in which
+ * archive column, and drift between them and the DDL is reported.
+ *
+ * A user table "breaks" a definition when the trigger INSERT would fail
+ * for it: an archived column is missing, or the user column is longer
+ * than the archive column (string truncation).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ddlParser = require('./sql-ddl-parser');
+
+const SCRIPTS_DIR = path.join(__dirname, '../notes/shared/scripts');
+
+// Columns the archive adds itself; they do not come from the user table
+const METADATA_COLUMNS = new Set(['archiveid', 'runkey', 'pdfname', 'archivedat', 'tq_job']);
+
+const TYPE_FAMILIES = {
+    string: ['char', 'varchar', 'nchar', 'nvarchar', 'text', 'ntext'],
+    integer: ['bit', 'tinyint', 'smallint', 'int', 'bigint'],
+    decimal: ['decimal', 'numeric', 'smallmoney', 'money'],
+    float: ['real', 'float'],
+    datetime: ['date', 'smalldatetime', 'datetime', 'datetime2', 'datetimeoffset', 'time'],
+    binary: ['binary', 'varbinary', 'image']
+};
+
+function typeFamily(type) {
+    const base = (type || '').toLowerCase();
+    return Object.keys(TYPE_FAMILIES).find(f => TYPE_FAMILIES[f].includes(base)) || base;
+}
+
+function typeRank(type) {
+    const base = (type || '').toLowerCase();
+    return TYPE_FAMILIES[typeFamily(base)].indexOf(base);
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Every .sql file under the *-archive-capture script folders
+ */
+function findArchiveScripts(scriptsDir = SCRIPTS_DIR) {
+    if (!fs.existsSync(scriptsDir)) {
+        return [];
+    }
+    const files = [];
+    for (const dir of fs.readdirSync(scriptsDir).sort()) {
+        const full = path.join(scriptsDir, dir);
+        if (!dir.endsWith('-archive-capture') || !fs.statSync(full).isDirectory()) continue;
+        for (const file of fs.readdirSync(full).sort()) {
+            if (file.toLowerCase().endsWith('.sql')) {
+                files.push(path.join(full, file));
+            }
+        }
+    }
+    return files;
+}
+
+/**
+ * "FT_SITE" -> "ft_%_site" (the LIKE pattern the drop triggers match)
+ */
+function sourcePattern(type) {
+    const [prefix, ...rest] = type.toLowerCase().split('_');
+    return `${prefix}_%_${rest.join('_')}`;
+}
+
+/**
+ * Archive definitions from all scripts:
+ * [{ type, table, file, line, allColumns, columns, metadataColumns, sourcePattern }]
+ * `columns` are the source columns only; `allColumns` is the full DDL.
+ * The same archive table can be defined by several scripts (the TT and
+ * the FT/FE capture designs); each definition is kept.
+ */
+function loadArchiveDefinitions(scriptsDir = SCRIPTS_DIR) {
+    const definitions = [];
+    for (const file of findArchiveScripts(scriptsDir)) {
+        const tables = ddlParser.parseCreateTables(fs.readFileSync(file, 'utf8'));
+        for (const table of tables) {
+            const match = /^Archive([A-Za-z]+_\w+)$/.exec(table.name);
+            if (table.schema.toLowerCase() !== 'tsip_archive' || !match) continue;
+
+            const type = match[1].toUpperCase();
+            definitions.push({
+                type,
+                table: `${table.schema}.${table.name}`,
+                file: path.relative(scriptsDir, file).replace(/\\/g, '/'),
+                line: table.line,
+                allColumns: table.columns,
+                columns: table.columns.filter(c => !c.computed && !METADATA_COLUMNS.has(c.name.toLowerCase())),
+                metadataColumns: table.columns.filter(c => METADATA_COLUMNS.has(c.name.toLowerCase())).map(c => c.name),
+                sourcePattern: sourcePattern(type)
+            });
+        }
+    }
+    return definitions;
+}
+
+// =============================================================================
+// TRIGGER INSERTS
+// =============================================================================
+
+/**
+ * Body of a string token: N'a''b' -> a'b
+ */
+function stringContents(value) {
+    return value.replace(/^N/i, '').replace(/^'/, '').replace(/'$/, '').split('\'\'').join('\'');
+}
+
+/**
+ * INSERT INTO tsip_archive.Archive* (...) SELECT ... statements in one
+ * token list. The triggers build them as dynamic SQL, so the contents of
+ * string literals are searched too (lines stay relative to the file).
+ */
+function findArchiveInserts(tokens, inserts = []) {
+    const { isWord, isPunct } = ddlParser;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const tok = tokens[i];
+        if (tok.type === 'string' && /INSERT\s+INTO/i.test(tok.value)) {
+            const inner = ddlParser.tokenize(stringContents(tok.value))
+                .map(t => ({ ...t, line: t.line + tok.line - 1 }));
+            findArchiveInserts(inner, inserts);
+            continue;
+        }
+        if (!isWord(tok, 'INSERT')) continue;
+
+        let k = i + 1;
+        if (isWord(tokens[k], 'INTO')) k++;
+        const { parts, next } = ddlParser.readObjectName(tokens, k);
+        if (parts.length < 2 || parts[parts.length - 2].toLowerCase() !== 'tsip_archive') continue;
+        const match = /^Archive([A-Za-z]+_\w+)$/.exec(parts[parts.length - 1]);
+        if (!match || !isPunct(tokens[next], '(')) continue;
+
+        const close = ddlParser.matchingParen(tokens, next);
+        const targets = ddlParser.splitTopLevel(tokens, next + 1, close).map(item => item[0].value);
+        if (!isWord(tokens[close + 1], 'SELECT')) continue;
+
+        // SELECT list runs to the top-level FROM (or the end of the string)
+        let end = close + 2;
+        let depth = 0;
+        for (; end < tokens.length; end++) {
+            if (isPunct(tokens[end], '(')) depth++;
+            else if (isPunct(tokens[end], ')')) depth--;
+            else if (depth === 0 && isWord(tokens[end], 'FROM')) break;
+        }
+        const expressions = ddlParser.splitTopLevel(tokens, close + 2, end);
+
+        inserts.push({
+            type: match[1].toUpperCase(),
+            table: `tsip_archive.${parts[parts.length - 1]}`,
+            line: tok.line,
+            columns: targets.map((name, n) => {
+                const expr = expressions[n] || [];
+                const plain = expr.length === 1 && (expr[0].type === 'word' || expr[0].type === 'identifier');
+                return {
+                    name,
+                    source: plain ? expr[0].value : null,
+                    expression: expr.map(t => t.value).join(' ').replace(/\s*([().,])\s*/g, '$1')
+                };
+            }),
+            valueCount: expressions.length
+        });
+        i = end - 1;
+    }
+    return inserts;
+}
+
+/**
+ * Archive INSERT ... SELECT statements from all scripts:
+ * [{ type, table, file, line, columns: [{ name, source, expression }], valueCount }]
+ * `source` is the user table column copied into `name`, or null for
+ * @variables and expressions such as GETUTCDATE().
+ */
+function loadArchiveInserts(scriptsDir = SCRIPTS_DIR) {
+    const inserts = [];
+    for (const file of findArchiveScripts(scriptsDir)) {
+        const relative = path.relative(scriptsDir, file).replace(/\\/g, '/');
+        for (const insert of findArchiveInserts(ddlParser.tokenize(fs.readFileSync(file, 'utf8')))) {
+            inserts.push({ ...insert, file: relative });
+        }
+    }
+    return inserts;
+}
+
+// =============================================================================
+// EXPECTATIONS
+// =============================================================================
+
+/**
+ * Script folder of a definition or insert ("tt-archive-capture")
+ */
+function designOf(item) {
+    return item.file.split('/')[0];
+}
+
+/**
+ * Problems between one DDL definition and the trigger INSERTs into it:
+ * [{ severity, kind, column?, message }] where kind is count (column and
+ * value lists differ), undefined (no such archive column), duplicate,
+ * order (not in table order), required (NOT NULL column never inserted)
+ * or unfilled (source column never inserted)
+ */
+function checkInserts(definition, inserts) {
+    const problems = [];
+    const position = new Map(definition.allColumns.map((c, n) => [c.name.toLowerCase(), n]));
+    const filled = new Set();
+
+    for (const insert of inserts) {
+        const where = `${insert.file}:${insert.line}`;
+        if (insert.valueCount !== insert.columns.length) {
+            problems.push({
+                severity: 'error',
+                kind: 'count',
+                message: `${where} inserts ${insert.columns.length} columns but selects ${insert.valueCount} values`
+            });
+        }
+
+        const seen = new Set();
+        let last = null;
+        for (const column of insert.columns) {
+            const key = column.name.toLowerCase();
+            filled.add(key);
+            if (!position.has(key)) {
+                problems.push({
+                    severity: 'error',
+                    kind: 'undefined',
+                    column: column.name,
+                    message: `${where} inserts into ${column.name}, which the DDL does not define`
+                });
+                continue;
+            }
+            if (seen.has(key)) {
+                problems.push({
+                    severity: 'error',
+                    kind: 'duplicate',
+                    column: column.name,
+                    message: `${where} lists ${column.name} twice`
+                });
+                continue;
+            }
+            seen.add(key);
+            if (last && position.get(key) < position.get(last.toLowerCase())) {
+                problems.push({
+                    severity: 'warning',
+                    kind: 'order',
+                    column: column.name,
+                    message: `${where} lists ${column.name} after ${last}; the table defines it before`
+                });
+            }
+            last = column.name;
+        }
+    }
+
+    if (inserts.length > 0) {
+        for (const column of definition.allColumns) {
+            if (filled.has(column.name.toLowerCase()) || column.identity || column.computed || column.hasDefault) continue;
+            if (!column.nullable) {
+                problems.push({
+                    severity: 'error',
+                    kind: 'required',
+                    column: column.name,
+                    message: 'NOT NULL without a default, but the trigger never inserts it'
+                });
+            } else if (!METADATA_COLUMNS.has(column.name.toLowerCase())) {
+                problems.push({
+                    severity: 'warning',
+                    kind: 'unfilled',
+                    column: column.name,
+                    message: 'defined in the DDL but never filled by the trigger'
+                });
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Expected user table columns per archive table and script folder, from
+ * the trigger INSERT column lists typed by the archive DDL:
+ * [{ type, design, table, definition, inserts, columns, problems }]
+ *
+ * Each expected column is the archive column (type, length, nullability)
+ * under the name of the user column the trigger copies into it, so it can
+ * be passed to compareTable(). Without a trigger INSERT the DDL source
+ * columns are expected as-is.
+ */
+function loadArchiveExpectations(scriptsDir = SCRIPTS_DIR) {
+    const definitions = loadArchiveDefinitions(scriptsDir);
+    const inserts = loadArchiveInserts(scriptsDir);
+    const expectations = [];
+
+    for (const definition of definitions) {
+        const design = designOf(definition);
+        const own = inserts.filter(ins => ins.type === definition.type && designOf(ins) === design);
+        const byName = new Map(definition.columns.map(c => [c.name.toLowerCase(), c]));
+
+        let columns = definition.columns;
+        if (own.length > 0) {
+            const seen = new Set();
+            columns = [];
+            for (const insert of own) {
+                for (const column of insert.columns) {
+                    const archive = byName.get(column.name.toLowerCase());
+                    if (!column.source || !archive || seen.has(column.source.toLowerCase())) continue;
+                    seen.add(column.source.toLowerCase());
+                    columns.push({ ...archive, name: column.source, archiveColumn: archive.name });
+                }
+            }
+        }
+
+        expectations.push({
+            type: definition.type,
+            design,
+            table: definition.table,
+            definition,
+            inserts: own,
+            columns,
+            problems: checkInserts(definition, own)
+        });
+    }
+
+    for (const insert of inserts) {
+        if (!definitions.some(d => d.type === insert.type && designOf(d) === designOf(insert))) {
+            expectations.push({
+                type: insert.type,
+                design: designOf(insert),
+                table: insert.table,
+                definition: null,
+                inserts: [insert],
+                columns: [],
+                problems: [{
+                    severity: 'error',
+                    kind: 'undefined',
+                    message: `${insert.file}:${insert.line} inserts into ${insert.table}, which no script in ${designOf(insert)} creates`
+                }]
+            });
+        }
+    }
+    return expectations;
+}
+
+// =============================================================================
+// COMPARISON
+// =============================================================================
+
+/**
+ * Effective length for comparison: MAX (-1, or 0 for nvarchar(max) as
+ * db-util reports it) is unbounded
+ */
+function effectiveLength(column) {
+    if (column.maxLength === null || column.maxLength === undefined) return null;
+    return column.maxLength <= 0 ? Infinity : column.maxLength;
+}
+
+/**
+ * Issues for copying one user column into one archive column.
+ * [{ severity: 'error' | 'warning', kind, message }]
+ */
+function compareColumnTypes(archive, actual) {
+    const issues = [];
+    const archiveType = archive.type.toLowerCase();
+    const actualType = (actual.type || '').toLowerCase();
+    const archiveFamily = typeFamily(archiveType);
+    const actualFamily = typeFamily(actualType);
+    const label = `${ddlParser.formatType(actual)} -> ${ddlParser.formatType(archive)}`;
+
+    if (archiveFamily === 'string' && actualFamily === 'string') {
+        const archiveLength = effectiveLength(archive);
+        const actualLength = effectiveLength(actual);
+        if (archiveLength !== null && actualLength !== null && actualLength > archiveLength) {
+            issues.push({ severity: 'error', kind: 'truncation', message: `would truncate (${label})` });
+        }
+        if (/^n/.test(actualType) && !/^n/.test(archiveType)) {
+            issues.push({ severity: 'warning', kind: 'unicode', message: `Unicode into non-Unicode column (${label})` });
+        }
+    } else if (archiveFamily !== actualFamily) {
+        const lossless = actualFamily === 'integer' && ['decimal', 'float'].includes(archiveFamily);
+        if (!lossless) {
+            issues.push({ severity: 'warning', kind: 'type', message: `type differs, relies on implicit conversion (${label})` });
+        }
+    } else if (archiveFamily === 'integer' || archiveFamily === 'float') {
+        if (typeRank(actualType) > typeRank(archiveType)) {
+            issues.push({ severity: 'warning', kind: 'narrowing', message: `narrower archive type, values may overflow (${label})` });
+        }
+    } else if (archiveFamily === 'decimal') {
+        const intDigits = c => (c.precision || 18) - (c.scale || 0);
+        if (intDigits(actual) > intDigits(archive) || (actual.scale || 0) > (archive.scale || 0)) {
+            issues.push({ severity: 'warning', kind: 'narrowing', message: `smaller precision/scale (${label})` });
+        }
+    } else if (archiveType !== actualType) {
+        issues.push({ severity: 'warning', kind: 'type', message: `type differs (${label})` });
+    }
+
+    if (!archive.nullable && actual.nullable) {
+        issues.push({ severity: 'warning', kind: 'nullability', message: 'archive column is NOT NULL but the source allows NULL' });
+    }
+    return issues;
+}
+
+/**
+ * Compare a definition against one user table's columns
+ * ({ name, type, maxLength, precision, scale, nullable } as in snapshots).
+ * Returns { issues: [{ severity, kind, column, message }], notArchived, breaks }.
+ */
+function compareTable(definition, actualColumns) {
+    const actualByName = new Map(actualColumns.map(c => [c.name.toLowerCase(), c]));
+    const issues = [];
+
+    for (const column of definition.columns) {
+        const actual = actualByName.get(column.name.toLowerCase());
+        if (!actual) {
+            issues.push({
+                severity: 'error',
+                kind: 'missing',
+                column: column.name,
+                message: `missing from the user table (archive ${ddlParser.formatType(column)})`
+            });
+            continue;
+        }
+        for (const issue of compareColumnTypes(column, actual)) {
+            issues.push({ ...issue, column: column.name });
+        }
+    }
+
+    const archived = new Set(definition.columns.map(c => c.name.toLowerCase()));
+    const notArchived = actualColumns.map(c => c.name).filter(name => !archived.has(name.toLowerCase()));
+
+    return {
+        issues,
+        notArchived,
+        breaks: issues.some(i => i.severity === 'error')
+    };
+}
+
+module.exports = {
+    SCRIPTS_DIR,
+    METADATA_COLUMNS,
+    findArchiveScripts,
+    loadArchiveDefinitions,
+    loadArchiveInserts,
+    loadArchiveExpectations,
+    checkInserts,
+    sourcePattern,
+    compareTable
+};
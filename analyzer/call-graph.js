@@ -0,0 +1,479 @@
+/**
+ * MICS# Call Graph
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Extracts call sites from method bodies (token ranges from csharp-parser.js),
+ * resolves them against the methods found by the analyzer and answers
+ * "who calls this" questions from reports/analysis-results.json.
+ *
+ * Usage: node call-graph.js <command> [options]
+ *
+ * Commands:
+ *   callers <method> [--depth N]   - Methods that call <method>
+ *   callees <method> [--depth N]   - Methods called by <method>
+ *   path <from> <to>               - Shortest call chain from <from> to <to>
+ *
+ * <method> may be a bare name (ReportNew), Type.Method (TpRunTsip.ReportNew)
+ * or a full method id as stored in analysis-results.json.
+ *
+ * Edge resolution:
+ *   resolved   - exactly one matching method (name, arity, containing type)
+ *   ambiguous  - several candidates; an edge is recorded to each
+ *   pinvoke    - the target is a [DllImport] extern declaration
+ *   unresolved - no method in the solution matches (framework/library call)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// Identifiers followed by '(' that are not calls
+const NON_CALL_KEYWORDS = new Set([
+    'if', 'while', 'for', 'foreach', 'switch', 'catch', 'using', 'lock', 'return',
+    'typeof', 'sizeof', 'nameof', 'default', 'checked', 'unchecked', 'fixed', 'when',
+    'this', 'base', 'new', 'stackalloc', 'throw', 'await', 'in', 'is', 'as', 'out', 'ref',
+    'var', 'else', 'case', 'yield', 'where', 'select', 'from', 'orderby', 'group', 'let', 'on', 'by'
+]);
+
+// Keywords that may directly precede a call (anything else that is an
+// identifier means "Type Name(" - a local function or variable declaration)
+const CALL_PRECEDING_KEYWORDS = new Set([
+    'return', 'await', 'new', 'throw', 'else', 'in', 'yield', 'case', 'is', 'as', 'out', 'ref', 'do', 'when', 'select'
+]);
+
+// =============================================================================
+// EXTRACTION
+// =============================================================================
+
+/**
+ * Count arguments in the parenthesised list starting at tokens[open]
+ */
+function countArguments(tokens, open) {
+    let depth = 0;
+    let commas = 0;
+    let sawToken = false;
+    for (let i = open; i < tokens.length; i++) {
+        const v = tokens[i].value;
+        if (v === '(' || v === '[' || v === '{') {
+            depth++;
+            if (depth === 1) continue;
+        } else if (v === ')' || v === ']' || v === '}') {
+            depth--;
+            if (depth === 0) break;
+        } else if (v === ',' && depth === 1) {
+            commas++;
+        }
+        sawToken = true;
+    }
+    return sawToken ? commas + 1 : 0;
+}
+
+/**
+ * Extract call sites from a parsed method's body.
+ * Returns [{ name, receiver, arity, line, kind: 'call'|'constructor' }]
+ */
+function extractCalls(tokens, method) {
+    const calls = [];
+    if (method.bodyStart === null) {
+        return calls;
+    }
+
+    for (let i = method.bodyStart + 1; i <= method.bodyEnd; i++) {
+        const tok = tokens[i];
+        if (tok.type !== 'ident' || NON_CALL_KEYWORDS.has(tok.value)) continue;
+
+        // Find the '(' - directly, or after generic arguments: Foo<int>(...)
+        let open = i + 1;
+        if (tokens[open] && tokens[open].value === '<') {
+            let depth = 0;
+            let j = open;
+            for (; j <= method.bodyEnd; j++) {
+                const v = tokens[j].value;
+                if (v === '<') depth++;
+                else if (v === '>') {
+                    depth--;
+                    if (depth === 0) break;
+                } else if (v !== ',' && v !== '.' && v !== '[' && v !== ']' && v !== '?' && tokens[j].type !== 'ident') {
+                    break;
+                }
+            }
+            open = depth === 0 ? j + 1 : -1;
+        }
+        if (open === -1 || !tokens[open] || tokens[open].value !== '(') continue;
+
+        // Walk back over the receiver chain: a.b?.Foo(
+        let chainStart = i;
+        while (chainStart - 2 >= method.bodyStart &&
+               (tokens[chainStart - 1].value === '.' || tokens[chainStart - 1].value === '?.')) {
+            const before = tokens[chainStart - 2];
+            if (before.type === 'ident') {
+                chainStart -= 2;
+            } else {
+                break;
+            }
+        }
+        const receiverTokens = tokens.slice(chainStart, i - 1).filter(t => t.type === 'ident');
+        const beforeChain = tokens[chainStart - 1];
+        const computedReceiver = chainStart === i && beforeChain && (beforeChain.value === '.' || beforeChain.value === '?.');
+
+        const isConstructor = beforeChain && beforeChain.value === 'new';
+        if (!isConstructor && !computedReceiver && chainStart === i && beforeChain &&
+            (beforeChain.type === 'ident' && !CALL_PRECEDING_KEYWORDS.has(beforeChain.value))) {
+            continue; // declaration, e.g. "int Local(int x)"
+        }
+
+        calls.push({
+            name: tok.value.replace(/^@/, ''),
+            receiver: computedReceiver ? '(expression)' :
+                (receiverTokens.length > 0 && !isConstructor ? receiverTokens.map(t => t.value).join('.') : null),
+            arity: countArguments(tokens, open),
+            line: tok.line,
+            kind: isConstructor ? 'constructor' : 'call'
+        });
+
+        i = open; // the name token is done; arguments are scanned next
+    }
+
+    return calls;
+}
+
+// =============================================================================
+// RESOLUTION
+// =============================================================================
+
+function lastSegment(name) {
+    if (!name) return name;
+    const clean = name.replace(/<.*>$/, '');
+    return clean.substring(clean.lastIndexOf('.') + 1);
+}
+
+function acceptsArity(method, arity) {
+    const min = typeof method.minArity === 'number' ? method.minArity : method.arity;
+    return arity >= min && (method.variadic || arity <= method.arity);
+}
+
+/**
+ * Assign a stable, unique id to every method:
+ *   Project:Namespace.Type.Name(arity)
+ * Overloads with the same arity get a #2, #3 suffix.
+ */
+function assignMethodIds(methods) {
+    const seen = {};
+    for (const method of methods) {
+        const ns = method.namespace ? `${method.namespace}.` : '';
+        let id = `${method.project}:${ns}${method.containingType}.${method.name}(${method.arity})`;
+        seen[id] = (seen[id] || 0) + 1;
+        if (seen[id] > 1) {
+            id += `#${seen[id]}`;
+        }
+        method.id = id;
+    }
+}
+
+/**
+ * Build the call graph from methods carrying `calls`.
+ * Sets `method.id` on every method and returns { edges, summary }.
+ */
+function buildCallGraph(methods, pInvokes = []) {
+    assignMethodIds(methods);
+
+    const byName = {};
+    for (const method of methods) {
+        (byName[method.name] = byName[method.name] || []).push(method);
+    }
+    const pInvokeKeys = new Set(pInvokes.map(p => `${p.file}:${p.line}`));
+    const classNames = new Set(methods.map(m => lastSegment(m.containingType)));
+
+    const edges = [];
+    const summary = { resolved: 0, ambiguous: 0, pinvoke: 0, unresolved: 0 };
+
+    for (const caller of methods) {
+        for (const call of caller.calls || []) {
+            let candidates;
+            if (call.kind === 'constructor') {
+                candidates = methods.filter(m => m.kind === 'constructor' && lastSegment(m.containingType) === lastSegment(call.name));
+            } else {
+                candidates = (byName[call.name] || []).filter(m => m.kind !== 'constructor');
+            }
+            candidates = candidates.filter(m => acceptsArity(m, call.arity));
+
+            // Narrow by containing type where the receiver tells us something
+            if (candidates.length > 1) {
+                let narrowed = [];
+                if (!call.receiver || call.receiver === 'this' || call.receiver === 'base') {
+                    // Own type first, then enclosing types (nested classes calling outer statics)
+                    let owner = caller.containingType;
+                    while (owner && narrowed.length === 0) {
+                        narrowed = candidates.filter(m => m.containingType === owner);
+                        owner = owner.includes('.') ? owner.substring(0, owner.lastIndexOf('.')) : null;
+                    }
+                } else if (classNames.has(lastSegment(call.receiver))) {
+                    narrowed = candidates.filter(m => lastSegment(m.containingType) === lastSegment(call.receiver));
+                }
+                if (narrowed.length > 0) {
+                    candidates = narrowed;
+                }
+            }
+            if (candidates.length > 1) {
+                // Prefer the caller's own project
+                const sameProject = candidates.filter(m => m.project === caller.project);
+                if (sameProject.length > 0) candidates = sameProject;
+            }
+
+            if (candidates.length === 0) {
+                const target = call.receiver ? `${call.receiver}.${call.name}` : call.name;
+                edges.push({ from: caller.id, to: `external:${target}`, line: call.line, resolution: 'unresolved' });
+                summary.unresolved++;
+                continue;
+            }
+
+            for (const target of candidates) {
+                let resolution = candidates.length === 1 ? 'resolved' : 'ambiguous';
+                if (pInvokeKeys.has(`${target.file}:${target.startLine}`)) {
+                    resolution = 'pinvoke';
+                }
+                edges.push({ from: caller.id, to: target.id, line: call.line, resolution });
+                summary[resolution]++;
+            }
+        }
+    }
+
+    return { edges, summary };
+}
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+/**
+ * Find method ids matching a user-supplied name
+ */
+function findMethods(results, query) {
+    const exact = results.methods.filter(m => m.id === query);
+    if (exact.length > 0) return exact;
+
+    return results.methods.filter(m => {
+        const qualified = `${m.containingType}.${m.name}`;
+        return m.name === query || qualified === query || qualified.endsWith(`.${query}`);
+    });
+}
+
+function indexEdges(edges, key) {
+    const index = {};
+    for (const edge of edges) {
+        (index[edge[key]] = index[edge[key]] || []).push(edge);
+    }
+    return index;
+}
+
+function describe(results, id) {
+    const method = results.methods.find(m => m.id === id);
+    if (!method) return id.replace(/^external:/, '');
+    return `${method.containingType}.${method.name}(${method.parameters})  ${method.file}:${method.startLine}`;
+}
+
+function printTree(results, rootId, index, nextKey, depth, maxDepth, seen) {
+    const edges = (index[rootId] || []).slice().sort((a, b) => a.line - b.line);
+    const grouped = {};
+    for (const edge of edges) {
+        const target = edge[nextKey];
+        if (!grouped[target]) grouped[target] = { lines: [], resolution: edge.resolution };
+        grouped[target].lines.push(edge.line);
+    }
+    for (const [target, info] of Object.entries(grouped)) {
+        const tag = info.resolution === 'resolved' ? '' : ` [${info.resolution}]`;
+        const indent = '  '.repeat(depth);
+        console.log(`${indent}└── ${describe(results, target)}${tag} (line ${info.lines.join(', ')})`);
+        if (depth < maxDepth && !seen.has(target) && !target.startsWith('external:')) {
+            seen.add(target);
+            printTree(results, target, index, nextKey, depth + 1, maxDepth, seen);
+        }
+    }
+}
+
+function cmdCallers(results, query, maxDepth) {
+    const index = indexEdges(results.callGraph.edges, 'to');
+    const methods = findMethods(results, query);
+    if (methods.length === 0) {
+        console.log(`\nNo method found matching '${query}'`);
+        return;
+    }
+    for (const method of methods) {
+        console.log(`\nCallers of ${describe(results, method.id)}`);
+        if (!index[method.id]) {
+            console.log('  (no callers found)');
+            continue;
+        }
+        printTree(results, method.id, index, 'from', 1, maxDepth, new Set([method.id]));
+    }
+}
+
+function cmdCallees(results, query, maxDepth) {
+    const index = indexEdges(results.callGraph.edges, 'from');
+    const methods = findMethods(results, query);
+    if (methods.length === 0) {
+        console.log(`\nNo method found matching '${query}'`);
+        return;
+    }
+    for (const method of methods) {
+        console.log(`\nCallees of ${describe(results, method.id)}`);
+        if (!index[method.id]) {
+            console.log('  (no calls found)');
+            continue;
+        }
+        printTree(results, method.id, index, 'to', 1, maxDepth, new Set([method.id]));
+    }
+}
+
+/**
+ * Breadth-first search over non-external edges
+ */
+function findPath(results, fromIds, toIds) {
+    const index = indexEdges(results.callGraph.edges, 'from');
+    const targets = new Set(toIds);
+    const previous = {};
+    const queue = [...fromIds];
+    const visited = new Set(fromIds);
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (targets.has(current)) {
+            const chain = [];
+            for (let node = current; node !== undefined; node = previous[node] && previous[node].from) {
+                chain.unshift({ id: node, edge: previous[node] });
+            }
+            return chain;
+        }
+        for (const edge of index[current] || []) {
+            if (edge.to.startsWith('external:') || visited.has(edge.to)) continue;
+            visited.add(edge.to);
+            previous[edge.to] = edge;
+            queue.push(edge.to);
+        }
+    }
+    return null;
+}
+
+function cmdPath(results, fromQuery, toQuery) {
+    const from = findMethods(results, fromQuery).map(m => m.id);
+    const to = findMethods(results, toQuery).map(m => m.id);
+    if (from.length === 0 || to.length === 0) {
+        console.log(`\nNo method found matching '${from.length === 0 ? fromQuery : toQuery}'`);
+        return;
+    }
+
+    const chain = findPath(results, from, to);
+    if (!chain) {
+        console.log(`\nNo call path from ${fromQuery} to ${toQuery}`);
+        return;
+    }
+    console.log(`\nCall path from ${fromQuery} to ${toQuery} (${chain.length - 1} calls):`);
+    chain.forEach((step, i) => {
+        const via = step.edge ? ` (line ${step.edge.line}${step.edge.resolution === 'resolved' ? '' : `, ${step.edge.resolution}`})` : '';
+        console.log(`${'  '.repeat(i)}${i > 0 ? '└── ' : ''}${describe(results, step.id)}${via}`);
+    });
+}
+
+function loadResults() {
+    const resultsPath = path.join(config.OUTPUT_DIR, 'analysis-results.json');
+    if (!fs.existsSync(resultsPath)) {
+        console.error('Analysis results not found. Run "npm run analyze" first.');
+        process.exit(1);
+    }
+    const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+    if (!results.callGraph) {
+        console.error('Analysis results have no call graph. Re-run "npm run analyze".');
+        process.exit(1);
+    }
+    return results;
+}
+
+function showHelp() {
+    console.log(`
+MICS# Call Graph Queries
+
+Usage: node call-graph.js <command> [options]
+
+Commands:
+  callers <method> [--depth N]   Methods that call <method> (default depth 1)
+  callees <method> [--depth N]   Methods called by <method> (default depth 1)
+  path <from> <to>               Shortest call chain between two methods
+
+The call graph is read from analysis-results.json in the output directory
+(--out, --config or mics-analyzer.json, as for analyzer.js).
+
+Examples:
+  node call-graph.js callers CloseReportStreams --depth 3
+  node call-graph.js callees TpRunTsip.ReportNew
+  node call-graph.js path Main CleanupReportStreamsForFailedRun
+  npm run calls -- callers ReportNew --out ../reports/aws
+`);
+}
+
+// Method names each command needs
+const COMMAND_ARGS = { callers: 1, callees: 1, path: 2 };
+
+function main() {
+    const argv = process.argv.slice(2);
+    if (argv.length === 0 || ['help', '--help', '-h'].includes(argv[0])) {
+        showHelp();
+        return;
+    }
+
+    // --depth is ours; --out, --config and the rest go to config.load()
+    let maxDepth = 1;
+    const depthArg = argv.indexOf('--depth');
+    if (depthArg !== -1) {
+        maxDepth = parseInt(argv[depthArg + 1], 10) || 1;
+        argv.splice(depthArg, 2);
+    }
+
+    let args;
+    try {
+        args = config.load(argv);
+    } catch (err) {
+        console.error(`ERROR: ${err.message}\n`);
+        showHelp();
+        process.exit(1);
+    }
+
+    const command = args[0];
+    if (!COMMAND_ARGS[command]) {
+        console.error(`Unknown command: ${command}`);
+        showHelp();
+        process.exit(1);
+    }
+    if (args.length - 1 < COMMAND_ARGS[command]) {
+        console.error(`ERROR: ${command} needs ${COMMAND_ARGS[command] === 1 ? 'a method name' : 'two method names'}\n`);
+        showHelp();
+        process.exit(1);
+    }
+
+    const results = loadResults();
+    const s = results.callGraph.summary;
+    console.log(`Call graph from ${results.timestamp}: ${s.resolved} resolved, ${s.ambiguous} ambiguous, ${s.pinvoke} P/Invoke, ${s.unresolved} unresolved`);
+
+    switch (command) {
+        case 'callers':
+            cmdCallers(results, args[1], maxDepth);
+            break;
+        case 'callees':
+            cmdCallees(results, args[1], maxDepth);
+            break;
+        case 'path':
+            cmdPath(results, args[1], args[2]);
+            break;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    extractCalls,
+    buildCallGraph,
+    findMethods,
+    findPath
+};
@@ -0,0 +1,183 @@
+/**
+ * MICS# Code Metrics
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Per-method metrics computed from the token ranges produced by
+ * csharp-parser.js, plus helpers to roll them up per file and per project.
+ *
+ * Cyclomatic complexity = 1 + decision points, where a decision point is
+ * if / while / for / foreach / do / case / catch / && / || / ?: (do..while
+ * is counted once, at its do; the trailing while is skipped).
+ */
+
+const BRANCH_KEYWORDS = new Set(['if', 'while', 'for', 'foreach', 'catch']);
+
+const STATEMENT_KEYWORDS = new Set(['if', 'for', 'foreach', 'while', 'do', 'switch', 'try', 'lock']);
+
+// Tokens that may follow a nullable type's '?' (int? x, List<int?>, (int?)y)
+const NULLABLE_FOLLOWERS = new Set([')', '>', ',', ']', '[', ';']);
+
+/**
+ * Decide whether the '?' at index i is a conditional operator rather than a
+ * nullable type marker, by looking for its ':' before the expression ends.
+ */
+function isConditionalOperator(tokens, i, end) {
+    const next = tokens[i + 1];
+    if (!next || NULLABLE_FOLLOWERS.has(next.value)) return false;
+
+    // "int? x =" / "int? x;" is a declaration
+    const after = tokens[i + 2];
+    const prev = tokens[i - 1];
+    if (prev && (prev.type === 'ident' || prev.value === '>' || prev.value === ']') &&
+        next.type === 'ident' && after && ['=', ';', ',', ')', 'in'].includes(after.value)) {
+        return false;
+    }
+
+    let depth = 0;
+    for (let j = i + 1; j <= end; j++) {
+        const v = tokens[j].value;
+        if (v === '(' || v === '[' || v === '{') depth++;
+        else if (v === ')' || v === ']' || v === '}') {
+            if (depth === 0) return false;
+            depth--;
+        } else if (depth === 0 && (v === ';' || v === ',')) {
+            return false;
+        } else if (depth === 0 && v === ':') {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Compute metrics for one parsed method.
+ * Returns { lineSpan, statements, complexity, maxNesting }.
+ */
+function computeMethodMetrics(tokens, method) {
+    const metrics = {
+        lineSpan: method.endLine - method.startLine + 1,
+        statements: 0,
+        complexity: 1,
+        maxNesting: 0
+    };
+    if (method.bodyStart === null) {
+        return metrics;
+    }
+
+    const start = method.bodyStart;
+    const end = method.bodyEnd;
+    if (method.expressionBodied) {
+        metrics.statements = 1;
+    }
+
+    let braceDepth = 0;
+    let parenDepth = 0;
+    for (let i = start; i <= end; i++) {
+        const tok = tokens[i];
+        const v = tok.value;
+
+        if (tok.type === 'punct') {
+            if (v === '{') {
+                braceDepth++;
+                // The method body's own braces are depth 1
+                metrics.maxNesting = Math.max(metrics.maxNesting, braceDepth - 1);
+            } else if (v === '}') {
+                braceDepth--;
+            } else if (v === '(') {
+                parenDepth++;
+            } else if (v === ')') {
+                parenDepth--;
+            } else if (v === ';' && parenDepth === 0 && !method.expressionBodied) {
+                metrics.statements++;
+            } else if (v === '&&' || v === '||') {
+                metrics.complexity++;
+            } else if (v === '?' && isConditionalOperator(tokens, i, end)) {
+                metrics.complexity++;
+            }
+            continue;
+        }
+
+        if (tok.type !== 'ident') continue;
+
+        const prev = tokens[i - 1];
+        if (BRANCH_KEYWORDS.has(v)) {
+            // do { } while (x); - the loop was already counted at 'do'
+            if (v === 'while' && prev && prev.value === '}' && isDoWhileTail(tokens, start, i)) {
+                continue;
+            }
+            metrics.complexity++;
+        } else if (v === 'do') {
+            metrics.complexity++;
+        } else if (v === 'case' && !(prev && prev.value === 'goto')) {
+            metrics.complexity++;
+        }
+
+        if (STATEMENT_KEYWORDS.has(v) || (v === 'using' && tokens[i + 1] && tokens[i + 1].value === '(')) {
+            if (!(v === 'while' && prev && prev.value === '}' && isDoWhileTail(tokens, start, i))) {
+                metrics.statements++;
+            }
+        }
+    }
+
+    return metrics;
+}
+
+/**
+ * True if the 'while' at index i closes a do { ... } block
+ */
+function isDoWhileTail(tokens, start, i) {
+    let depth = 0;
+    for (let j = i - 1; j >= start; j--) {
+        const v = tokens[j].value;
+        if (v === '}') depth++;
+        else if (v === '{') {
+            depth--;
+            if (depth === 0) {
+                return tokens[j - 1] && tokens[j - 1].value === 'do';
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Roll up method metrics (methods without metrics are ignored)
+ */
+function summarizeMethods(methods) {
+    const measured = methods.filter(m => typeof m.complexity === 'number');
+    const summary = {
+        methods: measured.length,
+        statements: 0,
+        totalComplexity: 0,
+        averageComplexity: 0,
+        maxComplexity: 0,
+        maxNesting: 0
+    };
+    for (const method of measured) {
+        summary.statements += method.statements;
+        summary.totalComplexity += method.complexity;
+        summary.maxComplexity = Math.max(summary.maxComplexity, method.complexity);
+        summary.maxNesting = Math.max(summary.maxNesting, method.maxNesting);
+    }
+    if (measured.length > 0) {
+        summary.averageComplexity = Math.round((summary.totalComplexity / measured.length) * 100) / 100;
+    }
+    return summary;
+}
+
+/**
+ * Commonly used risk bands for cyclomatic complexity
+ */
+function complexityRating(complexity) {
+    if (complexity <= 10) return 'Low';
+    if (complexity <= 20) return 'Moderate';
+    if (complexity <= 50) return 'High';
+    return 'Very High';
+}
+
+module.exports = {
+    computeMethodMetrics,
+    summarizeMethods,
+    complexityRating
+};
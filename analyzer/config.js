@@ -5,10 +5,91 @@
  * ============================
  * This workspace is configured for READ-ONLY analysis of the MICS# codebase.
  * DO NOT modify any files in the MICS_PATH directory.
+ * 
+ * The defaults below can be overridden without editing this file:
+ *   1. mics-analyzer.json in the current directory or next to this file
+ *      (or the file given with --config)
+ *   2. Command-line flags (see config.load / CLI_USAGE), which win over the file
+ * 
+ * Example mics-analyzer.json (paths are relative to the file):
+ *   {
+ *     "source": "../../MICS-aws-working-copy/MICS#",
+ *     "solution": "MICS#.sln",
+ *     "out": "../reports/aws",
+ *     "exclude": ["Tests/**", "*.Designer.cs"],
+ *     "options": { "calculateComplexity": false }
+ *   }
  */
 
+const fs = require('fs');
 const path = require('path');
 
+const CONFIG_FILE_NAME = 'mics-analyzer.json';
+
+const CLI_USAGE = `Options:
+  --source <dir>            MICS# source directory (read-only)
+  --solution <file.sln>     Solution file name, relative to --source
+  --out <dir>               Output directory for reports
+  --diagrams-out <dir>      Output directory for diagrams
+  --include <glob>          Only analyze matching .cs files (repeatable)
+  --exclude <glob>          Skip matching .cs files (repeatable)
+  --config <file>           Config file (default: ${CONFIG_FILE_NAME} if present)
+  --no-cache                Re-parse every file
+  --no-complexity           Skip complexity metrics
+  --no-todos                Skip TODO/FIXME tracking
+  --no-pinvoke              Skip P/Invoke analysis
+  --no-sql                  Skip SQL usage extraction
+  --diagram-formats <list>  Comma-separated: mermaid,plantuml,dot
+  --max-file-size <bytes>   Skip larger files
+  --configuration <name>    Build configuration whose DefineConstants decide
+                            #if blocks (default: Debug)
+
+Globs match paths relative to --source using / separators; a glob without
+a / matches the file name in any directory:
+  *  any characters except /     **  any number of directories     ?  one character`;
+
+/**
+ * Convert a glob (*, **, ?) to a regular expression
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    const normalized = glob.replace(/\\/g, '/');
+    for (let i = 0; i < normalized.length; i++) {
+        const ch = normalized[i];
+        if (ch === '*' && normalized[i + 1] === '*') {
+            // "**/" matches zero or more directories
+            if (normalized[i + 2] === '/') {
+                pattern += '(?:.*/)?';
+                i += 2;
+            } else {
+                pattern += '.*';
+                i += 1;
+            }
+        } else if (ch === '*') {
+            pattern += '[^/]*';
+        } else if (ch === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`, 'i');
+}
+
+function resolveFrom(baseDir, value) {
+    return path.resolve(baseDir, value);
+}
+
+/**
+ * True when targetPath is dir itself or lies under it (a sibling such as
+ * dir + "-out" is not inside)
+ */
+function isInside(targetPath, dir) {
+    const resolved = path.resolve(targetPath);
+    const root = path.resolve(dir);
+    return resolved === root || resolved.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+}
+
 module.exports = {
     // Path to the MICS# solution (relative to this workspace)
     // IMPORTANT: This path should ONLY be used for READING files
@@ -20,6 +101,9 @@ module.exports = {
     // Output directory for reports (within THIS workspace, not in MICS# source)
     OUTPUT_DIR: path.resolve(__dirname, '../reports'),
     
+    // Output directory for generated diagrams (within THIS workspace)
+    DIAGRAMS_DIR: path.resolve(__dirname, '../diagrams'),
+    
     // Analysis options
     options: {
         // Include bin/obj directories in analysis
@@ -43,17 +127,182 @@ module.exports = {
         // Analyze P/Invoke declarations
         analyzePInvoke: true,
         
+        // Diagram formats written to DIAGRAMS_DIR: 'mermaid', 'plantuml', 'dot'
+        diagramFormats: ['mermaid'],
+        
+        // Reuse per-file results from reports/analysis-cache.json for unchanged files
+        useCache: true,
+        
+        // Extract SQL statements and table names from string literals (sql-usage.md)
+        analyzeSql: true,
+        
+        // Table name prefixes reported even outside SQL statements (tt_{0}_{1}_chan, ...)
+        sqlTablePrefixes: ['tt', 'te', 'ft', 'fe', 'tp'],
+        
+        // Build configuration used to evaluate #if/#else blocks against each
+        // project's DefineConstants; the other configurations are compared in conditional.md
+        buildConfiguration: 'Debug',
+        
         // READ-ONLY MODE: Never write to MICS_PATH
         readOnlyMode: true
     },
     
-    // Safety check function
-    isPathSafeForWrite: function(targetPath) {
+    // Glob filters applied to .cs paths relative to MICS_PATH (empty include = everything)
+    include: [],
+    exclude: [],
+    
+    // Config file that was applied by load(), if any
+    configFile: null,
+    
+    CLI_USAGE,
+    globToRegExp,
+    
+    /**
+     * Apply mics-analyzer.json and command-line flags on top of the defaults.
+     * Returns the positional (non-flag) arguments. Throws on bad flags.
+     */
+    load: function(argv = []) {
+        const args = [...argv];
+        
+        // Config file first, so flags can override it
+        const configArg = args.indexOf('--config');
+        let configPath = null;
+        if (configArg !== -1) {
+            configPath = path.resolve(args[configArg + 1] || '');
+            if (!fs.existsSync(configPath)) {
+                throw new Error(`Config file not found: ${configPath}`);
+            }
+            args.splice(configArg, 2);
+        } else {
+            configPath = [path.resolve(CONFIG_FILE_NAME), path.join(__dirname, CONFIG_FILE_NAME)]
+                .find(p => fs.existsSync(p)) || null;
+        }
+        if (configPath) {
+            this.applyConfigFile(configPath);
+        }
+        
+        const positional = [];
+        const takeValue = (i, flag) => {
+            if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
+                throw new Error(`Missing value for ${flag}`);
+            }
+            return args[i + 1];
+        };
+        
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            switch (arg) {
+                case '--source':
+                    this.MICS_PATH = path.resolve(takeValue(i++, arg));
+                    break;
+                case '--solution':
+                    this.SOLUTION_FILE = takeValue(i++, arg);
+                    break;
+                case '--out':
+                    this.OUTPUT_DIR = path.resolve(takeValue(i++, arg));
+                    break;
+                case '--diagrams-out':
+                    this.DIAGRAMS_DIR = path.resolve(takeValue(i++, arg));
+                    break;
+                case '--include':
+                    this.include.push(takeValue(i++, arg));
+                    break;
+                case '--exclude':
+                    this.exclude.push(takeValue(i++, arg));
+                    break;
+                case '--no-cache':
+                    this.options.useCache = false;
+                    break;
+                case '--no-complexity':
+                    this.options.calculateComplexity = false;
+                    break;
+                case '--no-todos':
+                    this.options.trackTodos = false;
+                    break;
+                case '--no-pinvoke':
+                    this.options.analyzePInvoke = false;
+                    break;
+                case '--no-sql':
+                    this.options.analyzeSql = false;
+                    break;
+                case '--diagram-formats':
+                    this.options.diagramFormats = takeValue(i++, arg).split(',').map(f => f.trim()).filter(Boolean);
+                    break;
+                case '--configuration':
+                    this.options.buildConfiguration = takeValue(i++, arg);
+                    break;
+                case '--max-file-size': {
+                    const value = takeValue(i++, arg);
+                    if (!/^\d+$/.test(value) || Number(value) === 0) {
+                        throw new Error(`${arg} expects a positive number of bytes, got "${value}"`);
+                    }
+                    this.options.maxFileSize = Number(value);
+                    break;
+                }
+                default:
+                    if (arg.startsWith('--')) {
+                        throw new Error(`Unknown option: ${arg}`);
+                    }
+                    positional.push(arg);
+            }
+        }
+        
+        // Refuse output folders inside the source now, not after the analysis
+        for (const [flag, dir] of [['--out', this.OUTPUT_DIR], ['--diagrams-out', this.DIAGRAMS_DIR]]) {
+            if (isInside(dir, this.MICS_PATH)) {
+                throw new Error(`${flag} ${dir} is inside the MICS# source directory (read-only)`);
+            }
+        }
+        
+        // Read-only mode is not configurable
+        this.options.readOnlyMode = true;
+        return positional;
+    },
+    
+    /**
+     * Merge a mics-analyzer.json file over the current settings
+     */
+    applyConfigFile: function(configPath) {
+        let fileConfig;
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (err) {
+            throw new Error(`Invalid config file ${configPath}: ${err.message}`);
+        }
+        const baseDir = path.dirname(configPath);
+        
+        if (fileConfig.source) this.MICS_PATH = resolveFrom(baseDir, fileConfig.source);
+        if (fileConfig.solution) this.SOLUTION_FILE = fileConfig.solution;
+        if (fileConfig.out) this.OUTPUT_DIR = resolveFrom(baseDir, fileConfig.out);
+        if (fileConfig.diagramsOut) this.DIAGRAMS_DIR = resolveFrom(baseDir, fileConfig.diagramsOut);
+        if (Array.isArray(fileConfig.include)) this.include = [...fileConfig.include];
+        if (Array.isArray(fileConfig.exclude)) this.exclude = [...fileConfig.exclude];
+        if (fileConfig.options && typeof fileConfig.options === 'object') {
+            Object.assign(this.options, fileConfig.options);
+        }
+        this.configFile = configPath;
+    },
+    
+    /**
+     * Apply include/exclude globs to a source file path
+     */
+    isFileIncluded: function(filePath) {
+        const relative = path.relative(this.MICS_PATH, filePath).split(path.sep).join('/');
+        const name = path.basename(filePath);
+        const matches = glob => globToRegExp(glob).test(/[\\/]/.test(glob) ? relative : name);
+        if (this.include.length > 0 && !this.include.some(matches)) {
+            return false;
+        }
+        return !this.exclude.some(matches);
+    },
+    
+    // Safety check function; `sourcePaths` are further read-only trees
+    // (e.g. the source an analysis-results.json was made from)
+    isPathSafeForWrite: function(targetPath, sourcePaths = []) {
         const resolved = path.resolve(targetPath);
-        const micsResolved = path.resolve(this.MICS_PATH);
         
         // Never allow writing to MICS# source
-        if (resolved.startsWith(micsResolved)) {
+        if ([this.MICS_PATH, ...sourcePaths].some(dir => dir && isInside(resolved, dir))) {
             console.error('ERROR: Attempted to write to MICS# source directory!');
             console.error('Path:', resolved);
             return false;
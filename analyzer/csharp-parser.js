@@ -0,0 +1,933 @@
+/**
+ * MICS# C# Parser
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Lightweight lexer and structural parser used by analyzer.js instead of
+ * regex extraction. It understands enough C# to find namespaces, types,
+ * members, attributes and brace scopes. Method bodies are not parsed into
+ * statements; they are kept as token ranges for later passes.
+ *
+ * Handles:
+ * - Comments, regular/verbatim/interpolated/raw strings and char literals
+ *   (so nothing inside them is mistaken for code)
+ * - Nested, partial and generic types, records
+ * - Generic/tuple return types, expression-bodied members, operators,
+ *   constructors, destructors, explicit interface implementations
+ * - #if/#elif/#else/#endif, evaluated against `options.defines` (first
+ *   branch is taken when no symbols or evaluator are supplied)
+ */
+
+const MODIFIERS = new Set([
+    'public', 'private', 'protected', 'internal', 'static', 'abstract', 'sealed',
+    'partial', 'virtual', 'override', 'extern', 'unsafe', 'readonly', 'async',
+    'new', 'const', 'volatile', 'fixed', 'required', 'file', 'implicit', 'explicit'
+]);
+
+const TYPE_KEYWORDS = new Set(['class', 'struct', 'interface', 'enum', 'record']);
+
+const PARAMETER_MODIFIERS = new Set(['ref', 'out', 'in', 'params', 'this', 'scoped']);
+
+// Longest first so e.g. '??=' wins over '??'. '>>' is deliberately absent:
+// it closes two generic argument lists far more often than it shifts.
+const PUNCTUATORS = [
+    '??=', '<<=', '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--',
+    '->', '::', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^='
+];
+
+const IDENT_START = /[A-Za-z_\u00C0-\uFFFF]/;
+const IDENT_PART = /[A-Za-z0-9_\u00C0-\uFFFF]/;
+
+// =============================================================================
+// LEXER
+// =============================================================================
+
+/**
+ * Split C# source into tokens. Comments are returned separately.
+ * Token: { type: 'ident'|'number'|'string'|'char'|'punct'|'preproc', value, line }
+ */
+function tokenize(content) {
+    const tokens = [];
+    const comments = [];
+    const len = content.length;
+    let i = 0;
+    let line = 1;
+    let atLineStart = true;
+
+    function isStringStart(pos) {
+        while (content[pos] === '@' || content[pos] === '$') pos++;
+        return content[pos] === '"';
+    }
+
+    function scanChar(pos) {
+        pos++;
+        while (pos < len && content[pos] !== '\'' && content[pos] !== '\n') {
+            pos += content[pos] === '\\' ? 2 : 1;
+        }
+        return content[pos] === '\'' ? pos + 1 : pos;
+    }
+
+    function scanInterpolationHole(pos) {
+        let depth = 1;
+        while (pos < len && depth > 0) {
+            const c = content[pos];
+            if (c === '"' || ((c === '@' || c === '$') && isStringStart(pos))) {
+                pos = scanString(pos);
+                continue;
+            }
+            if (c === '\'') {
+                pos = scanChar(pos);
+                continue;
+            }
+            if (c === '{') depth++;
+            else if (c === '}') depth--;
+            else if (c === '\n') line++;
+            pos++;
+        }
+        return pos;
+    }
+
+    // Returns the index just past the literal starting at pos (prefix or quote)
+    function scanString(pos) {
+        let verbatim = false;
+        let interpolated = false;
+        while (content[pos] === '@' || content[pos] === '$') {
+            if (content[pos] === '@') verbatim = true;
+            else interpolated = true;
+            pos++;
+        }
+
+        // Raw string literal: three or more quotes, closed by the same run
+        if (content.startsWith('"""', pos)) {
+            let quotes = 0;
+            while (content[pos + quotes] === '"') quotes++;
+            const end = content.indexOf('"'.repeat(quotes), pos + quotes);
+            const stop = end === -1 ? len : end + quotes;
+            for (let p = pos; p < stop; p++) {
+                if (content[p] === '\n') line++;
+            }
+            return stop;
+        }
+
+        pos++; // opening quote
+        while (pos < len) {
+            const c = content[pos];
+            if (c === '\n') {
+                if (!verbatim) return pos; // unterminated; let the main loop see the newline
+                line++;
+                pos++;
+                continue;
+            }
+            if (!verbatim && c === '\\') {
+                pos += 2;
+                continue;
+            }
+            if (c === '"') {
+                if (verbatim && content[pos + 1] === '"') {
+                    pos += 2;
+                    continue;
+                }
+                return pos + 1;
+            }
+            if (interpolated && c === '{') {
+                if (content[pos + 1] === '{') {
+                    pos += 2;
+                    continue;
+                }
+                pos = scanInterpolationHole(pos + 1);
+                continue;
+            }
+            pos++;
+        }
+        return pos;
+    }
+
+    while (i < len) {
+        const ch = content[i];
+
+        if (ch === '\n') {
+            line++;
+            i++;
+            atLineStart = true;
+            continue;
+        }
+        if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v' || ch === '\uFEFF') {
+            i++;
+            continue;
+        }
+
+        // Preprocessor directive: '#' as the first non-blank character of a line
+        if (ch === '#' && atLineStart) {
+            const start = i;
+            while (i < len && content[i] !== '\n') i++;
+            const text = content.slice(start, i).replace(/\/\/.*$/, '').trim();
+            tokens.push({ type: 'preproc', value: text, line });
+            continue;
+        }
+        atLineStart = false;
+
+        // Comments
+        if (ch === '/' && content[i + 1] === '/') {
+            const start = i;
+            while (i < len && content[i] !== '\n') i++;
+            comments.push({ text: content.slice(start, i), line, endLine: line });
+            continue;
+        }
+        if (ch === '/' && content[i + 1] === '*') {
+            const start = i;
+            const startLine = line;
+            i += 2;
+            while (i < len && !(content[i] === '*' && content[i + 1] === '/')) {
+                if (content[i] === '\n') line++;
+                i++;
+            }
+            i = Math.min(i + 2, len);
+            comments.push({ text: content.slice(start, i), line: startLine, endLine: line });
+            continue;
+        }
+
+        // String literals (regular, verbatim, interpolated, raw)
+        if (ch === '"' || ((ch === '@' || ch === '$') && isStringStart(i))) {
+            const start = i;
+            const startLine = line;
+            i = scanString(i);
+            tokens.push({ type: 'string', value: content.slice(start, i), line: startLine });
+            continue;
+        }
+
+        if (ch === '\'') {
+            const start = i;
+            i = scanChar(i);
+            tokens.push({ type: 'char', value: content.slice(start, i), line });
+            continue;
+        }
+
+        // Identifiers and keywords (@ prefix makes a verbatim identifier)
+        if (IDENT_START.test(ch) || (ch === '@' && IDENT_START.test(content[i + 1] || ''))) {
+            const start = i;
+            i++;
+            while (i < len && IDENT_PART.test(content[i])) i++;
+            tokens.push({ type: 'ident', value: content.slice(start, i), line });
+            continue;
+        }
+
+        // Numbers (including hex, suffixes and exponents)
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(content[i + 1] || ''))) {
+            const start = i;
+            i++;
+            while (i < len) {
+                const c = content[i];
+                if (/[0-9A-Za-z_]/.test(c)) {
+                    i++;
+                } else if (c === '.' && /[0-9]/.test(content[i + 1] || '')) {
+                    i++;
+                } else if ((c === '+' || c === '-') && /[eE]/.test(content[i - 1]) && !/^0[xX]/.test(content.slice(start, i))) {
+                    i++;
+                } else {
+                    break;
+                }
+            }
+            tokens.push({ type: 'number', value: content.slice(start, i), line });
+            continue;
+        }
+
+        // Punctuation
+        let punct = PUNCTUATORS.find(p => content.startsWith(p, i)) || ch;
+        if (punct === '?.' && /[0-9]/.test(content[i + 2] || '')) {
+            punct = '?'; // "a ?.5 : b" is a conditional, not null-propagation
+        }
+        tokens.push({ type: 'punct', value: punct, line });
+        i += punct.length;
+    }
+
+    return { tokens, comments };
+}
+
+// =============================================================================
+// PREPROCESSOR
+// =============================================================================
+
+/**
+ * Evaluate a #if/#elif expression against a set of defined symbols.
+ * Supports symbols, true/false, !, ==, !=, && and || with C# precedence.
+ */
+function evaluateCondition(expression, symbols) {
+    const parts = expression.replace(/\/\/.*$/, '').match(/\w+|&&|\|\||==|!=|!|\(|\)/g) || [];
+    let pos = 0;
+
+    const unary = () => {
+        const part = parts[pos++];
+        if (part === '!') return !unary();
+        if (part === '(') {
+            const value = or();
+            pos++; // ')'
+            return value;
+        }
+        if (part === 'true') return true;
+        if (part === 'false') return false;
+        return symbols.has(part);
+    };
+    const equality = () => {
+        let value = unary();
+        while (parts[pos] === '==' || parts[pos] === '!=') {
+            const op = parts[pos++];
+            const right = unary();
+            value = op === '==' ? value === right : value !== right;
+        }
+        return value;
+    };
+    const and = () => {
+        let value = equality();
+        while (parts[pos] === '&&') {
+            pos++;
+            value = equality() && value;
+        }
+        return value;
+    };
+    const or = () => {
+        let value = and();
+        while (parts[pos] === '||') {
+            pos++;
+            value = and() || value;
+        }
+        return value;
+    };
+
+    return parts.length > 0 && or();
+}
+
+/**
+ * Drop tokens in inactive #if branches.
+ * `evaluate(expression)` decides #if/#elif conditions; the default takes the
+ * first branch of every conditional, which keeps braces balanced.
+ * If `symbols` (a Set) is given, active #define/#undef lines update it.
+ * Returns the active tokens plus the line ranges that were skipped.
+ */
+function applyPreprocessor(tokens, evaluate = () => true, symbols = null) {
+    const active = [];
+    const inactiveRanges = [];
+    const stack = [];
+    let isActive = true;
+    let inactiveStart = null;
+
+    const setActive = (value, line) => {
+        if (isActive && !value) {
+            inactiveStart = line;
+        } else if (!isActive && value && inactiveStart !== null) {
+            inactiveRanges.push({ startLine: inactiveStart, endLine: line });
+            inactiveStart = null;
+        }
+        isActive = value;
+    };
+
+    for (const tok of tokens) {
+        if (tok.type !== 'preproc') {
+            if (isActive) active.push(tok);
+            continue;
+        }
+
+        const match = tok.value.match(/^#\s*(\w+)\s*(.*)$/);
+        if (!match) continue;
+        const directive = match[1];
+        const expression = match[2].trim();
+        const top = stack[stack.length - 1];
+
+        switch (directive) {
+            case 'if': {
+                const condition = isActive && evaluate(expression);
+                stack.push({ parentActive: isActive, taken: condition });
+                setActive(condition, tok.line);
+                break;
+            }
+            case 'elif': {
+                if (!top) break;
+                const condition = top.parentActive && !top.taken && evaluate(expression);
+                top.taken = top.taken || condition;
+                setActive(condition, tok.line);
+                break;
+            }
+            case 'else':
+                if (!top) break;
+                setActive(top.parentActive && !top.taken, tok.line);
+                top.taken = true;
+                break;
+            case 'endif':
+                if (!top) break;
+                stack.pop();
+                setActive(top.parentActive, tok.line);
+                break;
+            case 'define':
+            case 'undef':
+                if (symbols && isActive && expression) {
+                    const symbol = expression.split(/\s/)[0];
+                    if (directive === 'define') symbols.add(symbol);
+                    else symbols.delete(symbol);
+                }
+                break;
+            default:
+                // #region, #pragma, #nullable, ... do not affect structure
+                break;
+        }
+    }
+
+    if (!isActive && inactiveStart !== null) {
+        const last = tokens[tokens.length - 1];
+        inactiveRanges.push({ startLine: inactiveStart, endLine: last ? last.line : inactiveStart });
+    }
+
+    return { tokens: active, inactiveRanges };
+}
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+function isWord(tok) {
+    return tok.type === 'ident' || tok.type === 'number' || tok.type === 'string' || tok.type === 'char';
+}
+
+/**
+ * Rebuild readable source text from a token range [start, end)
+ */
+function tokensToText(tokens, start = 0, end = tokens.length) {
+    let text = '';
+    for (let i = start; i < end; i++) {
+        const tok = tokens[i];
+        const prev = i > start ? tokens[i - 1] : null;
+        if (prev) {
+            const spaced =
+                prev.value === ',' ||
+                (isWord(prev) && isWord(tok)) ||
+                ([']', '>', '?', '*', ')'].includes(prev.value) && isWord(tok)) ||
+                ['=', '=>', '??'].includes(prev.value) || ['=', '=>', '??'].includes(tok.value);
+            if (spaced) text += ' ';
+        }
+        text += tok.value;
+    }
+    return text;
+}
+
+function stripVerbatim(name) {
+    return name.startsWith('@') ? name.substring(1) : name;
+}
+
+/**
+ * Split a token range on commas at bracket depth 0
+ */
+function splitTopLevel(tokens, start, end) {
+    const parts = [];
+    let depth = 0;
+    let partStart = start;
+    for (let i = start; i < end; i++) {
+        const v = tokens[i].value;
+        if (v === '(' || v === '[' || v === '{' || v === '<') depth++;
+        else if (v === ')' || v === ']' || v === '}' || v === '>') depth--;
+        else if (v === ',' && depth === 0) {
+            parts.push([partStart, i]);
+            partStart = i + 1;
+        }
+    }
+    if (end > partStart) parts.push([partStart, end]);
+    return parts;
+}
+
+/**
+ * Parse one attribute section's contents, e.g. DllImport("x.dll", CharSet = CharSet.Ansi)
+ */
+function parseAttributeList(tokens, start, end) {
+    const attributes = [];
+    // Skip an attribute target such as "assembly:" or "return:"
+    if (end - start > 1 && tokens[start].type === 'ident' && tokens[start + 1].value === ':') {
+        start += 2;
+    }
+    for (const [s, e] of splitTopLevel(tokens, start, end)) {
+        let i = s;
+        const nameStart = i;
+        while (i < e && tokens[i].value !== '(') i++;
+        const name = tokensToText(tokens, nameStart, i).replace(/Attribute$/, '');
+        const args = [];
+        if (i < e) {
+            for (const [as, ae] of splitTopLevel(tokens, i + 1, e - 1)) {
+                if (ae - as > 2 && tokens[as].type === 'ident' && (tokens[as + 1].value === '=' || tokens[as + 1].value === ':')) {
+                    args.push({ name: tokens[as].value, value: tokensToText(tokens, as + 2, ae) });
+                } else {
+                    args.push({ name: null, value: tokensToText(tokens, as, ae) });
+                }
+            }
+        }
+        attributes.push({ name, arguments: args, line: tokens[s].line });
+    }
+    return attributes;
+}
+
+/**
+ * Parse a parameter list token range into { name, type, modifier, attributes, defaultValue }
+ */
+function parseParameterList(tokens, start, end) {
+    const parameters = [];
+    for (const [s, e] of splitTopLevel(tokens, start, end)) {
+        let i = s;
+        const attributes = [];
+        while (i < e && tokens[i].value === '[') {
+            let depth = 0;
+            const attrStart = i;
+            do {
+                if (tokens[i].value === '[') depth++;
+                else if (tokens[i].value === ']') depth--;
+                i++;
+            } while (i < e && depth > 0);
+            attributes.push(...parseAttributeList(tokens, attrStart + 1, i - 1));
+        }
+        const modifiers = [];
+        while (i < e && PARAMETER_MODIFIERS.has(tokens[i].value) && i + 1 < e && tokens[i + 1].type === 'ident') {
+            modifiers.push(tokens[i].value);
+            i++;
+        }
+        let eq = i;
+        while (eq < e && tokens[eq].value !== '=') eq++;
+        const nameIndex = eq - 1;
+        if (nameIndex < i) continue; // e.g. __arglist
+        parameters.push({
+            name: stripVerbatim(tokens[nameIndex].value),
+            type: nameIndex > i ? tokensToText(tokens, i, nameIndex) : null,
+            modifier: modifiers.length > 0 ? modifiers.join(' ') : null,
+            attributes,
+            defaultValue: eq < e ? tokensToText(tokens, eq + 1, e) : null
+        });
+    }
+    return parameters;
+}
+
+/**
+ * Parse a token stream into namespaces, usings, types and methods
+ */
+function parseTokens(tokens) {
+    const result = {
+        usings: [],
+        usingAliases: [],
+        namespaces: [],
+        types: [],
+        methods: []
+    };
+    const n = tokens.length;
+    let pos = 0;
+
+    const peek = (offset = 0) => tokens[pos + offset] || { type: 'eof', value: '', line: tokens.length ? tokens[n - 1].line : 1 };
+
+    // pos must be on an opening token; leaves pos after the matching close
+    function skipBalanced(open, close) {
+        let depth = 0;
+        while (pos < n) {
+            const v = tokens[pos].value;
+            if (v === open) depth++;
+            else if (v === close) {
+                depth--;
+                if (depth === 0) {
+                    pos++;
+                    return pos - 1;
+                }
+            }
+            pos++;
+        }
+        return n - 1;
+    }
+
+    // Skip to the ';' ending the current declaration/expression, honouring nesting.
+    // Stops (without consuming) at an unmatched '}'.
+    function skipToSemicolon() {
+        let depth = 0;
+        while (pos < n) {
+            const v = tokens[pos].value;
+            if (v === '(' || v === '[' || v === '{') depth++;
+            else if (v === ')' || v === ']' || v === '}') {
+                if (depth === 0) return pos - 1;
+                depth--;
+            } else if (v === ';' && depth === 0) {
+                pos++;
+                return pos - 1;
+            }
+            pos++;
+        }
+        return n - 1;
+    }
+
+    function parseAttributes() {
+        const attributes = [];
+        while (peek().value === '[') {
+            const start = pos;
+            const end = skipBalanced('[', ']');
+            attributes.push(...parseAttributeList(tokens, start + 1, end));
+        }
+        return attributes;
+    }
+
+    function parseUsing() {
+        pos++; // using
+        const isStatic = peek().value === 'static';
+        if (isStatic) pos++;
+        const start = pos;
+        skipToSemicolon();
+        const end = tokens[pos - 1] && tokens[pos - 1].value === ';' ? pos - 1 : pos;
+        const text = tokensToText(tokens, start, end).replace(/^global::/, '');
+        const alias = text.match(/^(\w+)\s*=\s*(.+)$/);
+        if (alias) {
+            result.usingAliases.push({ alias: alias[1], target: alias[2] });
+        } else if (text) {
+            result.usings.push(text);
+        }
+    }
+
+    function parseNamespace(outer) {
+        const startLine = peek().line;
+        pos++; // namespace
+        const start = pos;
+        while (pos < n && peek().value !== '{' && peek().value !== ';') pos++;
+        const name = tokensToText(tokens, start, pos);
+        const fullName = outer ? `${outer}.${name}` : name;
+        const ns = { name: fullName, startLine, endLine: null };
+        result.namespaces.push(ns);
+
+        if (peek().value === ';') {
+            // File-scoped namespace: everything that follows belongs to it
+            pos++;
+            parseMembers(fullName, null);
+            ns.endLine = peek(-1).line;
+            return;
+        }
+        pos++; // {
+        parseMembers(fullName, null);
+        ns.endLine = peek().line;
+        pos++; // }
+    }
+
+    function parseType(namespace, containingType, attributes, modifiers, startLine) {
+        let kind = tokens[pos].value;
+        pos++;
+        if (kind === 'record' && (peek().value === 'struct' || peek().value === 'class')) {
+            kind = peek().value === 'struct' ? 'record struct' : 'record';
+            pos++;
+        }
+        const name = stripVerbatim(peek().value);
+        pos++;
+
+        let genericParameters = null;
+        if (peek().value === '<') {
+            const start = pos;
+            skipBalanced('<', '>');
+            genericParameters = tokensToText(tokens, start, pos);
+        }
+        if (peek().value === '(') {
+            skipBalanced('(', ')'); // record primary constructor
+        }
+
+        let inheritance = null;
+        if (peek().value === ':') {
+            pos++;
+            const start = pos;
+            let depth = 0;
+            while (pos < n) {
+                const v = peek().value;
+                if (v === '<' || v === '(') depth++;
+                else if (v === '>' || v === ')') depth--;
+                else if (depth === 0 && (v === '{' || v === ';' || v === 'where')) break;
+                pos++;
+            }
+            inheritance = tokensToText(tokens, start, pos);
+        }
+        while (pos < n && peek().value !== '{' && peek().value !== ';') pos++; // where clauses
+
+        const typeInfo = {
+            kind,
+            name,
+            fullName: containingType ? `${containingType.fullName}.${name}` : name,
+            namespace,
+            containingType: containingType ? containingType.fullName : null,
+            modifiers,
+            attributes,
+            genericParameters,
+            inheritance,
+            startLine,
+            endLine: null
+        };
+        result.types.push(typeInfo);
+
+        if (peek().value === ';') {
+            typeInfo.endLine = peek().line;
+            pos++;
+            return;
+        }
+        if (kind === 'enum') {
+            const close = skipBalanced('{', '}');
+            typeInfo.endLine = tokens[close].line;
+        } else {
+            pos++; // {
+            parseMembers(namespace, typeInfo);
+            typeInfo.endLine = peek().line;
+            pos++; // }
+        }
+        if (peek().value === ';') pos++;
+    }
+
+    function parseMember(namespace, containingType, attributes, modifiers, startLine) {
+        const headerStart = pos;
+        let angle = 0;
+
+        // Tuple return type
+        if (peek().value === '(') skipBalanced('(', ')');
+
+        while (pos < n) {
+            const v = peek().value;
+            if (v === '<') angle++;
+            else if (v === '>') angle--;
+            else if (v === 'operator') {
+                // Operator symbol may itself be '(' / '<' / '>' etc.
+                pos++;
+                if (peek().value === 'true' || peek().value === 'false' || peek().type === 'punct') {
+                    pos++;
+                    if (peek().value === '>' || peek().value === '=') pos++; // >> / >>= split by the lexer
+                } else {
+                    pos++; // conversion operator target type
+                    while (peek().value === '.' || peek().type === 'ident') pos++;
+                }
+                continue;
+            } else if (angle <= 0) {
+                if (v === '(' && pos > headerStart) break;
+                if (v === '{' || v === ';' || v === '=' || v === '=>' || v === '}') break;
+                if (v === '[' && peek(-1).value === 'this') break;
+            }
+            pos++;
+        }
+
+        const stop = peek().value;
+        if (stop === '}' || pos >= n) {
+            return;
+        }
+
+        if (stop === '(') {
+            parseMethodTail(namespace, containingType, attributes, modifiers, startLine, headerStart);
+            return;
+        }
+
+        // Properties, indexers, events and fields: skip
+        if (stop === '[') skipBalanced('[', ']');
+        if (peek().value === '{') {
+            skipBalanced('{', '}');
+            if (peek().value === '=') skipToSemicolon();
+        } else {
+            skipToSemicolon();
+        }
+    }
+
+    function parseMethodTail(namespace, containingType, attributes, modifiers, startLine, headerStart) {
+        const parenIndex = pos;
+
+        // Locate the name: last identifier before '(' (skipping generic parameters)
+        let nameIndex = parenIndex - 1;
+        let genericParameters = null;
+        if (tokens[nameIndex].value === '>') {
+            let depth = 0;
+            const genericEnd = nameIndex + 1;
+            while (nameIndex >= headerStart) {
+                if (tokens[nameIndex].value === '>') depth++;
+                else if (tokens[nameIndex].value === '<') depth--;
+                nameIndex--;
+                if (depth === 0) break;
+            }
+            genericParameters = tokensToText(tokens, nameIndex + 1, genericEnd);
+        }
+
+        let kind = 'method';
+        let name;
+        let typeEnd;
+        const operatorIndex = tokens.slice(headerStart, parenIndex).findIndex(t => t.value === 'operator');
+        if (operatorIndex !== -1) {
+            kind = 'operator';
+            const opAt = headerStart + operatorIndex;
+            name = 'operator ' + tokensToText(tokens, opAt + 1, parenIndex);
+            typeEnd = opAt;
+        } else {
+            name = stripVerbatim(tokens[nameIndex].value);
+            typeEnd = nameIndex;
+        }
+
+        // Explicit interface implementation: IFoo.Bar / IFoo<T>.Bar / System.IDisposable.Dispose
+        let explicitInterface = null;
+        if (kind === 'method' && typeEnd > headerStart && tokens[typeEnd - 1].value === '.') {
+            let s = typeEnd - 1;
+            for (;;) {
+                s--;
+                if (tokens[s].value === '>') {
+                    let depth = 0;
+                    do {
+                        if (tokens[s].value === '>') depth++;
+                        else if (tokens[s].value === '<') depth--;
+                        s--;
+                    } while (s > headerStart && depth > 0);
+                }
+                if (s - 1 >= headerStart && tokens[s - 1].value === '.') {
+                    s--;
+                    continue;
+                }
+                break;
+            }
+            explicitInterface = tokensToText(tokens, s, typeEnd - 1);
+            typeEnd = s;
+        }
+
+        const returnType = typeEnd > headerStart ? tokensToText(tokens, headerStart, typeEnd) : null;
+        if (kind === 'method' && !returnType) {
+            kind = nameIndex > 0 && tokens[nameIndex - 1].value === '~' ? 'destructor' : 'constructor';
+        }
+
+        const paramClose = skipBalanced('(', ')');
+        const parameterList = parseParameterList(tokens, parenIndex + 1, paramClose);
+
+        // Constraints / constructor initializer up to the body
+        while (pos < n && !['{', ';', '=>', '}'].includes(peek().value)) {
+            if (peek().value === '(') skipBalanced('(', ')');
+            else pos++;
+        }
+
+        let bodyStart = null;
+        let bodyEnd = null;
+        let expressionBodied = false;
+        let endLine;
+        if (peek().value === '{') {
+            bodyStart = pos;
+            bodyEnd = skipBalanced('{', '}');
+            endLine = tokens[bodyEnd].line;
+        } else if (peek().value === '=>') {
+            expressionBodied = true;
+            bodyStart = pos;
+            bodyEnd = skipToSemicolon();
+            endLine = tokens[bodyEnd].line;
+        } else {
+            endLine = peek().line;
+            if (peek().value === ';') pos++;
+        }
+
+        // Members outside any type are top-level statements / local functions
+        if (!containingType) return;
+
+        result.methods.push({
+            kind,
+            name: kind === 'destructor' ? `~${name}` : name,
+            returnType: kind === 'constructor' || kind === 'destructor' ? null : returnType,
+            parameters: tokensToText(tokens, parenIndex + 1, paramClose),
+            parameterList,
+            genericParameters,
+            explicitInterface,
+            modifiers,
+            attributes,
+            namespace,
+            containingType: containingType.fullName,
+            startLine,
+            endLine,
+            expressionBodied,
+            bodyStart,
+            bodyEnd
+        });
+    }
+
+    function parseDeclaration(namespace, containingType) {
+        const attributes = parseAttributes();
+        const startLine = peek().line;
+        const modifiers = [];
+        while (pos < n) {
+            const v = peek().value;
+            if (MODIFIERS.has(v) && peek(1).value !== '=' && peek(1).value !== ';') {
+                modifiers.push(v);
+                pos++;
+            } else if (v === 'ref' && ['struct', 'partial', 'readonly'].includes(peek(1).value)) {
+                modifiers.push(v);
+                pos++;
+            } else {
+                break;
+            }
+        }
+
+        const v = peek().value;
+        if (TYPE_KEYWORDS.has(v) && peek(1).type === 'ident') {
+            parseType(namespace, containingType, attributes, modifiers, startLine);
+        } else if (v === 'delegate') {
+            skipToSemicolon();
+        } else if ((v === 'event' || v === '~') && containingType) {
+            pos++; // events parse like properties/fields; '~' is picked up as a destructor
+            parseMember(namespace, containingType, attributes, modifiers, startLine);
+        } else if (containingType) {
+            parseMember(namespace, containingType, attributes, modifiers, startLine);
+        } else if (v === '{') {
+            skipBalanced('{', '}');
+        } else {
+            // Top-level statement or something we do not understand
+            parseMember(namespace, null, attributes, modifiers, startLine);
+        }
+    }
+
+    function parseMembers(namespace, containingType) {
+        while (pos < n) {
+            const before = pos;
+            const v = peek().value;
+            if (v === '}') return;
+            if (v === ';') {
+                pos++;
+                continue;
+            }
+            if (v === 'using' && !containingType && peek(1).value !== '(') {
+                parseUsing();
+                continue;
+            }
+            if (v === 'extern' && peek(1).value === 'alias') {
+                skipToSemicolon();
+                continue;
+            }
+            if (v === 'namespace' && !containingType) {
+                parseNamespace(namespace);
+                continue;
+            }
+            parseDeclaration(namespace, containingType);
+            if (pos === before) pos++; // always make progress
+        }
+    }
+
+    while (pos < n) {
+        parseMembers(null, null);
+        if (pos < n) pos++; // stray '}'
+    }
+
+    return result;
+}
+
+/**
+ * Parse C# source text.
+ * Options:
+ *   evaluate(expression) - decides #if/#elif conditions (default: first branch)
+ * Returns { tokens, comments, inactiveRanges, usings, usingAliases, namespaces, types, methods }
+ * where methods carry bodyStart/bodyEnd indexes into `tokens` (null if no body).
+ */
+function parse(content, options = {}) {
+    const lexed = tokenize(content);
+    let evaluate = options.evaluate;
+    let symbols = null;
+    if (!evaluate && options.defines) {
+        // Evaluate #if against the given symbols (e.g. a project's DefineConstants)
+        symbols = new Set(options.defines);
+        evaluate = expression => evaluateCondition(expression, symbols);
+    }
+    const { tokens, inactiveRanges } = applyPreprocessor(lexed.tokens, evaluate, symbols);
+    const structure = parseTokens(tokens);
+    return {
+        tokens,
+        comments: lexed.comments,
+        inactiveRanges,
+        ...structure
+    };
+}
+
+module.exports = {
+    tokenize,
+    applyPreprocessor,
+    evaluateCondition,
+    parse,
+    tokensToText
+};
@@ -0,0 +1,403 @@
+/**
+ * MICS# Project File Parser
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Reads .csproj files in both formats used by MICS#:
+ * - Old-style (ToolsVersion, <TargetFrameworkVersion>, explicit <Compile>
+ *   items, packages.config)
+ * - SDK-style (<Project Sdk="...">, <TargetFramework(s)>, implicit globbing
+ *   of every .cs file under the project folder, PackageReference)
+ *
+ * This is not MSBuild: conditions are ignored (every item counts), imported
+ * .props/.targets are not read, and items whose paths use $(Properties)
+ * are reported as unresolved instead of being guessed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// Folders the SDK never globs into (DefaultItemExcludes)
+const SDK_DEFAULT_EXCLUDES = ['bin', 'obj'];
+
+// =============================================================================
+// XML HELPERS
+// =============================================================================
+
+function stripComments(xml) {
+    return xml.replace(/<!--[\s\S]*?-->/g, '');
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    const attrRegex = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attrRegex.exec(text)) !== null) {
+        attributes[match[1]] = decodeXml(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+/**
+ * First value of a property, e.g. readProperty(xml, 'OutputType')
+ */
+function readProperty(xml, name) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([^<]*)</${name}>`));
+    return match ? decodeXml(match[1]).trim() : null;
+}
+
+/**
+ * All items of one type in document order, self-closing or not.
+ * Child elements and non-standard attributes both end up in `metadata`.
+ */
+function readItems(xml, itemType) {
+    const items = [];
+    const itemRegex = new RegExp(`<${itemType}((?:\\s+[\\w.:-]+\\s*=\\s*(?:"[^"]*"|'[^']*'))*)\\s*(/?)>`, 'g');
+    let match;
+    while ((match = itemRegex.exec(xml)) !== null) {
+        const attributes = parseAttributes(match[1]);
+        const metadata = {};
+        for (const [key, value] of Object.entries(attributes)) {
+            if (!['Include', 'Remove', 'Update', 'Exclude', 'Condition'].includes(key)) {
+                metadata[key] = value;
+            }
+        }
+
+        if (match[2] !== '/') {
+            const close = xml.indexOf(`</${itemType}>`, itemRegex.lastIndex);
+            if (close !== -1) {
+                const body = xml.substring(itemRegex.lastIndex, close);
+                const childRegex = /<([\w.-]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+                let child;
+                while ((child = childRegex.exec(body)) !== null) {
+                    metadata[child[1]] = decodeXml(child[2]).trim();
+                }
+                itemRegex.lastIndex = close;
+            }
+        }
+
+        items.push({
+            include: attributes.Include || null,
+            remove: attributes.Remove || null,
+            update: attributes.Update || null,
+            exclude: attributes.Exclude || null,
+            metadata
+        });
+    }
+    return items;
+}
+
+// =============================================================================
+// ITEM PATHS
+// =============================================================================
+
+/**
+ * "a.cs; ..\Shared\*.cs" -> ['a.cs', '../Shared/*.cs']
+ */
+function splitItemSpec(spec) {
+    return (spec || '')
+        .split(';')
+        .map(s => s.trim().replace(/\\/g, '/'))
+        .filter(s => s.length > 0);
+}
+
+function listFilesRecursive(dir, skipDirs, files = []) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+        return files;
+    }
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!skipDirs.includes(entry.name)) {
+                listFilesRecursive(fullPath, skipDirs, files);
+            }
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Expand one include/remove path (may contain * ** ?) relative to projectDir.
+ * Returns { files, unresolved }; literal paths are returned even when missing.
+ */
+function expandPattern(pattern, projectDir, skipDirs) {
+    if (pattern.includes('$(')) {
+        return { files: [], unresolved: true };
+    }
+    if (!/[*?]/.test(pattern)) {
+        return { files: [path.resolve(projectDir, pattern)], unresolved: false };
+    }
+
+    // Walk from the last directory before the first wildcard
+    const segments = pattern.split('/');
+    const firstWild = segments.findIndex(s => /[*?]/.test(s));
+    const baseDir = path.resolve(projectDir, segments.slice(0, firstWild).join('/') || '.');
+    const regex = config.globToRegExp(segments.slice(firstWild).join('/'));
+
+    const files = listFilesRecursive(baseDir, skipDirs)
+        .filter(file => regex.test(path.relative(baseDir, file).split(path.sep).join('/')));
+    return { files, unresolved: false };
+}
+
+/**
+ * An item's Link metadata for one file, with the %(Filename) and
+ * %(Extension) item metadata filled in (Link="Shared\%(Filename)%(Extension)")
+ */
+function linkFor(link, file) {
+    if (!link) return null;
+    const extension = path.extname(file);
+    return link
+        .replace(/%\(\s*Filename\s*\)/gi, path.basename(file, extension))
+        .replace(/%\(\s*Extension\s*\)/gi, extension)
+        .replace(/\\/g, '/');
+}
+
+/**
+ * Resolve the Compile item set the way MSBuild would for a single
+ * unconditional evaluation: implicit SDK glob, then Include / Remove in order.
+ */
+function resolveCompileItems(xml, projectDir, sdkStyle) {
+    const compiled = new Map();
+    const unresolved = [];
+    const skipDirs = [...new Set([...SDK_DEFAULT_EXCLUDES, ...config.options.skipDirs])];
+
+    const enableDefaults = (readProperty(xml, 'EnableDefaultCompileItems') || 'true').toLowerCase() !== 'false';
+    if (sdkStyle && enableDefaults) {
+        for (const file of expandPattern('**/*.cs', projectDir, skipDirs).files) {
+            compiled.set(file, { file, link: null });
+        }
+    }
+
+    const expandAll = (spec) => {
+        const files = [];
+        for (const pattern of splitItemSpec(spec)) {
+            const expanded = expandPattern(pattern, projectDir, skipDirs);
+            if (expanded.unresolved) {
+                unresolved.push(pattern);
+            }
+            files.push(...expanded.files);
+        }
+        return files;
+    };
+
+    for (const item of readItems(xml, 'Compile')) {
+        if (item.include) {
+            const excluded = new Set(expandAll(item.exclude));
+            for (const file of expandAll(item.include)) {
+                if (!excluded.has(file)) {
+                    compiled.set(file, { file, link: linkFor(item.metadata.Link, file) });
+                }
+            }
+        } else if (item.remove) {
+            for (const file of expandAll(item.remove)) {
+                compiled.delete(file);
+            }
+        } else if (item.update && item.metadata.Link) {
+            for (const file of expandAll(item.update)) {
+                if (compiled.has(file)) {
+                    compiled.get(file).link = linkFor(item.metadata.Link, file);
+                }
+            }
+        }
+    }
+
+    const items = [...compiled.values()]
+        .map(entry => ({ ...entry, missing: !fs.existsSync(entry.file) }))
+        .sort((a, b) => a.file.localeCompare(b.file));
+    return { items, unresolved };
+}
+
+// =============================================================================
+// REFERENCES
+// =============================================================================
+
+/**
+ * "log4net, Version=1.2.10.0, Culture=neutral" -> { name: 'log4net', version: '1.2.10.0' }
+ */
+function parseAssemblyName(include) {
+    const [name, ...parts] = include.split(',').map(p => p.trim());
+    const versionPart = parts.find(p => p.startsWith('Version='));
+    return { name, version: versionPart ? versionPart.substring('Version='.length) : null };
+}
+
+/**
+ * Old-style projects list NuGet packages in packages.config next to the csproj
+ */
+function readPackagesConfig(projectDir) {
+    const packagesPath = path.join(projectDir, 'packages.config');
+    if (!fs.existsSync(packagesPath)) {
+        return [];
+    }
+    const xml = stripComments(fs.readFileSync(packagesPath, 'utf8'));
+    return readItems(xml, 'package').map(item => ({
+        name: item.metadata.id,
+        version: item.metadata.version || null,
+        source: 'packages.config'
+    })).filter(p => p.name);
+}
+
+// =============================================================================
+// BUILD CONFIGURATIONS
+// =============================================================================
+
+// Configurations assumed when a project does not declare its own
+const DEFAULT_CONFIGURATIONS = ['Debug', 'Release'];
+
+/**
+ * Symbols the .NET SDK defines implicitly for a target framework,
+ * e.g. net48 -> NETFRAMEWORK, NET48; netstandard2.0 -> NETSTANDARD, NETSTANDARD2_0
+ */
+function frameworkSymbols(tfm) {
+    const match = /^(net|netstandard|netcoreapp)(\d+(?:\.\d+)*)/i.exec(tfm || '');
+    if (!match) {
+        return [];
+    }
+    const family = match[1].toLowerCase();
+    const version = match[2];
+    if (family === 'netstandard') {
+        return ['NETSTANDARD', `NETSTANDARD${version.replace(/\./g, '_')}`];
+    }
+    if (family === 'netcoreapp') {
+        return ['NETCOREAPP', `NETCOREAPP${version.replace(/\./g, '_')}`];
+    }
+    // net5.0+ is .NET (Core); net48 style versions are .NET Framework
+    if (version.includes('.')) {
+        return ['NET', 'NETCOREAPP', `NET${version.replace(/\./g, '_')}`];
+    }
+    return ['NETFRAMEWORK', `NET${version}`];
+}
+
+function splitDefines(value) {
+    return (value || '')
+        .split(/[;,]/)
+        .map(d => d.trim())
+        .filter(d => d.length > 0 && d !== '$(DefineConstants)');
+}
+
+/**
+ * DefineConstants for every build configuration the project declares.
+ * Conditions of the form '$(Configuration)|$(Platform)' == 'Debug|AnyCPU'
+ * (or just '$(Configuration)' == 'Debug') select a configuration; other
+ * conditions are ignored and unconditional groups apply to all.
+ */
+function readConfigurations(xml, sdkStyle, targetFramework) {
+    const common = [];
+    const perConfiguration = {};
+
+    const groupRegex = /<PropertyGroup\b([^>]*)>([\s\S]*?)<\/PropertyGroup>/g;
+    let match;
+    while ((match = groupRegex.exec(xml)) !== null) {
+        const condition = parseAttributes(match[1]).Condition || '';
+        const configMatch = /\$\(Configuration\)[^']*'\s*==\s*'([^|']+)/.exec(condition);
+        const defines = readProperty(match[2], 'DefineConstants');
+
+        if (configMatch) {
+            const name = configMatch[1].trim();
+            perConfiguration[name] = perConfiguration[name] || [];
+            if (defines !== null) {
+                perConfiguration[name].push(...splitDefines(defines));
+            }
+        } else if (!condition && defines !== null) {
+            common.push(...splitDefines(defines));
+        }
+    }
+
+    const names = Object.keys(perConfiguration).length > 0 ?
+        Object.keys(perConfiguration) : DEFAULT_CONFIGURATIONS;
+    const configurations = {};
+    for (const name of names) {
+        const symbols = [...common, ...(perConfiguration[name] || [])];
+        if (sdkStyle) {
+            // The SDK adds these on top of whatever the project defines
+            symbols.push('TRACE', name.toLowerCase() === 'debug' ? 'DEBUG' : name.toUpperCase());
+            symbols.push(...frameworkSymbols(targetFramework));
+        }
+        configurations[name] = [...new Set(symbols)];
+    }
+    return configurations;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Parse a .csproj. Throws if the file cannot be read.
+ */
+function parseProject(projectPath) {
+    const xml = stripComments(fs.readFileSync(projectPath, 'utf8'));
+    const projectDir = path.dirname(projectPath);
+
+    const projectTag = xml.match(/<Project\b([^>]*)>/);
+    const projectAttributes = projectTag ? parseAttributes(projectTag[1]) : {};
+    const sdk = projectAttributes.Sdk || (/<Sdk\s+Name="([^"]+)"/.exec(xml) || [])[1] || null;
+    const sdkStyle = Boolean(sdk);
+
+    // <TargetFrameworks> (multi-targeting) wins over <TargetFramework>
+    const multi = readProperty(xml, 'TargetFrameworks');
+    const single = readProperty(xml, 'TargetFramework') || readProperty(xml, 'TargetFrameworkVersion');
+    const targetFrameworks = multi ? multi.split(';').map(f => f.trim()).filter(Boolean) : (single ? [single] : []);
+
+    const projectReferences = [];
+    for (const item of readItems(xml, 'ProjectReference')) {
+        for (const ref of splitItemSpec(item.include)) {
+            projectReferences.push({
+                name: path.basename(ref).replace(/\.\w+proj$/i, ''),
+                path: ref
+            });
+        }
+    }
+
+    const packageReferences = readItems(xml, 'PackageReference')
+        .filter(item => item.include)
+        .map(item => ({ name: item.include, version: item.metadata.Version || null, source: 'PackageReference' }))
+        .concat(readPackagesConfig(projectDir));
+
+    const assemblyReferences = readItems(xml, 'Reference')
+        .filter(item => item.include)
+        .map(item => ({
+            ...parseAssemblyName(item.include),
+            hintPath: item.metadata.HintPath ? item.metadata.HintPath.replace(/\\/g, '/') : null
+        }));
+
+    const compile = resolveCompileItems(xml, projectDir, sdkStyle);
+    const defines = readProperty(xml, 'DefineConstants');
+    const configurations = readConfigurations(xml, sdkStyle, targetFrameworks[0]);
+
+    return {
+        sdkStyle,
+        sdk,
+        framework: targetFrameworks[0] || 'Unknown',
+        targetFrameworks,
+        outputType: readProperty(xml, 'OutputType') || 'Library',
+        projectReferences,
+        packageReferences,
+        assemblyReferences,
+        compileItems: compile.items,
+        unresolvedItems: compile.unresolved,
+        defines: splitDefines(defines),
+        configurations
+    };
+}
+
+module.exports = {
+    parseProject,
+    frameworkSymbols,
+    readItems,
+    readProperty
+};
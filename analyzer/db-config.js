@@ -1,22 +1,287 @@
 /**
  * MICS Database Configuration
- * 
+ *
  * Connection settings for SQL Server access to verify table structures.
- * Uses CursorAiAccess login for read-only schema inspection.
- * 
- * Target: micsprod (production database with extensive FT/FE tables)
+ * Nothing secret is kept here: settings come from a named profile, in
+ * increasing priority
+ *
+ *   1. the built-in defaults below (database names only)
+ *   2. db-profiles.json next to this file (git-ignored; see
+ *      db-profiles.example.json), or the file named by MICS_DB_PROFILE_FILE
+ *   3. MICS_DB_<SETTING> environment variables (MICS_DB_SERVER, MICS_DB_PASSWORD, ...)
+ *   4. MICS_DB_<PROFILE>_<SETTING> variables for one profile (MICS_DB_TEST_SERVER, ...)
+ *
+ * and whatever is still missing is prompted for when running in a terminal.
+ *
+ * The permissions allowWrite and allowProcs are never taken from layer 3,
+ * so one exported variable cannot open every profile, production included.
+ *
+ * The profile is chosen with --profile <name>, MICS_DB_PROFILE or the
+ * profile file's "default", in that order; otherwise micsprod.
  */
 
-const sqlConfig = {
-    user: 'CursorAiAccess',
-    password: 'Cack31415',
-    database: 'micsprod',
-    server: 'DESKTOP-EEUSAQH',
-    options: {
-        encrypt: true,
-        trustServerCertificate: true,
-        requestTimeout: 30000  // 30 second timeout for large queries
-    }
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_PROFILE = 'micsprod';
+const PROFILE_FILE = process.env.MICS_DB_PROFILE_FILE || path.join(__dirname, 'db-profiles.json');
+
+const BUILTIN_PROFILES = {
+    micsprod: { database: 'micsprod' },
+    test: { database: 'micstest' },
+    local: { server: 'localhost', database: 'micsprod' }
+};
+
+// Setting name -> environment variable suffix
+const SETTINGS = {
+    server: 'SERVER',
+    port: 'PORT',
+    database: 'DATABASE',
+    auth: 'AUTH',
+    user: 'USER',
+    password: 'PASSWORD',
+    domain: 'DOMAIN',
+    clientId: 'CLIENT_ID',
+    clientSecret: 'CLIENT_SECRET',
+    tenantId: 'TENANT_ID',
+    token: 'TOKEN',
+    encrypt: 'ENCRYPT',
+    trustServerCertificate: 'TRUST_SERVER_CERTIFICATE',
+    requestTimeout: 'REQUEST_TIMEOUT',
+    allowWrite: 'ALLOW_WRITE',
+    allowProcs: 'ALLOW_PROCS'
 };
 
-module.exports = { sqlConfig };
+const SECRET_SETTINGS = ['password', 'clientSecret', 'token'];
+
+// Only set per profile (profile file or MICS_DB_<PROFILE>_*), never globally
+const PERMISSION_SETTINGS = ['allowWrite', 'allowProcs'];
+
+/**
+ * Authentication types and the settings each one needs. `type` is the
+ * tedious authentication type used by the mssql driver; integrated
+ * (single sign-on) Windows logins need the msnodesqlv8 driver, which is
+ * not used here, so `windows` takes explicit domain credentials (NTLM).
+ */
+const AUTH_TYPES = {
+    'sql': { type: 'default', required: ['user', 'password'] },
+    'windows': { type: 'ntlm', required: ['domain', 'user', 'password'] },
+    'azure-ad-password': { type: 'azure-active-directory-password', required: ['user', 'password', 'clientId'], optional: ['tenantId'] },
+    'azure-ad-default': { type: 'azure-active-directory-default', required: [], optional: ['clientId'] },
+    'azure-ad-msi-vm': { type: 'azure-active-directory-msi-vm', required: [], optional: ['clientId'] },
+    'azure-ad-msi-app-service': { type: 'azure-active-directory-msi-app-service', required: [], optional: ['clientId'] },
+    'azure-ad-service-principal': { type: 'azure-active-directory-service-principal-secret', required: ['clientId', 'clientSecret', 'tenantId'] },
+    'azure-ad-token': { type: 'azure-active-directory-access-token', required: ['token'] }
+};
+
+// =============================================================================
+// PROFILES
+// =============================================================================
+
+function readProfileFile(file = PROFILE_FILE) {
+    if (!fs.existsSync(file)) {
+        return { default: null, profiles: {} };
+    }
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read profile file ${file}: ${err.message}`);
+    }
+    return { default: data.default || null, profiles: data.profiles || {} };
+}
+
+function envSettings(prefix, env, skip = []) {
+    const settings = {};
+    for (const [name, suffix] of Object.entries(SETTINGS)) {
+        if (skip.includes(name)) continue;
+        const value = env[`${prefix}${suffix}`];
+        if (value !== undefined && value !== '') {
+            settings[name] = value;
+        }
+    }
+    return settings;
+}
+
+/**
+ * Names of every known profile (built-in and from the profile file)
+ */
+function listProfiles(file = PROFILE_FILE) {
+    const names = new Set([...Object.keys(BUILTIN_PROFILES), ...Object.keys(readProfileFile(file).profiles)]);
+    return [...names];
+}
+
+/**
+ * Merged settings of a profile, without prompting: { profile, settings }
+ */
+function loadProfile(name, { file = PROFILE_FILE, env = process.env } = {}) {
+    const fileData = readProfileFile(file);
+    const profile = name || env.MICS_DB_PROFILE || fileData.default || DEFAULT_PROFILE;
+    if (!BUILTIN_PROFILES[profile] && !fileData.profiles[profile]) {
+        throw new Error(`Unknown database profile "${profile}" (known: ${listProfiles(file).join(', ')})`);
+    }
+
+    const envPrefix = `MICS_DB_${profile.toUpperCase().replace(/\W/g, '_')}_`;
+    const layers = [
+        BUILTIN_PROFILES[profile] || {},
+        fileData.profiles[profile] || {},
+        envSettings('MICS_DB_', env, PERMISSION_SETTINGS),
+        envSettings(envPrefix, env)
+    ];
+
+    const settings = {};
+    for (const values of layers) {
+        for (const [key, value] of Object.entries(values)) {
+            if (!SETTINGS[key]) {
+                throw new Error(`Unknown setting "${key}" in database profile "${profile}"`);
+            }
+            settings[key] = value;
+        }
+    }
+    settings.auth = settings.auth || 'sql';
+    if (!AUTH_TYPES[settings.auth]) {
+        throw new Error(`Unknown auth type "${settings.auth}" (expected ${Object.keys(AUTH_TYPES).join(', ')})`);
+    }
+    return { profile, settings };
+}
+
+/**
+ * Settings a profile still needs before it can connect
+ */
+function missingSettings(settings) {
+    const required = ['server', 'database', ...AUTH_TYPES[settings.auth].required];
+    return required.filter(key => settings[key] === undefined || settings[key] === '');
+}
+
+// =============================================================================
+// MSSQL CONFIG
+// =============================================================================
+
+function toBoolean(value, fallback) {
+    if (value === undefined) return fallback;
+    if (typeof value === 'boolean') return value;
+    return /^(1|true|yes)$/i.test(String(value));
+}
+
+/**
+ * The mssql connection config for complete profile settings
+ */
+function buildSqlConfig(settings) {
+    const auth = AUTH_TYPES[settings.auth];
+    const options = {};
+    const names = { user: 'userName' };
+    for (const key of [...auth.required, ...(auth.optional || [])]) {
+        if (settings[key] !== undefined) {
+            options[names[key] || key] = settings[key];
+        }
+    }
+
+    const config = {
+        server: settings.server,
+        database: settings.database,
+        authentication: { type: auth.type, options },
+        options: {
+            encrypt: toBoolean(settings.encrypt, true),
+            trustServerCertificate: toBoolean(settings.trustServerCertificate, true),
+            requestTimeout: settings.requestTimeout ? Number(settings.requestTimeout) : 30000  // 30 second timeout for large queries
+        }
+    };
+    if (settings.port) {
+        config.port = Number(settings.port);
+    }
+    return config;
+}
+
+/**
+ * Connection details that are safe to print (never a password, secret or token)
+ */
+function describeConfig(config) {
+    const options = config.authentication.options;
+    const auth = Object.keys(AUTH_TYPES).find(name => AUTH_TYPES[name].type === config.authentication.type);
+    let user = options.userName || options.clientId || '(none)';
+    if (options.domain) user = `${options.domain}\\${user}`;
+    return {
+        profile: config.profile,
+        server: config.port ? `${config.server},${config.port}` : config.server,
+        database: config.database,
+        auth,
+        user
+    };
+}
+
+// =============================================================================
+// PROMPTING
+// =============================================================================
+
+function ask(question, secret) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+        if (secret) {
+            // Echo nothing after the question while the value is typed
+            rl._writeToOutput = text => {
+                if (text.startsWith(question)) rl.output.write(question);
+            };
+        }
+        rl.question(question, answer => {
+            if (secret) rl.output.write('\n');
+            rl.close();
+            resolve(answer.trim());
+        });
+    });
+}
+
+/**
+ * Resolve the connection config of a profile, prompting for missing
+ * settings when stdin is a terminal. The result is an mssql config with
+ * extra `profile`, `allowWrite` (db-util.js --allow-write may run writes)
+ * and `allowProcs` (procedures the read-only guard lets through) properties.
+ */
+async function resolveSqlConfig(name, { prompt = process.stdin.isTTY, file = PROFILE_FILE, env = process.env } = {}) {
+    const { profile, settings } = loadProfile(name, { file, env });
+    const missing = missingSettings(settings);
+
+    if (missing.length > 0 && !prompt) {
+        const vars = missing.map(key => `MICS_DB_${SETTINGS[key]}`).join(', ');
+        throw new Error(`Database profile "${profile}" has no ${missing.join(', ')}. ` +
+            `Set ${vars}, add them to ${path.basename(file)} (see db-profiles.example.json) or run in a terminal to be prompted.`);
+    }
+    for (const key of missing) {
+        settings[key] = await ask(`${profile} ${key}: `, SECRET_SETTINGS.includes(key));
+        if (!settings[key]) {
+            throw new Error(`No ${key} given for database profile "${profile}"`);
+        }
+    }
+
+    let allowProcs = settings.allowProcs || [];
+    if (typeof allowProcs === 'string') {
+        allowProcs = allowProcs.split(',').map(p => p.trim()).filter(Boolean);
+    }
+    return { ...buildSqlConfig(settings), profile, allowWrite: toBoolean(settings.allowWrite, false), allowProcs };
+}
+
+/**
+ * Remove `--profile <name>` from an argument list; returns the name or null
+ */
+function takeProfileArg(args) {
+    const index = args.indexOf('--profile');
+    if (index === -1) return null;
+    const name = args[index + 1];
+    if (!name || name.startsWith('--')) {
+        throw new Error('--profile expects a profile name');
+    }
+    args.splice(index, 2);
+    return name;
+}
+
+module.exports = {
+    AUTH_TYPES,
+    PROFILE_FILE,
+    listProfiles,
+    loadProfile,
+    missingSettings,
+    buildSqlConfig,
+    describeConfig,
+    resolveSqlConfig,
+    takeProfileArg
+};
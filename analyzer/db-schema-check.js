@@ -0,0 +1,405 @@
+/**
+ * MICS# Source vs Database Schema Check
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Cross-checks the SQL found in the C# source (sqlUsage in
+ * analysis-results.json) against the tables and columns the database
+ * reports, and lists:
+ *   - tables referenced in code that match no table in the database
+ *   - columns referenced in code that do not exist
+ *   - tables no code references
+ *   - literals compared/assigned to columns of an incompatible type
+ *
+ * The schema comes from a live connection (db-config.js) or, with
+ * --snapshot, from a recorded snapshot file (see schema-snapshot.js).
+ * Output is written to reports/schema-check.md and schema-check.json.
+ *
+ * Usage: node db-schema-check.js [--snapshot <schema.json> | --profile <name>] [--results <analysis-results.json>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const schemaSnapshot = require('./schema-snapshot');
+const { tablePattern } = require('./sql-usage');
+
+// Untouched tables listed per family before the rest are summarized
+const MAX_UNTOUCHED_LISTED = 20;
+
+/**
+ * Safely write output (only to OUTPUT_DIR, never to MICS_PATH)
+ */
+function safeWriteFile(outputPath, content) {
+    if (!config.isPathSafeForWrite(outputPath)) {
+        throw new Error(`Refusing to write to unsafe path: ${outputPath}`);
+    }
+
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.writeFileSync(outputPath, content);
+}
+
+function loadResults(resultsPath) {
+    if (!fs.existsSync(resultsPath)) {
+        throw new Error(`Analysis results not found: ${resultsPath} (run analyzer.js first)`);
+    }
+    const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+    if (!Array.isArray(results.sqlUsage)) {
+        throw new Error(`${resultsPath} has no sqlUsage; re-run analyzer.js without --no-sql`);
+    }
+    return results;
+}
+
+/**
+ * Read the schema from a live server over a read-only catalog query
+ */
+async function captureLiveSchema(profile) {
+    const sql = require('mssql');
+    const sqlConfig = await require('./db-config').resolveSqlConfig(profile);
+    await sql.connect(sqlConfig);
+    try {
+        return {
+            server: sqlConfig.server,
+            database: sqlConfig.database,
+            capturedAt: new Date().toISOString(),
+            tables: await schemaSnapshot.captureSchema(sql)
+        };
+    } finally {
+        await sql.close();
+    }
+}
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex for a code table name: {} placeholders match any run of
+ * characters, and a name without a schema matches any schema.
+ */
+function tableNameRegex(name) {
+    const dot = name.lastIndexOf('.');
+    const schemaPart = dot === -1 ? null : name.substring(0, dot);
+    const namePart = name.substring(dot + 1);
+    const toRegex = part => part.split('{}').map(escapeRegExp).join('.+');
+    const schemaRegex = !schemaPart || schemaPart === '{}' ? '[^.]+' : toRegex(schemaPart);
+    return new RegExp(`^${schemaRegex}\\.${toRegex(namePart)}$`, 'i');
+}
+
+function tableKey(table) {
+    return `${table.schema}.${table.name}`;
+}
+
+/**
+ * Family of a database table for grouping: its configured prefix (tt, ft, ...)
+ */
+function tableFamily(name) {
+    const prefixes = (config.options.sqlTablePrefixes || []).map(p => p.toLowerCase());
+    const lead = name.toLowerCase().split('_')[0];
+    return prefixes.includes(lead) ? `${lead}_` : '(other)';
+}
+
+// =============================================================================
+// CHECK
+// =============================================================================
+
+function checkSchema(sqlUsage, schema) {
+    const tables = schema.tables;
+    const matchCache = new Map();
+    const matchTables = (name) => {
+        if (!matchCache.has(name)) {
+            const regex = tableNameRegex(name);
+            matchCache.set(name, tables.filter(t => regex.test(tableKey(t))));
+        }
+        return matchCache.get(name);
+    };
+
+    // Code table -> usages; (code table, column) -> references
+    const codeTables = new Map();
+    const codeColumns = new Map();
+    for (const usage of sqlUsage) {
+        const location = `${usage.file}:${usage.line}`;
+        for (const name of usage.tables || []) {
+            if (!codeTables.has(name)) {
+                codeTables.set(name, { name, pattern: tablePattern(name), kinds: new Set(), locations: [] });
+            }
+            codeTables.get(name).kinds.add(usage.kind);
+            codeTables.get(name).locations.push(location);
+        }
+        for (const column of usage.columns || []) {
+            const key = `${column.table}|${column.name.toLowerCase()}`;
+            if (!codeColumns.has(key)) {
+                codeColumns.set(key, { table: column.table, column: column.name, references: [] });
+            }
+            codeColumns.get(key).references.push({ location, literal: column.literal, value: column.value });
+        }
+    }
+
+    const touched = new Set();
+    const unknownTables = [];
+    for (const entry of codeTables.values()) {
+        const matches = matchTables(entry.name);
+        matches.forEach(t => touched.add(tableKey(t)));
+        if (matches.length === 0) {
+            unknownTables.push({
+                table: entry.name,
+                pattern: entry.pattern,
+                kinds: [...entry.kinds].sort(),
+                locations: entry.locations
+            });
+        }
+    }
+
+    const missingColumns = [];
+    const typeMismatches = [];
+    for (const entry of codeColumns.values()) {
+        const matches = matchTables(entry.table);
+        if (matches.length === 0) continue;
+
+        const missingIn = [];
+        for (const table of matches) {
+            const column = table.columns.find(c => c.name.toLowerCase() === entry.column.toLowerCase());
+            if (!column) {
+                missingIn.push(tableKey(table));
+                continue;
+            }
+            const accepts = schemaSnapshot.literalKind(column.type);
+            for (const ref of entry.references) {
+                if (ref.literal && accepts && ref.literal !== accepts) {
+                    typeMismatches.push({
+                        table: tableKey(table),
+                        column: column.name,
+                        columnType: column.type,
+                        literal: ref.literal,
+                        value: ref.value,
+                        location: ref.location
+                    });
+                }
+            }
+        }
+        if (missingIn.length > 0) {
+            missingColumns.push({
+                table: entry.table,
+                pattern: tablePattern(entry.table),
+                column: entry.column,
+                missingIn: missingIn.length,
+                matchingTables: matches.length,
+                examples: missingIn.slice(0, 3),
+                locations: [...new Set(entry.references.map(r => r.location))]
+            });
+        }
+    }
+
+    // One mismatch per (table pattern, column, location) is enough
+    const seen = new Set();
+    const mismatches = typeMismatches.filter(m => {
+        const key = `${m.column}|${m.columnType}|${m.location}|${m.value}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    const untouched = tables.filter(t => !touched.has(tableKey(t))).map(tableKey).sort();
+
+    return {
+        schema: {
+            server: schema.server || null,
+            database: schema.database || null,
+            capturedAt: schema.capturedAt || null,
+            source: schema.sourceFile || 'live'
+        },
+        summary: {
+            databaseTables: tables.length,
+            codeTables: codeTables.size,
+            codeColumns: codeColumns.size,
+            touchedTables: touched.size,
+            unknownTables: unknownTables.length,
+            missingColumns: missingColumns.length,
+            untouchedTables: untouched.length,
+            typeMismatches: mismatches.length
+        },
+        unknownTables: unknownTables.sort((a, b) => a.pattern.localeCompare(b.pattern)),
+        missingColumns: missingColumns.sort((a, b) => a.pattern.localeCompare(b.pattern) || a.column.localeCompare(b.column)),
+        typeMismatches: mismatches,
+        untouchedTables: untouched
+    };
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+function escapeCell(text) {
+    return String(text === null || text === undefined ? '-' : text).replace(/\|/g, '\\|');
+}
+
+function generateSchemaCheckReport(check) {
+    let report = `# MICS# Source vs Database Schema\n\n`;
+    report += `Generated: ${new Date().toISOString()}\n\n`;
+    report += `- Schema: ${check.schema.source}`;
+    if (check.schema.database) {
+        report += ` (${check.schema.server || '?'}/${check.schema.database}, captured ${check.schema.capturedAt || 'unknown'})`;
+    }
+    report += `\n\n`;
+
+    report += `## Summary\n\n`;
+    report += `| Metric | Count |\n`;
+    report += `|--------|-------|\n`;
+    report += `| Tables in database | ${check.summary.databaseTables} |\n`;
+    report += `| Table names/patterns in code | ${check.summary.codeTables} |\n`;
+    report += `| Database tables referenced by code | ${check.summary.touchedTables} |\n`;
+    report += `| Code tables with no database match | ${check.summary.unknownTables} |\n`;
+    report += `| Columns missing from the database | ${check.summary.missingColumns} |\n`;
+    report += `| Literal/column type mismatches | ${check.summary.typeMismatches} |\n`;
+    report += `| Database tables never referenced | ${check.summary.untouchedTables} |\n\n`;
+
+    report += `Code table names with {} placeholders (built at runtime) match any database table with that shape, `;
+    report += `e.g. \`tt_*_chan\` matches tt_f3268_chan in every schema.\n\n`;
+
+    report += `## Tables Referenced in Code but Not in the Database\n\n`;
+    if (check.unknownTables.length === 0) {
+        report += `Every table referenced in code matches at least one database table.\n\n`;
+    } else {
+        report += `| Table | Kinds | Locations |\n`;
+        report += `|-------|-------|-----------|\n`;
+        for (const t of check.unknownTables) {
+            const more = t.locations.length > 3 ? ` (+${t.locations.length - 3} more)` : '';
+            report += `| \`${escapeCell(t.pattern)}\` | ${t.kinds.join(', ')} | ${escapeCell(t.locations.slice(0, 3).join(', '))}${more} |\n`;
+        }
+        report += `\n`;
+    }
+
+    report += `## Columns Referenced in Code but Not in the Database\n\n`;
+    if (check.missingColumns.length === 0) {
+        report += `No missing columns found.\n\n`;
+    } else {
+        report += `"Missing in" counts the matching tables that lack the column; a partial count means the column exists in only some tables of the pattern.\n\n`;
+        report += `| Table | Column | Missing in | Example tables | Referenced at |\n`;
+        report += `|-------|--------|------------|----------------|---------------|\n`;
+        for (const c of check.missingColumns) {
+            report += `| \`${escapeCell(c.pattern)}\` | ${escapeCell(c.column)} | ${c.missingIn} of ${c.matchingTables} | `;
+            report += `${escapeCell(c.examples.join(', '))} | ${escapeCell(c.locations.slice(0, 3).join(', '))} |\n`;
+        }
+        report += `\n`;
+    }
+
+    report += `## Type Mismatches\n\n`;
+    if (check.typeMismatches.length === 0) {
+        report += `No literals of the wrong type found.\n\n`;
+    } else {
+        report += `Literals compared or assigned to a column of another type rely on implicit conversion `;
+        report += `(a string in a numeric column fails at run time if it is not a number).\n\n`;
+        report += `| Table | Column | Column type | Literal | Location |\n`;
+        report += `|-------|--------|-------------|---------|----------|\n`;
+        for (const m of check.typeMismatches) {
+            report += `| ${escapeCell(m.table)} | ${escapeCell(m.column)} | ${m.columnType} | \`${escapeCell(m.value)}\` (${m.literal}) | ${escapeCell(m.location)} |\n`;
+        }
+        report += `\n`;
+    }
+
+    report += `## Database Tables Never Referenced by Code\n\n`;
+    if (check.untouchedTables.length === 0) {
+        report += `Every database table is referenced by code.\n\n`;
+    } else {
+        const byFamily = {};
+        for (const key of check.untouchedTables) {
+            const family = tableFamily(key.substring(key.indexOf('.') + 1));
+            (byFamily[family] = byFamily[family] || []).push(key);
+        }
+        for (const [family, keys] of Object.entries(byFamily).sort()) {
+            report += `### ${family} (${keys.length})\n\n`;
+            for (const key of keys.slice(0, MAX_UNTOUCHED_LISTED)) {
+                report += `- ${key}\n`;
+            }
+            if (keys.length > MAX_UNTOUCHED_LISTED) {
+                report += `- ... and ${keys.length - MAX_UNTOUCHED_LISTED} more (see schema-check.json)\n`;
+            }
+            report += `\n`;
+        }
+    }
+
+    return report;
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+/**
+ * Take --snapshot/--results/--profile out of argv; the rest goes to config.load()
+ */
+function parseArgs(argv) {
+    const options = { snapshot: null, results: null, profile: null };
+    const rest = [];
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--snapshot' || argv[i] === '--results' || argv[i] === '--profile') {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${argv[i]}`);
+            }
+            options[argv[i].substring(2)] = argv[++i];
+        } else {
+            rest.push(argv[i]);
+        }
+    }
+    return { options, rest };
+}
+
+async function main() {
+    const { options, rest } = parseArgs(process.argv.slice(2));
+    config.load(rest);
+
+    const resultsPath = path.resolve(options.results || path.join(config.OUTPUT_DIR, 'analysis-results.json'));
+
+    console.log('='.repeat(60));
+    console.log('MICS# Source vs Database Schema Check (READ-ONLY MODE)');
+    console.log('='.repeat(60));
+    console.log(`\nResults: ${resultsPath}`);
+
+    const results = loadResults(resultsPath);
+
+    let schema;
+    if (options.snapshot) {
+        const snapshotPath = path.resolve(options.snapshot);
+        console.log(`Schema:  ${snapshotPath}`);
+        schema = schemaSnapshot.loadSnapshot(snapshotPath);
+        schema.sourceFile = snapshotPath;
+    } else {
+        console.log('Schema:  live database (db-config.js)');
+        schema = await captureLiveSchema(options.profile);
+    }
+
+    const check = checkSchema(results.sqlUsage, schema);
+
+    safeWriteFile(path.join(config.OUTPUT_DIR, 'schema-check.json'), JSON.stringify(check, null, 2));
+    safeWriteFile(path.join(config.OUTPUT_DIR, 'schema-check.md'), generateSchemaCheckReport(check));
+
+    console.log(`\nDatabase tables:        ${check.summary.databaseTables}`);
+    console.log(`Referenced by code:     ${check.summary.touchedTables}`);
+    console.log(`Unknown code tables:    ${check.summary.unknownTables}`);
+    console.log(`Missing columns:        ${check.summary.missingColumns}`);
+    console.log(`Type mismatches:        ${check.summary.typeMismatches}`);
+    console.log(`Never referenced:       ${check.summary.untouchedTables}`);
+    console.log(`\nResults saved to: ${path.join(config.OUTPUT_DIR, 'schema-check.md')} (and schema-check.json)`);
+    return check;
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Schema check failed:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    checkSchema,
+    generateSchemaCheckReport,
+    tableNameRegex
+};
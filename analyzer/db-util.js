@@ -18,17 +18,73 @@
  *   keys <table>            - Primary and foreign keys
  *   procs [--schema X]      - List stored procedures
  *   proc <name>             - Show procedure definition
- *   compare <type>          - Compare archive def vs actual (e.g., FT_SITE)
- *   query "<sql>"           - Execute ad-hoc query
- *   interactive             - Interactive query mode
+ *   compare <type|all> [--schema X]
+ *                           - Compare archive DDL vs every matching table
+ *                             (e.g., FT_SITE vs all ft_%_site tables)
+ *   query "<sql>"           - Execute ad-hoc query (read-only unless --allow-write)
+ *   interactive             - Interactive query mode (same guard; \? lists
+ *                             its commands)
+ *   snapshot [--schema X] [--pattern P] [--out F]
+ *                           - Save schema (tables, columns, keys, indexes,
+ *                             procedures) to a JSON snapshot
+ *   schema-diff <old> <new> - Schema drift between two snapshot files or
+ *                             databases (db:<name>, profile:<name>[/<db>]);
+ *                             exits 1 on drift, 2 on error
  *   help                    - Show this help message
+ *
+ * Connection: --profile <name> picks the db-config.js profile.
+ *
+ * Output: --format table|csv|tsv|json|ndjson|markdown and --out <file>
+ * for every command that lists rows (result-writer.js).
+ *
+ * Offline mode: --snapshot <file> runs tables, describe, columns, keys,
+ * procs, proc, count, sample, schemas and compare against a snapshot
+ * file instead of the server.
  */
 
 const sql = require('mssql');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const readline = require('readline');
-const { sqlConfig } = require('./db-config');
+const dbConfig = require('./db-config');
+const config = require('./config');
+const schemaSnapshot = require('./schema-snapshot');
+const schemaDiff = require('./schema-diff');
+const archiveDefinitions = require('./archive-definitions');
+const sqlGuard = require('./sql-guard');
+const resultWriter = require('./result-writer');
+const { loadBatches, applyVariables } = require('./execute-sql-script');
+
+// Set by --snapshot <file>; commands then read the snapshot instead of the server
+let snapshot = null;
+
+// Set by --profile <name>; null means the default connection profile
+let profileName = null;
+
+// Connection config of that profile, resolved on first use
+let sqlConfig = null;
+
+// Set by --allow-write; query/interactive may then run writes if the profile allows them
+let allowWrite = false;
+
+// Set by --format/--out (result-writer.js output); null prints with console.table
+let output = null;
+
+// Interactive session state: the connection stays open between commands,
+// \x prints rows vertically, and Ctrl-C cancels the running request
+let session = false;
+let expandedDisplay = false;
+let activeRequest = null;
+
+// Commands that always need the server
+const LIVE_ONLY_COMMANDS = ['test', 'databases', 'query', 'interactive', 'snapshot'];
+
+// Commands with their own --out; --format/--out do not apply to them
+const OWN_OUTPUT_COMMANDS = ['snapshot', 'schema-diff'];
+
+// Commands that print more than one result set
+const MULTI_SET_COMMANDS = ['query', 'describe', 'keys', 'interactive'];
 
 const colors = {
     red: '\x1b[31m',
@@ -43,21 +99,69 @@ const colors = {
 };
 
 function log(color, message) {
-    console.log(`${colors[color]}${message}${colors.reset}`);
+    // Keep stdout for the data when results are written there
+    const print = output && !output.file ? console.error : console.log;
+    print(`${colors[color]}${message}${colors.reset}`);
+}
+
+/**
+ * One block per row, one line per column (interactive \x)
+ */
+function logExpanded(data) {
+    const width = Math.max(...Object.keys(data[0]).map(name => name.length));
+    data.forEach((row, i) => {
+        log('dim', `-[ RECORD ${i + 1} ]${'-'.repeat(Math.max(width - 8, 10))}`);
+        for (const [name, value] of Object.entries(row)) {
+            console.log(`${name.padEnd(width)} | ${resultWriter.valueText(value) ?? 'NULL'}`);
+        }
+    });
 }
 
-function logTable(data) {
+function rowsWritten(count) {
+    return `(${count} rows${output.file ? ` written to ${output.file}` : ''})`;
+}
+
+function logTable(data, title = null) {
+    if (output) {
+        log('dim', rowsWritten(output.writeRows(title, data)));
+        return;
+    }
     if (data.length === 0) {
         log('yellow', 'No results found.');
         return;
     }
-    console.table(data);
+    if (expandedDisplay) {
+        logExpanded(data);
+        log('dim', `(${data.length} rows)`);
+        return;
+    }
+    // Binary as 0x hex rather than <Buffer ...>
+    console.table(data.map(row => {
+        const display = {};
+        for (const [name, value] of Object.entries(row)) {
+            display[name] = Buffer.isBuffer(value) ? resultWriter.valueText(value) : value;
+        }
+        return display;
+    }));
     log('dim', `(${data.length} rows)`);
 }
 
+/**
+ * Resolve the connection profile once (this may prompt for missing settings)
+ */
+async function connectionConfig() {
+    if (!sqlConfig) {
+        sqlConfig = await dbConfig.resolveSqlConfig(profileName);
+    }
+    return sqlConfig;
+}
+
 async function connect() {
+    if (snapshot) {
+        return true;
+    }
     try {
-        await sql.connect(sqlConfig);
+        await sql.connect(await connectionConfig());
         return true;
     } catch (err) {
         log('red', `Connection failed: ${err.message}`);
@@ -66,6 +170,9 @@ async function connect() {
 }
 
 async function disconnect() {
+    if (snapshot || session) {
+        return;
+    }
     try {
         await sql.close();
     } catch (err) {
@@ -79,9 +186,17 @@ async function disconnect() {
 
 async function cmdTest() {
     log('cyan', 'Testing database connection...');
-    log('dim', `Server: ${sqlConfig.server}`);
-    log('dim', `Database: ${sqlConfig.database}`);
-    log('dim', `User: ${sqlConfig.user}`);
+    try {
+        await connectionConfig();
+    } catch (err) {
+        log('red', err.message);
+        return false;
+    }
+    const target = dbConfig.describeConfig(sqlConfig);
+    log('dim', `Profile: ${target.profile}`);
+    log('dim', `Server: ${target.server}`);
+    log('dim', `Database: ${target.database}`);
+    log('dim', `Auth: ${target.auth} (${target.user})`);
     
     if (await connect()) {
         const result = await sql.query`SELECT @@VERSION AS Version, DB_NAME() AS CurrentDB`;
@@ -118,6 +233,18 @@ async function cmdSchemas() {
     if (!await connect()) return;
     
     log('cyan', 'Listing schemas...');
+    if (snapshot) {
+        const rows = snapshot.schemas
+            .map(s => ({
+                SchemaName: s.name,
+                Owner: s.owner,
+                TableCount: snapshot.tables.filter(t => t.schema === s.name).length
+            }))
+            .filter(r => r.TableCount > 0)
+            .sort((a, b) => b.TableCount - a.TableCount || a.SchemaName.localeCompare(b.SchemaName));
+        logTable(rows);
+        return;
+    }
     const result = await sql.query`
         SELECT s.name AS SchemaName,
                p.name AS Owner,
@@ -138,6 +265,17 @@ async function cmdTables(schemaFilter = null) {
     
     log('cyan', schemaFilter ? `Listing tables in schema '${schemaFilter}'...` : 'Listing tables...');
     
+    if (snapshot) {
+        const rows = snapshot.tables
+            .filter(t => !schemaFilter || t.schema.toLowerCase() === schemaFilter.toLowerCase())
+            .sort((a, b) => (schemaFilter ? 0 : a.schema.localeCompare(b.schema)) || a.name.localeCompare(b.name))
+            .slice(0, 100)
+            .map(t => ({ SchemaName: t.schema, TableName: t.name, RowCount: t.rowCount }));
+        logTable(rows);
+        log('dim', '(Limited to 100 results. Use --schema to filter.)');
+        return;
+    }
+    
     let query;
     if (schemaFilter) {
         query = sql.query`
@@ -182,14 +320,7 @@ async function cmdSample(suffix) {
     const pattern = `%${suffix}`;
     log('cyan', `Finding ONE table matching '*${suffix}'...`);
     
-    const findTable = await sql.query`
-        SELECT TOP 1 
-            SCHEMA_NAME(schema_id) AS SchemaName,
-            name AS TableName
-        FROM sys.tables 
-        WHERE name LIKE ${pattern}
-        ORDER BY name
-    `;
+    const findTable = await findFirstTable(pattern);
     
     if (findTable.recordset.length === 0) {
         log('yellow', `No tables found matching pattern '*${suffix}'`);
@@ -217,19 +348,31 @@ async function cmdCount(pattern) {
     const likePattern = `${pattern}%`;
     log('cyan', `Counting tables matching '${pattern}*' by schema...`);
     
-    const result = await sql.query`
-        SELECT 
-            SCHEMA_NAME(schema_id) AS SchemaName,
-            COUNT(*) AS TableCount
-        FROM sys.tables 
-        WHERE name LIKE ${likePattern}
-        GROUP BY schema_id
-        ORDER BY TableCount DESC
-    `;
+    let rows;
+    if (snapshot) {
+        const counts = {};
+        for (const t of schemaSnapshot.tablesLike(snapshot, likePattern)) {
+            counts[t.schema] = (counts[t.schema] || 0) + 1;
+        }
+        rows = Object.entries(counts)
+            .map(([SchemaName, TableCount]) => ({ SchemaName, TableCount }))
+            .sort((a, b) => b.TableCount - a.TableCount);
+    } else {
+        const result = await sql.query`
+            SELECT 
+                SCHEMA_NAME(schema_id) AS SchemaName,
+                COUNT(*) AS TableCount
+            FROM sys.tables 
+            WHERE name LIKE ${likePattern}
+            GROUP BY schema_id
+            ORDER BY TableCount DESC
+        `;
+        rows = result.recordset;
+    }
     
-    logTable(result.recordset);
+    logTable(rows);
     
-    const total = result.recordset.reduce((sum, r) => sum + r.TableCount, 0);
+    const total = rows.reduce((sum, r) => sum + r.TableCount, 0);
     log('bright', `Total: ${total} tables`);
     await disconnect();
 }
@@ -238,7 +381,69 @@ async function cmdCount(pattern) {
 // TABLE INSPECTION COMMANDS
 // =============================================================================
 
+/**
+ * First table (by name) matching a LIKE pattern, in recordset shape
+ */
+async function findFirstTable(pattern) {
+    if (snapshot) {
+        const table = schemaSnapshot.tablesLike(snapshot, pattern)[0];
+        return { recordset: table ? [{ SchemaName: table.schema, TableName: table.name }] : [] };
+    }
+    return sql.query`
+        SELECT TOP 1 
+            SCHEMA_NAME(schema_id) AS SchemaName,
+            name AS TableName
+        FROM sys.tables 
+        WHERE name LIKE ${pattern}
+        ORDER BY name
+    `;
+}
+
+function snapshotColumns(tableName) {
+    const table = schemaSnapshot.findTable(snapshot, tableName);
+    if (!table) {
+        return [];
+    }
+    const yesNo = value => value ? 'YES' : 'NO';
+    return table.columns.map(c => ({
+        ColumnName: c.name,
+        DataType: c.type,
+        MaxLength: c.maxLength === undefined ? null : c.maxLength,
+        Precision: c.precision === undefined ? null : c.precision,
+        Scale: c.scale === undefined ? null : c.scale,
+        Nullable: yesNo(c.nullable),
+        Identity: yesNo(c.identity),
+        PrimaryKey: yesNo(c.primaryKey)
+    }));
+}
+
+async function foreignKeys(tableName) {
+    if (snapshot) {
+        const table = schemaSnapshot.findTable(snapshot, tableName);
+        return (table ? table.foreignKeys : []).map(fk => ({
+            FKName: fk.name,
+            ColumnName: fk.column,
+            ReferencedTable: fk.referencedTable,
+            ReferencedColumn: fk.referencedColumn
+        }));
+    }
+    const fkResult = await sql.query`
+        SELECT
+            fk.name AS FKName,
+            COL_NAME(fkc.parent_object_id, fkc.parent_column_id) AS ColumnName,
+            OBJECT_SCHEMA_NAME(fk.referenced_object_id) + '.' + OBJECT_NAME(fk.referenced_object_id) AS ReferencedTable,
+            COL_NAME(fkc.referenced_object_id, fkc.referenced_column_id) AS ReferencedColumn
+        FROM sys.foreign_keys fk
+        INNER JOIN sys.foreign_key_columns fkc ON fk.object_id = fkc.constraint_object_id
+        WHERE fk.parent_object_id = OBJECT_ID(${tableName})
+    `;
+    return fkResult.recordset;
+}
+
 async function showTableStructure(tableName) {
+    if (snapshot) {
+        return printTableStructure(tableName, snapshotColumns(tableName));
+    }
     const request = new sql.Request();
     request.input('tableName', sql.NVarChar, tableName);
     const result = await request.query(`
@@ -268,14 +473,18 @@ async function showTableStructure(tableName) {
         ORDER BY c.column_id
     `);
     
-    if (result.recordset.length === 0) {
+    return printTableStructure(tableName, result.recordset);
+}
+
+function printTableStructure(tableName, columns) {
+    if (columns.length === 0) {
         log('yellow', `Table '${tableName}' not found or has no columns.`);
         return null;
     }
     
     log('cyan', `\nColumns for ${tableName}:`);
-    logTable(result.recordset);
-    return result.recordset;
+    logTable(columns, `Columns for ${tableName}`);
+    return columns;
 }
 
 async function cmdDescribe(tableName) {
@@ -290,21 +499,12 @@ async function cmdDescribe(tableName) {
     
     // Also show foreign keys
     log('cyan', '\nForeign Keys:');
-    const fkResult = await sql.query`
-        SELECT
-            fk.name AS FKName,
-            COL_NAME(fkc.parent_object_id, fkc.parent_column_id) AS ColumnName,
-            OBJECT_NAME(fk.referenced_object_id) AS ReferencedTable,
-            COL_NAME(fkc.referenced_object_id, fkc.referenced_column_id) AS ReferencedColumn
-        FROM sys.foreign_keys fk
-        INNER JOIN sys.foreign_key_columns fkc ON fk.object_id = fkc.constraint_object_id
-        WHERE fk.parent_object_id = OBJECT_ID(${tableName})
-    `;
+    const fkRows = await foreignKeys(tableName);
     
-    if (fkResult.recordset.length === 0) {
+    if (fkRows.length === 0) {
         log('dim', '(No foreign keys)');
     } else {
-        logTable(fkResult.recordset);
+        logTable(fkRows, `Foreign Keys for ${tableName}`);
     }
     
     await disconnect();
@@ -330,39 +530,38 @@ async function cmdKeys(tableName) {
     if (!await connect()) return;
     
     log('cyan', `Primary Key for ${tableName}:`);
-    const pkResult = await sql.query`
-        SELECT 
-            i.name AS IndexName,
-            COL_NAME(ic.object_id, ic.column_id) AS ColumnName,
-            ic.key_ordinal AS KeyOrder
-        FROM sys.indexes i
-        INNER JOIN sys.index_columns ic ON i.object_id = ic.object_id AND i.index_id = ic.index_id
-        WHERE i.object_id = OBJECT_ID(${tableName}) AND i.is_primary_key = 1
-        ORDER BY ic.key_ordinal
-    `;
+    let pkRows;
+    if (snapshot) {
+        const table = schemaSnapshot.findTable(snapshot, tableName);
+        const pk = table && table.primaryKey;
+        pkRows = pk ? pk.columns.map((column, i) => ({ IndexName: pk.name, ColumnName: column, KeyOrder: i + 1 })) : [];
+    } else {
+        const pkResult = await sql.query`
+            SELECT 
+                i.name AS IndexName,
+                COL_NAME(ic.object_id, ic.column_id) AS ColumnName,
+                ic.key_ordinal AS KeyOrder
+            FROM sys.indexes i
+            INNER JOIN sys.index_columns ic ON i.object_id = ic.object_id AND i.index_id = ic.index_id
+            WHERE i.object_id = OBJECT_ID(${tableName}) AND i.is_primary_key = 1
+            ORDER BY ic.key_ordinal
+        `;
+        pkRows = pkResult.recordset;
+    }
     
-    if (pkResult.recordset.length === 0) {
+    if (pkRows.length === 0) {
         log('dim', '(No primary key)');
     } else {
-        logTable(pkResult.recordset);
+        logTable(pkRows, `Primary Key for ${tableName}`);
     }
     
     log('cyan', `\nForeign Keys for ${tableName}:`);
-    const fkResult = await sql.query`
-        SELECT
-            fk.name AS FKName,
-            COL_NAME(fkc.parent_object_id, fkc.parent_column_id) AS ColumnName,
-            OBJECT_SCHEMA_NAME(fk.referenced_object_id) + '.' + OBJECT_NAME(fk.referenced_object_id) AS ReferencedTable,
-            COL_NAME(fkc.referenced_object_id, fkc.referenced_column_id) AS ReferencedColumn
-        FROM sys.foreign_keys fk
-        INNER JOIN sys.foreign_key_columns fkc ON fk.object_id = fkc.constraint_object_id
-        WHERE fk.parent_object_id = OBJECT_ID(${tableName})
-    `;
+    const fkRows = await foreignKeys(tableName);
     
-    if (fkResult.recordset.length === 0) {
+    if (fkRows.length === 0) {
         log('dim', '(No foreign keys)');
     } else {
-        logTable(fkResult.recordset);
+        logTable(fkRows, `Foreign Keys for ${tableName}`);
     }
     
     await disconnect();
@@ -377,6 +576,16 @@ async function cmdProcs(schemaFilter = null) {
     
     log('cyan', schemaFilter ? `Listing procedures in schema '${schemaFilter}'...` : 'Listing stored procedures...');
     
+    if (snapshot) {
+        const rows = snapshot.procedures
+            .filter(p => !schemaFilter || p.schema.toLowerCase() === schemaFilter.toLowerCase())
+            .sort((a, b) => (schemaFilter ? 0 : a.schema.localeCompare(b.schema)) || a.name.localeCompare(b.name))
+            .slice(0, 50)
+            .map(p => ({ SchemaName: p.schema, ProcedureName: p.name, Created: p.created, Modified: p.modified }));
+        logTable(rows);
+        return;
+    }
+    
     let result;
     if (schemaFilter) {
         result = await sql.query`
@@ -414,12 +623,19 @@ async function cmdProc(procName) {
     if (!await connect()) return;
     
     log('cyan', `Definition for ${procName}:`);
-    const result = await sql.query`
-        SELECT OBJECT_DEFINITION(OBJECT_ID(${procName})) AS Definition
-    `;
+    let definition;
+    if (snapshot) {
+        const proc = schemaSnapshot.findProcedure(snapshot, procName);
+        definition = proc ? proc.definition : null;
+    } else {
+        const result = await sql.query`
+            SELECT OBJECT_DEFINITION(OBJECT_ID(${procName})) AS Definition
+        `;
+        definition = result.recordset[0].Definition;
+    }
     
-    if (result.recordset[0].Definition) {
-        console.log(result.recordset[0].Definition);
+    if (definition) {
+        console.log(definition);
     } else {
         log('yellow', `Procedure '${procName}' not found.`);
     }
@@ -431,158 +647,396 @@ async function cmdProc(procName) {
 // COMPARISON COMMANDS
 // =============================================================================
 
-function parseArchiveDefinition(tableType) {
-    const archivePath = path.join(__dirname, '../notes/shared/scripts/tt-archive-capture/00_create_schema_and_archive_tables.sql');
-    
-    if (!fs.existsSync(archivePath)) {
-        log('red', `Archive definition file not found: ${archivePath}`);
-        return null;
-    }
-    
-    const content = fs.readFileSync(archivePath, 'utf8');
-    const archiveTableName = `Archive${tableType}`;
-    
-    // Find the CREATE TABLE statement for this archive table
-    const regex = new RegExp(
-        `CREATE TABLE tsip_archive\\.${archiveTableName}\\s*\\(([^;]+?)\\s*CONSTRAINT`,
-        's'
-    );
-    
-    const match = content.match(regex);
-    if (!match) {
-        log('yellow', `Could not find definition for ${archiveTableName} in archive file.`);
-        return null;
-    }
-    
-    const columnDefs = match[1];
-    const columns = [];
-    
-    // Parse column definitions (skip ArchiveId, RunKey, PdfName, ArchivedAt - these are archive-specific)
-    const lines = columnDefs.split('\n');
-    for (const line of lines) {
-        const colMatch = line.trim().match(/^(\w+)\s+([\w()]+)/);
-        if (colMatch) {
-            const colName = colMatch[1];
-            // Skip archive-specific columns
-            if (!['ArchiveId', 'RunKey', 'PdfName', 'ArchivedAt'].includes(colName)) {
-                columns.push({
-                    name: colName,
-                    type: colMatch[2].toUpperCase()
-                });
-            }
-        }
+// Tables listed per issue, and broken tables listed in the summary
+const COMPARE_LIST_LIMIT = 5;
+const COMPARE_SUMMARY_LIMIT = 20;
+
+/**
+ * User tables (with columns) whose name matches a LIKE pattern
+ */
+async function tablesForPattern(pattern, schemaFilter) {
+    if (snapshot) {
+        return schemaSnapshot.tablesLike(snapshot, pattern)
+            .filter(t => !schemaFilter || t.schema.toLowerCase() === schemaFilter.toLowerCase());
     }
-    
-    return columns;
+    return schemaSnapshot.captureSchema(sql, { pattern, schema: schemaFilter });
+}
+
+function listTables(names) {
+    const shown = names.slice(0, COMPARE_LIST_LIMIT).join(', ');
+    return names.length > COMPARE_LIST_LIMIT ? `${shown} (+${names.length - COMPARE_LIST_LIMIT} more)` : shown;
 }
 
-async function cmdCompare(tableType) {
+async function cmdCompare(tableType, schemaFilter = null) {
+    const definitions = archiveDefinitions.loadArchiveDefinitions();
+    const types = [...new Set(definitions.map(d => d.type))].sort();
+    
     if (!tableType) {
-        log('red', 'Usage: db-util.js compare <type>');
+        log('red', 'Usage: db-util.js compare <type|all> [--schema X]');
         log('dim', 'Example: db-util.js compare FT_SITE');
-        log('dim', 'Available types: FT_TITL, FT_SHRL, FT_SITE, FT_ANTE, FT_CHAN, FT_CHNG_CALL');
-        log('dim', '                 FE_TITL, FE_SHRL, FE_SITE, FE_AZIM, FE_ANTE, FE_CHAN, FE_CLOC, FE_CCAL');
+        log('dim', `Available types: ${types.join(', ') || '(no archive scripts found)'}`);
         return;
     }
     
-    tableType = tableType.toUpperCase();
-    log('cyan', `Comparing Archive${tableType} definition vs actual ${tableType.toLowerCase()} tables...`);
+    if (definitions.length === 0) {
+        log('red', `No archive definitions found under ${archiveDefinitions.SCRIPTS_DIR}`);
+        return;
+    }
     
-    // Parse archive definition
-    const archiveColumns = parseArchiveDefinition(tableType);
-    if (!archiveColumns) return;
+    tableType = tableType.toUpperCase();
+    const selected = tableType === 'ALL' ? definitions : definitions.filter(d => d.type === tableType);
+    if (selected.length === 0) {
+        log('yellow', `No archive definition for ${tableType}.`);
+        log('dim', `Available types: ${types.join(', ')}`);
+        return;
+    }
     
-    log('dim', `Archive definition has ${archiveColumns.length} source columns (excluding archive metadata)`);
+    const files = new Set(selected.map(d => d.file));
+    log('cyan', `Comparing ${selected.length} archive definition(s) from ${files.size} script(s) vs actual tables...`);
     
     if (!await connect()) return;
     
-    // Determine search pattern based on type
-    const prefix = tableType.startsWith('FT_') ? 'ft_' : 'fe_';
-    const suffix = '_' + tableType.split('_')[1].toLowerCase();
-    const pattern = `${prefix}%${suffix}`;
+    // User table -> archive definitions whose trigger INSERT would fail for it
+    const broken = new Map();
+    const tablesByPattern = new Map();
     
-    log('dim', `Searching for tables matching '${pattern}'...`);
+    for (const definition of selected) {
+        console.log('');
+        log('bright', `=== Archive${definition.type} (${definition.file}:${definition.line}) ===`);
+        log('dim', `${definition.columns.length} source columns (excluding archive metadata); ` +
+            `tables matching '${definition.sourcePattern}'${schemaFilter ? ` in schema ${schemaFilter}` : ''}`);
+        
+        if (!tablesByPattern.has(definition.sourcePattern)) {
+            tablesByPattern.set(definition.sourcePattern, await tablesForPattern(definition.sourcePattern, schemaFilter));
+        }
+        const tables = tablesByPattern.get(definition.sourcePattern);
+        if (tables.length === 0) {
+            log('yellow', `No tables found matching pattern '${definition.sourcePattern}'`);
+            continue;
+        }
+        
+        // Tables with the same issue are grouped so large schemas stay readable
+        const groups = new Map();
+        const notArchived = new Map();
+        let breaking = 0;
+        let warned = 0;
+        
+        for (const table of tables) {
+            const name = `${table.schema}.${table.name}`;
+            const result = archiveDefinitions.compareTable(definition, table.columns);
+            
+            for (const issue of result.issues) {
+                const key = `${issue.severity}|${issue.column}|${issue.message}`;
+                if (!groups.has(key)) groups.set(key, { issue, tables: [] });
+                groups.get(key).tables.push(name);
+            }
+            for (const column of result.notArchived) {
+                notArchived.set(column, (notArchived.get(column) || 0) + 1);
+            }
+            
+            if (result.breaks) {
+                breaking++;
+                if (!broken.has(name)) broken.set(name, []);
+                broken.get(name).push(`Archive${definition.type} (${definition.file})`);
+            } else if (result.issues.length > 0) {
+                warned++;
+            }
+        }
+        
+        const severityOrder = issue => issue.severity === 'error' ? 0 : 1;
+        const sorted = [...groups.values()].sort((a, b) =>
+            severityOrder(a.issue) - severityOrder(b.issue) || b.tables.length - a.tables.length);
+        for (const group of sorted) {
+            const { severity, column, message } = group.issue;
+            log(severity === 'error' ? 'red' : 'yellow',
+                `  ${severity.toUpperCase()} ${column}: ${message} - ${group.tables.length}/${tables.length} tables`);
+            log('dim', `      ${listTables(group.tables)}`);
+        }
+        
+        if (notArchived.size > 0) {
+            const columns = [...notArchived].map(([column, count]) => count === tables.length ? column : `${column} (${count})`);
+            log('yellow', `  Columns in user tables but NOT in archive definition: ${columns.join(', ')}`);
+        }
+        
+        const ok = tables.length - breaking - warned;
+        log(breaking > 0 ? 'red' : 'green',
+            `  Tables: ${tables.length} checked, ${ok} OK, ${warned} with warnings, ${breaking} would break the trigger INSERT`);
+    }
     
-    // Find one actual table
-    const findTable = await sql.query`
-        SELECT TOP 1 
-            SCHEMA_NAME(schema_id) AS SchemaName,
-            name AS TableName
-        FROM sys.tables 
-        WHERE name LIKE ${pattern}
-        ORDER BY name
-    `;
+    await disconnect();
     
-    if (findTable.recordset.length === 0) {
-        log('yellow', `No tables found matching pattern '${pattern}'`);
-        await disconnect();
+    console.log('\n');
+    log('bright', '=== SUMMARY ===');
+    if (broken.size === 0) {
+        log('green', 'No user table would break the trigger INSERTs.');
         return;
     }
     
-    const table = findTable.recordset[0];
-    const fullName = `${table.SchemaName}.${table.TableName}`;
-    log('green', `Found sample table: ${fullName}`);
-    
-    // Get actual columns
-    const actualResult = await sql.query`
-        SELECT 
-            c.name AS ColumnName,
-            UPPER(t.name) AS DataType
-        FROM sys.columns c
-        INNER JOIN sys.types t ON c.user_type_id = t.user_type_id
-        WHERE c.object_id = OBJECT_ID(${fullName})
-        ORDER BY c.column_id
-    `;
+    log('red', `${broken.size} user table(s) would break the trigger INSERTs:`);
+    for (const [name, defs] of [...broken].slice(0, COMPARE_SUMMARY_LIMIT)) {
+        log('red', `  - ${name}: ${defs.join(', ')}`);
+    }
+    if (broken.size > COMPARE_SUMMARY_LIMIT) {
+        log('dim', `  ... and ${broken.size - COMPARE_SUMMARY_LIMIT} more`);
+    }
+    log('red', '\nACTION REQUIRED: Remove non-existent columns from archive definition and trigger, or widen truncating columns.');
+}
+
+// =============================================================================
+// SNAPSHOT COMMANDS
+// =============================================================================
+
+function optionValue(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+/**
+ * Capture a snapshot from the configured server; `database` overrides
+ * the database of the connection profile
+ */
+async function captureLiveSnapshot(target, filter) {
+    await sql.connect(target);
+    try {
+        const data = await schemaSnapshot.captureSnapshot(sql, filter);
+        return {
+            snapshotVersion: data.snapshotVersion,
+            server: target.server,
+            database: target.database,
+            ...data
+        };
+    } finally {
+        await disconnect();
+    }
+}
+
+function writeJsonFile(outFile, data) {
+    if (!config.isPathSafeForWrite(outFile)) {
+        throw new Error(`Refusing to write to unsafe path: ${outFile}`);
+    }
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(data, null, 2));
+}
+
+async function cmdSnapshot(args) {
+    const schemaFilter = optionValue(args, '--schema');
+    const pattern = optionValue(args, '--pattern');
+    try {
+        await connectionConfig();
+    } catch (err) {
+        log('red', err.message);
+        return;
+    }
+    const outFile = path.resolve(optionValue(args, '--out') || path.join(config.OUTPUT_DIR, `schema-${sqlConfig.database}.json`));
     
-    const actualColumns = actualResult.recordset.map(r => ({
-        name: r.ColumnName,
-        type: r.DataType
-    }));
+    if (!config.isPathSafeForWrite(outFile)) {
+        log('red', `Refusing to write to unsafe path: ${outFile}`);
+        return;
+    }
     
-    log('dim', `Actual table has ${actualColumns.length} columns`);
+    log('cyan', 'Capturing schema snapshot...');
+    if (schemaFilter) log('dim', `Schema filter: ${schemaFilter}`);
+    if (pattern) log('dim', `Table filter: ${pattern}`);
     
-    // Compare
-    console.log('\n');
-    log('bright', '=== COMPARISON RESULTS ===');
+    let result;
+    try {
+        result = await captureLiveSnapshot(sqlConfig, { schema: schemaFilter, pattern });
+    } catch (err) {
+        log('red', `Snapshot failed: ${err.message}`);
+        return;
+    }
     
-    const archiveColNames = archiveColumns.map(c => c.name);
-    const actualColNames = actualColumns.map(c => c.name);
+    writeJsonFile(outFile, result);
     
-    // Columns in archive but not in actual (ERRORS - will cause INSERT to fail)
-    const missingInActual = archiveColumns.filter(c => !actualColNames.includes(c.name));
-    if (missingInActual.length > 0) {
-        log('red', '\nERROR: Columns in archive definition but NOT in actual table:');
-        missingInActual.forEach(c => {
-            log('red', `  - ${c.name} (${c.type})`);
-        });
+    const columnCount = result.tables.reduce((sum, t) => sum + t.columns.length, 0);
+    log('green', `Saved ${result.tables.length} tables (${columnCount} columns), ${result.procedures.length} procedures`);
+    log('dim', `Snapshot: ${outFile}`);
+    log('dim', `Use it offline: node db-util.js --snapshot "${outFile}" <command>`);
+}
+
+/**
+ * A schema-diff side: a snapshot file (narrowed to --schema/--pattern like
+ * a live capture), db:<name> for a database on the configured server
+ * (db: alone means the configured database), or profile:<name>[/<database>]
+ * for a database reached through another connection profile
+ */
+async function loadDiffSide(spec, filter) {
+    if (spec.startsWith('db:') || spec.startsWith('profile:')) {
+        let base;
+        let database;
+        if (spec.startsWith('db:')) {
+            base = await connectionConfig();
+            database = spec.substring(3);
+        } else {
+            const [name, profileDatabase] = spec.substring(8).split('/');
+            if (!name) {
+                throw new Error(`No profile name in "${spec}" (expected profile:<name>[/<database>])`);
+            }
+            base = await dbConfig.resolveSqlConfig(name);
+            database = profileDatabase;
+        }
+        const target = { ...base, database: database || base.database };
+        log('dim', `Capturing ${target.database}@${target.server} (profile ${target.profile})...`);
+        return captureLiveSnapshot(target, filter);
     }
-    
-    // Columns in actual but not in archive (WARNINGS - data not being captured)
-    const missingInArchive = actualColumns.filter(c => !archiveColNames.includes(c.name));
-    if (missingInArchive.length > 0) {
-        log('yellow', '\nWARNING: Columns in actual table but NOT in archive definition:');
-        missingInArchive.forEach(c => {
-            log('yellow', `  - ${c.name} (${c.type})`);
-        });
+    const file = path.resolve(spec);
+    const loaded = schemaSnapshot.filterSnapshot(schemaSnapshot.loadSnapshot(file), filter);
+    loaded.sourceFile = file;
+    return loaded;
+}
+
+async function cmdSchemaDiff(args) {
+    const valueOptions = ['--schema', '--pattern', '--out'];
+    const sides = args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+    if (sides.length !== 2) {
+        log('red', 'Usage: db-util.js schema-diff <old> <new> [--schema X] [--pattern P] [--out F] [--json]');
+        log('dim', 'Each side is a snapshot file, db:<database> or profile:<name>[/<database>]');
+        log('dim', 'Example: db-util.js schema-diff reports/schema-micsprod.json db:micsprod');
+        process.exitCode = 2;
+        return;
     }
+    const filter = { schema: optionValue(args, '--schema'), pattern: optionValue(args, '--pattern') };
+    const jsonOnly = args.includes('--json');
     
-    // Matching columns
-    const matching = archiveColumns.filter(c => actualColNames.includes(c.name));
-    log('green', `\nMatching columns: ${matching.length}/${archiveColumns.length}`);
+    if (!jsonOnly) log('cyan', 'Comparing schemas...');
+    let oldSnapshot;
+    let newSnapshot;
+    try {
+        oldSnapshot = await loadDiffSide(sides[0], filter);
+        newSnapshot = await loadDiffSide(sides[1], filter);
+    } catch (err) {
+        // 2, not 1, so scripts can tell a failure from drift
+        log('red', `Schema diff failed: ${err.message}`);
+        process.exitCode = 2;
+        return;
+    }
+    const diff = schemaDiff.diffSchemas(oldSnapshot, newSnapshot);
+    
+    const outFile = optionValue(args, '--out');
+    if (outFile) {
+        try {
+            writeJsonFile(path.resolve(outFile), diff);
+        } catch (err) {
+            // 2 like a load failure; main's catch would exit 1, the drift code
+            log('red', `Schema diff failed: ${err.message}`);
+            process.exitCode = 2;
+            return;
+        }
+    }
     
-    if (missingInActual.length === 0 && missingInArchive.length === 0) {
-        log('green', '\nPERFECT MATCH! Archive definition matches actual table structure.');
-    } else if (missingInActual.length > 0) {
-        log('red', '\nACTION REQUIRED: Remove non-existent columns from archive definition and trigger.');
+    if (jsonOnly) {
+        console.log(JSON.stringify(diff, null, 2));
+    } else {
+        const markerColors = { '+': 'green', '-': 'red', '~': 'yellow' };
+        for (const line of schemaDiff.formatSchemaDiff(diff)) {
+            // Table/procedure lines carry the marker first, procedure text diffs after 6 spaces
+            const marker = markerColors[line[0]] ? line[0] : (line.startsWith('      ') ? line[6] : null);
+            if (markerColors[marker]) {
+                log(markerColors[marker], line);
+            } else {
+                console.log(line);
+            }
+        }
+        console.log('');
+        if (diff.drift) {
+            log('yellow', 'Schema drift found.');
+        } else {
+            log('green', 'No schema drift.');
+        }
+        if (outFile) log('dim', `JSON: ${path.resolve(outFile)}`);
     }
     
-    await disconnect();
+    process.exitCode = diff.drift ? 1 : 0;
 }
 
 // =============================================================================
 // QUERY COMMANDS
 // =============================================================================
 
+/**
+ * Run a request; with --format/--out the rows are streamed to the output
+ * as they arrive instead of collected into a recordset. Streamed results
+ * are { streamed, setCount, rowCount, rowsAffected }.
+ */
+function runRequest(request, sqlText, title) {
+    activeRequest = request;
+    const finished = () => {
+        activeRequest = null;
+    };
+    if (!output) {
+        return request.query(sqlText).finally(finished);
+    }
+    return new Promise((resolve, reject) => {
+        let set = null;
+        let setCount = 0;
+        let rowCount = 0;
+        let error = null;
+        const endSet = () => {
+            if (set) set.end();
+            set = null;
+        };
+        
+        request.stream = true;
+        request.on('recordset', columns => {
+            endSet();
+            const names = Object.values(columns).sort((a, b) => a.index - b.index).map(c => c.name);
+            set = output.resultSet(title, names);
+            setCount++;
+        });
+        request.on('row', row => {
+            rowCount++;
+            if (!set.row(row)) {
+                request.pause();
+                output.stream.once('drain', () => request.resume());
+            }
+        });
+        request.on('error', err => {
+            error = error || err;
+        });
+        request.on('done', result => {
+            endSet();
+            if (error) {
+                reject(error);
+            } else {
+                resolve({ streamed: true, setCount, rowCount, rowsAffected: result.rowsAffected });
+            }
+        });
+        request.query(sqlText);
+    }).finally(finished);
+}
+
+/**
+ * Run ad-hoc SQL through the read-only guard (sql-guard.js). Reads run in
+ * a READ UNCOMMITTED transaction that is always rolled back; anything
+ * else needs --allow-write and a profile with allowWrite.
+ */
+async function runAdHocQuery(sqlText, title = null) {
+    const check = sqlGuard.classifySql(sqlText, { allowProcs: sqlConfig.allowProcs });
+    if (!check.readOnly) {
+        const problems = sqlGuard.describeProblems(check.problems);
+        if (!allowWrite) {
+            throw new Error(`Blocked (read-only): ${problems}. Use --allow-write to run it.`);
+        }
+        if (!sqlConfig.allowWrite) {
+            throw new Error(`Blocked: profile "${sqlConfig.profile}" does not allow writes (${problems}). Set allowWrite in the profile.`);
+        }
+        log('yellow', `Write allowed: ${problems}`);
+        return runRequest(new sql.Request(), sqlText, title);
+    }
+    
+    const transaction = new sql.Transaction();
+    await transaction.begin(sql.ISOLATION_LEVEL.READ_UNCOMMITTED);
+    try {
+        return await runRequest(new sql.Request(transaction), sqlText, title);
+    } finally {
+        try {
+            await transaction.rollback();
+        } catch (err) {
+            // Already ended by the server
+        }
+    }
+}
+
 async function cmdQuery(sqlText) {
     if (!sqlText) {
         log('red', 'Usage: db-util.js query "<sql statement>"');
@@ -594,10 +1048,12 @@ async function cmdQuery(sqlText) {
     log('cyan', 'Executing query...');
     try {
         const startTime = Date.now();
-        const result = await sql.query(sqlText);
+        const result = await runAdHocQuery(sqlText);
         const elapsed = Date.now() - startTime;
         
-        if (result.recordset && result.recordset.length > 0) {
+        if (result.streamed && result.setCount > 0) {
+            log('dim', rowsWritten(result.rowCount));
+        } else if (result.recordset && result.recordset.length > 0) {
             logTable(result.recordset);
         } else {
             log('green', `Query executed successfully. Rows affected: ${result.rowsAffected || 0}`);
@@ -610,73 +1066,298 @@ async function cmdQuery(sqlText) {
     await disconnect();
 }
 
+// =============================================================================
+// INTERACTIVE MODE
+// =============================================================================
+
+const HISTORY_FILE = path.join(os.homedir(), '.mics-db-util-history');
+const HISTORY_SIZE = 1000;
+
+const SHELL_HELP = [
+    ['\\q', 'Quit (or Ctrl-D)'],
+    ['\\?', 'This help'],
+    ['\\d', 'List tables'],
+    ['\\d <table>', 'Describe table'],
+    ['\\procs [schema]', 'List stored procedures'],
+    ['\\compare <type|all> [--schema X]', 'Compare archive definitions with the matching tables'],
+    ['\\x', 'Toggle expanded display (one line per column)'],
+    ['\\timing', 'Toggle query timing'],
+    ['\\o [file]', 'Send query results to a file (--format applies); \\o alone goes back'],
+    ['\\i <file.sql> [name=value ...]', 'Run a script, batch by batch (GO separated), through the read-only guard; values fill $(name) tokens']
+];
+
+const SHELL_COMMANDS = ['\\q', '\\?', '\\d', '\\procs', '\\compare', '\\x', '\\timing', '\\o', '\\i'];
+
+/**
+ * Readline history (newest first) from the history file
+ */
+function loadHistory() {
+    try {
+        return fs.readFileSync(HISTORY_FILE, 'utf8').split('\n').filter(Boolean).slice(-HISTORY_SIZE).reverse();
+    } catch (err) {
+        return [];
+    }
+}
+
+function saveHistory(history) {
+    if (!config.isPathSafeForWrite(HISTORY_FILE)) return;
+    try {
+        fs.writeFileSync(HISTORY_FILE, [...history].reverse().join('\n') + '\n', { mode: 0o600 });
+    } catch (err) {
+        // History is a convenience; never fail the session over it
+    }
+}
+
+/**
+ * Schema, table and column names for tab completion
+ */
+async function loadCompletionNames() {
+    const [schemas, tables, columns] = await Promise.all([
+        sql.query`SELECT name FROM sys.schemas`,
+        sql.query`SELECT SCHEMA_NAME(schema_id) AS SchemaName, name FROM sys.tables`,
+        sql.query`SELECT DISTINCT c.name FROM sys.columns c INNER JOIN sys.tables t ON c.object_id = t.object_id`
+    ]);
+    return {
+        schemas: schemas.recordset.map(r => r.name),
+        tables: tables.recordset.map(r => `${r.SchemaName}.${r.name}`),
+        columns: columns.recordset.map(r => r.name)
+    };
+}
+
+/**
+ * Readline completer: shell commands, then schema., schema.table and
+ * column names (alias.column after a dot)
+ */
+function completeLine(line, names) {
+    if (/^\\\S*$/.test(line)) {
+        return [SHELL_COMMANDS.filter(c => c.startsWith(line)), line];
+    }
+    const word = /[\w.#$@]*$/.exec(line)[0];
+    if (!word || !names) {
+        return [[], word];
+    }
+    
+    let candidates;
+    const dot = word.lastIndexOf('.');
+    if (dot === -1) {
+        candidates = [...names.schemas.map(s => `${s}.`), ...names.tables.map(t => t.split('.')[1]), ...names.columns];
+    } else {
+        const prefix = word.substring(0, dot + 1);
+        candidates = [...names.tables, ...names.columns.map(c => prefix + c)];
+    }
+    const lower = word.toLowerCase();
+    const hits = [...new Set(candidates.filter(c => c.toLowerCase().startsWith(lower)))].sort();
+    return [hits.length > 200 ? [] : hits, word];
+}
+
+async function runShellQuery(sqlText, title, timing) {
+    const startTime = Date.now();
+    try {
+        const result = await runAdHocQuery(sqlText, title);
+        if (result.streamed && result.setCount > 0) {
+            log('dim', rowsWritten(result.rowCount));
+        } else if (!result.streamed && result.recordsets.length > 0) {
+            result.recordsets.forEach(recordset => logTable(recordset, title));
+        } else {
+            const affected = (result.rowsAffected || []).reduce((sum, n) => sum + n, 0);
+            console.log(`OK (${affected} rows affected)`);
+        }
+        return true;
+    } catch (err) {
+        log('red', err.code === 'ECANCEL' ? 'Query cancelled.' : `Error: ${err.message}`);
+        return false;
+    } finally {
+        if (timing) {
+            log('dim', `Time: ${Date.now() - startTime}ms`);
+        }
+    }
+}
+
 async function cmdInteractive() {
     if (!await connect()) return;
+    session = true;
     
     log('cyan', 'MICS SQL Server Interactive Mode');
     log('dim', `Connected to: ${sqlConfig.database}@${sqlConfig.server}`);
-    log('dim', 'Type SQL queries ending with ; or use commands:');
-    log('dim', '  \\q       - Quit');
-    log('dim', '  \\d       - List tables');
-    log('dim', '  \\d <tbl> - Describe table');
-    console.log('');
+    log('dim', 'Type SQL queries ending with ; or \\? for commands. Ctrl-C cancels a running query.');
+    log('dim', '');
+    
+    // Completion names load in the background; Tab completes commands until then
+    let names = null;
+    loadCompletionNames()
+        .then(loaded => { names = loaded; })
+        .catch(err => log('yellow', `Tab completion unavailable: ${err.message}`));
     
+    const mainPrompt = `${sqlConfig.database}> `;
     const rl = readline.createInterface({
         input: process.stdin,
-        output: process.stdout,
-        prompt: `${sqlConfig.database}> `
+        // Prompts stay out of results written to stdout
+        output: output && !output.file ? process.stderr : process.stdout,
+        prompt: mainPrompt,
+        history: loadHistory(),
+        historySize: HISTORY_SIZE,
+        removeHistoryDuplicates: true,
+        completer: line => completeLine(line, names)
     });
     
-    let currentQuery = '';
+    const baseOutput = output;
+    const state = { timing: false, buffer: '', queryCount: 0, closing: false };
     
-    rl.on('line', async (input) => {
-        const line = input.trim();
-        
-        if (line === '\\q') {
-            await disconnect();
-            rl.close();
-            return;
+    async function redirect(file) {
+        if (output !== baseOutput) {
+            await output.close();
         }
-        
-        if (line === '\\d') {
-            const result = await sql.query`
-                SELECT TOP 50 SCHEMA_NAME(schema_id) + '.' + name AS TableName
-                FROM sys.tables ORDER BY name
-            `;
-            result.recordset.forEach(r => console.log(r.TableName));
-            rl.prompt();
-            return;
+        output = baseOutput;
+        if (file) {
+            output = resultWriter.createOutput({ format: baseOutput ? baseOutput.format : 'table', out: file, multi: true });
+            log('dim', `Query results go to ${output.file}`);
+        } else {
+            log('dim', 'Query results go to the terminal');
         }
-        
-        if (line.startsWith('\\d ')) {
-            const tableName = line.substring(3).trim();
-            await showTableStructure(tableName);
-            rl.prompt();
+    }
+    
+    async function runScriptFile(file, vars) {
+        const fullPath = path.resolve(file);
+        const batches = loadBatches(fs.readFileSync(fullPath, 'utf8'), sqlConfig.database);
+        // Same sqlcmd-style $(name) tokens as execute-sql-script.js --var
+        const missing = applyVariables(batches, vars);
+        if (missing.length > 0) {
+            log('red', `No value for ${missing.map(n => `$(${n})`).join(', ')}; nothing was run.`);
+            log('dim', `Give them after the file: \\i ${file} ${missing.map(n => `${n}=...`).join(' ')}`);
             return;
         }
-        
-        if (line.endsWith(';')) {
-            currentQuery += ' ' + line;
-            try {
-                const result = await sql.query(currentQuery);
-                if (result.recordset && result.recordset.length > 0) {
-                    console.table(result.recordset);
+        log('dim', `Running ${batches.length} batches from ${fullPath}`);
+        for (const batch of batches) {
+            for (let run = 0; run < batch.repeat; run++) {
+                const title = `Query ${++state.queryCount}`;
+                if (!await runShellQuery(batch.text, title, state.timing)) {
+                    log('red', `Stopped at batch ${batch.number} (line ${batch.line}).`);
+                    return;
+                }
+            }
+        }
+    }
+    
+    async function runShellCommand(line) {
+        const [command, ...rest] = line.split(/\s+/);
+        const argument = rest.join(' ');
+        switch (command) {
+            case '\\q':
+                rl.close();
+                break;
+            case '\\?':
+                SHELL_HELP.forEach(([name, text]) => console.log(`  ${name.padEnd(34)}${text}`));
+                break;
+            case '\\d':
+                if (argument) {
+                    await showTableStructure(argument);
                 } else {
-                    console.log(`OK (${result.rowsAffected || 0} rows affected)`);
+                    const result = await sql.query`
+                        SELECT TOP 50 SCHEMA_NAME(schema_id) + '.' + name AS TableName
+                        FROM sys.tables ORDER BY name
+                    `;
+                    result.recordset.forEach(r => console.log(r.TableName));
                 }
-            } catch (err) {
-                log('red', `Error: ${err.message}`);
+                break;
+            case '\\procs':
+                await cmdProcs(argument || null);
+                break;
+            case '\\compare': {
+                const schemaArg = rest.indexOf('--schema');
+                await cmdCompare(rest[0] && !rest[0].startsWith('--') ? rest[0] : null,
+                    schemaArg !== -1 ? rest[schemaArg + 1] : null);
+                break;
             }
-            currentQuery = '';
-            rl.prompt();
+            case '\\x':
+                expandedDisplay = !expandedDisplay;
+                log('dim', `Expanded display is ${expandedDisplay ? 'on' : 'off'}.`);
+                break;
+            case '\\timing':
+                state.timing = !state.timing;
+                log('dim', `Timing is ${state.timing ? 'on' : 'off'}.`);
+                break;
+            case '\\o':
+                await redirect(argument || null);
+                break;
+            case '\\i': {
+                // Trailing name=value words are $(name) values; the rest is the file
+                const vars = {};
+                const words = [...rest];
+                let match;
+                while (words.length > 1 && (match = /^([A-Za-z_]\w*)=(.*)$/s.exec(words[words.length - 1]))) {
+                    vars[match[1]] = match[2];
+                    words.pop();
+                }
+                if (!argument) {
+                    log('red', 'Usage: \\i <file.sql> [name=value ...]');
+                } else {
+                    await runScriptFile(words.join(' '), vars);
+                }
+                break;
+            }
+            default:
+                log('red', `Unknown command: ${command} (\\? lists commands)`);
+        }
+    }
+    
+    async function handleLine(input) {
+        const line = input.trim();
+        if (!state.buffer && line.startsWith('\\')) {
+            await runShellCommand(line);
+            return;
+        }
+        if (!line && !state.buffer) {
+            return;
+        }
+        state.buffer += (state.buffer ? '\n' : '') + input;
+        if (line.endsWith(';')) {
+            const sqlText = state.buffer;
+            state.buffer = '';
+            rl.setPrompt(mainPrompt);
+            await runShellQuery(sqlText, `Query ${++state.queryCount}`, state.timing);
         } else {
-            currentQuery += ' ' + line;
             rl.setPrompt('... ');
+        }
+    }
+    
+    // One line at a time, in order, even while a query is still running
+    let queue = Promise.resolve();
+    rl.on('line', input => {
+        queue = queue
+            .then(() => handleLine(input))
+            .catch(err => log('red', `Error: ${err.message}`))
+            .then(() => {
+                if (!state.closing) rl.prompt();
+            });
+    });
+    
+    rl.on('SIGINT', () => {
+        if (activeRequest) {
+            log('yellow', 'Cancelling...');
+            activeRequest.cancel();
+        } else if (state.buffer || rl.line) {
+            // Drop the typed line and any unfinished query, like psql
+            rl.write(null, { ctrl: true, name: 'e' });
+            rl.write(null, { ctrl: true, name: 'u' });
+            state.buffer = '';
+            rl.setPrompt(mainPrompt);
+            rl.output.write('^C\n');
+            rl.prompt();
+        } else {
+            rl.output.write('\n');
+            log('dim', '(\\q or Ctrl-D to quit)');
             rl.prompt();
         }
     });
     
     rl.on('close', async () => {
+        state.closing = true;
+        await queue;
+        // Piped input has no history; keep the file as it is
+        if (rl.terminal) saveHistory(rl.history);
+        if (output !== baseOutput) await output.close();
+        if (baseOutput) await baseOutput.close();
+        session = false;
         await disconnect();
         console.log('\nGoodbye!');
         process.exit(0);
@@ -715,19 +1396,53 @@ ${colors.bright}Stored Procedures:${colors.reset}
   proc <name>             Show procedure definition
 
 ${colors.bright}Comparison:${colors.reset}
-  compare <type>          Compare archive def vs actual table
-                          Types: FT_SITE, FT_ANTE, FE_SITE, etc.
+  compare <type|all> [--schema X]
+                          Compare archive DDL (all *-archive-capture scripts)
+                          vs every matching table: names, types, lengths,
+                          nullability. Types: FT_SITE, TT_CHAN, FE_SITE, etc.
 
 ${colors.bright}Query:${colors.reset}
   query "<sql>"           Execute ad-hoc SQL query
-  interactive             Interactive query mode (psql-like)
+  interactive             Interactive query mode (psql-like): history, Tab
+                          completion, \\x, \\timing, \\o, \\i, \\procs, \\compare;
+                          Ctrl-C cancels the running query. \\? for help
+  --format <f>            Result format: table (default), csv, tsv, json,
+                          ndjson or markdown. query and interactive stream
+                          rows instead of buffering them (except table)
+  --out <file>            Write results to a file instead of the terminal
+  --allow-write           Let query/interactive run INSERT, UPDATE, DELETE,
+                          DDL, SELECT INTO or EXEC of other procedures, if
+                          the profile has allowWrite. Otherwise they are
+                          blocked and reads run in a rolled-back
+                          READ UNCOMMITTED transaction
+
+${colors.bright}Snapshots:${colors.reset}
+  snapshot [--schema X] [--pattern P] [--out F]
+                          Save tables, columns, keys, indexes and procedures
+                          to JSON (P is a LIKE pattern, e.g. ft_%)
+  --profile <name>        Connection profile (micsprod, test, local or one
+                          from db-profiles.json); see README Configuration
+  --snapshot <file>       Run tables, describe, columns, keys, procs, proc,
+                          count, sample, schemas and compare against a
+                          snapshot file instead of the server
+  schema-diff <old> <new> [--schema X] [--pattern P] [--out F] [--json]
+                          Tables, columns, keys, indexes and procedures that
+                          differ; sides are snapshot files, db:<database> on
+                          this connection or profile:<name>[/<database>].
+                          Exit code 0 = same, 1 = drift, 2 = error
 
 ${colors.bright}Examples:${colors.reset}
   node db-util.js test
+  node db-util.js --profile test tables --schema bmce
+  node db-util.js query "SELECT * FROM bmce.ft_f3268_site" --format csv --out site.csv
   node db-util.js sample _site
   node db-util.js describe dbo.ft_myproj_site
   node db-util.js compare FT_SITE
   node db-util.js count fe_
+  node db-util.js snapshot --schema bmce --pattern ft_% --out bmce-ft.json
+  node db-util.js --snapshot bmce-ft.json describe bmce.ft_f3268_site
+  node db-util.js schema-diff schema-2026-01.json db:micsprod --schema bmce
+  node db-util.js schema-diff profile:micsprod profile:test --pattern ft_%
 `);
 }
 
@@ -737,13 +1452,72 @@ ${colors.bright}Examples:${colors.reset}
 
 async function main() {
     const args = process.argv.slice(2);
-    const command = args[0];
+    
+    try {
+        profileName = dbConfig.takeProfileArg(args);
+    } catch (err) {
+        log('red', err.message);
+        return;
+    }
+    
+    const allowWriteArg = args.indexOf('--allow-write');
+    if (allowWriteArg !== -1) {
+        args.splice(allowWriteArg, 1);
+        allowWrite = true;
+    }
+    
+    const snapshotArg = args.indexOf('--snapshot');
+    if (snapshotArg !== -1) {
+        const snapshotFile = args[snapshotArg + 1];
+        if (!snapshotFile) {
+            log('red', 'Usage: db-util.js --snapshot <file> <command>');
+            return;
+        }
+        args.splice(snapshotArg, 2);
+        snapshot = schemaSnapshot.loadSnapshot(path.resolve(snapshotFile));
+    }
+    
+    // --format/--out may come before the command
+    let commandIndex = 0;
+    while (['--format', '--out'].includes(args[commandIndex])) {
+        commandIndex += 2;
+    }
+    const command = args[commandIndex];
+    if (commandIndex > 0 && command) {
+        args.splice(commandIndex, 1);
+        args.unshift(command);
+    }
+    
+    if (!OWN_OUTPUT_COMMANDS.includes(command)) {
+        const format = optionValue(args, '--format') || 'table';
+        const out = optionValue(args, '--out');
+        ['--format', '--out'].forEach(name => {
+            const index = args.indexOf(name);
+            if (index !== -1) args.splice(index, 2);
+        });
+        if (format !== 'table' || out) {
+            try {
+                output = resultWriter.createOutput({ format, out, multi: MULTI_SET_COMMANDS.includes(command) });
+            } catch (err) {
+                log('red', err.message);
+                return;
+            }
+        }
+    }
     
     if (!command || command === 'help' || command === '--help' || command === '-h') {
         showHelp();
         return;
     }
     
+    if (snapshot) {
+        if (LIVE_ONLY_COMMANDS.includes(command)) {
+            log('red', `'${command}' needs a live connection and cannot run with --snapshot.`);
+            return;
+        }
+        log('dim', `Offline: ${snapshot.database || '?'}@${snapshot.server || '?'} snapshot from ${snapshot.capturedAt || 'unknown date'}`);
+    }
+    
     switch (command) {
         case 'test':
             await cmdTest();
@@ -783,7 +1557,9 @@ async function main() {
             await cmdProc(args[1]);
             break;
         case 'compare':
-            await cmdCompare(args[1]);
+            const compareSchemaArg = args.indexOf('--schema');
+            const compareSchemaFilter = compareSchemaArg !== -1 ? args[compareSchemaArg + 1] : null;
+            await cmdCompare(args[1] && !args[1].startsWith('--') ? args[1] : null, compareSchemaFilter);
             break;
         case 'query':
             await cmdQuery(args.slice(1).join(' '));
@@ -791,10 +1567,21 @@ async function main() {
         case 'interactive':
             await cmdInteractive();
             break;
+        case 'snapshot':
+            await cmdSnapshot(args.slice(1));
+            break;
+        case 'schema-diff':
+            await cmdSchemaDiff(args.slice(1));
+            break;
         default:
             log('red', `Unknown command: ${command}`);
             log('dim', 'Use "node db-util.js help" to see available commands.');
     }
+    
+    // Interactive mode closes the output when the session ends
+    if (output && command !== 'interactive') {
+        await output.close();
+    }
 }
 
 main().catch(err => {
@@ -0,0 +1,285 @@
+/**
+ * MICS# Diagram Builder
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Builds graphs from the analysis results and renders them as Mermaid,
+ * PlantUML or Graphviz DOT text. report-generator.js writes the output to
+ * the diagrams/ directory.
+ *
+ * Everything is sorted and no timestamps are emitted, so two runs over the
+ * same source produce byte-identical files and diffs show real changes.
+ */
+
+const FORMATS = {
+    mermaid: { extension: '.mmd', render: renderMermaid },
+    plantuml: { extension: '.puml', render: renderPlantUml },
+    dot: { extension: '.dot', render: renderDot }
+};
+
+/**
+ * Turn any name into an identifier every renderer accepts
+ */
+function nodeId(prefix, name) {
+    return `${prefix}_${name.replace(/[^A-Za-z0-9_]/g, '_')}`;
+}
+
+function byId(a, b) {
+    return a.id.localeCompare(b.id);
+}
+
+function byEdge(a, b) {
+    return a.from.localeCompare(b.from) || a.to.localeCompare(b.to);
+}
+
+function escapeLabel(text) {
+    return String(text).replace(/"/g, '\'');
+}
+
+// =============================================================================
+// GRAPH BUILDERS
+// =============================================================================
+
+/**
+ * Project -> project references
+ * `dependencyData` is what buildDependencyData() in report-generator.js returns.
+ */
+function buildProjectDependencyGraph(dependencyData) {
+    const nodes = new Map();
+    const edges = [];
+
+    const addProject = (name, outputType) => {
+        const id = nodeId('P', name);
+        if (!nodes.has(id) || outputType) {
+            nodes.set(id, { id, label: name, shape: outputType === 'Exe' || outputType === 'WinExe' ? 'rounded' : 'box' });
+        }
+        return id;
+    };
+
+    for (const proj of dependencyData.projects) {
+        const from = addProject(proj.name, proj.outputType || 'Library');
+        for (const dep of proj.dependencies || []) {
+            edges.push({ from, to: addProject(dep), style: 'solid' });
+        }
+    }
+
+    return {
+        title: 'MICS# Project Dependencies',
+        kind: 'dependency',
+        direction: 'LR',
+        nodes: [...nodes.values()].sort(byId),
+        edges: edges.sort(byEdge)
+    };
+}
+
+/**
+ * Split "Base<T>, IFoo, IBar<X, Y>" into base type names without generics
+ */
+function splitBaseTypes(inheritance) {
+    const bases = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of inheritance) {
+        if (ch === '<' || ch === '(') depth++;
+        else if (ch === '>' || ch === ')') depth--;
+        if (ch === ',' && depth === 0) {
+            bases.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    bases.push(current);
+    return bases
+        .map(b => b.replace(/<.*$/s, '').replace(/^global::/, '').trim())
+        .map(b => b.substring(b.lastIndexOf('.') + 1))
+        .filter(b => b.length > 0);
+}
+
+/**
+ * Class/interface inheritance trees from results.classes[].inheritance
+ */
+function buildInheritanceGraph(classes) {
+    const nodes = new Map();
+    const edges = new Map();
+    const interfaces = new Set(classes.filter(c => c.type === 'interface').map(c => c.name));
+
+    const addType = (name, kind) => {
+        const id = nodeId('T', name);
+        const existing = nodes.get(id);
+        if (!existing || (kind && existing.kind === 'external')) {
+            nodes.set(id, { id, label: name, kind: kind || 'external' });
+        }
+        return id;
+    };
+
+    for (const cls of classes) {
+        if (!cls.inheritance || cls.type === 'enum') continue;
+        const child = addType(cls.name, cls.type);
+        splitBaseTypes(cls.inheritance).forEach((base, index) => {
+            // Structs and interfaces can only inherit interfaces; for classes,
+            // only the first base can be a class.
+            const isInterface = interfaces.has(base) || cls.type === 'interface' || cls.type === 'struct' ||
+                index > 0 || /^I[A-Z]/.test(base);
+            const parent = addType(base, interfaces.has(base) ? 'interface' : null);
+            const key = `${parent}|${child}`;
+            edges.set(key, { from: parent, to: child, style: isInterface ? 'implements' : 'inherits' });
+        });
+    }
+
+    return {
+        title: 'MICS# Class Inheritance',
+        kind: 'inheritance',
+        direction: 'BT',
+        nodes: [...nodes.values()].sort(byId),
+        edges: [...edges.values()].sort(byEdge)
+    };
+}
+
+/**
+ * Project -> native DLL boundary, labelled with the number of imported functions
+ */
+function buildPInvokeGraph(pInvokes) {
+    const nodes = new Map();
+    const counts = new Map();
+
+    for (const p of pInvokes) {
+        const from = nodeId('P', p.project);
+        const to = nodeId('DLL', p.dll.toLowerCase());
+        nodes.set(from, { id: from, label: p.project, shape: 'box' });
+        nodes.set(to, { id: to, label: p.dll.toLowerCase(), shape: 'native' });
+        const key = `${from}|${to}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    const edges = [...counts.entries()].map(([key, count]) => {
+        const [from, to] = key.split('|');
+        return { from, to, style: 'solid', label: `${count} function${count === 1 ? '' : 's'}` };
+    });
+
+    return {
+        title: 'MICS# P/Invoke Native Boundary',
+        kind: 'dependency',
+        direction: 'LR',
+        nodes: [...nodes.values()].sort(byId),
+        edges: edges.sort(byEdge)
+    };
+}
+
+// =============================================================================
+// RENDERERS
+// =============================================================================
+
+function renderMermaid(graph) {
+    let out = `%% ${graph.title}\n`;
+
+    if (graph.kind === 'inheritance') {
+        out += `classDiagram\n`;
+        out += `    direction ${graph.direction}\n`;
+        for (const node of graph.nodes) {
+            out += `    class ${node.id}["${escapeLabel(node.label)}"]\n`;
+            if (node.kind === 'interface') {
+                out += `    <<interface>> ${node.id}\n`;
+            } else if (node.kind === 'external') {
+                out += `    <<external>> ${node.id}\n`;
+            }
+        }
+        for (const edge of graph.edges) {
+            out += `    ${edge.from} ${edge.style === 'implements' ? '<|..' : '<|--'} ${edge.to}\n`;
+        }
+        return out;
+    }
+
+    out += `flowchart ${graph.direction}\n`;
+    for (const node of graph.nodes) {
+        const label = escapeLabel(node.label);
+        if (node.shape === 'rounded') out += `    ${node.id}(["${label}"])\n`;
+        else if (node.shape === 'native') out += `    ${node.id}[["${label}"]]\n`;
+        else out += `    ${node.id}["${label}"]\n`;
+    }
+    for (const edge of graph.edges) {
+        const label = edge.label ? `|${escapeLabel(edge.label)}|` : '';
+        out += `    ${edge.from} -->${label} ${edge.to}\n`;
+    }
+    return out;
+}
+
+function renderPlantUml(graph) {
+    let out = `@startuml\n`;
+    out += `title ${graph.title}\n`;
+    if (graph.direction === 'LR') {
+        out += `left to right direction\n`;
+    }
+
+    if (graph.kind === 'inheritance') {
+        for (const node of graph.nodes) {
+            const keyword = node.kind === 'interface' ? 'interface' : 'class';
+            const stereotype = node.kind === 'external' ? ' <<external>>' : '';
+            out += `${keyword} "${escapeLabel(node.label)}" as ${node.id}${stereotype}\n`;
+        }
+        for (const edge of graph.edges) {
+            out += `${edge.from} ${edge.style === 'implements' ? '<|..' : '<|--'} ${edge.to}\n`;
+        }
+    } else {
+        for (const node of graph.nodes) {
+            const keyword = node.shape === 'native' ? 'node' : 'component';
+            out += `${keyword} "${escapeLabel(node.label)}" as ${node.id}\n`;
+        }
+        for (const edge of graph.edges) {
+            out += `${edge.from} --> ${edge.to}${edge.label ? ` : ${escapeLabel(edge.label)}` : ''}\n`;
+        }
+    }
+
+    out += `@enduml\n`;
+    return out;
+}
+
+function renderDot(graph) {
+    let out = `// ${graph.title}\n`;
+    out += `digraph G {\n`;
+    out += `    rankdir=${graph.direction};\n`;
+    out += `    node [fontname="Helvetica", fontsize=10];\n`;
+
+    for (const node of graph.nodes) {
+        let attrs = `label="${escapeLabel(node.label)}"`;
+        if (node.shape === 'rounded') attrs += ', shape=box, style=rounded';
+        else if (node.shape === 'native') attrs += ', shape=component';
+        else if (node.kind === 'interface') attrs += ', shape=box, style=dashed';
+        else if (node.kind === 'external') attrs += ', shape=box, color=gray';
+        else attrs += ', shape=box';
+        out += `    ${node.id} [${attrs}];\n`;
+    }
+    for (const edge of graph.edges) {
+        const attrs = [];
+        if (edge.label) attrs.push(`label="${escapeLabel(edge.label)}"`);
+        if (edge.style === 'inherits') attrs.push('arrowhead=empty');
+        if (edge.style === 'implements') attrs.push('arrowhead=empty', 'style=dashed');
+        // Inheritance arrows point from child to parent
+        const [from, to] = graph.kind === 'inheritance' ? [edge.to, edge.from] : [edge.from, edge.to];
+        out += `    ${from} -> ${to}${attrs.length > 0 ? ` [${attrs.join(', ')}]` : ''};\n`;
+    }
+
+    out += `}\n`;
+    return out;
+}
+
+/**
+ * Render a graph in every requested format.
+ * Returns [{ name, content }] with file names like `${baseName}.mmd`.
+ */
+function renderGraph(baseName, graph, formats) {
+    return formats
+        .filter(format => FORMATS[format])
+        .map(format => ({
+            name: baseName + FORMATS[format].extension,
+            content: FORMATS[format].render(graph)
+        }));
+}
+
+module.exports = {
+    FORMATS,
+    buildProjectDependencyGraph,
+    buildInheritanceGraph,
+    buildPInvokeGraph,
+    renderGraph
+};
@@ -1,105 +1,440 @@
 #!/usr/bin/env node
 /**
  * execute-sql-script.js
- * 
+ *
  * Executes a SQL script file against the configured database.
- * Handles GO batch separators properly.
- * 
- * Usage: node execute-sql-script.js <script-path>
+ * Handles GO batch separators properly: a GO line inside a comment or a
+ * string literal does not split the batch, and "GO n" runs the batch n times.
+ *
+ * Usage: node execute-sql-script.js <script-path> [options]
+ *
+ *   --dry-run           Print the batches (after substitutions) without connecting
+ *   --stop-on-error     Stop at the first failing batch
+ *   --transaction       Run all batches in one transaction; roll back on failure
+ *   --from <n>          First batch to run (1-based, as numbered by --dry-run)
+ *   --to <n>            Last batch to run
+ *   --var <name=value>  Value for a sqlcmd-style $(name) token (repeatable)
+ *   --profile <name>    Connection profile from db-config.js
+ *
+ * "USE [YourDatabase];" is replaced with the configured database.
  */
 
 const sql = require('mssql');
 const fs = require('fs');
 const path = require('path');
-const { sqlConfig } = require('./db-config');
+const dbConfig = require('./db-config');
+
+// A batch separator line: GO, optional repeat count, optional -- comment
+const GO_LINE = /^[ \t]*GO(?:[ \t]+(\d+))?[ \t]*(?:--.*)?\r?$/i;
+
+// =============================================================================
+// BATCH SPLITTING
+// =============================================================================
+
+/**
+ * Split a script into batches: [{ number, text, line, repeat }].
+ * GO must be alone on its line (sqlcmd rules); lines inside block comments
+ * (which nest), string literals and quoted identifiers are never separators.
+ * Batches holding only comments are dropped.
+ */
+function splitBatches(content) {
+    const batches = [];
+    let start = 0;
+    let startLine = 1;
+    let hasCode = false;
+    let atLineStart = true;
+    let line = 1;
+    let i = 0;
+
+    const pushBatch = (end, repeat) => {
+        if (!hasCode) return;
+        const raw = content.substring(start, end);
+        const leading = raw.match(/^\s*/)[0];
+        batches.push({
+            number: batches.length + 1,
+            text: raw.trim(),
+            line: startLine + (leading.match(/\n/g) || []).length,
+            repeat
+        });
+    };
+
+    // Skip a quoted section starting at i; close doubled is an escape
+    const skipQuoted = (close) => {
+        let k = i + 1;
+        while (k < content.length) {
+            if (content[k] === close && content[k + 1] === close) {
+                k += 2;
+            } else if (content[k] === close) {
+                break;
+            } else {
+                if (content[k] === '\n') line++;
+                k++;
+            }
+        }
+        i = k + 1;
+    };
+
+    while (i < content.length) {
+        if (atLineStart) {
+            atLineStart = false;
+            const newline = content.indexOf('\n', i);
+            const end = newline === -1 ? content.length : newline;
+            const match = GO_LINE.exec(content.substring(i, end));
+            if (match) {
+                pushBatch(i, match[1] ? Math.max(1, parseInt(match[1], 10)) : 1);
+                i = end + 1;
+                line++;
+                start = i;
+                startLine = line;
+                hasCode = false;
+                atLineStart = true;
+                continue;
+            }
+        }
+
+        const ch = content[i];
+        const next = content[i + 1];
+        if (ch === '\n') {
+            line++;
+            i++;
+            atLineStart = true;
+        } else if (ch === '-' && next === '-') {
+            const newline = content.indexOf('\n', i);
+            i = newline === -1 ? content.length : newline;
+        } else if (ch === '/' && next === '*') {
+            let depth = 0;
+            while (i < content.length) {
+                if (content[i] === '/' && content[i + 1] === '*') {
+                    depth++;
+                    i += 2;
+                } else if (content[i] === '*' && content[i + 1] === '/') {
+                    depth--;
+                    i += 2;
+                    if (depth === 0) break;
+                } else {
+                    if (content[i] === '\n') line++;
+                    i++;
+                }
+            }
+        } else if (ch === '\'' || ch === '"') {
+            hasCode = true;
+            skipQuoted(ch);
+        } else if (ch === '[') {
+            hasCode = true;
+            skipQuoted(']');
+        } else {
+            if (!/\s/.test(ch)) hasCode = true;
+            i++;
+        }
+    }
+    pushBatch(content.length, 1);
+
+    return batches;
+}
+
+/**
+ * Replace sqlcmd-style $(name) tokens. Returns { text, missing }.
+ */
+function substituteVariables(text, vars) {
+    const missing = new Set();
+    const result = text.replace(/\$\(([A-Za-z_][\w]*)\)/g, (token, name) => {
+        const key = Object.keys(vars).find(k => k.toLowerCase() === name.toLowerCase());
+        if (key === undefined) {
+            missing.add(name);
+            return token;
+        }
+        return vars[key];
+    });
+    return { text: result, missing };
+}
+
+/**
+ * Script text -> batches, with the USE [YourDatabase] placeholder replaced
+ * by `database`
+ */
+function loadBatches(content, database) {
+    return splitBatches(content.replace(
+        /USE \[YourDatabase\];/gi,
+        `USE [${database}];`
+    ));
+}
+
+/**
+ * Fill $(var) tokens in the batches; returns the names that had no value
+ */
+function applyVariables(batches, vars) {
+    const missing = new Set();
+    for (const batch of batches) {
+        const result = substituteVariables(batch.text, vars);
+        batch.text = result.text;
+        result.missing.forEach(name => missing.add(name));
+    }
+    return [...missing];
+}
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+function parseArgs(argv) {
+    const options = {
+        scriptPath: null,
+        dryRun: false,
+        stopOnError: false,
+        transaction: false,
+        from: null,
+        to: null,
+        profile: null,
+        vars: {}
+    };
+
+    const value = (i) => {
+        if (i + 1 >= argv.length) {
+            throw new Error(`Missing value for ${argv[i]}`);
+        }
+        return argv[i + 1];
+    };
+    const batchNumber = (i) => {
+        const n = parseInt(value(i), 10);
+        if (!Number.isInteger(n) || n < 1 || String(n) !== value(i).trim()) {
+            throw new Error(`${argv[i]} expects a batch number (1 or more), got "${value(i)}"`);
+        }
+        return n;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--stop-on-error') {
+            options.stopOnError = true;
+        } else if (arg === '--transaction') {
+            options.transaction = true;
+        } else if (arg === '--from' || arg === '--to') {
+            options[arg.substring(2)] = batchNumber(i++);
+        } else if (arg === '--profile') {
+            options.profile = value(i++);
+        } else if (arg === '--var') {
+            const match = /^([A-Za-z_]\w*)=(.*)$/s.exec(value(i++));
+            if (!match) {
+                throw new Error(`--var expects name=value, got "${argv[i]}"`);
+            }
+            options.vars[match[1]] = match[2];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (!options.scriptPath) {
+            options.scriptPath = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (options.from !== null && options.to !== null && options.from > options.to) {
+        throw new Error(`--from ${options.from} is after --to ${options.to}`);
+    }
+    return options;
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+function printDryRun(selected, total) {
+    for (const batch of selected) {
+        const repeat = batch.repeat > 1 ? `, runs ${batch.repeat} times` : '';
+        console.log(`-- [${batch.number}/${total}] line ${batch.line}${repeat}`);
+        console.log(batch.text);
+        console.log('GO' + (batch.repeat > 1 ? ` ${batch.repeat}` : ''));
+        console.log('');
+    }
+    console.log(`Dry run: ${selected.length} of ${total} batches shown, nothing executed.`);
+}
+
+/**
+ * Run batches over the open connection (or `transaction`), one output line
+ * per execution. Returns { successCount, errorCount, runCount, firstError }.
+ */
+async function runBatches(batches, { total = batches.length, transaction = null, stopOnError = false, indent = '' } = {}) {
+    let successCount = 0;
+    let errorCount = 0;
+    let runCount = 0;
+    let firstError = null;
+
+    for (const batch of batches) {
+        const preview = batch.text.substring(0, 80).replace(/\n/g, ' ').trim();
+        runCount++;
+
+        for (let n = 1; n <= batch.repeat; n++) {
+            const repeat = batch.repeat > 1 ? ` (${n}/${batch.repeat})` : '';
+            process.stdout.write(`${indent}[${batch.number}/${total}]${repeat} ${preview}...`);
+
+            try {
+                const request = transaction ? new sql.Request(transaction) : new sql.Request();
+                await request.batch(batch.text);
+                console.log(' OK');
+                successCount++;
+            } catch (err) {
+                console.log(` ERROR (line ${batch.line}): ${err.message}`);
+                errorCount++;
+                firstError = firstError || `batch ${batch.number} (line ${batch.line}): ${err.message}`;
+                if (stopOnError) {
+                    return { successCount, errorCount, runCount, firstError };
+                }
+            }
+        }
+    }
+    return { successCount, errorCount, runCount, firstError };
+}
+
+async function executeSqlScript(options) {
+    const fullPath = path.resolve(options.scriptPath);
+
+    // A dry run only needs the database name, so it never prompts
+    let sqlConfig;
+    try {
+        sqlConfig = options.dryRun
+            ? dbConfig.loadProfile(options.profile).settings
+            : await dbConfig.resolveSqlConfig(options.profile);
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
 
-async function executeSqlScript(scriptPath) {
-    const fullPath = path.resolve(scriptPath);
-    
     console.log('='.repeat(70));
     console.log('SQL Script Executor');
     console.log('='.repeat(70));
     console.log(`Script: ${fullPath}`);
     console.log(`Database: ${sqlConfig.database}`);
-    console.log(`Server: ${sqlConfig.server}`);
+    console.log(`Server: ${sqlConfig.server || '(not set)'}`);
+    const modes = [
+        options.dryRun && 'dry run',
+        options.transaction && 'single transaction',
+        options.stopOnError && 'stop on error'
+    ].filter(Boolean);
+    if (modes.length > 0) {
+        console.log(`Mode: ${modes.join(', ')}`);
+    }
     console.log('');
-    
+
     if (!fs.existsSync(fullPath)) {
         console.error(`Error: File not found: ${fullPath}`);
         process.exit(1);
     }
-    
+
     const scriptContent = fs.readFileSync(fullPath, 'utf8');
-    
-    // Split by GO statements (case insensitive, on its own line)
-    // Replace the USE statement placeholder
-    const modifiedContent = scriptContent.replace(
-        /USE \[YourDatabase\];/gi, 
-        `USE [${sqlConfig.database}];`
-    );
-    
-    // Split into batches by GO
-    const batches = modifiedContent
-        .split(/^\s*GO\s*$/gim)
-        .map(b => b.trim())
-        .filter(b => b.length > 0 && !/^--[^\n]*$/.test(b));  // Remove empty and pure single-line comment batches
-    
-    console.log(`Found ${batches.length} batches to execute.\n`);
-    
+
+    // Replace the USE placeholder and split into batches by GO
+    const batches = loadBatches(scriptContent, sqlConfig.database);
+    const from = options.from || 1;
+    const to = Math.min(options.to || batches.length, batches.length);
+    const selected = batches.filter(b => b.number >= from && b.number <= to);
+
+    console.log(`Found ${batches.length} batches.`);
+    if (selected.length === 0) {
+        console.error(`Error: --from ${from} is past the last batch (${batches.length})`);
+        process.exit(1);
+    }
+    if (selected.length < batches.length) {
+        console.log(`Running batches ${from}-${to}.`);
+    }
+    console.log('');
+
+    // Fill in $(var) tokens
+    const missing = applyVariables(selected, options.vars);
+    if (missing.length > 0) {
+        console.error(`Error: No value for ${missing.map(n => `$(${n})`).join(', ')}; pass --var name=value`);
+        process.exit(1);
+    }
+
+    if (options.dryRun) {
+        printDryRun(selected, batches.length);
+        return;
+    }
+
+    let transaction = null;
     try {
         await sql.connect(sqlConfig);
         console.log('Connected to database.\n');
-        
-        let successCount = 0;
-        let errorCount = 0;
-        
-        for (let i = 0; i < batches.length; i++) {
-            const batch = batches[i];
-            const preview = batch.substring(0, 80).replace(/\n/g, ' ').trim();
-            
-            process.stdout.write(`[${i + 1}/${batches.length}] ${preview}...`);
-            
-            try {
-                const request = new sql.Request();
-                await request.batch(batch);
-                console.log(' OK');
-                successCount++;
-            } catch (err) {
-                console.log(` ERROR: ${err.message}`);
-                errorCount++;
-                // Continue with next batch
+
+        if (options.transaction) {
+            transaction = new sql.Transaction();
+            await transaction.begin();
+            console.log('Transaction started.\n');
+        }
+
+        const { successCount, errorCount, runCount } = await runBatches(selected, {
+            total: batches.length,
+            transaction,
+            // Continue with next batch unless asked to stop
+            stopOnError: options.stopOnError || options.transaction
+        });
+
+        if (transaction) {
+            if (errorCount === 0) {
+                await transaction.commit();
+                console.log('\nTransaction committed.');
+            } else {
+                try {
+                    await transaction.rollback();
+                } catch (err) {
+                    // The server may already have aborted it (XACT_ABORT, severe errors)
+                }
+                console.log('\nTransaction rolled back; no changes from this run were kept.');
             }
         }
-        
+
         console.log('\n' + '='.repeat(70));
         console.log('SUMMARY');
         console.log('='.repeat(70));
         console.log(`Successful: ${successCount}`);
         console.log(`Errors: ${errorCount}`);
-        console.log(`Total: ${batches.length}`);
-        
+        if (runCount < selected.length) {
+            console.log(`Not run: ${selected.length - runCount}`);
+        }
+        console.log(`Total: ${selected.length}`);
+
         if (errorCount === 0) {
             console.log('\nScript executed successfully!');
         } else {
             console.log('\nScript completed with errors. Review output above.');
+            process.exitCode = 1;
         }
-        
+
     } catch (err) {
         console.error('Fatal error:', err.message);
-        process.exit(1);
+        process.exitCode = 1;
     } finally {
         await sql.close();
     }
 }
 
 // Main
-const scriptPath = process.argv[2];
-if (!scriptPath) {
-    console.log('Usage: node execute-sql-script.js <script-path>');
-    console.log('');
-    console.log('Example:');
-    console.log('  node execute-sql-script.js ../notes/shared/scripts/tt-archive-capture/00_create_schema_and_archive_tables.sql');
-    process.exit(1);
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
+    if (!options.scriptPath) {
+        console.log('Usage: node execute-sql-script.js <script-path> [--dry-run] [--stop-on-error] [--transaction]');
+        console.log('                                  [--from <n>] [--to <n>] [--var name=value ...] [--profile <name>]');
+        console.log('');
+        console.log('Example:');
+        console.log('  node execute-sql-script.js ../notes/shared/scripts/tt-archive-capture/00_create_schema_and_archive_tables.sql');
+        console.log('  node execute-sql-script.js ../notes/shared/scripts/tt-archive-capture/02_create_drop_trigger.sql --dry-run');
+        console.log('  node execute-sql-script.js setup.sql --transaction --var Schema=bmce --from 3');
+        process.exit(1);
+    }
+
+    executeSqlScript(options);
 }
 
-executeSqlScript(scriptPath);
+module.exports = {
+    splitBatches,
+    substituteVariables,
+    loadBatches,
+    applyVariables,
+    runBatches
+};
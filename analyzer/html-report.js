@@ -0,0 +1,376 @@
+/**
+ * MICS# HTML Report
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Builds a single self-contained HTML page (no CDN, works offline) from the
+ * analysis results: sortable/filterable tables for projects, classes,
+ * methods, P/Invokes and TODOs, file links into the source tree and an SVG
+ * project dependency graph. report-generator.js writes it to reports/index.html
+ * next to the markdown reports.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * JSON that is safe to embed inside a <script> element
+ */
+function embedJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Reduce the results to the columns the tables show
+ */
+function buildTableData(results) {
+    return {
+        projects: results.projects.map(p => ({
+            name: p.name,
+            type: p.outputType || 'Unknown',
+            framework: p.framework || '?',
+            dependencies: (p.dependencies || []).join(', '),
+            sourceFiles: p.sourceFileCount || 0,
+            file: p.relativePath || null
+        })),
+        classes: results.classes.map(c => ({
+            type: c.type,
+            name: c.containingType ? `${c.containingType}.${c.name}` : c.name,
+            namespace: c.namespace || '',
+            inheritance: c.inheritance || '',
+            project: c.project,
+            file: c.file,
+            line: c.startLine || null
+        })),
+        methods: results.methods.map(m => ({
+            name: m.name,
+            type: m.containingType || '',
+            parameters: m.parameters,
+            returns: m.returnType || '',
+            complexity: typeof m.complexity === 'number' ? m.complexity : null,
+            lines: typeof m.lineSpan === 'number' ? m.lineSpan : null,
+            project: m.project,
+            file: m.file,
+            line: m.startLine || null
+        })),
+        pInvokes: results.pInvokes.map(p => ({
+            dll: p.dll,
+            function: p.function,
+            type: p.containingType || '',
+            calls: typeof p.callSites === 'number' ? p.callSites : null,
+            risks: (p.risks || []).join(', '),
+            project: p.project,
+            file: p.file,
+            line: p.line || null
+        })),
+        todos: results.todos.map(t => ({
+            type: t.type,
+            text: t.text,
+            project: t.project,
+            file: t.file,
+            line: t.line
+        }))
+    };
+}
+
+/**
+ * Lay out the project dependency graph in layers (dependencies on the left)
+ * and return it as an SVG string.
+ */
+function buildDependencySvg(projects) {
+    const deps = {};
+    for (const p of projects) {
+        deps[p.name] = [...new Set(p.dependencies || [])].sort();
+        for (const d of deps[p.name]) {
+            if (!deps[d]) deps[d] = [];
+        }
+    }
+
+    const layer = {};
+    const visiting = new Set();
+    const layerOf = (name) => {
+        if (layer[name] !== undefined) return layer[name];
+        if (visiting.has(name)) return 0; // cycle guard
+        visiting.add(name);
+        const value = deps[name].length === 0 ? 0 : 1 + Math.max(...deps[name].map(layerOf));
+        visiting.delete(name);
+        layer[name] = value;
+        return value;
+    };
+    const names = Object.keys(deps).sort();
+    names.forEach(layerOf);
+
+    const columns = [];
+    for (const name of names) {
+        (columns[layer[name]] = columns[layer[name]] || []).push(name);
+    }
+
+    const nodeWidth = 170;
+    const nodeHeight = 26;
+    const columnGap = 90;
+    const rowGap = 14;
+    const position = {};
+    columns.forEach((column, x) => {
+        (column || []).forEach((name, y) => {
+            position[name] = {
+                x: 10 + x * (nodeWidth + columnGap),
+                y: 10 + y * (nodeHeight + rowGap)
+            };
+        });
+    });
+    const width = 20 + columns.length * (nodeWidth + columnGap);
+    const height = 20 + Math.max(1, ...columns.map(c => (c || []).length)) * (nodeHeight + rowGap);
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" class="graph">\n`;
+    svg += `<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z"/></marker></defs>\n`;
+    for (const name of names) {
+        for (const dep of deps[name]) {
+            const from = position[name];
+            const to = position[dep];
+            svg += `<line class="edge" data-from="${escapeHtml(name)}" data-to="${escapeHtml(dep)}" ` +
+                `x1="${from.x}" y1="${from.y + nodeHeight / 2}" x2="${to.x + nodeWidth}" y2="${to.y + nodeHeight / 2}" marker-end="url(#arrow)"/>\n`;
+        }
+    }
+    for (const name of names) {
+        const { x, y } = position[name];
+        svg += `<g class="node" data-name="${escapeHtml(name)}"><title>${escapeHtml(name)}: ${escapeHtml(deps[name].join(', ') || 'no project references')}</title>` +
+            `<rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="4"/>` +
+            `<text x="${x + 8}" y="${y + 17}">${escapeHtml(name.length > 24 ? name.substring(0, 23) + '…' : name)}</text></g>\n`;
+    }
+    svg += `</svg>`;
+    return svg;
+}
+
+const STYLE = `
+body { font-family: Segoe UI, Helvetica, Arial, sans-serif; margin: 0; color: #222; }
+header { background: #2b4c7e; color: #fff; padding: 12px 20px; }
+header h1 { margin: 0; font-size: 20px; }
+header .meta { font-size: 12px; opacity: 0.8; }
+nav { display: flex; gap: 4px; padding: 8px 20px 0; border-bottom: 1px solid #ccc; background: #f4f6f9; }
+nav button { border: 1px solid #ccc; border-bottom: none; background: #e6e9ef; padding: 6px 14px; cursor: pointer; }
+nav button.active { background: #fff; font-weight: bold; }
+main { padding: 12px 20px; }
+.panel { display: none; }
+.panel.active { display: block; }
+.controls { margin-bottom: 8px; display: flex; gap: 8px; align-items: center; }
+.controls input { padding: 4px 8px; width: 320px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { border: 1px solid #ddd; padding: 3px 6px; text-align: left; vertical-align: top; }
+th { background: #eef1f6; cursor: pointer; user-select: none; position: sticky; top: 0; }
+th.asc::after { content: ' \\25B2'; }
+th.desc::after { content: ' \\25BC'; }
+tr:nth-child(even) td { background: #fafbfc; }
+.count { color: #666; font-size: 12px; }
+.summary td:first-child { font-weight: bold; }
+.graph .node rect { fill: #dfe8f6; stroke: #2b4c7e; }
+.graph .node text { font-size: 11px; }
+.graph .node { cursor: pointer; }
+.graph .node.selected rect { fill: #ffd970; }
+.graph .edge { stroke: #999; stroke-width: 1; }
+.graph .edge.out { stroke: #d9534f; stroke-width: 2; }
+.graph .edge.in { stroke: #2b8a3e; stroke-width: 2; }
+.graph .edge.dim { stroke-opacity: 0.15; }
+marker path { fill: #999; }
+`;
+
+// Client-side table rendering, sorting and filtering (plain DOM, no libraries)
+const SCRIPT = `
+(function () {
+    var data = JSON.parse(document.getElementById('report-data').textContent);
+    var MAX_ROWS = 1000;
+
+    function fileLink(file, line) {
+        if (!file) return document.createTextNode('');
+        var a = document.createElement('a');
+        a.href = data.sourceRoot + file.split(/[\\\\/]/).map(encodeURIComponent).join('/');
+        a.textContent = file + (line ? ':' + line : '');
+        return a;
+    }
+
+    function setupTable(key, columns) {
+        var panel = document.getElementById('panel-' + key);
+        var rows = data.tables[key];
+        var input = panel.querySelector('input');
+        var count = panel.querySelector('.count');
+        var table = panel.querySelector('table');
+        var sortColumn = null;
+        var sortDir = 1;
+
+        var head = document.createElement('tr');
+        columns.forEach(function (col) {
+            var th = document.createElement('th');
+            th.textContent = col.title;
+            th.addEventListener('click', function () {
+                sortDir = sortColumn === col.key ? -sortDir : 1;
+                sortColumn = col.key;
+                head.querySelectorAll('th').forEach(function (h) { h.className = ''; });
+                th.className = sortDir === 1 ? 'asc' : 'desc';
+                render();
+            });
+            head.appendChild(th);
+        });
+        table.createTHead().appendChild(head);
+        var body = table.createTBody();
+
+        function render() {
+            var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+            var visible = rows.filter(function (row) {
+                if (terms.length === 0) return true;
+                var text = columns.map(function (c) { return row[c.key]; }).join(' ').toLowerCase();
+                return terms.every(function (t) { return text.indexOf(t) !== -1; });
+            });
+            if (sortColumn) {
+                visible.sort(function (a, b) {
+                    var x = a[sortColumn], y = b[sortColumn];
+                    if (x === y) return 0;
+                    if (x === null || x === undefined) return 1;
+                    if (y === null || y === undefined) return -1;
+                    if (typeof x === 'number' && typeof y === 'number') return (x - y) * sortDir;
+                    return String(x).localeCompare(String(y)) * sortDir;
+                });
+            }
+            body.innerHTML = '';
+            visible.slice(0, MAX_ROWS).forEach(function (row) {
+                var tr = document.createElement('tr');
+                columns.forEach(function (col) {
+                    var td = document.createElement('td');
+                    if (col.key === 'file') td.appendChild(fileLink(row.file, row.line));
+                    else td.textContent = row[col.key] === null || row[col.key] === undefined ? '' : row[col.key];
+                    tr.appendChild(td);
+                });
+                body.appendChild(tr);
+            });
+            count.textContent = visible.length + ' of ' + rows.length + ' rows' +
+                (visible.length > MAX_ROWS ? ' (first ' + MAX_ROWS + ' shown - refine the filter)' : '');
+        }
+
+        input.addEventListener('input', render);
+        render();
+    }
+
+    setupTable('projects', [
+        { key: 'name', title: 'Project' }, { key: 'type', title: 'Type' }, { key: 'framework', title: 'Framework' },
+        { key: 'dependencies', title: 'Dependencies' }, { key: 'sourceFiles', title: 'Source Files' }, { key: 'file', title: 'Project File' }
+    ]);
+    setupTable('classes', [
+        { key: 'type', title: 'Kind' }, { key: 'name', title: 'Name' }, { key: 'namespace', title: 'Namespace' },
+        { key: 'inheritance', title: 'Inheritance' }, { key: 'project', title: 'Project' }, { key: 'file', title: 'File' }
+    ]);
+    setupTable('methods', [
+        { key: 'type', title: 'Type' }, { key: 'name', title: 'Method' }, { key: 'parameters', title: 'Parameters' },
+        { key: 'returns', title: 'Returns' }, { key: 'complexity', title: 'Complexity' }, { key: 'lines', title: 'Lines' },
+        { key: 'project', title: 'Project' }, { key: 'file', title: 'File' }
+    ]);
+    setupTable('pInvokes', [
+        { key: 'dll', title: 'DLL' }, { key: 'function', title: 'Function' }, { key: 'type', title: 'Declared In' },
+        { key: 'calls', title: 'Call Sites' }, { key: 'risks', title: 'Risks' },
+        { key: 'project', title: 'Project' }, { key: 'file', title: 'File' }
+    ]);
+    setupTable('todos', [
+        { key: 'type', title: 'Type' }, { key: 'text', title: 'Comment' }, { key: 'project', title: 'Project' }, { key: 'file', title: 'File' }
+    ]);
+
+    // Tabs
+    document.querySelectorAll('nav button').forEach(function (button) {
+        button.addEventListener('click', function () {
+            document.querySelectorAll('nav button, .panel').forEach(function (el) { el.classList.remove('active'); });
+            button.classList.add('active');
+            document.getElementById('panel-' + button.getAttribute('data-panel')).classList.add('active');
+        });
+    });
+
+    // Dependency graph: click a project to highlight what it uses (red) and what uses it (green)
+    document.querySelectorAll('.graph .node').forEach(function (node) {
+        node.addEventListener('click', function () {
+            var name = node.getAttribute('data-name');
+            var wasSelected = node.classList.contains('selected');
+            document.querySelectorAll('.graph .node').forEach(function (n) { n.classList.remove('selected'); });
+            document.querySelectorAll('.graph .edge').forEach(function (e) {
+                e.classList.remove('in', 'out', 'dim');
+                if (wasSelected) return;
+                if (e.getAttribute('data-from') === name) e.classList.add('out');
+                else if (e.getAttribute('data-to') === name) e.classList.add('in');
+                else e.classList.add('dim');
+            });
+            if (!wasSelected) node.classList.add('selected');
+        });
+    });
+})();
+`;
+
+/**
+ * Generate the complete HTML page
+ */
+function generateHtmlReport(results, sourceRoot) {
+    const root = sourceRoot || results.micsPath || '.';
+    const data = {
+        sourceRoot: pathToFileURL(path.resolve(root)).href.replace(/\/?$/, '/'),
+        tables: buildTableData(results)
+    };
+    const m = results.metrics;
+
+    const tabs = [
+        { key: 'summary', title: 'Summary' },
+        { key: 'graph', title: 'Dependency Graph' },
+        { key: 'projects', title: `Projects (${results.projects.length})` },
+        { key: 'classes', title: `Classes (${results.classes.length})` },
+        { key: 'methods', title: `Methods (${results.methods.length})` },
+        { key: 'pInvokes', title: `P/Invokes (${results.pInvokes.length})` },
+        { key: 'todos', title: `TODOs (${results.todos.length})` }
+    ];
+
+    let html = `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n`;
+    html += `<title>MICS# Codebase Analysis</title>\n<style>${STYLE}</style>\n</head>\n<body>\n`;
+    html += `<header><h1>MICS# Codebase Analysis</h1>`;
+    html += `<div class="meta">Source: ${escapeHtml(root)} &middot; Analyzed: ${escapeHtml(results.timestamp)} &middot; Generated: ${escapeHtml(new Date().toISOString())}</div></header>\n`;
+
+    html += `<nav>${tabs.map((t, i) => `<button data-panel="${t.key}"${i === 0 ? ' class="active"' : ''}>${escapeHtml(t.title)}</button>`).join('')}</nav>\n<main>\n`;
+
+    html += `<section class="panel active" id="panel-summary"><table class="summary" style="width:auto">\n`;
+    const summaryRows = [
+        ['Total Projects', m.totalProjects],
+        ['Source Files', m.totalFiles],
+        ['Total Lines of Code', m.totalLines.toLocaleString()],
+        ['Classes/Structs/Interfaces', m.totalClasses],
+        ['Methods', m.totalMethods],
+        ['P/Invoke Declarations', m.totalPInvokes],
+        ['TODO/FIXME Comments', m.totalTodos],
+        ['Analysis Errors', results.errors.length]
+    ];
+    if (m.maxComplexity) {
+        summaryRows.push(['Average / Max Method Complexity', `${m.averageComplexity} / ${m.maxComplexity}`]);
+    }
+    for (const [label, value] of summaryRows) {
+        html += `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>\n`;
+    }
+    html += `</table></section>\n`;
+
+    html += `<section class="panel" id="panel-graph"><p class="count">Project references point from a project to what it uses. Click a project to highlight its references.</p>\n`;
+    html += buildDependencySvg(results.projects);
+    html += `\n</section>\n`;
+
+    for (const tab of tabs.slice(2)) {
+        html += `<section class="panel" id="panel-${tab.key}"><div class="controls"><input type="search" placeholder="Filter (all words must match)"><span class="count"></span></div><table></table></section>\n`;
+    }
+
+    html += `</main>\n`;
+    html += `<script type="application/json" id="report-data">${embedJson(data)}</script>\n`;
+    html += `<script>${SCRIPT}</script>\n`;
+    html += `</body>\n</html>\n`;
+    return html;
+}
+
+module.exports = {
+    generateHtmlReport
+};
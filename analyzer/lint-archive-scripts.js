@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+/**
+ * MICS Archive Script Linter
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Static checks for the hand-maintained archive capture scripts
+ * (notes/shared/scripts/*-archive-capture/*.sql). Runs without a database.
+ *
+ *   inserts     INSERT INTO tsip_archive.Archive* column lists against the
+ *               CREATE TABLE DDL: column and value counts, unknown and
+ *               duplicate columns, table order, NOT NULL columns never filled
+ *   references  every tsip_archive.* object a script uses is created by one
+ *               of the scripts
+ *   batches     GO on a line of its own (and never inside a string),
+ *               CREATE TRIGGER/PROCEDURE/FUNCTION/VIEW first in its batch
+ *               with nothing after the body, variables declared in the batch
+ *               that uses them
+ *   triggers    every trigger created is dropped by a cleanup script and
+ *               disabled/enabled by the disable/enable scripts
+ *
+ * Usage: node lint-archive-scripts.js [--scripts <dir>] [--json <file>] [--strict]
+ * Exits with 1 on errors (and on warnings with --strict).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const ddlParser = require('./sql-ddl-parser');
+const archiveDefinitions = require('./archive-definitions');
+
+const { isWord, isPunct } = ddlParser;
+
+// Objects that must be the first statement of a batch
+const BATCH_FIRST_OBJECTS = new Set(['TRIGGER', 'PROCEDURE', 'PROC', 'FUNCTION', 'VIEW', 'SCHEMA']);
+
+// Objects a script can create in the tsip_archive schema
+const CREATED_OBJECTS = new Set(['TABLE', 'VIEW', 'FUNCTION', 'PROCEDURE', 'PROC', 'TRIGGER', 'TYPE', 'SEQUENCE', 'SYNONYM']);
+
+// BEGIN that opens no block
+const BEGIN_WITHOUT_END = new Set(['TRAN', 'TRANSACTION', 'DISTRIBUTED', 'DIALOG', 'CONVERSATION']);
+
+// Statement words that end a DECLARE list
+const STATEMENT_WORDS = new Set([
+    'SELECT', 'SET', 'IF', 'WHILE', 'BEGIN', 'END', 'EXEC', 'EXECUTE', 'PRINT', 'INSERT', 'UPDATE',
+    'DELETE', 'RETURN', 'DECLARE', 'OPEN', 'FETCH', 'CLOSE', 'DEALLOCATE', 'DROP', 'CREATE', 'ALTER'
+]);
+
+// "@x =" after these words reads or assigns a variable; after anything else
+// (a procedure name, a comma in an EXEC list) it names a parameter
+const KEYWORDS_BEFORE_VARIABLE = new Set([
+    'SET', 'SELECT', 'WHERE', 'AND', 'OR', 'NOT', 'IF', 'WHILE', 'WHEN', 'THEN', 'ELSE', 'ON', 'HAVING', 'RETURN', 'CASE'
+]);
+
+// Script roles by file name, and the trigger statement each must contain
+const TRIGGER_ROLES = [
+    { role: 'cleanup', pattern: /cleanup|uninstall/i, action: 'DROP' },
+    { role: 'disable', pattern: /disable/i, action: 'DISABLE' },
+    { role: 'enable', pattern: /enable/i, action: 'ENABLE' }
+];
+
+/**
+ * Safely write output (never to MICS_PATH)
+ */
+function safeWriteFile(outputPath, content) {
+    if (!config.isPathSafeForWrite(outputPath)) {
+        throw new Error(`Refusing to write to unsafe path: ${outputPath}`);
+    }
+
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.writeFileSync(outputPath, content);
+}
+
+function stringContents(value) {
+    return value.replace(/^N/i, '').replace(/^'/, '').replace(/'$/, '').split('\'\'').join('\'');
+}
+
+/**
+ * Tokens of the SQL inside a string literal, with file line numbers
+ */
+function innerTokens(token) {
+    return ddlParser.tokenize(stringContents(token.value))
+        .map(t => ({ ...t, line: t.line + token.line - 1 }));
+}
+
+/**
+ * Script tokens plus the tokens of every string literal (dynamic SQL)
+ */
+function allTokenLists(tokens) {
+    const lists = [tokens];
+    for (const tok of tokens) {
+        if (tok.type === 'string' && tok.value.length > 3) {
+            lists.push(...allTokenLists(innerTokens(tok)));
+        }
+    }
+    return lists;
+}
+
+function loadScripts(scriptsDir) {
+    return archiveDefinitions.findArchiveScripts(scriptsDir).map(file => {
+        const text = fs.readFileSync(file, 'utf8');
+        return {
+            file: path.relative(scriptsDir, file).replace(/\\/g, '/'),
+            lines: text.split(/\r?\n/),
+            tokens: ddlParser.tokenize(text)
+        };
+    });
+}
+
+// =============================================================================
+// INSERTS
+// =============================================================================
+
+/**
+ * Each trigger INSERT against the DDL of its archive table (same script
+ * folder first, then any folder)
+ */
+function checkInserts(scriptsDir) {
+    const findings = [];
+    const definitions = archiveDefinitions.loadArchiveDefinitions(scriptsDir);
+    const design = item => item.file.split('/')[0];
+
+    for (const insert of archiveDefinitions.loadArchiveInserts(scriptsDir)) {
+        const candidates = definitions.filter(d => d.type === insert.type);
+        const definition = candidates.find(d => design(d) === design(insert)) || candidates[0];
+        if (!definition) continue;  // reported by checkReferences
+
+        for (const problem of archiveDefinitions.checkInserts(definition, [insert])) {
+            findings.push({
+                severity: problem.severity,
+                check: 'inserts',
+                file: insert.file,
+                line: insert.line,
+                message: `${insert.table}: ${problem.column && !problem.message.includes(problem.column) ? problem.column + ' ' : ''}${problem.message.replace(`${insert.file}:${insert.line} `, '')}`
+            });
+        }
+    }
+    return findings;
+}
+
+// =============================================================================
+// REFERENCES
+// =============================================================================
+
+/**
+ * tsip_archive.<name> references and CREATE <object> tsip_archive.<name>
+ * definitions in one token list
+ */
+function scanArchiveObjects(tokens, references, created) {
+    for (let i = 0; i < tokens.length - 2; i++) {
+        const tok = tokens[i];
+        if ((tok.type === 'word' || tok.type === 'identifier') && tok.value.toLowerCase() === 'tsip_archive'
+            && isPunct(tokens[i + 1], '.')
+            && (tokens[i + 2].type === 'word' || tokens[i + 2].type === 'identifier')) {
+            references.push({ name: tokens[i + 2].value, line: tok.line });
+        }
+
+        if (!isWord(tok, 'CREATE')) continue;
+        let k = i + 1;
+        if (isWord(tokens[k], 'OR') && isWord(tokens[k + 1], 'ALTER')) k += 2;
+        if (!tokens[k] || tokens[k].type !== 'word' || !CREATED_OBJECTS.has(tokens[k].value.toUpperCase())) continue;
+        const { parts } = ddlParser.readObjectName(tokens, k + 1);
+        if (parts.length === 2 && parts[0].toLowerCase() === 'tsip_archive') {
+            created.add(parts[1].toLowerCase());
+        }
+    }
+}
+
+function checkReferences(scripts) {
+    const created = new Set();
+    const referencesByScript = scripts.map(script => {
+        const references = [];
+        for (const tokens of allTokenLists(script.tokens)) {
+            scanArchiveObjects(tokens, references, created);
+        }
+        return { script, references };
+    });
+
+    const findings = [];
+    for (const { script, references } of referencesByScript) {
+        const reported = new Set();
+        for (const ref of references) {
+            const key = ref.name.toLowerCase();
+            if (created.has(key) || reported.has(key)) continue;
+            reported.add(key);
+            findings.push({
+                severity: 'error',
+                check: 'references',
+                file: script.file,
+                line: ref.line,
+                message: `tsip_archive.${ref.name} is not created by any archive script`
+            });
+        }
+    }
+    return findings;
+}
+
+// =============================================================================
+// BATCHES
+// =============================================================================
+
+/**
+ * Split a script on GO lines: [{ tokens, line }]. A GO sharing its line
+ * with other text is not a separator and is reported.
+ */
+function splitBatches(script, findings) {
+    const batches = [];
+    let current = [];
+    for (const tok of script.tokens) {
+        if (isWord(tok, 'GO')) {
+            const text = script.lines[tok.line - 1] || '';
+            if (/^\s*GO(\s+\d+)?\s*(--.*)?$/i.test(text)) {
+                batches.push(current);
+                current = [];
+                continue;
+            }
+            findings.push({
+                severity: 'error',
+                check: 'batches',
+                file: script.file,
+                line: tok.line,
+                message: 'GO must be on a line of its own'
+            });
+        }
+        if (tok.type === 'string' && /^[ \t]*GO[ \t]*$/im.test(stringContents(tok.value))) {
+            findings.push({
+                severity: 'error',
+                check: 'batches',
+                file: script.file,
+                line: tok.line,
+                message: 'a line with only GO inside a string literal: SSMS/sqlcmd split the batch there'
+            });
+        }
+        current.push(tok);
+    }
+    batches.push(current);
+    return batches.filter(b => b.some(t => !isPunct(t, ';')));
+}
+
+/**
+ * Index of the CREATE <routine> in a batch, or -1
+ */
+function findRoutine(batch) {
+    for (let i = 0; i < batch.length - 1; i++) {
+        if (!isWord(batch[i], 'CREATE')) continue;
+        let k = i + 1;
+        if (isWord(batch[k], 'OR') && isWord(batch[k + 1], 'ALTER')) k += 2;
+        if (batch[k] && batch[k].type === 'word' && BATCH_FIRST_OBJECTS.has(batch[k].value.toUpperCase())) {
+            return { index: i, kind: batch[k].value.toUpperCase(), nameAt: k + 1 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Index of the END closing the BEGIN at batch[begin]
+ */
+function matchingEnd(batch, begin) {
+    let depth = 0;
+    for (let k = begin; k < batch.length; k++) {
+        if (isWord(batch[k], 'BEGIN') && !(batch[k + 1] && BEGIN_WITHOUT_END.has(String(batch[k + 1].value).toUpperCase()))) {
+            depth++;
+        } else if (isWord(batch[k], 'CASE')) {
+            depth++;
+        } else if (isWord(batch[k], 'END')) {
+            depth--;
+            if (depth === 0) return k;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Variables declared by the batch: DECLARE lists and routine parameters
+ */
+function declaredVariables(batch, routine) {
+    const declared = new Set();
+    for (let i = 0; i < batch.length; i++) {
+        if (!isWord(batch[i], 'DECLARE')) continue;
+        let depth = 0;
+        let expectName = true;
+        for (let k = i + 1; k < batch.length; k++) {
+            const tok = batch[k];
+            if (isPunct(tok, '(')) depth++;
+            else if (isPunct(tok, ')')) depth--;
+            if (depth !== 0) continue;
+            if (isPunct(tok, ';') || (tok.type === 'word' && STATEMENT_WORDS.has(tok.value.toUpperCase()))) break;
+            if (expectName && tok.type === 'variable') declared.add(tok.value.toLowerCase());
+            expectName = isPunct(tok, ',');
+        }
+    }
+    if (routine) {
+        for (let k = routine.nameAt; k < routine.bodyAt; k++) {
+            if (batch[k].type === 'variable') declared.add(batch[k].value.toLowerCase());
+        }
+    }
+    return declared;
+}
+
+function checkBatch(script, batch, findings) {
+    const report = (severity, line, message) => findings.push({ severity, check: 'batches', file: script.file, line, message });
+    const first = batch.findIndex(t => !isPunct(t, ';'));
+    const routine = findRoutine(batch);
+
+    if (routine) {
+        if (routine.index !== first) {
+            report('error', batch[routine.index].line,
+                `CREATE ${routine.kind} must be the first statement in its batch (add GO before line ${batch[routine.index].line})`);
+        }
+
+        // Body starts after the first AS that is not part of EXECUTE AS
+        routine.bodyAt = batch.length;
+        let depth = 0;
+        for (let k = routine.nameAt; k < batch.length; k++) {
+            if (isPunct(batch[k], '(')) depth++;
+            else if (isPunct(batch[k], ')')) depth--;
+            else if (depth === 0 && isWord(batch[k], 'AS') && !isWord(batch[k - 1], 'EXECUTE') && !isWord(batch[k - 1], 'EXEC')) {
+                routine.bodyAt = k + 1;
+                break;
+            }
+        }
+
+        if (isWord(batch[routine.bodyAt], 'BEGIN')) {
+            const end = matchingEnd(batch, routine.bodyAt);
+            const rest = end === -1 ? [] : batch.slice(end + 1).filter(t => !isPunct(t, ';'));
+            if (end === -1) {
+                report('error', batch[routine.bodyAt].line, `BEGIN of the ${routine.kind.toLowerCase()} body has no matching END`);
+            } else if (rest.length > 0) {
+                report('warning', rest[0].line,
+                    `statements after the ${routine.kind.toLowerCase()} body (line ${batch[end].line}) become part of it; add GO after the body`);
+            }
+        }
+    }
+
+    const declared = declaredVariables(batch, routine);
+    const reported = new Set();
+    for (let i = 0; i < batch.length; i++) {
+        const tok = batch[i];
+        if (tok.type !== 'variable' || tok.value.startsWith('@@')) continue;
+        const key = tok.value.toLowerCase();
+        if (declared.has(key) || reported.has(key)) continue;
+
+        const prev = batch[i - 1];
+        const namesParameter = isPunct(batch[i + 1], '=') && prev
+            && (isPunct(prev, ',') || ((prev.type === 'word' || prev.type === 'identifier') && !KEYWORDS_BEFORE_VARIABLE.has(prev.value.toUpperCase())));
+        if (namesParameter) continue;
+
+        reported.add(key);
+        report('error', tok.line, `${tok.value} is not declared in this batch (a GO ends the scope of DECLARE)`);
+    }
+}
+
+function checkBatches(scripts) {
+    const findings = [];
+    for (const script of scripts) {
+        for (const batch of splitBatches(script, findings)) {
+            checkBatch(script, batch, findings);
+        }
+    }
+    return findings;
+}
+
+// =============================================================================
+// TRIGGER COVERAGE
+// =============================================================================
+
+function triggerName(parts) {
+    return parts[parts.length - 1].toLowerCase();
+}
+
+/**
+ * CREATE TRIGGER statements: [{ name, display, on, file, line }]
+ * `on` is DATABASE, ALL SERVER or the table name
+ */
+function createdTriggers(scripts) {
+    const triggers = [];
+    for (const script of scripts) {
+        const tokens = script.tokens;
+        for (let i = 0; i < tokens.length - 1; i++) {
+            if (!isWord(tokens[i], 'CREATE')) continue;
+            let k = i + 1;
+            if (isWord(tokens[k], 'OR') && isWord(tokens[k + 1], 'ALTER')) k += 2;
+            if (!isWord(tokens[k], 'TRIGGER')) continue;
+
+            const name = ddlParser.readObjectName(tokens, k + 1);
+            let on = null;
+            if (isWord(tokens[name.next], 'ON')) {
+                if (isWord(tokens[name.next + 1], 'ALL')) {
+                    on = 'ALL SERVER';
+                } else {
+                    on = ddlParser.readObjectName(tokens, name.next + 1).parts.join('.');
+                }
+            }
+            triggers.push({
+                name: triggerName(name.parts),
+                display: name.parts.join('.'),
+                on,
+                file: script.file,
+                line: tokens[i].line
+            });
+        }
+    }
+    return triggers;
+}
+
+/**
+ * DROP/DISABLE/ENABLE TRIGGER statements in a script, including dynamic
+ * SQL: [{ action, names, all, on, line }]. A statement built from
+ * variables (names empty) acts on the triggers of the tables the script
+ * mentions.
+ */
+function triggerActions(script) {
+    const actions = [];
+    for (const tokens of allTokenLists(script.tokens)) {
+        for (let i = 0; i < tokens.length - 1; i++) {
+            const action = ['DROP', 'DISABLE', 'ENABLE'].find(a => isWord(tokens[i], a));
+            if (!action || !isWord(tokens[i + 1], 'TRIGGER')) continue;
+
+            let k = i + 2;
+            if (isWord(tokens[k], 'IF') && isWord(tokens[k + 1], 'EXISTS')) k += 2;
+            const entry = { action, names: [], all: false, on: null, line: tokens[i].line };
+            if (isWord(tokens[k], 'ALL')) {
+                entry.all = true;
+                k++;
+            } else {
+                for (;;) {
+                    const name = ddlParser.readObjectName(tokens, k);
+                    if (name.parts.length === 0) break;
+                    entry.names.push(triggerName(name.parts));
+                    k = name.next;
+                    if (!isPunct(tokens[k], ',')) break;
+                    k++;
+                }
+            }
+            if (isWord(tokens[k], 'ON')) {
+                entry.on = ddlParser.readObjectName(tokens, k + 1).parts.join('.').toLowerCase() || null;
+            }
+            actions.push(entry);
+        }
+    }
+    return actions;
+}
+
+/**
+ * Does an action in `script` reach `trigger`?
+ */
+function covers(script, entry, trigger) {
+    if (entry.names.includes(trigger.name)) return true;
+    const table = trigger.on && !['DATABASE', 'ALL SERVER'].includes(trigger.on.toUpperCase()) ? trigger.on.toLowerCase() : null;
+    if (!table) return false;
+    if (entry.all) return entry.on === table;
+    // Dynamic statement: the script has to name the trigger's table
+    return entry.names.length === 0 && script.lines.join('\n').toLowerCase().replace(/[[\]]/g, '').includes(table);
+}
+
+function checkTriggers(scripts) {
+    const findings = [];
+    const triggers = createdTriggers(scripts);
+    const names = new Set(triggers.map(t => t.name));
+
+    for (const { role, pattern, action } of TRIGGER_ROLES) {
+        const roleScripts = scripts.filter(s => pattern.test(path.basename(s.file)));
+        if (roleScripts.length === 0) {
+            if (triggers.length > 0) {
+                findings.push({ severity: 'warning', check: 'triggers', file: '', line: null, message: `no ${role} script (file name matching ${pattern}) for the ${triggers.length} triggers created` });
+            }
+            continue;
+        }
+
+        const actions = roleScripts.map(script => ({
+            script,
+            entries: triggerActions(script).filter(e => e.action === action)
+        }));
+
+        for (const trigger of triggers) {
+            const covered = actions.some(({ script, entries }) => entries.some(e => covers(script, e, trigger)));
+            if (!covered) {
+                findings.push({
+                    severity: 'error',
+                    check: 'triggers',
+                    file: trigger.file,
+                    line: trigger.line,
+                    message: `trigger ${trigger.display} is not covered by a ${role} script (${action} TRIGGER in ${roleScripts.map(s => s.file).join(', ')})`
+                });
+            }
+        }
+
+        for (const { script, entries } of actions) {
+            for (const entry of entries) {
+                for (const name of entry.names.filter(n => !names.has(n))) {
+                    findings.push({
+                        severity: 'warning',
+                        check: 'triggers',
+                        file: script.file,
+                        line: entry.line,
+                        message: `${action} TRIGGER ${name}: no archive script creates this trigger`
+                    });
+                }
+            }
+        }
+    }
+    return findings;
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+/**
+ * Run every check: { scriptsDir, files, findings: [{ severity, check, file, line, message }] }
+ */
+function lintArchiveScripts(scriptsDir = archiveDefinitions.SCRIPTS_DIR) {
+    const scripts = loadScripts(scriptsDir);
+    const findings = [
+        ...checkInserts(scriptsDir),
+        ...checkReferences(scripts),
+        ...checkBatches(scripts),
+        ...checkTriggers(scripts)
+    ];
+    findings.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+    return { scriptsDir, files: scripts.map(s => s.file), findings };
+}
+
+function parseArgs(argv) {
+    const options = { scripts: null, json: null, strict: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--strict') {
+            options.strict = true;
+        } else if (argv[i] === '--scripts' || argv[i] === '--json') {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${argv[i]}`);
+            }
+            options[argv[i].substring(2)] = argv[++i];
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const scriptsDir = path.resolve(options.scripts || archiveDefinitions.SCRIPTS_DIR);
+
+    console.log('='.repeat(60));
+    console.log('MICS Archive Script Lint (offline)');
+    console.log('='.repeat(60));
+
+    const result = lintArchiveScripts(scriptsDir);
+    console.log(`\nScripts: ${scriptsDir} (${result.files.length} files)\n`);
+    if (result.files.length === 0) {
+        throw new Error('No *-archive-capture/*.sql scripts found');
+    }
+
+    let currentFile = null;
+    for (const finding of result.findings) {
+        if (finding.file !== currentFile) {
+            currentFile = finding.file;
+            console.log(currentFile || '(all scripts)');
+        }
+        const location = finding.line ? `line ${finding.line}: ` : '';
+        console.log(`  ${finding.severity.toUpperCase().padEnd(7)} ${finding.check.padEnd(10)} ${location}${finding.message}`);
+    }
+
+    const errors = result.findings.filter(f => f.severity === 'error').length;
+    const warnings = result.findings.filter(f => f.severity === 'warning').length;
+    console.log(`\n${result.findings.length === 0 ? 'No problems found. ' : ''}Errors: ${errors}  Warnings: ${warnings}`);
+
+    if (options.json) {
+        const jsonPath = path.resolve(options.json);
+        safeWriteFile(jsonPath, JSON.stringify({ generatedAt: new Date().toISOString(), ...result, summary: { errors, warnings } }, null, 2));
+        console.log(`Results saved to: ${jsonPath}`);
+    }
+
+    if (errors > 0 || (options.strict && warnings > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (err) {
+        console.error('Lint failed:', err.message);
+        process.exit(2);
+    }
+}
+
+module.exports = {
+    lintArchiveScripts
+};
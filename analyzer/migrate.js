@@ -0,0 +1,548 @@
+#!/usr/bin/env node
+/**
+ * migrate.js
+ *
+ * Applies a directory of numbered SQL scripts in order and records every run
+ * (script, checksum, time, outcome) in a tracking table, so it is clear which
+ * scripts ran against which database.
+ *
+ * Usage: node migrate.js <status|up|down> <script-dir> [options]
+ *
+ *   status                 Applied, pending, failed and changed scripts
+ *   up                     Apply the pending scripts in order; stops at the first failure
+ *   down                   Roll back the last applied script(s) with their down scripts
+ *
+ *   --to <script>          up: stop after this script; down: roll back everything after it
+ *   --steps <n>            down: number of applied scripts to roll back (default 1)
+ *   --dry-run              Show what would run; nothing is executed or recorded
+ *   --transaction          Run each script in its own transaction
+ *   --table <schema.name>  Tracking table (default dbo.MigrationHistory; created on first up)
+ *   --var <name=value>     $(name) values, as for execute-sql-script.js
+ *   --profile <name>       Connection profile from db-config.js
+ *
+ * Order and rollback pairs come from migrate.json in the script directory:
+ *   {
+ *     "name": "tt-archive-capture",
+ *     "migrations": ["00_create.sql", "02_trigger.sql"],
+ *     "down": { "06_cleanup.sql": ["02_trigger.sql"] }
+ *   }
+ * Without it every .sql file is a migration in name order and
+ * "<name>.down.sql" undoes "<name>.sql". A down script listed for several
+ * migrations undoes them together, so they are rolled back together.
+ *
+ * Checksums are SHA-256 of the script with normalized line endings. An
+ * applied script whose checksum changed is reported, never re-run.
+ */
+
+const sql = require('mssql');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dbConfig = require('./db-config');
+const { loadBatches, applyVariables, runBatches } = require('./execute-sql-script');
+
+const MANIFEST_FILE = 'migrate.json';
+const DEFAULT_TABLE = 'dbo.MigrationHistory';
+
+// =============================================================================
+// MIGRATIONS
+// =============================================================================
+
+function checksum(content) {
+    return crypto.createHash('sha256').update(content.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+function readScript(dir, name) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Script not found: ${file}`);
+    }
+    const content = fs.readFileSync(file, 'utf8');
+    return { name, file, content, checksum: checksum(content) };
+}
+
+/**
+ * Migrations of a directory, from migrate.json or by file name:
+ * { name, dir, migrations: [{ name, file, content, checksum, down }], downScripts }
+ * `down` is the down script's name or null; downScripts maps each down
+ * script to the migrations it undoes.
+ */
+function loadMigrations(dir) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`Not a directory: ${dir}`);
+    }
+
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    let manifest = null;
+    if (fs.existsSync(manifestPath)) {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        if (!Array.isArray(manifest.migrations)) {
+            throw new Error(`${manifestPath}: "migrations" must be a list of script names`);
+        }
+    }
+
+    let names;
+    const downScripts = new Map();
+    if (manifest) {
+        names = manifest.migrations;
+        for (const [down, undoes] of Object.entries(manifest.down || {})) {
+            const list = Array.isArray(undoes) ? undoes : [undoes];
+            const unknown = list.filter(n => !names.includes(n));
+            if (unknown.length > 0) {
+                throw new Error(`${manifestPath}: down script ${down} undoes unknown migrations: ${unknown.join(', ')}`);
+            }
+            downScripts.set(down, list);
+        }
+    } else {
+        const files = fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.sql')).sort();
+        names = files.filter(f => !/\.down\.sql$/i.test(f));
+        for (const file of files.filter(f => /\.down\.sql$/i.test(f))) {
+            const up = file.replace(/\.down\.sql$/i, '.sql');
+            if (names.includes(up)) downScripts.set(file, [up]);
+        }
+    }
+
+    const duplicates = names.filter((n, i) => names.indexOf(n) !== i);
+    if (duplicates.length > 0) {
+        throw new Error(`Migration listed twice: ${duplicates.join(', ')}`);
+    }
+
+    const migrations = names.map(name => {
+        const down = [...downScripts.entries()].find(([, undoes]) => undoes.includes(name));
+        return { ...readScript(dir, name), down: down ? down[0] : null };
+    });
+
+    return {
+        name: (manifest && manifest.name) || path.basename(path.resolve(dir)),
+        dir,
+        migrations,
+        downScripts
+    };
+}
+
+/**
+ * State of each migration from the tracking rows (oldest first):
+ * pending, applied, changed (applied, checksum differs), failed,
+ * rolled-back or down-failed. Rows for scripts no longer listed come back
+ * as `orphans`.
+ */
+function migrationStatus(set, history) {
+    const lastRun = new Map();
+    for (const row of history) {
+        lastRun.set(row.ScriptName.toLowerCase(), row);
+    }
+
+    const migrations = set.migrations.map((migration, index) => {
+        const row = lastRun.get(migration.name.toLowerCase()) || null;
+        let state = 'pending';
+        if (row && row.Direction === 'up') {
+            if (row.Outcome !== 'success') state = 'failed';
+            else state = row.Checksum === migration.checksum ? 'applied' : 'changed';
+        } else if (row && row.Direction === 'down') {
+            state = row.Outcome === 'success' ? 'rolled-back' : 'down-failed';
+        }
+        return { ...migration, index, state, last: row };
+    });
+
+    const listed = new Set(set.migrations.map(m => m.name.toLowerCase()));
+    const orphans = [...lastRun.values()].filter(row => !listed.has(row.ScriptName.toLowerCase())
+        && row.Direction === 'up' && row.Outcome === 'success');
+
+    return { migrations, orphans };
+}
+
+function isApplied(migration) {
+    return ['applied', 'changed', 'down-failed'].includes(migration.state);
+}
+
+/**
+ * Migrations `up` would run, in order
+ */
+function planUp(status, to) {
+    let migrations = status.migrations;
+    if (to) {
+        const last = migrations.findIndex(m => m.name.toLowerCase() === to.toLowerCase());
+        if (last === -1) throw new Error(`--to ${to} is not a migration of this set`);
+        migrations = migrations.slice(0, last + 1);
+    }
+    return migrations.filter(m => !isApplied(m));
+}
+
+/**
+ * Down scripts `down` would run, newest first: [{ script, undoes: [migration] }].
+ * Rolls back `steps` applied migrations, or every one after `to`.
+ */
+function planDown(set, status, { steps = 1, to = null } = {}) {
+    const applied = status.migrations.filter(isApplied);
+    let targets;
+    if (to) {
+        const keep = status.migrations.findIndex(m => m.name.toLowerCase() === to.toLowerCase());
+        if (keep === -1) throw new Error(`--to ${to} is not a migration of this set`);
+        targets = applied.filter(m => m.index > keep);
+    } else {
+        targets = applied.slice(Math.max(0, applied.length - steps));
+    }
+
+    const plan = [];
+    for (const migration of [...targets].reverse()) {
+        if (plan.some(step => step.undoes.includes(migration))) continue;
+        if (!migration.down) {
+            throw new Error(`${migration.name} has no down script; it cannot be rolled back`);
+        }
+        const undoes = applied.filter(m => set.downScripts.get(migration.down).includes(m.name));
+        const outside = undoes.filter(m => !targets.includes(m));
+        if (outside.length > 0) {
+            throw new Error(`${migration.down} also undoes ${outside.map(m => m.name).join(', ')}; ` +
+                `roll those back too (--to a script before them, or more --steps)`);
+        }
+        plan.push({ script: readScript(set.dir, migration.down), undoes });
+    }
+    return plan;
+}
+
+// =============================================================================
+// TRACKING TABLE
+// =============================================================================
+
+function parseTableName(name) {
+    const match = /^\[?(\w+)\]?\.\[?(\w+)\]?$/.exec(name);
+    if (!match) {
+        throw new Error(`--table expects schema.name, got "${name}"`);
+    }
+    return { schema: match[1], name: match[2], quoted: `[${match[1]}].[${match[2]}]` };
+}
+
+async function trackingTableExists(table) {
+    const request = new sql.Request();
+    request.input('name', sql.NVarChar, `${table.schema}.${table.name}`);
+    const result = await request.query(`SELECT OBJECT_ID(@name, N'U') AS Id`);
+    return result.recordset[0].Id !== null;
+}
+
+async function ensureTrackingTable(table) {
+    if (await trackingTableExists(table)) return;
+    await new sql.Request().batch(`
+        IF SCHEMA_ID(N'${table.schema}') IS NULL EXEC(N'CREATE SCHEMA [${table.schema}]');
+        CREATE TABLE ${table.quoted} (
+            MigrationId   INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+            SetName       NVARCHAR(128) NOT NULL,
+            ScriptName    NVARCHAR(260) NOT NULL,
+            Direction     VARCHAR(4) NOT NULL,
+            RunScript     NVARCHAR(260) NOT NULL,
+            Checksum      CHAR(64) NOT NULL,
+            Outcome       VARCHAR(10) NOT NULL,
+            ErrorMessage  NVARCHAR(MAX) NULL,
+            StartedAt     DATETIME2(0) NOT NULL,
+            FinishedAt    DATETIME2(0) NOT NULL,
+            AppliedBy     NVARCHAR(128) NOT NULL DEFAULT SUSER_SNAME(),
+            HostName      NVARCHAR(128) NULL DEFAULT HOST_NAME()
+        );
+    `);
+    console.log(`Created tracking table ${table.quoted}.\n`);
+}
+
+async function readHistory(table, setName) {
+    if (!(await trackingTableExists(table))) return [];
+    const request = new sql.Request();
+    request.input('set', sql.NVarChar, setName);
+    const result = await request.query(`
+        SELECT MigrationId, ScriptName, Direction, RunScript, Checksum, Outcome,
+               ErrorMessage, StartedAt, FinishedAt, AppliedBy
+        FROM ${table.quoted}
+        WHERE SetName = @set
+        ORDER BY MigrationId
+    `);
+    return result.recordset;
+}
+
+async function recordRun(table, entry) {
+    const request = new sql.Request();
+    request.input('set', sql.NVarChar, entry.set);
+    request.input('script', sql.NVarChar, entry.script);
+    request.input('direction', sql.VarChar, entry.direction);
+    request.input('runScript', sql.NVarChar, entry.runScript);
+    request.input('checksum', sql.Char, entry.checksum);
+    request.input('outcome', sql.VarChar, entry.outcome);
+    request.input('error', sql.NVarChar, entry.error || null);
+    request.input('started', sql.DateTime2, entry.startedAt);
+    request.input('finished', sql.DateTime2, entry.finishedAt);
+    await request.query(`
+        INSERT INTO ${table.quoted}
+            (SetName, ScriptName, Direction, RunScript, Checksum, Outcome, ErrorMessage, StartedAt, FinishedAt)
+        VALUES (@set, @script, @direction, @runScript, @checksum, @outcome, @error, @started, @finished)
+    `);
+}
+
+// =============================================================================
+// RUNNING
+// =============================================================================
+
+async function rollback(transaction) {
+    if (!transaction) return;
+    try {
+        await transaction.rollback();
+    } catch (err) {
+        // Already aborted by the server
+    }
+}
+
+/**
+ * Run one script; returns { ok, error, startedAt, finishedAt }. Errors,
+ * including a dropped connection, come back as ok: false so the run is
+ * still recorded.
+ */
+async function runScript(script, options) {
+    const batches = loadBatches(script.content, options.database);
+    const missing = applyVariables(batches, options.vars);
+    const startedAt = new Date();
+    if (missing.length > 0) {
+        return { ok: false, error: `No value for ${missing.map(n => `$(${n})`).join(', ')}`, startedAt, finishedAt: new Date() };
+    }
+
+    let transaction = null;
+    try {
+        if (options.transaction) {
+            transaction = new sql.Transaction();
+            await transaction.begin();
+        }
+        const result = await runBatches(batches, { transaction, stopOnError: true, indent: '    ' });
+        const ok = result.errorCount === 0;
+        if (!ok) {
+            await rollback(transaction);
+        } else if (transaction) {
+            await transaction.commit();
+        }
+        return { ok, error: result.firstError, startedAt, finishedAt: new Date() };
+    } catch (err) {
+        // A dropped connection or failed commit: undo what ran and record it as failed
+        await rollback(transaction);
+        return { ok: false, error: err.message, startedAt, finishedAt: new Date() };
+    }
+}
+
+function formatTime(value) {
+    return value ? new Date(value).toISOString().replace('T', ' ').substring(0, 16) : '';
+}
+
+function printStatus(set, status, table) {
+    const width = Math.max(...set.migrations.map(m => m.name.length), 10);
+    console.log(`Set: ${set.name} (${set.migrations.length} migrations)   Table: ${table.quoted}\n`);
+    for (const migration of status.migrations) {
+        const last = migration.last;
+        let detail = '';
+        if (migration.state === 'applied' || migration.state === 'rolled-back') {
+            detail = `${formatTime(last.FinishedAt)}  ${last.AppliedBy || ''}`;
+        } else if (migration.state === 'changed') {
+            detail = `${formatTime(last.FinishedAt)}  checksum differs from the applied script`;
+        } else if (migration.state === 'failed' || migration.state === 'down-failed') {
+            detail = `${formatTime(last.FinishedAt)}  ${last.ErrorMessage || ''}`;
+        }
+        console.log(`  ${`[${migration.state}]`.padEnd(14)}${migration.name.padEnd(width + 2)}${detail}`);
+    }
+    for (const orphan of status.orphans) {
+        console.log(`  ${'[missing]'.padEnd(14)}${orphan.ScriptName.padEnd(width + 2)}applied ${formatTime(orphan.FinishedAt)} but no longer in ${set.dir}`);
+    }
+    if (set.downScripts.size > 0) {
+        console.log('\nDown scripts:');
+        for (const [down, undoes] of set.downScripts) {
+            console.log(`  ${down} undoes ${undoes.join(', ')}`);
+        }
+    }
+}
+
+async function cmdStatus(set, table) {
+    const status = migrationStatus(set, await readHistory(table, set.name));
+    printStatus(set, status, table);
+
+    const changed = status.migrations.filter(m => m.state === 'changed');
+    if (changed.length > 0) {
+        console.log(`\nWARNING: ${changed.length} applied script(s) changed since they were applied.`);
+    }
+    console.log(`\nPending: ${planUp(status).length}`);
+}
+
+async function cmdUp(set, table, options) {
+    const status = migrationStatus(set, await readHistory(table, set.name));
+    for (const migration of status.migrations.filter(m => m.state === 'changed')) {
+        console.log(`WARNING: ${migration.name} changed since it was applied on ${formatTime(migration.last.FinishedAt)} (not re-run)`);
+    }
+
+    const pending = planUp(status, options.to);
+    if (pending.length === 0) {
+        console.log('Nothing to apply; every migration is applied.');
+        return;
+    }
+    if (options.dryRun) {
+        console.log('Would apply:');
+        pending.forEach(m => console.log(`  ${m.name}${m.state === 'failed' ? ' (retry after failure)' : ''}`));
+        return;
+    }
+
+    await ensureTrackingTable(table);
+    let applied = 0;
+    for (const migration of pending) {
+        console.log(`Applying ${migration.name}`);
+        const result = await runScript(migration, options);
+        await recordRun(table, {
+            set: set.name,
+            script: migration.name,
+            direction: 'up',
+            runScript: migration.name,
+            checksum: migration.checksum,
+            outcome: result.ok ? 'success' : 'failed',
+            error: result.error,
+            startedAt: result.startedAt,
+            finishedAt: result.finishedAt
+        });
+        if (!result.ok) {
+            console.log(`\nFAILED: ${migration.name}: ${result.error}`);
+            console.log(`Applied ${applied} of ${pending.length}; fix the script and run up again.`);
+            process.exitCode = 1;
+            return;
+        }
+        applied++;
+        console.log('');
+    }
+    console.log(`Applied ${applied} migration(s).`);
+}
+
+async function cmdDown(set, table, options) {
+    const status = migrationStatus(set, await readHistory(table, set.name));
+    const plan = planDown(set, status, { steps: options.steps, to: options.to });
+    if (plan.length === 0) {
+        console.log('Nothing to roll back.');
+        return;
+    }
+    if (options.dryRun) {
+        console.log('Would run:');
+        plan.forEach(step => console.log(`  ${step.script.name} (undoes ${step.undoes.map(m => m.name).join(', ')})`));
+        return;
+    }
+
+    for (const step of plan) {
+        console.log(`Rolling back ${step.undoes.map(m => m.name).join(', ')} with ${step.script.name}`);
+        const result = await runScript(step.script, options);
+        for (const migration of step.undoes) {
+            await recordRun(table, {
+                set: set.name,
+                script: migration.name,
+                direction: 'down',
+                runScript: step.script.name,
+                checksum: step.script.checksum,
+                outcome: result.ok ? 'success' : 'failed',
+                error: result.error,
+                startedAt: result.startedAt,
+                finishedAt: result.finishedAt
+            });
+        }
+        if (!result.ok) {
+            console.log(`\nFAILED: ${step.script.name}: ${result.error}`);
+            process.exitCode = 1;
+            return;
+        }
+        console.log('');
+    }
+    console.log(`Rolled back ${plan.reduce((n, step) => n + step.undoes.length, 0)} migration(s).`);
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        dir: null,
+        to: null,
+        steps: 1,
+        dryRun: false,
+        transaction: false,
+        table: DEFAULT_TABLE,
+        profile: null,
+        vars: {}
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--transaction') {
+            options.transaction = true;
+        } else if (arg === '--to' || arg === '--table' || arg === '--profile') {
+            options[arg.substring(2)] = value();
+        } else if (arg === '--steps') {
+            options.steps = parseInt(value(), 10);
+            if (!(options.steps >= 1)) throw new Error('--steps expects a number of 1 or more');
+        } else if (arg === '--var') {
+            const match = /^([A-Za-z_]\w*)=(.*)$/s.exec(value());
+            if (!match) throw new Error(`--var expects name=value, got "${argv[i]}"`);
+            options.vars[match[1]] = match[2];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (!options.command) {
+            options.command = arg;
+        } else if (!options.dir) {
+            options.dir = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!['status', 'up', 'down'].includes(options.command) || !options.dir) {
+        console.log('Usage: node migrate.js <status|up|down> <script-dir> [--to <script>] [--steps <n>]');
+        console.log('                       [--dry-run] [--transaction] [--table schema.name] [--var name=value ...]');
+        console.log('                       [--profile <name>]');
+        console.log('');
+        console.log('Example:');
+        console.log('  node migrate.js status ../notes/shared/scripts/tt-archive-capture');
+        console.log('  node migrate.js up ../notes/shared/scripts/tt-archive-capture --dry-run');
+        process.exit(1);
+    }
+
+    const set = loadMigrations(path.resolve(options.dir));
+    const table = parseTableName(options.table);
+    const sqlConfig = await dbConfig.resolveSqlConfig(options.profile);
+    options.database = sqlConfig.database;
+
+    console.log('='.repeat(70));
+    console.log(`Migrations: ${options.command}${options.dryRun ? ' (dry run)' : ''}`);
+    console.log('='.repeat(70));
+    console.log(`Scripts: ${set.dir}`);
+    console.log(`Database: ${sqlConfig.database}`);
+    console.log(`Server: ${sqlConfig.server}`);
+    console.log('');
+
+    try {
+        await sql.connect(sqlConfig);
+        if (options.command === 'status') {
+            await cmdStatus(set, table);
+        } else if (options.command === 'up') {
+            await cmdUp(set, table, options);
+        } else {
+            await cmdDown(set, table, options);
+        }
+    } finally {
+        await sql.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    loadMigrations,
+    migrationStatus,
+    planUp,
+    planDown
+};
@@ -0,0 +1,164 @@
+/**
+ * MICS# P/Invoke Analysis
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Turns parsed [DllImport] extern methods into full native signatures
+ * (marshaling, CharSet, CallingConvention, EntryPoint, SetLastError),
+ * flags patterns that need care when the native DLLs are replaced, and
+ * counts call sites from the call graph.
+ */
+
+/**
+ * Risk flags attached to declarations. `code` is stored in the results;
+ * the text is what pinvokes.md shows.
+ */
+const RISKS = {
+    'string-buffer': 'Caller-allocated StringBuilder/char[]/byte[] buffer; native side must respect its capacity',
+    'pointer': 'Raw pointer parameter or return (unsafe code, pointer arithmetic)',
+    'intptr-lifetime': 'IntPtr handle crosses the boundary; ownership and release are manual (consider SafeHandle)',
+    'implicit-string-marshaling': 'string marshaled without CharSet or [MarshalAs]; defaults to ANSI',
+    'bool-marshaling': 'bool without [MarshalAs]; marshaled as 4-byte Win32 BOOL',
+    'array-size': 'Array without [MarshalAs(SizeConst/SizeParamIndex)] or [In, Out]; length is implicit',
+    'by-ref-struct': 'ref/out of a non-primitive type; layout must match the native struct exactly'
+};
+
+const PRIMITIVES = new Set([
+    'bool', 'byte', 'sbyte', 'char', 'short', 'ushort', 'int', 'uint', 'long', 'ulong',
+    'float', 'double', 'decimal', 'string', 'object', 'void',
+    'IntPtr', 'UIntPtr', 'nint', 'nuint'
+]);
+
+function unquote(value) {
+    return value ? value.replace(/^@?"|"$/g, '') : value;
+}
+
+/**
+ * "CharSet.Ansi" / "System.Runtime.InteropServices.CharSet.Ansi" -> "Ansi"
+ */
+function enumValue(value) {
+    return value ? value.substring(value.lastIndexOf('.') + 1) : null;
+}
+
+function attributeArgument(attribute, name) {
+    const arg = attribute.arguments.find(a => a.name === name);
+    return arg ? arg.value : null;
+}
+
+function describeMarshalAs(attributes) {
+    const marshalAs = attributes.find(a => a.name === 'MarshalAs' || a.name.endsWith('.MarshalAs'));
+    if (!marshalAs) {
+        return null;
+    }
+    return marshalAs.arguments
+        .map(a => a.name ? `${a.name}=${enumValue(a.value)}` : enumValue(a.value))
+        .join(', ');
+}
+
+/**
+ * Signature fields for an extern method carrying [DllImport]
+ */
+function describePInvoke(method, dllImport) {
+    const dllArg = dllImport.arguments.find(a => a.name === null);
+    const entryPoint = unquote(attributeArgument(dllImport, 'EntryPoint'));
+    const setLastError = attributeArgument(dllImport, 'SetLastError');
+
+    const parameters = method.parameterList.map(p => ({
+        name: p.name,
+        type: p.type,
+        modifier: p.modifier,
+        marshalAs: describeMarshalAs(p.attributes),
+        direction: p.attributes
+            .map(a => a.name)
+            .filter(name => name === 'In' || name === 'Out')
+            .join(', ') || null
+    }));
+
+    // [return: MarshalAs(...)] is parsed as a method attribute
+    const returnMarshalAs = describeMarshalAs(method.attributes);
+
+    return {
+        dll: dllArg ? unquote(dllArg.value) : '(unknown)',
+        function: method.name,
+        entryPoint: entryPoint || method.name,
+        returnType: method.returnType,
+        returnMarshalAs,
+        parameters,
+        charSet: enumValue(attributeArgument(dllImport, 'CharSet')),
+        callingConvention: enumValue(attributeArgument(dllImport, 'CallingConvention')),
+        setLastError: setLastError === 'true',
+        signature: `${method.returnType} ${method.name}(${method.parameters})`
+    };
+}
+
+/**
+ * Risk codes (keys of RISKS) for a described P/Invoke
+ */
+function assessRisks(pInvoke, modifiers = []) {
+    const risks = new Set();
+    const all = [
+        { type: pInvoke.returnType, marshalAs: pInvoke.returnMarshalAs, modifier: null, direction: null },
+        ...pInvoke.parameters
+    ];
+
+    for (const p of all) {
+        const type = (p.type || '').replace(/^global::/, '').replace(/^System\./, '');
+        if (type === 'StringBuilder' || (p.modifier === 'out' && /^(char|byte)\[\]$/.test(type))) {
+            risks.add('string-buffer');
+        }
+        if (type.includes('*') || modifiers.includes('unsafe')) {
+            risks.add('pointer');
+        }
+        if (/^U?IntPtr$/.test(type) || type === 'nint' || type === 'nuint') {
+            risks.add('intptr-lifetime');
+        }
+        if ((type === 'string' || type === 'StringBuilder') && !p.marshalAs && !pInvoke.charSet) {
+            risks.add('implicit-string-marshaling');
+        }
+        if (type === 'bool' && !p.marshalAs) {
+            risks.add('bool-marshaling');
+        }
+        if (type.endsWith('[]') && !p.marshalAs && !p.direction && type !== 'byte[]') {
+            risks.add('array-size');
+        }
+        if ((p.modifier === 'ref' || p.modifier === 'out') && !PRIMITIVES.has(type.replace(/\?$/, ''))) {
+            risks.add('by-ref-struct');
+        }
+    }
+
+    return [...risks].sort();
+}
+
+/**
+ * Count call-graph edges into each P/Invoke and record the calling projects.
+ * Needs method ids, so run it after callGraph.buildCallGraph().
+ */
+function countCallSites(pInvokes, methods, edges) {
+    const methodsById = new Map(methods.map(m => [m.id, m]));
+    const idByLocation = new Map(methods.map(m => [`${m.file}:${m.startLine}`, m.id]));
+
+    const callsByTarget = new Map();
+    for (const edge of edges) {
+        if (edge.resolution !== 'pinvoke') continue;
+        if (!callsByTarget.has(edge.to)) {
+            callsByTarget.set(edge.to, []);
+        }
+        callsByTarget.get(edge.to).push(edge);
+    }
+
+    for (const pInvoke of pInvokes) {
+        const calls = callsByTarget.get(idByLocation.get(`${pInvoke.file}:${pInvoke.line}`)) || [];
+        pInvoke.callSites = calls.length;
+        pInvoke.callerProjects = [...new Set(calls
+            .map(edge => methodsById.get(edge.from))
+            .filter(Boolean)
+            .map(caller => caller.project))].sort();
+    }
+}
+
+module.exports = {
+    RISKS,
+    describePInvoke,
+    assessRisks,
+    countCallSites
+};
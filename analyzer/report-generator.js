@@ -10,16 +10,29 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
+const { complexityRating } = require('./code-metrics');
+const diagrams = require('./diagrams');
+const { generateHtmlReport } = require('./html-report');
+const pinvokeAnalysis = require('./pinvoke-analysis');
+const sqlUsage = require('./sql-usage');
 
-const outputDir = config.OUTPUT_DIR;
+// Source tree the loaded analysis-results.json was made from (set in main);
+// as read-only as config.MICS_PATH, which may differ when --source is omitted
+let analyzedSource = null;
 
 /**
  * Safely write to output directory only
  */
 function safeWriteFile(outputPath, content) {
-    if (!config.isPathSafeForWrite(outputPath)) {
+    if (!config.isPathSafeForWrite(outputPath, analyzedSource ? [analyzedSource] : [])) {
         throw new Error(`Refusing to write to unsafe path: ${outputPath}`);
     }
+    
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    
     fs.writeFileSync(outputPath, content);
 }
 
@@ -27,7 +40,7 @@ function safeWriteFile(outputPath, content) {
  * Load analysis results
  */
 function loadResults() {
-    const resultsPath = path.join(outputDir, 'analysis-results.json');
+    const resultsPath = path.join(config.OUTPUT_DIR, 'analysis-results.json');
     if (!fs.existsSync(resultsPath)) {
         console.error('Analysis results not found. Run "npm run analyze" first.');
         process.exit(1);
@@ -35,24 +48,48 @@ function loadResults() {
     return JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
 }
 
+/**
+ * Project dependency data shared by the dependency report and diagrams
+ */
+function buildDependencyData(results) {
+    // Sort projects by name
+    const projects = [...results.projects].sort((a, b) => a.name.localeCompare(b.name));
+    
+    const dependencyCounts = {};
+    for (const proj of results.projects) {
+        if (proj.dependencies) {
+            for (const dep of proj.dependencies) {
+                dependencyCounts[dep] = (dependencyCounts[dep] || 0) + 1;
+            }
+        }
+    }
+    
+    // Most depended upon first, ties by name so output is stable
+    const sortedDeps = Object.entries(dependencyCounts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    
+    return { projects, sortedDeps };
+}
+
 /**
  * Generate project dependency report
  */
 function generateDependencyReport(results) {
+    const { projects: sortedProjects, sortedDeps } = buildDependencyData(results);
+    
     let report = `# MICS# Project Dependencies\n\n`;
     report += `Generated: ${new Date().toISOString()}\n\n`;
     
     // Create dependency matrix
     report += `## Project Overview\n\n`;
-    report += `| Project | Type | Framework | Dependencies | Source Files |\n`;
-    report += `|---------|------|-----------|--------------|-------------|\n`;
-    
-    // Sort projects by name
-    const sortedProjects = [...results.projects].sort((a, b) => a.name.localeCompare(b.name));
+    report += `| Project | Type | Format | Framework | Dependencies | Source Files |\n`;
+    report += `|---------|------|--------|-----------|--------------|-------------|\n`;
     
     for (const proj of sortedProjects) {
-        const deps = proj.dependencies ? proj.dependencies.join(', ') : '-';
-        report += `| ${proj.name} | ${proj.outputType || 'Unknown'} | ${proj.framework || '?'} | ${deps} | ${proj.sourceFileCount || 0} |\n`;
+        const deps = proj.dependencies && proj.dependencies.length > 0 ? proj.dependencies.join(', ') : '-';
+        const frameworks = proj.targetFrameworks && proj.targetFrameworks.length > 0 ?
+            proj.targetFrameworks.join(', ') : (proj.framework || '?');
+        report += `| ${proj.name} | ${proj.outputType || 'Unknown'} | ${proj.sdkStyle ? 'SDK' : 'Legacy'} | ${frameworks} | ${deps} | ${proj.sourceFileCount || 0} |\n`;
     }
     
     // Dependency graph (text-based)
@@ -72,24 +109,65 @@ function generateDependencyReport(results) {
     
     // Core libraries (most depended upon)
     report += `\n## Core Libraries (Most Depended Upon)\n\n`;
-    const dependencyCounts = {};
-    for (const proj of results.projects) {
-        if (proj.dependencies) {
-            for (const dep of proj.dependencies) {
-                dependencyCounts[dep] = (dependencyCounts[dep] || 0) + 1;
-            }
-        }
-    }
-    
-    const sortedDeps = Object.entries(dependencyCounts)
-        .sort((a, b) => b[1] - a[1]);
-    
     report += `| Library | Dependents |\n`;
     report += `|---------|------------|\n`;
     for (const [lib, count] of sortedDeps) {
         report += `| ${lib} | ${count} |\n`;
     }
     
+    // NuGet packages (PackageReference or packages.config)
+    const packages = {};
+    for (const proj of sortedProjects) {
+        for (const pkg of proj.packageReferences || []) {
+            const entry = packages[pkg.name] || (packages[pkg.name] = { versions: new Set(), projects: new Set() });
+            entry.versions.add(pkg.version || '?');
+            entry.projects.add(proj.name);
+        }
+    }
+    report += `\n## NuGet Packages\n\n`;
+    if (Object.keys(packages).length === 0) {
+        report += `No package references found.\n`;
+    } else {
+        report += `| Package | Version(s) | Used By |\n`;
+        report += `|---------|------------|---------|\n`;
+        for (const [name, entry] of Object.entries(packages).sort((a, b) => a[0].localeCompare(b[0]))) {
+            // More than one version of a package across the solution is worth a look
+            const versions = [...entry.versions].sort().join(', ');
+            const flag = entry.versions.size > 1 ? ' **(mixed)**' : '';
+            report += `| ${name} | ${versions}${flag} | ${[...entry.projects].join(', ')} |\n`;
+        }
+    }
+    
+    // Assembly references: binaries referenced by HintPath, then framework/GAC assemblies
+    const assemblies = {};
+    const frameworkAssemblies = new Set();
+    for (const proj of sortedProjects) {
+        for (const ref of proj.assemblyReferences || []) {
+            if (!ref.hintPath) {
+                frameworkAssemblies.add(ref.name);
+                continue;
+            }
+            const entry = assemblies[ref.name] || (assemblies[ref.name] = { hintPaths: new Set(), projects: new Set() });
+            entry.hintPaths.add(ref.hintPath);
+            entry.projects.add(proj.name);
+        }
+    }
+    report += `\n## Assembly References\n\n`;
+    if (Object.keys(assemblies).length > 0) {
+        report += `| Assembly | HintPath | Used By |\n`;
+        report += `|----------|----------|---------|\n`;
+        for (const [name, entry] of Object.entries(assemblies).sort((a, b) => a[0].localeCompare(b[0]))) {
+            report += `| ${name} | ${[...entry.hintPaths].map(p => `\`${p}\``).join(', ')} | ${[...entry.projects].join(', ')} |\n`;
+        }
+        report += `\n`;
+    }
+    if (frameworkAssemblies.size > 0) {
+        report += `Framework/GAC assemblies: ${[...frameworkAssemblies].sort().join(', ')}\n`;
+    }
+    if (Object.keys(assemblies).length === 0 && frameworkAssemblies.size === 0) {
+        report += `No assembly references found.\n`;
+    }
+    
     return report;
 }
 
@@ -123,7 +201,8 @@ function generateClassReport(results) {
         report += `|------|------|-------------|\n`;
         for (const cls of classes.slice(0, 50)) { // Limit for readability
             const inherit = cls.inheritance || '-';
-            report += `| ${cls.type} | ${cls.name} | ${inherit.substring(0, 50)} |\n`;
+            const name = cls.containingType ? `${cls.containingType}.${cls.name}` : cls.name;
+            report += `| ${cls.type} | ${name} | ${inherit.substring(0, 50)} |\n`;
         }
         if (classes.length > 50) {
             report += `| ... | *${classes.length - 50} more* | ... |\n`;
@@ -154,29 +233,155 @@ function generatePInvokeReport(results) {
     let report = `# MICS# P/Invoke Declarations\n\n`;
     report += `Generated: ${new Date().toISOString()}\n\n`;
     
-    report += `Total P/Invoke declarations: ${results.pInvokes.length}\n\n`;
+    const pInvokes = results.pInvokes;
+    const totalCalls = pInvokes.reduce((sum, p) => sum + (p.callSites || 0), 0);
+    report += `Total P/Invoke declarations: ${pInvokes.length}\n`;
+    report += `Call sites in the solution: ${totalCalls}\n`;
+    report += `Declarations with risk flags: ${pInvokes.filter(p => p.risks && p.risks.length > 0).length}\n\n`;
     
-    // Group by DLL
+    // Group by DLL (case-insensitive, Windows does not care)
     const byDll = {};
-    for (const pInvoke of results.pInvokes) {
-        if (!byDll[pInvoke.dll]) {
-            byDll[pInvoke.dll] = [];
+    for (const pInvoke of pInvokes) {
+        const dll = pInvoke.dll.toLowerCase();
+        if (!byDll[dll]) {
+            byDll[dll] = [];
         }
-        byDll[pInvoke.dll].push(pInvoke);
+        byDll[dll].push(pInvoke);
+    }
+    
+    // Which projects declare and which call into each native DLL
+    report += `## Native DLLs by Project\n\n`;
+    report += `| DLL | Functions | Call Sites | Declared In | Called From |\n`;
+    report += `|-----|-----------|------------|-------------|-------------|\n`;
+    for (const [dll, funcs] of Object.entries(byDll).sort()) {
+        const declaredIn = [...new Set(funcs.map(f => f.project))].sort().join(', ');
+        const calledFrom = [...new Set(funcs.flatMap(f => f.callerProjects || []))].sort().join(', ') || '-';
+        const calls = funcs.reduce((sum, f) => sum + (f.callSites || 0), 0);
+        report += `| ${dll} | ${funcs.length} | ${calls} | ${declaredIn} | ${calledFrom} |\n`;
+    }
+    
+    // Risk summary
+    const riskCounts = {};
+    for (const pInvoke of pInvokes) {
+        for (const risk of pInvoke.risks || []) {
+            riskCounts[risk] = (riskCounts[risk] || 0) + 1;
+        }
+    }
+    report += `\n## Native Boundary Risks\n\n`;
+    if (Object.keys(riskCounts).length === 0) {
+        report += `No risky marshaling patterns found.\n\n`;
+    } else {
+        report += `| Risk | Declarations | Why it matters |\n`;
+        report += `|------|--------------|----------------|\n`;
+        for (const [risk, count] of Object.entries(riskCounts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))) {
+            report += `| ${risk} | ${count} | ${pinvokeAnalysis.RISKS[risk] || ''} |\n`;
+        }
+        report += `\n`;
     }
     
     report += `## P/Invokes by DLL\n\n`;
     
     for (const [dll, funcs] of Object.entries(byDll).sort()) {
         report += `### ${dll} (${funcs.length} functions)\n\n`;
-        report += `| Function | Project | File |\n`;
-        report += `|----------|---------|------|\n`;
-        for (const func of funcs) {
-            report += `| ${func.function} | ${func.project} | ${func.file} |\n`;
+        report += `| Function | Signature | CharSet | Calling Conv. | SetLastError | Calls | Risks | Project | File |\n`;
+        report += `|----------|-----------|---------|---------------|--------------|-------|-------|---------|------|\n`;
+        for (const func of [...funcs].sort((a, b) => a.function.localeCompare(b.function))) {
+            const name = func.entryPoint && func.entryPoint !== func.function ?
+                `${func.function} → ${func.entryPoint}` : func.function;
+            const signature = (func.signature || func.function).replace(/\|/g, '\\|');
+            report += `| ${name} | \`${signature}\` | ${func.charSet || '(Ansi)'} | ${func.callingConvention || '(Winapi)'} | `;
+            report += `${func.setLastError ? 'yes' : 'no'} | ${func.callSites || 0} | ${(func.risks || []).join(', ') || '-'} | ${func.project} | ${func.file}:${func.line} |\n`;
         }
         report += `\n`;
     }
     
+    // Imports nothing calls are candidates to drop instead of port
+    const unused = pInvokes.filter(p => !p.callSites);
+    if (unused.length > 0) {
+        report += `## Declarations Without Call Sites (${unused.length})\n\n`;
+        report += `Calls through delegates, reflection or other solutions are not seen by the call graph.\n\n`;
+        for (const func of [...unused].sort((a, b) => a.dll.localeCompare(b.dll) || a.function.localeCompare(b.function))) {
+            report += `- ${func.dll.toLowerCase()} ${func.function} (${func.project}, ${func.file}:${func.line})\n`;
+        }
+    }
+    
+    return report;
+}
+
+/**
+ * Generate SQL/ODBC usage report
+ */
+function generateSqlUsageReport(results) {
+    let report = `# MICS# Database Access (SQL Usage)\n\n`;
+    report += `Generated: ${new Date().toISOString()}\n\n`;
+    
+    const usages = results.sqlUsage || [];
+    report += `SQL found in string literals, concatenations, interpolated strings and string.Format templates. `;
+    report += `Dynamic parts are shown as \`{}\` (or the original \`{0}\` placeholder); in table patterns they become \`*\`.\n\n`;
+    
+    // Statement counts by kind
+    const byKind = {};
+    for (const usage of usages) {
+        byKind[usage.kind] = (byKind[usage.kind] || 0) + 1;
+    }
+    report += `| Kind | Count |\n`;
+    report += `|------|-------|\n`;
+    for (const [kind, count] of Object.entries(byKind).sort()) {
+        report += `| ${kind === 'NAME' ? 'NAME (table name only)' : kind} | ${count} |\n`;
+    }
+    
+    // Table pattern -> members touching it
+    const byPattern = {};
+    for (const usage of usages) {
+        for (const table of usage.tables) {
+            const pattern = sqlUsage.tablePattern(table);
+            const entry = byPattern[pattern] || (byPattern[pattern] = { kinds: new Set(), members: new Set(), files: new Set() });
+            entry.kinds.add(usage.kind);
+            entry.members.add(usage.member || '(field/constant)');
+            entry.files.add(usage.file);
+        }
+    }
+    report += `\n## Table Patterns (${Object.keys(byPattern).length})\n\n`;
+    report += `| Pattern | Family | Access | Members | Files |\n`;
+    report += `|---------|--------|--------|---------|-------|\n`;
+    for (const [pattern, entry] of Object.entries(byPattern).sort((a, b) => a[0].localeCompare(b[0]))) {
+        const family = /^(\w+?)_/.exec(pattern.substring(pattern.lastIndexOf('.') + 1));
+        const isFamily = family && (config.options.sqlTablePrefixes || []).includes(family[1]);
+        const members = [...entry.members].sort();
+        const shown = members.slice(0, 8).join(', ') + (members.length > 8 ? `, ... (${members.length - 8} more)` : '');
+        report += `| \`${pattern}\` | ${isFamily ? family[1] + '_' : '-'} | ${[...entry.kinds].sort().join(', ')} | ${shown} | ${entry.files.size} |\n`;
+    }
+    
+    // Statements by kind
+    report += `\n## Statements\n\n`;
+    for (const kind of Object.keys(byKind).filter(k => k !== 'NAME').sort()) {
+        const list = usages.filter(u => u.kind === kind);
+        report += `### ${kind} (${list.length})\n\n`;
+        report += `| Member | Location | Built As | SQL |\n`;
+        report += `|--------|----------|----------|-----|\n`;
+        for (const usage of list.slice(0, 100)) {
+            const text = usage.text.substring(0, 100).replace(/\|/g, '\\|');
+            report += `| ${usage.member || '(field/constant)'} | ${usage.file}:${usage.line} | ${usage.source} | \`${text}\` |\n`;
+        }
+        if (list.length > 100) {
+            report += `| ... | ... | ... | *${list.length - 100} more* |\n`;
+        }
+        report += `\n`;
+    }
+    
+    // ODBC/ADO.NET calls, whether or not the SQL text was found
+    const dbMethods = results.methods.filter(m => m.dbApis && m.dbApis.length > 0);
+    report += `## Database API Usage (${dbMethods.length} methods)\n\n`;
+    if (dbMethods.length === 0) {
+        report += `No ODBC/ADO.NET calls found.\n`;
+    } else {
+        report += `| Member | APIs | Project | Location |\n`;
+        report += `|--------|------|---------|----------|\n`;
+        for (const m of [...dbMethods].sort((a, b) => a.file.localeCompare(b.file) || a.startLine - b.startLine)) {
+            report += `| ${m.containingType ? m.containingType + '.' : ''}${m.name} | ${m.dbApis.join(', ')} | ${m.project} | ${m.file}:${m.startLine} |\n`;
+        }
+    }
+    
     return report;
 }
 
@@ -215,6 +420,130 @@ function generateTodoReport(results) {
     return report;
 }
 
+/**
+ * Generate report of files outside the projects' compile lists
+ */
+function generateOrphanReport(results) {
+    let report = `# MICS# Orphan and Shared Source Files\n\n`;
+    report += `Generated: ${new Date().toISOString()}\n\n`;
+    
+    const orphans = results.orphans || [];
+    const shared = results.files.filter(f => f.projects && f.projects.length > 1);
+    const missing = results.missingCompileItems || [];
+    
+    report += `Files are assigned to projects from each .csproj's Compile items `;
+    report += `(explicit items, or the SDK's implicit globbing), not by folder.\n\n`;
+    report += `- Orphan .cs files (on disk, in no project): ${orphans.length}\n`;
+    report += `- Files compiled by more than one project: ${shared.length}\n`;
+    report += `- Compile items missing on disk: ${missing.length}\n\n`;
+    
+    // Orphans grouped by the project folder they sit in
+    report += `## Orphan Files\n\n`;
+    if (orphans.length === 0) {
+        report += `None - every .cs file is compiled by at least one project.\n\n`;
+    } else {
+        const byProject = {};
+        for (const orphan of orphans) {
+            const key = orphan.nearestProject || '(outside any project folder)';
+            if (!byProject[key]) {
+                byProject[key] = [];
+            }
+            byProject[key].push(orphan.relativePath);
+        }
+        for (const [project, files] of Object.entries(byProject).sort()) {
+            report += `### ${project} (${files.length})\n\n`;
+            for (const file of files.sort()) {
+                report += `- ${file}\n`;
+            }
+            report += `\n`;
+        }
+    }
+    
+    report += `## Shared Files\n\n`;
+    if (shared.length === 0) {
+        report += `None.\n\n`;
+    } else {
+        report += `Classes and methods in these files are attributed to the first project listed.\n\n`;
+        report += `| File | Projects |\n`;
+        report += `|------|----------|\n`;
+        for (const file of [...shared].sort((a, b) => a.relativePath.localeCompare(b.relativePath))) {
+            report += `| ${file.relativePath} | ${file.projects.join(', ')} |\n`;
+        }
+        report += `\n`;
+    }
+    
+    report += `## Missing Compile Items\n\n`;
+    if (missing.length === 0) {
+        report += `None.\n`;
+    } else {
+        report += `| Project | File |\n`;
+        report += `|---------|------|\n`;
+        for (const item of missing) {
+            report += `| ${item.project} | ${item.relativePath} |\n`;
+        }
+    }
+    
+    return report;
+}
+
+/**
+ * Generate report of #if-dependent code per build configuration
+ */
+function generateConditionalReport(results) {
+    const selected = results.buildConfiguration || config.options.buildConfiguration;
+    let report = `# MICS# Conditional Compilation\n\n`;
+    report += `Generated: ${new Date().toISOString()}\n\n`;
+    report += `Selected configuration: **${selected}**. The other reports only include code that is `;
+    report += `compiled in this configuration (re-run the analyzer with \`--configuration <name>\` to switch).\n\n`;
+    
+    const projects = [...results.projects].sort((a, b) => a.name.localeCompare(b.name));
+    
+    report += `## Symbols by Project\n\n`;
+    report += `| Project | Configuration | Symbols |\n`;
+    report += `|---------|---------------|---------|\n`;
+    for (const proj of projects) {
+        for (const [name, symbols] of Object.entries(proj.configurations || {})) {
+            report += `| ${proj.name} | ${name} | ${symbols.join(', ') || '-'} |\n`;
+        }
+    }
+    
+    // Lines inside inactive #if branches, per project and configuration
+    report += `\n## Active vs Inactive Code\n\n`;
+    report += `| Project | Configuration | Files with #if | Active Lines | Inactive Lines |\n`;
+    report += `|---------|---------------|----------------|--------------|----------------|\n`;
+    for (const proj of projects) {
+        const files = results.files.filter(f => f.project === proj.name);
+        const totalLines = files.reduce((sum, f) => sum + f.lines, 0);
+        const conditionalFiles = files.filter(f => f.preprocessor);
+        for (const name of Object.keys(proj.configurations || {})) {
+            const inactive = conditionalFiles.reduce((sum, f) =>
+                sum + (f.preprocessor[name] ? f.preprocessor[name].inactiveLines : 0), 0);
+            report += `| ${proj.name} | ${name} | ${conditionalFiles.length} | ${(totalLines - inactive).toLocaleString()} | ${inactive.toLocaleString()} |\n`;
+        }
+    }
+    
+    // Members compiled in some configurations only
+    const members = [
+        ...results.classes.filter(c => c.configurations).map(c => ({ ...c, kind: c.type, active: true })),
+        ...results.methods.filter(m => m.configurations).map(m => ({ ...m, active: true })),
+        ...(results.inactiveMembers || []).map(m => ({ ...m, active: false }))
+    ].sort((a, b) => a.file.localeCompare(b.file) || a.startLine - b.startLine);
+    
+    report += `\n## Conditional Members (${members.length})\n\n`;
+    if (members.length === 0) {
+        report += `No types or methods depend on the build configuration.\n`;
+        return report;
+    }
+    report += `| Member | Kind | File | Line | Compiled In | In ${selected} |\n`;
+    report += `|--------|------|------|------|-------------|------|\n`;
+    for (const m of members) {
+        const name = m.containingType ? `${m.containingType}.${m.name}` : m.name;
+        report += `| ${name} | ${m.kind} | ${m.file} | ${m.startLine} | ${m.configurations.join(', ')} | ${m.active ? 'active' : 'inactive'} |\n`;
+    }
+    
+    return report;
+}
+
 /**
  * Generate namespace report
  */
@@ -269,6 +598,91 @@ function generateNamespaceReport(results) {
     return report;
 }
 
+/**
+ * Generate complexity report (hottest methods, per project, TpRunTsip)
+ */
+function generateComplexityReport(results) {
+    let report = `# MICS# Method Complexity\n\n`;
+    report += `Generated: ${new Date().toISOString()}\n\n`;
+    
+    const measured = results.methods.filter(m => typeof m.complexity === 'number');
+    if (measured.length === 0) {
+        report += `No complexity data. Enable \`options.calculateComplexity\` in config.js and re-run the analyzer.\n`;
+        return report;
+    }
+    
+    report += `Cyclomatic complexity counts 1 + each if/while/for/foreach/case/catch/&&/||/?:. `;
+    report += `Nesting is the deepest block level inside the method body.\n\n`;
+    report += `- Methods measured: ${measured.length}\n`;
+    report += `- Average complexity: ${results.metrics.averageComplexity}\n`;
+    report += `- Maximum complexity: ${results.metrics.maxComplexity}\n\n`;
+    
+    const methodRow = (m) => {
+        const owner = m.containingType ? `${m.containingType}.` : '';
+        return `| ${owner}${m.name} | ${m.complexity} | ${complexityRating(m.complexity)} | ${m.maxNesting} | ${m.statements} | ${m.lineSpan} | ${m.file}:${m.startLine} |\n`;
+    };
+    const methodHeader = `| Method | Complexity | Rating | Nesting | Statements | Lines | Location |\n` +
+        `|--------|------------|--------|---------|------------|-------|----------|\n`;
+    const byComplexity = (a, b) => b.complexity - a.complexity || b.lineSpan - a.lineSpan;
+    
+    // Risk distribution
+    report += `## Distribution\n\n`;
+    report += `| Rating | Methods |\n`;
+    report += `|--------|---------|\n`;
+    const bands = {};
+    for (const m of measured) {
+        const rating = complexityRating(m.complexity);
+        bands[rating] = (bands[rating] || 0) + 1;
+    }
+    for (const rating of ['Low', 'Moderate', 'High', 'Very High']) {
+        report += `| ${rating} | ${bands[rating] || 0} |\n`;
+    }
+    
+    // Hottest methods
+    report += `\n## Top 50 Most Complex Methods\n\n`;
+    report += methodHeader;
+    for (const m of [...measured].sort(byComplexity).slice(0, 50)) {
+        report += methodRow(m);
+    }
+    
+    // TpRunTsip gets its own section: it is where most of the bug work happens
+    const tsipMethods = measured.filter(m => m.project === 'TpRunTsip' || m.containingType === 'TpRunTsip');
+    if (tsipMethods.length > 0) {
+        report += `\n## TpRunTsip Routines\n\n`;
+        report += methodHeader;
+        for (const m of [...tsipMethods].sort(byComplexity)) {
+            report += methodRow(m);
+        }
+    }
+    
+    // Per project
+    if (results.metrics.projects) {
+        report += `\n## By Project\n\n`;
+        report += `| Project | Files | Methods | Statements | Avg Complexity | Max Complexity | Max Nesting |\n`;
+        report += `|---------|-------|---------|------------|----------------|----------------|-------------|\n`;
+        const projects = Object.entries(results.metrics.projects)
+            .sort((a, b) => b[1].totalComplexity - a[1].totalComplexity);
+        for (const [name, p] of projects) {
+            report += `| ${name} | ${p.files} | ${p.methods} | ${p.statements} | ${p.averageComplexity} | ${p.maxComplexity} | ${p.maxNesting} |\n`;
+        }
+    }
+    
+    // Per file
+    if (results.metrics.files) {
+        report += `\n## Top 20 Files by Total Complexity\n\n`;
+        report += `| File | Methods | Total Complexity | Avg | Max |\n`;
+        report += `|------|---------|------------------|-----|-----|\n`;
+        const files = Object.entries(results.metrics.files)
+            .sort((a, b) => b[1].totalComplexity - a[1].totalComplexity)
+            .slice(0, 20);
+        for (const [file, f] of files) {
+            report += `| ${file} | ${f.methods} | ${f.totalComplexity} | ${f.averageComplexity} | ${f.maxComplexity} |\n`;
+        }
+    }
+    
+    return report;
+}
+
 /**
  * Generate executive summary
  */
@@ -287,6 +701,12 @@ function generateSummary(results) {
     report += `| Methods | ${results.metrics.totalMethods} |\n`;
     report += `| P/Invoke Declarations | ${results.metrics.totalPInvokes} |\n`;
     report += `| TODO/FIXME Comments | ${results.metrics.totalTodos} |\n`;
+    if (results.orphans) {
+        report += `| Orphan Source Files (see orphans.md) | ${results.orphans.length} |\n`;
+    }
+    if (results.metrics.maxComplexity) {
+        report += `| Average / Max Method Complexity | ${results.metrics.averageComplexity} / ${results.metrics.maxComplexity} |\n`;
+    }
     report += `| Analysis Errors | ${results.errors.length} |\n`;
     
     // Project types
@@ -339,19 +759,60 @@ function generateSummary(results) {
     return report;
 }
 
+/**
+ * Write dependency, inheritance and P/Invoke diagrams to DIAGRAMS_DIR
+ */
+function generateDiagrams(results) {
+    const formats = config.options.diagramFormats || ['mermaid'];
+    const graphs = [
+        { name: 'project-dependencies', build: () => diagrams.buildProjectDependencyGraph(buildDependencyData(results)) },
+        { name: 'class-inheritance', build: () => diagrams.buildInheritanceGraph(results.classes) },
+        { name: 'pinvoke-boundary', build: () => diagrams.buildPInvokeGraph(results.pInvokes) }
+    ];
+    
+    for (const { name, build } of graphs) {
+        try {
+            for (const file of diagrams.renderGraph(name, build(), formats)) {
+                safeWriteFile(path.join(config.DIAGRAMS_DIR, file.name), file.content);
+                console.log(`  Created: diagrams/${file.name}`);
+            }
+        } catch (err) {
+            console.error(`  Error generating ${name} diagram: ${err.message}`);
+        }
+    }
+}
+
 /**
  * Main function
  */
 function main() {
+    // Same --out / --config / mics-analyzer.json handling as analyzer.js
+    try {
+        config.load(process.argv.slice(2));
+    } catch (err) {
+        console.error(`ERROR: ${err.message}\n`);
+        console.log('Usage: node report-generator.js [options]\n');
+        console.log(config.CLI_USAGE);
+        process.exit(1);
+    }
+    
     console.log('='.repeat(60));
     console.log('MICS# Report Generator (READ-ONLY MODE)');
     console.log('='.repeat(60));
-    console.log(`\nOutput Directory: ${outputDir}`);
+    console.log(`\nOutput Directory: ${config.OUTPUT_DIR}`);
     
     // Load results
     const results = loadResults();
     console.log(`Loaded analysis from: ${results.timestamp}`);
     
+    analyzedSource = results.micsPath || null;
+    for (const dir of [config.OUTPUT_DIR, config.DIAGRAMS_DIR]) {
+        if (!config.isPathSafeForWrite(dir, analyzedSource ? [analyzedSource] : [])) {
+            console.error(`ERROR: ${dir} is inside the analyzed source ${analyzedSource}`);
+            process.exit(1);
+        }
+    }
+    
     // Generate reports
     console.log('\nGenerating reports...');
     
@@ -360,14 +821,19 @@ function main() {
         { name: 'dependencies.md', generator: generateDependencyReport },
         { name: 'classes.md', generator: generateClassReport },
         { name: 'pinvokes.md', generator: generatePInvokeReport },
+        { name: 'sql-usage.md', generator: generateSqlUsageReport },
         { name: 'todos.md', generator: generateTodoReport },
-        { name: 'namespaces.md', generator: generateNamespaceReport }
+        { name: 'orphans.md', generator: generateOrphanReport },
+        { name: 'conditional.md', generator: generateConditionalReport },
+        { name: 'namespaces.md', generator: generateNamespaceReport },
+        { name: 'complexity.md', generator: generateComplexityReport },
+        { name: 'index.html', generator: generateHtmlReport }
     ];
     
     for (const { name, generator } of reports) {
         try {
             const content = generator(results);
-            const outputPath = path.join(outputDir, name);
+            const outputPath = path.join(config.OUTPUT_DIR, name);
             safeWriteFile(outputPath, content);
             console.log(`  Created: ${name}`);
         } catch (err) {
@@ -375,8 +841,12 @@ function main() {
         }
     }
     
+    console.log('\nGenerating diagrams...');
+    generateDiagrams(results);
+    
     console.log('\n' + '='.repeat(60));
-    console.log(`Reports saved to: ${outputDir}/`);
+    console.log(`Reports saved to: ${config.OUTPUT_DIR}/`);
+    console.log(`Diagrams saved to: ${config.DIAGRAMS_DIR}/`);
     console.log('='.repeat(60));
 }
 
@@ -0,0 +1,224 @@
+/**
+ * MICS Query Result Writer
+ *
+ * Writes db-util.js result sets as table, csv, tsv, json, ndjson or
+ * markdown, to stdout or a file. Rows are written as they arrive, so a
+ * streamed query never holds its whole recordset; only the table format
+ * buffers, because column widths depend on every row.
+ *
+ * Values: dates are ISO 8601 (UTC), binary is 0x-prefixed hex, and NULL
+ * is null in JSON and the terminal table, an empty field in CSV/TSV and
+ * NULL in markdown and table files.
+ *
+ * An output holding several result sets (describe, keys, interactive
+ * mode) writes JSON as an object keyed by result set title; the other
+ * formats write the sets one after another.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const FORMATS = ['table', 'csv', 'tsv', 'json', 'ndjson', 'markdown'];
+
+// =============================================================================
+// VALUES
+// =============================================================================
+
+/**
+ * A driver value as display text; null stays null
+ */
+function valueText(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return isNaN(value) ? 'Invalid Date' : value.toISOString();
+    if (Buffer.isBuffer(value)) return `0x${value.toString('hex').toUpperCase()}`;
+    // Several columns with the same name come back as an array
+    if (Array.isArray(value)) return value.map(v => valueText(v) ?? 'NULL').join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function jsonValue(value) {
+    if (Buffer.isBuffer(value)) return valueText(value);
+    if (Array.isArray(value)) return value.map(jsonValue);
+    if (typeof value === 'bigint') return value.toString();
+    return value === undefined ? null : value;
+}
+
+function jsonRow(columns, row) {
+    const result = {};
+    for (const column of columns) {
+        result[column] = jsonValue(row[column]);
+    }
+    return result;
+}
+
+function csvField(text) {
+    if (text === null) return '';
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tsvField(text) {
+    if (text === null) return '';
+    return text.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+function markdownField(text) {
+    if (text === null) return 'NULL';
+    return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+// =============================================================================
+// TABLE FORMAT
+// =============================================================================
+
+/**
+ * Plain aligned text table (used for files; the terminal gets console.table)
+ */
+function textTable(columns, rows) {
+    const cells = rows.map(row => columns.map(c => (valueText(row[c]) ?? 'NULL').replace(/\r?\n/g, ' ')));
+    const widths = columns.map((c, i) => Math.max(c.length, ...cells.map(r => r[i].length)));
+    const line = values => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+    return [line(columns), line(widths.map(w => '-'.repeat(w))), ...cells.map(line)].join('\n') + '\n';
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+/**
+ * Open an output: { format, file, stream, resultSet(title, columns), writeRows(title, rows), close() }
+ * `out` null means stdout. `multi` marks an output that will hold more
+ * than one result set.
+ */
+function createOutput({ format = 'table', out = null, multi = false } = {}) {
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+
+    let file = null;
+    let stream = process.stdout;
+    if (out) {
+        file = path.resolve(out);
+        if (!config.isPathSafeForWrite(file)) {
+            throw new Error(`Refusing to write to unsafe path: ${file}`);
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        stream = fs.createWriteStream(file);
+    }
+
+    const titles = new Map();
+    let setCount = 0;
+
+    const write = text => stream.write(text);
+
+    /**
+     * Start a result set; returns { row(row) -> false when the caller
+     * should wait for 'drain', end(), count }
+     */
+    function resultSet(title, columns) {
+        // Unique key per set in multi-set JSON
+        let key = title || `Result ${setCount + 1}`;
+        const seen = titles.get(key) || 0;
+        titles.set(key, seen + 1);
+        if (seen > 0) key = `${key} (${seen + 1})`;
+
+        const first = setCount === 0;
+        setCount++;
+        const set = { count: 0 };
+        const buffered = [];
+
+        if (format === 'json') {
+            write(multi ? `${first ? '{' : ','}\n${JSON.stringify(key)}: [` : '[');
+        } else if (columns.length === 0) {
+            // Nothing to head (an empty in-memory result)
+        } else if (format === 'csv') {
+            if (!first) write('\r\n');
+            write(columns.map(csvField).join(',') + '\r\n');
+        } else if (format === 'tsv') {
+            if (!first) write('\n');
+            write(columns.map(tsvField).join('\t') + '\n');
+        } else if (format === 'markdown') {
+            if (!first) write('\n');
+            if (multi) write(`### ${key}\n\n`);
+            write(`| ${columns.map(markdownField).join(' | ')} |\n`);
+            write(`|${columns.map(() => '---|').join('')}\n`);
+        }
+
+        set.row = row => {
+            const index = set.count++;
+            if (format === 'table') {
+                buffered.push(row);
+                return true;
+            }
+            if (format === 'json') {
+                return write(`${index === 0 ? '' : ','}\n  ${JSON.stringify(jsonRow(columns, row))}`);
+            }
+            if (format === 'ndjson') {
+                return write(JSON.stringify(jsonRow(columns, row)) + '\n');
+            }
+            const texts = columns.map(c => valueText(row[c]));
+            if (format === 'csv') return write(texts.map(csvField).join(',') + '\r\n');
+            if (format === 'tsv') return write(texts.map(tsvField).join('\t') + '\n');
+            return write(`| ${texts.map(markdownField).join(' | ')} |\n`);
+        };
+
+        set.end = () => {
+            if (format === 'json') {
+                write(set.count > 0 ? '\n' : '');
+                write(multi ? ']' : ']\n');
+            } else if (format === 'table') {
+                if (file) {
+                    if (multi) write(`${first ? '' : '\n'}${key}\n\n`);
+                    write(textTable(columns, buffered));
+                } else {
+                    console.table(buffered.map(row => {
+                        const display = {};
+                        for (const column of columns) {
+                            const value = row[column];
+                            display[column] = Buffer.isBuffer(value) || Array.isArray(value) ? valueText(value) : value;
+                        }
+                        return display;
+                    }));
+                }
+            }
+        };
+
+        return set;
+    }
+
+    /**
+     * Write an in-memory result set
+     */
+    function writeRows(title, rows) {
+        const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+        const set = resultSet(title, columns);
+        rows.forEach(set.row);
+        set.end();
+        return set.count;
+    }
+
+    /**
+     * Finish the output (closing brace, file close)
+     */
+    function close() {
+        if (format === 'json' && multi) {
+            write(setCount > 0 ? '\n}\n' : '{}\n');
+        } else if (format === 'json' && setCount === 0) {
+            write('[]\n');
+        }
+        if (!file) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            stream.on('error', reject);
+            stream.end(resolve);
+        });
+    }
+
+    return { format, file, stream, resultSet, writeRows, close };
+}
+
+module.exports = {
+    FORMATS,
+    valueText,
+    createOutput
+};
@@ -0,0 +1,370 @@
+/**
+ * MICS Database Schema Diff
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Compares two schema snapshots (see schema-snapshot.js): added/dropped
+ * tables, column additions/removals and type/nullability changes,
+ * primary key, foreign key and index changes, and procedures whose
+ * definition changed (with a line diff of OBJECT_DEFINITION).
+ *
+ * Used by `db-util.js schema-diff`; the sides can be snapshot files or
+ * live databases captured on the fly.
+ */
+
+// Column properties compared between snapshots
+const COLUMN_FIELDS = ['type', 'maxLength', 'precision', 'scale', 'nullable', 'identity'];
+
+// Above this many line pairs the procedure diff falls back to remove-all/add-all
+const MAX_DIFF_CELLS = 4000000;
+
+// Unchanged lines shown around each procedure change
+const DIFF_CONTEXT = 2;
+
+function objectKey(item) {
+    return `${item.schema}.${item.name}`.toLowerCase();
+}
+
+function indexByKey(items, keyFn) {
+    return new Map((items || []).map(item => [keyFn(item), item]));
+}
+
+function sameValue(a, b) {
+    const norm = v => v === undefined ? null : v;
+    return JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+}
+
+/**
+ * Added/removed/common keys of two maps
+ */
+function splitKeys(oldMap, newMap) {
+    return {
+        added: [...newMap.keys()].filter(k => !oldMap.has(k)).sort(),
+        removed: [...oldMap.keys()].filter(k => !newMap.has(k)).sort(),
+        common: [...oldMap.keys()].filter(k => newMap.has(k)).sort()
+    };
+}
+
+// =============================================================================
+// TABLES
+// =============================================================================
+
+function isMaxLength(maxLength) {
+    // -1 from the catalog, 0 from the snapshot query's max_length / 2 for n*(max)
+    return typeof maxLength === 'number' && maxLength <= 0;
+}
+
+function columnValue(column, field) {
+    return field === 'maxLength' && isMaxLength(column.maxLength) ? -1 : column[field];
+}
+
+function diffColumns(oldColumns, newColumns) {
+    const oldMap = indexByKey(oldColumns, c => c.name.toLowerCase());
+    const newMap = indexByKey(newColumns, c => c.name.toLowerCase());
+    const keys = splitKeys(oldMap, newMap);
+
+    const changed = [];
+    for (const key of keys.common) {
+        const oldCol = oldMap.get(key);
+        const newCol = newMap.get(key);
+        const changes = COLUMN_FIELDS
+            .filter(field => !sameValue(columnValue(oldCol, field), columnValue(newCol, field)))
+            .map(field => ({ field, old: oldCol[field], new: newCol[field] }));
+        if (changes.length > 0) {
+            changed.push({ name: newCol.name, changes });
+        }
+    }
+
+    return {
+        added: keys.added.map(k => newMap.get(k)),
+        removed: keys.removed.map(k => oldMap.get(k)),
+        changed
+    };
+}
+
+function foreignKeyLabel(fk) {
+    return `${fk.name}: ${fk.column} -> ${fk.referencedTable}.${fk.referencedColumn}`;
+}
+
+function diffIndexes(oldIndexes, newIndexes) {
+    const oldMap = indexByKey(oldIndexes, ix => ix.name.toLowerCase());
+    const newMap = indexByKey(newIndexes, ix => ix.name.toLowerCase());
+    const keys = splitKeys(oldMap, newMap);
+    const fields = ['type', 'unique', 'primaryKey', 'columns', 'included'];
+
+    return {
+        added: keys.added.map(k => newMap.get(k)),
+        removed: keys.removed.map(k => oldMap.get(k)),
+        changed: keys.common
+            .filter(k => fields.some(f => !sameValue(oldMap.get(k)[f], newMap.get(k)[f])))
+            .map(k => ({ name: newMap.get(k).name, old: oldMap.get(k), new: newMap.get(k) }))
+    };
+}
+
+function diffTable(oldTable, newTable) {
+    const columns = diffColumns(oldTable.columns, newTable.columns);
+
+    const oldFks = new Set((oldTable.foreignKeys || []).map(foreignKeyLabel));
+    const newFks = new Set((newTable.foreignKeys || []).map(foreignKeyLabel));
+    const foreignKeys = {
+        added: [...newFks].filter(fk => !oldFks.has(fk)).sort(),
+        removed: [...oldFks].filter(fk => !newFks.has(fk)).sort()
+    };
+
+    const indexes = diffIndexes(oldTable.indexes, newTable.indexes);
+    const primaryKey = sameValue(oldTable.primaryKey, newTable.primaryKey)
+        ? null
+        : { old: oldTable.primaryKey || null, new: newTable.primaryKey || null };
+
+    const hasChanges = columns.added.length + columns.removed.length + columns.changed.length +
+        foreignKeys.added.length + foreignKeys.removed.length +
+        indexes.added.length + indexes.removed.length + indexes.changed.length > 0 || primaryKey;
+
+    return hasChanges
+        ? { table: `${newTable.schema}.${newTable.name}`, columns, primaryKey, foreignKeys, indexes }
+        : null;
+}
+
+// =============================================================================
+// PROCEDURES
+// =============================================================================
+
+function definitionLines(definition) {
+    return (definition || '').replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/\s+$/, ''));
+}
+
+/**
+ * Line diff (LCS) of two texts as [{ op: ' ' | '-' | '+', line }]
+ */
+function diffLines(oldLines, newLines) {
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+    const middle = [];
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        a.forEach(line => middle.push({ op: '-', line }));
+        b.forEach(line => middle.push({ op: '+', line }));
+    } else {
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                middle.push({ op: ' ', line: a[i] });
+                i++;
+                j++;
+            } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                middle.push({ op: '-', line: a[i++] });
+            } else {
+                middle.push({ op: '+', line: b[j++] });
+            }
+        }
+    }
+
+    return [
+        ...oldLines.slice(0, start).map(line => ({ op: ' ', line })),
+        ...middle,
+        ...oldLines.slice(oldEnd).map(line => ({ op: ' ', line }))
+    ];
+}
+
+/**
+ * Keep changed lines plus DIFF_CONTEXT lines around them, as text lines
+ * in unified-diff style ("@@ line N", "-old", "+new", " same")
+ */
+function compactDiff(ops) {
+    const keep = new Array(ops.length).fill(false);
+    ops.forEach((op, i) => {
+        if (op.op === ' ') return;
+        for (let k = Math.max(0, i - DIFF_CONTEXT); k <= Math.min(ops.length - 1, i + DIFF_CONTEXT); k++) {
+            keep[k] = true;
+        }
+    });
+
+    const lines = [];
+    let oldLine = 0;
+    let previousKept = false;
+    ops.forEach((op, i) => {
+        if (op.op !== '+') oldLine++;
+        if (!keep[i]) {
+            previousKept = false;
+            return;
+        }
+        if (!previousKept) {
+            lines.push(`@@ line ${op.op === '+' ? oldLine + 1 : oldLine}`);
+        }
+        lines.push(`${op.op}${op.line}`);
+        previousKept = true;
+    });
+    return lines;
+}
+
+function diffProcedures(oldProcs, newProcs) {
+    const oldMap = indexByKey(oldProcs, objectKey);
+    const newMap = indexByKey(newProcs, objectKey);
+    const keys = splitKeys(oldMap, newMap);
+    const label = p => `${p.schema}.${p.name}`;
+
+    const changed = [];
+    for (const key of keys.common) {
+        const oldLines = definitionLines(oldMap.get(key).definition);
+        const newLines = definitionLines(newMap.get(key).definition);
+        if (oldLines.join('\n') === newLines.join('\n')) continue;
+        const ops = diffLines(oldLines, newLines);
+        changed.push({
+            procedure: label(newMap.get(key)),
+            linesAdded: ops.filter(op => op.op === '+').length,
+            linesRemoved: ops.filter(op => op.op === '-').length,
+            diff: compactDiff(ops)
+        });
+    }
+
+    return {
+        added: keys.added.map(k => label(newMap.get(k))),
+        removed: keys.removed.map(k => label(oldMap.get(k))),
+        changed
+    };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+function describeSide(snapshot) {
+    return {
+        source: snapshot.sourceFile || 'live',
+        server: snapshot.server || null,
+        database: snapshot.database || null,
+        capturedAt: snapshot.capturedAt || null,
+        filter: snapshot.filter || null
+    };
+}
+
+function diffSchemas(oldSnapshot, newSnapshot) {
+    const oldTables = indexByKey(oldSnapshot.tables, objectKey);
+    const newTables = indexByKey(newSnapshot.tables, objectKey);
+    const keys = splitKeys(oldTables, newTables);
+
+    const tables = {
+        added: keys.added.map(k => `${newTables.get(k).schema}.${newTables.get(k).name}`),
+        removed: keys.removed.map(k => `${oldTables.get(k).schema}.${oldTables.get(k).name}`),
+        changed: keys.common.map(k => diffTable(oldTables.get(k), newTables.get(k))).filter(Boolean)
+    };
+    const procedures = diffProcedures(oldSnapshot.procedures, newSnapshot.procedures);
+
+    const count = section => ({
+        added: section.added.length,
+        removed: section.removed.length,
+        changed: section.changed.length
+    });
+    const summary = { tables: count(tables), procedures: count(procedures) };
+    const drift = Object.values(summary).some(c => c.added + c.removed + c.changed > 0);
+
+    return {
+        old: describeSide(oldSnapshot),
+        new: describeSide(newSnapshot),
+        filtersDiffer: !sameValue(oldSnapshot.filter, newSnapshot.filter),
+        summary,
+        drift,
+        tables,
+        procedures
+    };
+}
+
+function columnLabel(column) {
+    let type = column.type;
+    if (column.maxLength !== null && column.maxLength !== undefined) {
+        type += `(${isMaxLength(column.maxLength) ? 'max' : column.maxLength})`;
+    } else if (['decimal', 'numeric'].includes(column.type)) {
+        type += `(${column.precision},${column.scale})`;
+    }
+    return `${column.name} ${type}${column.nullable ? ' NULL' : ' NOT NULL'}${column.identity ? ' IDENTITY' : ''}`;
+}
+
+function keyLabel(key) {
+    return key ? `${key.name} (${key.columns.join(', ')})` : '(none)';
+}
+
+function indexLabel(index) {
+    const include = index.included && index.included.length > 0 ? ` INCLUDE (${index.included.join(', ')})` : '';
+    return `${index.name} ${index.unique ? 'UNIQUE ' : ''}${index.type} (${index.columns.join(', ')})${include}`;
+}
+
+/**
+ * Human-readable report lines. Lines start with +, - or ~ for
+ * additions, removals and changes (db-util.js colors them).
+ */
+function formatSchemaDiff(diff) {
+    const side = s => `${s.source}${s.database ? ` (${s.database}@${s.server || '?'}, ${s.capturedAt || 'unknown date'})` : ''}`;
+    const lines = [`Old: ${side(diff.old)}`, `New: ${side(diff.new)}`];
+    if (diff.filtersDiffer) {
+        lines.push('Note: the snapshots were taken with different --schema/--pattern filters');
+    }
+    lines.push('');
+
+    const t = diff.summary.tables;
+    lines.push(`Tables: +${t.added} -${t.removed} ~${t.changed}`);
+    diff.tables.added.forEach(name => lines.push(`+ ${name}`));
+    diff.tables.removed.forEach(name => lines.push(`- ${name}`));
+    for (const table of diff.tables.changed) {
+        lines.push(`~ ${table.table}`);
+        table.columns.added.forEach(c => lines.push(`+     column ${columnLabel(c)}`));
+        table.columns.removed.forEach(c => lines.push(`-     column ${columnLabel(c)}`));
+        for (const c of table.columns.changed) {
+            const changes = c.changes.map(ch => `${ch.field} ${formatValue(ch.old, ch.field)} -> ${formatValue(ch.new, ch.field)}`);
+            lines.push(`~     column ${c.name}: ${changes.join('; ')}`);
+        }
+        if (table.primaryKey) {
+            lines.push(`~     primary key ${keyLabel(table.primaryKey.old)} -> ${keyLabel(table.primaryKey.new)}`);
+        }
+        table.foreignKeys.added.forEach(fk => lines.push(`+     foreign key ${fk}`));
+        table.foreignKeys.removed.forEach(fk => lines.push(`-     foreign key ${fk}`));
+        table.indexes.added.forEach(ix => lines.push(`+     index ${indexLabel(ix)}`));
+        table.indexes.removed.forEach(ix => lines.push(`-     index ${indexLabel(ix)}`));
+        table.indexes.changed.forEach(ix => lines.push(`~     index ${indexLabel(ix.old)} -> ${indexLabel(ix.new)}`));
+    }
+    lines.push('');
+
+    const p = diff.summary.procedures;
+    lines.push(`Procedures: +${p.added} -${p.removed} ~${p.changed}`);
+    diff.procedures.added.forEach(name => lines.push(`+ ${name}`));
+    diff.procedures.removed.forEach(name => lines.push(`- ${name}`));
+    for (const proc of diff.procedures.changed) {
+        lines.push(`~ ${proc.procedure} (+${proc.linesAdded} -${proc.linesRemoved} lines)`);
+        proc.diff.forEach(line => lines.push(`      ${line}`));
+    }
+
+    return lines;
+}
+
+function formatValue(value, field) {
+    if (value === null || value === undefined) return 'null';
+    if (field === 'maxLength' && isMaxLength(value)) return 'max';
+    if (typeof value === 'boolean') return value ? 'YES' : 'NO';
+    return String(value);
+}
+
+module.exports = {
+    diffSchemas,
+    diffLines,
+    formatSchemaDiff
+};
@@ -0,0 +1,370 @@
+/**
+ * MICS Database Schema Snapshots
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Captures schemas, tables, columns, keys, indexes and procedure
+ * definitions from the sys.* catalog views (the same queries db-util.js
+ * uses) into a versioned JSON file, and answers lookups against a
+ * loaded snapshot so db-util.js --snapshot and db-schema-check.js can
+ * run without a live server.
+ *
+ * Snapshot format (version 2):
+ *   { snapshotVersion, server, database, capturedAt, filter: { schema, pattern },
+ *     schemas: [{ name, owner }],
+ *     tables: [{ schema, name, rowCount,
+ *                columns: [{ name, type, maxLength, precision, scale, nullable, identity, primaryKey }],
+ *                primaryKey: { name, columns } | null,
+ *                foreignKeys: [{ name, column, referencedTable, referencedColumn }],
+ *                indexes: [{ name, type, unique, primaryKey, columns, included }] }],
+ *     procedures: [{ schema, name, created, modified, definition }] }
+ *
+ * Version 1 files (tables and columns only) still load; the missing
+ * parts are empty.
+ */
+
+const fs = require('fs');
+
+const SNAPSHOT_VERSION = 2;
+
+// Types compared against code literals
+const NUMERIC_TYPES = new Set([
+    'bit', 'tinyint', 'smallint', 'int', 'bigint', 'decimal', 'numeric',
+    'money', 'smallmoney', 'float', 'real'
+]);
+const CHARACTER_TYPES = new Set(['char', 'varchar', 'nchar', 'nvarchar', 'text', 'ntext']);
+
+// Shared WHERE clause for table-level catalog queries (alias tb = sys.tables)
+const TABLE_FILTER = 'tb.name LIKE @pattern AND SCHEMA_NAME(tb.schema_id) LIKE @schema';
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Read a snapshot file written by captureSnapshot()/db-util.js snapshot
+ */
+function loadSnapshot(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Snapshot not found: ${filePath}`);
+    }
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(snapshot.tables)) {
+        throw new Error(`Not a schema snapshot (no tables array): ${filePath}`);
+    }
+    if (snapshot.snapshotVersion > SNAPSHOT_VERSION) {
+        throw new Error(`Snapshot version ${snapshot.snapshotVersion} is newer than this tool supports (${SNAPSHOT_VERSION})`);
+    }
+
+    snapshot.schemas = snapshot.schemas || [...new Set(snapshot.tables.map(t => t.schema))]
+        .map(name => ({ name, owner: null }));
+    snapshot.procedures = snapshot.procedures || [];
+    for (const table of snapshot.tables) {
+        table.rowCount = table.rowCount === undefined ? null : table.rowCount;
+        table.primaryKey = table.primaryKey || null;
+        table.foreignKeys = table.foreignKeys || [];
+        table.indexes = table.indexes || [];
+    }
+    return snapshot;
+}
+
+// =============================================================================
+// CAPTURE
+// =============================================================================
+
+function filteredRequest(sql, { pattern = null, schema = null } = {}) {
+    const request = new sql.Request();
+    request.input('pattern', sql.NVarChar, pattern || '%');
+    request.input('schema', sql.NVarChar, schema || '%');
+    return request;
+}
+
+/**
+ * Query tables and columns over an open mssql connection.
+ * `pattern` is an optional LIKE filter on the table name (e.g. ft_%),
+ * `schema` one on the schema name.
+ */
+async function captureSchema(sql, filter = {}) {
+    const result = await filteredRequest(sql, filter).query(`
+        SELECT
+            SCHEMA_NAME(tb.schema_id) AS SchemaName,
+            tb.name AS TableName,
+            c.name AS ColumnName,
+            t.name AS DataType,
+            CASE
+                WHEN t.name IN ('nvarchar', 'nchar') THEN c.max_length / 2
+                WHEN t.name IN ('varchar', 'char', 'varbinary') THEN c.max_length
+                ELSE NULL
+            END AS MaxLength,
+            c.precision AS [Precision],
+            c.scale AS Scale,
+            c.is_nullable AS Nullable,
+            c.is_identity AS [Identity],
+            CASE WHEN pkc.column_id IS NOT NULL THEN 1 ELSE 0 END AS PrimaryKey
+        FROM sys.tables tb
+        INNER JOIN sys.columns c ON c.object_id = tb.object_id
+        INNER JOIN sys.types t ON c.user_type_id = t.user_type_id
+        LEFT JOIN (
+            SELECT ic.column_id, ic.object_id
+            FROM sys.index_columns ic
+            INNER JOIN sys.indexes i ON ic.object_id = i.object_id
+                AND ic.index_id = i.index_id
+            WHERE i.is_primary_key = 1
+        ) pkc ON c.object_id = pkc.object_id AND c.column_id = pkc.column_id
+        WHERE ${TABLE_FILTER}
+        ORDER BY SchemaName, TableName, c.column_id
+    `);
+
+    const tables = new Map();
+    for (const row of result.recordset) {
+        const key = `${row.SchemaName}.${row.TableName}`;
+        if (!tables.has(key)) {
+            tables.set(key, { schema: row.SchemaName, name: row.TableName, columns: [] });
+        }
+        tables.get(key).columns.push({
+            name: row.ColumnName,
+            type: row.DataType,
+            maxLength: row.MaxLength,
+            precision: row.Precision,
+            scale: row.Scale,
+            nullable: !!row.Nullable,
+            identity: !!row.Identity,
+            primaryKey: !!row.PrimaryKey
+        });
+    }
+    return [...tables.values()];
+}
+
+/**
+ * Full snapshot: schemas, tables (row counts, columns, keys, indexes) and
+ * procedure definitions. `schema` also filters procedures; `pattern`
+ * applies to tables only.
+ */
+async function captureSnapshot(sql, filter = {}) {
+    const tables = await captureSchema(sql, filter);
+    const byKey = new Map(tables.map(t => [`${t.schema}.${t.name}`, t]));
+    for (const table of tables) {
+        table.rowCount = null;
+        table.primaryKey = null;
+        table.foreignKeys = [];
+        table.indexes = [];
+    }
+
+    const rowCounts = await filteredRequest(sql, filter).query(`
+        SELECT SCHEMA_NAME(tb.schema_id) AS SchemaName, tb.name AS TableName, SUM(p.rows) AS [RowCount]
+        FROM sys.tables tb
+        LEFT JOIN sys.partitions p ON tb.object_id = p.object_id AND p.index_id IN (0, 1)
+        WHERE ${TABLE_FILTER}
+        GROUP BY tb.schema_id, tb.name
+    `);
+    for (const row of rowCounts.recordset) {
+        const table = byKey.get(`${row.SchemaName}.${row.TableName}`);
+        if (table) table.rowCount = row.RowCount;
+    }
+
+    const indexes = await filteredRequest(sql, filter).query(`
+        SELECT
+            SCHEMA_NAME(tb.schema_id) AS SchemaName,
+            tb.name AS TableName,
+            i.name AS IndexName,
+            i.type_desc AS IndexType,
+            i.is_unique AS IsUnique,
+            i.is_primary_key AS IsPrimaryKey,
+            COL_NAME(ic.object_id, ic.column_id) AS ColumnName,
+            ic.is_included_column AS IsIncluded
+        FROM sys.tables tb
+        INNER JOIN sys.indexes i ON i.object_id = tb.object_id
+        INNER JOIN sys.index_columns ic ON i.object_id = ic.object_id AND i.index_id = ic.index_id
+        WHERE i.name IS NOT NULL AND ${TABLE_FILTER}
+        ORDER BY SchemaName, TableName, i.name, ic.is_included_column, ic.key_ordinal, ic.index_column_id
+    `);
+    for (const row of indexes.recordset) {
+        const table = byKey.get(`${row.SchemaName}.${row.TableName}`);
+        if (!table) continue;
+        let index = table.indexes.find(ix => ix.name === row.IndexName);
+        if (!index) {
+            index = {
+                name: row.IndexName,
+                type: row.IndexType,
+                unique: !!row.IsUnique,
+                primaryKey: !!row.IsPrimaryKey,
+                columns: [],
+                included: []
+            };
+            table.indexes.push(index);
+        }
+        (row.IsIncluded ? index.included : index.columns).push(row.ColumnName);
+        if (index.primaryKey) {
+            table.primaryKey = { name: index.name, columns: index.columns };
+        }
+    }
+
+    const foreignKeys = await filteredRequest(sql, filter).query(`
+        SELECT
+            SCHEMA_NAME(tb.schema_id) AS SchemaName,
+            tb.name AS TableName,
+            fk.name AS FKName,
+            COL_NAME(fkc.parent_object_id, fkc.parent_column_id) AS ColumnName,
+            OBJECT_SCHEMA_NAME(fk.referenced_object_id) + '.' + OBJECT_NAME(fk.referenced_object_id) AS ReferencedTable,
+            COL_NAME(fkc.referenced_object_id, fkc.referenced_column_id) AS ReferencedColumn
+        FROM sys.tables tb
+        INNER JOIN sys.foreign_keys fk ON fk.parent_object_id = tb.object_id
+        INNER JOIN sys.foreign_key_columns fkc ON fk.object_id = fkc.constraint_object_id
+        WHERE ${TABLE_FILTER}
+        ORDER BY SchemaName, TableName, fk.name, fkc.constraint_column_id
+    `);
+    for (const row of foreignKeys.recordset) {
+        const table = byKey.get(`${row.SchemaName}.${row.TableName}`);
+        if (!table) continue;
+        table.foreignKeys.push({
+            name: row.FKName,
+            column: row.ColumnName,
+            referencedTable: row.ReferencedTable,
+            referencedColumn: row.ReferencedColumn
+        });
+    }
+
+    const schemas = await filteredRequest(sql, filter).query(`
+        SELECT s.name AS SchemaName, p.name AS Owner
+        FROM sys.schemas s
+        LEFT JOIN sys.database_principals p ON s.principal_id = p.principal_id
+        WHERE s.name LIKE @schema
+        ORDER BY s.name
+    `);
+
+    const procedures = await filteredRequest(sql, filter).query(`
+        SELECT
+            SCHEMA_NAME(schema_id) AS SchemaName,
+            name AS ProcedureName,
+            create_date AS Created,
+            modify_date AS Modified,
+            OBJECT_DEFINITION(object_id) AS Definition
+        FROM sys.procedures
+        WHERE SCHEMA_NAME(schema_id) LIKE @schema
+        ORDER BY SchemaName, name
+    `);
+
+    return {
+        snapshotVersion: SNAPSHOT_VERSION,
+        capturedAt: new Date().toISOString(),
+        filter: { schema: filter.schema || null, pattern: filter.pattern || null },
+        schemas: schemas.recordset.map(r => ({ name: r.SchemaName, owner: r.Owner })),
+        tables,
+        procedures: procedures.recordset.map(r => ({
+            schema: r.SchemaName,
+            name: r.ProcedureName,
+            created: r.Created,
+            modified: r.Modified,
+            definition: r.Definition
+        }))
+    };
+}
+
+// =============================================================================
+// OFFLINE LOOKUPS
+// =============================================================================
+
+/**
+ * T-SQL LIKE pattern -> case-insensitive RegExp (%, _ and [...] classes)
+ */
+function likeToRegExp(pattern) {
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '%') {
+            regex += '.*';
+        } else if (ch === '_') {
+            regex += '.';
+        } else if (ch === '[') {
+            const close = pattern.indexOf(']', i + 1);
+            if (close === -1) {
+                regex += '\\[';
+            } else {
+                const body = pattern.substring(i + 1, close).replace(/\\/g, '\\\\');
+                regex += `[${body.startsWith('^') ? body : body.replace(/^\]/, '\\]')}]`;
+                i = close;
+            }
+        } else {
+            regex += ch.replace(/[.*+?^${}()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${regex}$`, 'i');
+}
+
+/**
+ * "[bmce].[ft_x_site]" / "ft_x_site" -> { schema, name }; no schema means dbo,
+ * as with OBJECT_ID()
+ */
+function splitObjectName(objectName) {
+    const parts = objectName.replace(/[[\]]/g, '').split('.');
+    const name = parts.pop();
+    return { schema: parts.pop() || 'dbo', name };
+}
+
+function sameName(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+function findTable(snapshot, objectName) {
+    const { schema, name } = splitObjectName(objectName);
+    return snapshot.tables.find(t => sameName(t.schema, schema) && sameName(t.name, name)) || null;
+}
+
+function findProcedure(snapshot, objectName) {
+    const { schema, name } = splitObjectName(objectName);
+    return snapshot.procedures.find(p => sameName(p.schema, schema) && sameName(p.name, name)) || null;
+}
+
+/**
+ * Tables whose name matches a LIKE pattern, ordered by name
+ */
+function tablesLike(snapshot, pattern) {
+    const regex = likeToRegExp(pattern);
+    return snapshot.tables
+        .filter(t => regex.test(t.name))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A copy of a snapshot narrowed as captureSnapshot() would have with the
+ * same filter: `schema` applies to schemas, tables and procedures,
+ * `pattern` to table names only
+ */
+function filterSnapshot(snapshot, { schema = null, pattern = null } = {}) {
+    if (!schema && !pattern) {
+        return snapshot;
+    }
+    const schemaRegex = likeToRegExp(schema || '%');
+    const nameRegex = likeToRegExp(pattern || '%');
+    const previous = snapshot.filter || {};
+    return {
+        ...snapshot,
+        filter: { schema: schema || previous.schema || null, pattern: pattern || previous.pattern || null },
+        schemas: snapshot.schemas.filter(s => schemaRegex.test(s.name)),
+        tables: snapshot.tables.filter(t => schemaRegex.test(t.schema) && nameRegex.test(t.name)),
+        procedures: snapshot.procedures.filter(p => schemaRegex.test(p.schema))
+    };
+}
+
+/**
+ * 'number' / 'string' / null - the kind of code literal a column accepts
+ */
+function literalKind(type) {
+    const base = (type || '').toLowerCase();
+    if (NUMERIC_TYPES.has(base)) return 'number';
+    if (CHARACTER_TYPES.has(base)) return 'string';
+    return null;
+}
+
+module.exports = {
+    SNAPSHOT_VERSION,
+    loadSnapshot,
+    captureSchema,
+    captureSnapshot,
+    likeToRegExp,
+    filterSnapshot,
+    findTable,
+    findProcedure,
+    tablesLike,
+    literalKind
+};
@@ -0,0 +1,367 @@
+/**
+ * MICS# Analysis Snapshot Diff
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Compares two analysis-results.json snapshots and reports structural
+ * changes: projects, project references, classes, methods (including
+ * signature changes), P/Invokes and TODOs.
+ * Output is written to reports/changes.md and reports/changes.json.
+ *
+ * Usage: node snapshot-diff.js <old-results.json> [new-results.json]
+ *        node analyzer.js diff <old-results.json> [new-results.json]
+ *
+ * When new-results.json is omitted, reports/analysis-results.json is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Safely write output (only to OUTPUT_DIR, never to MICS_PATH)
+ */
+function safeWriteFile(outputPath, content) {
+    if (!config.isPathSafeForWrite(outputPath)) {
+        throw new Error(`Refusing to write to unsafe path: ${outputPath}`);
+    }
+
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.writeFileSync(outputPath, content);
+}
+
+function loadSnapshot(snapshotPath) {
+    const resolved = path.resolve(snapshotPath);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Snapshot not found: ${resolved}`);
+    }
+    const snapshot = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    snapshot.sourceFile = resolved;
+    return snapshot;
+}
+
+// =============================================================================
+// COMPARISON
+// =============================================================================
+
+/**
+ * Index items by key; items with the same key are kept together
+ */
+function indexBy(items, keyFn) {
+    const index = new Map();
+    for (const item of items || []) {
+        const key = keyFn(item);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(item);
+    }
+    return index;
+}
+
+/**
+ * Compare listed fields of two objects; returns [{ field, before, after }]
+ */
+function fieldChanges(before, after, fields) {
+    const changes = [];
+    for (const field of fields) {
+        const a = JSON.stringify(before[field] === undefined ? null : before[field]);
+        const b = JSON.stringify(after[field] === undefined ? null : after[field]);
+        if (a !== b) {
+            changes.push({ field, before: before[field], after: after[field] });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Generic keyed comparison of two lists
+ */
+function diffCollections(oldItems, newItems, keyFn, fields) {
+    const oldIndex = indexBy(oldItems, keyFn);
+    const newIndex = indexBy(newItems, keyFn);
+    const result = { added: [], removed: [], changed: [] };
+
+    for (const [key, items] of newIndex) {
+        if (!oldIndex.has(key)) {
+            result.added.push(...items);
+        } else if (fields) {
+            const changes = fieldChanges(oldIndex.get(key)[0], items[0], fields);
+            if (changes.length > 0) {
+                result.changed.push({ key, item: items[0], changes });
+            }
+        }
+    }
+    for (const [key, items] of oldIndex) {
+        if (!newIndex.has(key)) {
+            result.removed.push(...items);
+        }
+    }
+    return result;
+}
+
+function qualifiedType(item) {
+    const ns = item.namespace ? `${item.namespace}.` : '';
+    const outer = item.containingType ? `${item.containingType}.` : '';
+    return `${ns}${outer}${item.name}`;
+}
+
+function normalizeParameters(parameters) {
+    return (parameters || '').replace(/\s+/g, ' ').replace(/\s*,\s*/g, ', ').trim();
+}
+
+function methodOwner(method) {
+    const ns = method.namespace ? `${method.namespace}.` : '';
+    return `${method.project}|${ns}${method.containingType || ''}`;
+}
+
+function methodSignature(method) {
+    return `${method.name}(${normalizeParameters(method.parameters)})`;
+}
+
+/**
+ * Methods are matched by owner + name. Within such a group, identical
+ * signatures are compared field by field; leftover old/new overloads are
+ * paired up as signature changes, and the rest are plain adds/removes.
+ */
+function diffMethods(oldMethods, newMethods) {
+    const oldGroups = indexBy(oldMethods, m => `${methodOwner(m)}|${m.name}`);
+    const newGroups = indexBy(newMethods, m => `${methodOwner(m)}|${m.name}`);
+    const result = { added: [], removed: [], signatureChanged: [], changed: [] };
+
+    const keys = new Set([...oldGroups.keys(), ...newGroups.keys()]);
+    for (const key of keys) {
+        const before = oldGroups.get(key) || [];
+        const after = newGroups.get(key) || [];
+        const beforeBySig = indexBy(before, methodSignature);
+        const afterBySig = indexBy(after, methodSignature);
+
+        const unmatchedBefore = before.filter(m => !afterBySig.has(methodSignature(m)));
+        const unmatchedAfter = after.filter(m => !beforeBySig.has(methodSignature(m)));
+
+        for (const [sig, items] of afterBySig) {
+            if (beforeBySig.has(sig)) {
+                const changes = fieldChanges(beforeBySig.get(sig)[0], items[0], ['returnType', 'modifiers', 'kind']);
+                if (changes.length > 0) {
+                    result.changed.push({ method: items[0], changes });
+                }
+            }
+        }
+
+        const pairs = Math.min(unmatchedBefore.length, unmatchedAfter.length);
+        for (let i = 0; i < pairs; i++) {
+            result.signatureChanged.push({ before: unmatchedBefore[i], after: unmatchedAfter[i] });
+        }
+        result.removed.push(...unmatchedBefore.slice(pairs));
+        result.added.push(...unmatchedAfter.slice(pairs));
+    }
+
+    return result;
+}
+
+function projectReferences(results) {
+    const refs = [];
+    for (const proj of results.projects || []) {
+        for (const dep of proj.dependencies || []) {
+            refs.push({ project: proj.name, reference: dep });
+        }
+    }
+    return refs;
+}
+
+/**
+ * Compare two snapshots
+ */
+function diffSnapshots(oldResults, newResults) {
+    const diff = {
+        old: { file: oldResults.sourceFile || null, timestamp: oldResults.timestamp, micsPath: oldResults.micsPath },
+        new: { file: newResults.sourceFile || null, timestamp: newResults.timestamp, micsPath: newResults.micsPath },
+        metrics: fieldChanges(oldResults.metrics || {}, newResults.metrics || {}, [
+            'totalProjects', 'totalFiles', 'totalLines', 'totalClasses', 'totalMethods', 'totalPInvokes', 'totalTodos'
+        ]),
+        projects: diffCollections(oldResults.projects, newResults.projects, p => p.name,
+            ['framework', 'outputType', 'sourceFileCount']),
+        projectReferences: diffCollections(projectReferences(oldResults), projectReferences(newResults),
+            r => `${r.project}|${r.reference}`),
+        classes: diffCollections(oldResults.classes, newResults.classes,
+            c => `${c.project}|${qualifiedType(c)}`, ['type', 'inheritance', 'modifiers', 'file']),
+        methods: diffMethods(oldResults.methods, newResults.methods),
+        pInvokes: diffCollections(oldResults.pInvokes, newResults.pInvokes,
+            p => `${p.project}|${p.dll.toLowerCase()}|${p.function}`, ['file']),
+        // Line numbers move with every edit, so TODOs are matched on their text
+        todos: diffCollections(oldResults.todos, newResults.todos,
+            t => `${t.file}|${t.type}|${t.text}`)
+    };
+
+    diff.summary = {
+        projects: countChanges(diff.projects),
+        projectReferences: countChanges(diff.projectReferences),
+        classes: countChanges(diff.classes),
+        methods: {
+            added: diff.methods.added.length,
+            removed: diff.methods.removed.length,
+            changed: diff.methods.changed.length + diff.methods.signatureChanged.length
+        },
+        pInvokes: countChanges(diff.pInvokes),
+        todos: countChanges(diff.todos)
+    };
+    return diff;
+}
+
+function countChanges(section) {
+    return {
+        added: section.added.length,
+        removed: section.removed.length,
+        changed: section.changed.length
+    };
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+function escapeCell(text) {
+    return String(text === null || text === undefined ? '-' : text).replace(/\|/g, '\\|');
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) return value.join(' ');
+    return value === null || value === undefined ? '-' : value;
+}
+
+function methodLabel(m) {
+    const owner = m.containingType ? `${m.containingType}.` : '';
+    return `${owner}${m.name}(${normalizeParameters(m.parameters)})`;
+}
+
+function generateChangesReport(diff) {
+    let report = `# MICS# Structural Changes\n\n`;
+    report += `Generated: ${new Date().toISOString()}\n\n`;
+    report += `- Old: ${diff.old.file || '-'} (${diff.old.timestamp || 'unknown'})\n`;
+    report += `- New: ${diff.new.file || '-'} (${diff.new.timestamp || 'unknown'})\n\n`;
+
+    report += `## Summary\n\n`;
+    report += `| Area | Added | Removed | Changed |\n`;
+    report += `|------|-------|---------|---------|\n`;
+    for (const [area, counts] of Object.entries(diff.summary)) {
+        report += `| ${area} | ${counts.added} | ${counts.removed} | ${counts.changed} |\n`;
+    }
+
+    if (diff.metrics.length > 0) {
+        report += `\n## Metrics\n\n`;
+        report += `| Metric | Old | New |\n`;
+        report += `|--------|-----|-----|\n`;
+        for (const c of diff.metrics) {
+            report += `| ${c.field} | ${formatValue(c.before)} | ${formatValue(c.after)} |\n`;
+        }
+    }
+
+    const listSection = (title, section, label, changedLabel) => {
+        if (section.added.length + section.removed.length + section.changed.length === 0) return '';
+        let out = `\n## ${title}\n\n`;
+        for (const item of section.added) out += `- **Added** ${label(item)}\n`;
+        for (const item of section.removed) out += `- **Removed** ${label(item)}\n`;
+        for (const change of section.changed) {
+            out += `- **Changed** ${changedLabel ? changedLabel(change) : change.key}: `;
+            out += change.changes.map(c => `${c.field} \`${formatValue(c.before)}\` → \`${formatValue(c.after)}\``).join(', ');
+            out += `\n`;
+        }
+        return out;
+    };
+
+    report += listSection('Projects', diff.projects, p => `${p.name} (${p.outputType || '?'}, ${p.framework || '?'})`,
+        c => c.item.name);
+    report += listSection('Project References', diff.projectReferences, r => `${r.project} → ${r.reference}`);
+    report += listSection('Classes', diff.classes, c => `${c.type} ${qualifiedType(c)} (${c.project}, ${c.file})`,
+        c => qualifiedType(c.item));
+
+    const m = diff.methods;
+    if (m.added.length + m.removed.length + m.changed.length + m.signatureChanged.length > 0) {
+        report += `\n## Methods\n\n`;
+        if (m.signatureChanged.length > 0) {
+            report += `### Signature Changes\n\n`;
+            report += `| Project | Old Signature | New Signature | File |\n`;
+            report += `|---------|---------------|---------------|------|\n`;
+            for (const c of m.signatureChanged) {
+                report += `| ${c.after.project} | ${escapeCell(methodLabel(c.before))} | ${escapeCell(methodLabel(c.after))} | ${c.after.file} |\n`;
+            }
+            report += `\n`;
+        }
+        const methodTable = (title, methods) => {
+            if (methods.length === 0) return '';
+            let out = `### ${title} (${methods.length})\n\n`;
+            out += `| Project | Method | File |\n`;
+            out += `|---------|--------|------|\n`;
+            for (const method of methods) {
+                out += `| ${method.project} | ${escapeCell(methodLabel(method))} | ${method.file} |\n`;
+            }
+            return out + `\n`;
+        };
+        report += methodTable('Added', m.added);
+        report += methodTable('Removed', m.removed);
+        if (m.changed.length > 0) {
+            report += `### Modifier / Return Type Changes\n\n`;
+            for (const c of m.changed) {
+                report += `- ${escapeCell(methodLabel(c.method))}: `;
+                report += c.changes.map(ch => `${ch.field} \`${formatValue(ch.before)}\` → \`${formatValue(ch.after)}\``).join(', ');
+                report += `\n`;
+            }
+        }
+    }
+
+    report += listSection('P/Invokes', diff.pInvokes, p => `${p.dll} ${p.function} (${p.project}, ${p.file})`,
+        c => `${c.item.dll} ${c.item.function}`);
+    report += listSection('TODOs', diff.todos, t => `${t.type} ${t.file}:${t.line} ${escapeCell(t.text)}`);
+
+    return report;
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+function runDiff(args) {
+    if (args.length < 1) {
+        console.log('Usage: node snapshot-diff.js <old-results.json> [new-results.json]');
+        console.log('       (new defaults to reports/analysis-results.json)');
+        process.exit(1);
+    }
+
+    const oldPath = args[0];
+    const newPath = args[1] || path.join(config.OUTPUT_DIR, 'analysis-results.json');
+
+    console.log('='.repeat(60));
+    console.log('MICS# Snapshot Diff (READ-ONLY MODE)');
+    console.log('='.repeat(60));
+    console.log(`\nOld: ${path.resolve(oldPath)}`);
+    console.log(`New: ${path.resolve(newPath)}`);
+
+    const diff = diffSnapshots(loadSnapshot(oldPath), loadSnapshot(newPath));
+
+    safeWriteFile(path.join(config.OUTPUT_DIR, 'changes.json'), JSON.stringify(diff, null, 2));
+    safeWriteFile(path.join(config.OUTPUT_DIR, 'changes.md'), generateChangesReport(diff));
+
+    console.log('\nChanges (added/removed/changed):');
+    for (const [area, counts] of Object.entries(diff.summary)) {
+        console.log(`  ${area.padEnd(18)} +${counts.added} -${counts.removed} ~${counts.changed}`);
+    }
+    console.log(`\nResults saved to: ${path.join(config.OUTPUT_DIR, 'changes.md')} (and changes.json)`);
+    return diff;
+}
+
+if (require.main === module) {
+    try {
+        runDiff(config.load(process.argv.slice(2)));
+    } catch (err) {
+        console.error('Diff failed:', err.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    diffSnapshots,
+    generateChangesReport,
+    runDiff
+};
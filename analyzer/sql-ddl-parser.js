@@ -0,0 +1,395 @@
+/**
+ * MICS T-SQL DDL Parser
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Tokenizes T-SQL scripts (comments, N'strings', [quoted] identifiers,
+ * variables) and parses CREATE TABLE statements into columns with
+ * type, length, precision/scale, nullability and IDENTITY, plus
+ * table-level constraints.
+ *
+ * Column definitions are split on top-level commas, so comments,
+ * trailing commas and constraints in any position do not confuse it.
+ */
+
+// Types whose single argument is a length (MAX -> -1)
+const LENGTH_TYPES = new Set(['char', 'varchar', 'nchar', 'nvarchar', 'binary', 'varbinary']);
+
+// Types whose arguments are precision and scale
+const PRECISION_TYPES = new Set(['decimal', 'numeric']);
+
+// Types whose single argument is a fractional-seconds scale
+const SCALE_TYPES = new Set(['datetime2', 'time', 'datetimeoffset']);
+
+// First word of a table-level constraint inside CREATE TABLE (...)
+const TABLE_CONSTRAINT_WORDS = new Set(['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'INDEX', 'PERIOD']);
+
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+/**
+ * Split T-SQL text into tokens: { type, value, line } where type is
+ * word, identifier ([x] / "x"), string, number, variable or punct.
+ * Comments are dropped.
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+
+    const advance = (end) => {
+        for (let k = i; k < end; k++) {
+            if (text[k] === '\n') line++;
+        }
+        i = end;
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+        const next = text[i + 1];
+
+        if (ch === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '-' && next === '-') {
+            const end = text.indexOf('\n', i);
+            i = end === -1 ? text.length : end;
+        } else if (ch === '/' && next === '*') {
+            // Block comments nest in T-SQL
+            let depth = 0;
+            let k = i;
+            while (k < text.length) {
+                if (text[k] === '/' && text[k + 1] === '*') {
+                    depth++;
+                    k += 2;
+                } else if (text[k] === '*' && text[k + 1] === '/') {
+                    depth--;
+                    k += 2;
+                    if (depth === 0) break;
+                } else {
+                    k++;
+                }
+            }
+            advance(k);
+        } else if (ch === '\'' || ((ch === 'N' || ch === 'n') && next === '\'')) {
+            const startLine = line;
+            let k = text.indexOf('\'', i) + 1;
+            while (k < text.length) {
+                if (text[k] === '\'' && text[k + 1] === '\'') {
+                    k += 2;
+                } else if (text[k] === '\'') {
+                    break;
+                } else {
+                    k++;
+                }
+            }
+            const value = text.substring(i, k + 1);
+            advance(Math.min(k + 1, text.length));
+            tokens.push({ type: 'string', value, line: startLine });
+        } else if (ch === '[' || ch === '"') {
+            const close = ch === '[' ? ']' : '"';
+            let k = i + 1;
+            while (k < text.length) {
+                if (text[k] === close && text[k + 1] === close) {
+                    k += 2;
+                } else if (text[k] === close) {
+                    break;
+                } else {
+                    k++;
+                }
+            }
+            const startLine = line;
+            const value = text.substring(i + 1, k).split(close + close).join(close);
+            advance(Math.min(k + 1, text.length));
+            tokens.push({ type: 'identifier', value, line: startLine });
+        } else if (ch === '@') {
+            const match = /^@@?[\w$#@]*/.exec(text.substring(i, i + 200));
+            tokens.push({ type: 'variable', value: match[0], line });
+            i += match[0].length;
+        } else if (/[A-Za-z_#]/.test(ch)) {
+            const match = /^[A-Za-z_#][\w$#@]*/.exec(text.substring(i, i + 300));
+            tokens.push({ type: 'word', value: match[0], line });
+            i += match[0].length;
+        } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+            const match = /^(0x[0-9A-Fa-f]*|\d*\.?\d+(?:[eE][+-]?\d+)?)/.exec(text.substring(i, i + 100));
+            tokens.push({ type: 'number', value: match[0], line });
+            i += match[0].length;
+        } else {
+            tokens.push({ type: 'punct', value: ch, line });
+            i++;
+        }
+    }
+
+    return tokens;
+}
+
+function isWord(token, word) {
+    return token && token.type === 'word' && token.value.toUpperCase() === word;
+}
+
+function isPunct(token, value) {
+    return token && token.type === 'punct' && token.value === value;
+}
+
+/**
+ * Read a (possibly multi-part) object name at tokens[i]: a.b.c, or db..c
+ * with an empty schema part. Returns { parts, next }.
+ */
+function readObjectName(tokens, i) {
+    const parts = [];
+    while (tokens[i] && (tokens[i].type === 'word' || tokens[i].type === 'identifier')) {
+        parts.push(tokens[i].value);
+        i++;
+        if (!isPunct(tokens[i], '.')) break;
+        i++;
+        // db..object: the schema is left out
+        while (isPunct(tokens[i], '.')) {
+            parts.push('');
+            i++;
+        }
+    }
+    return { parts, next: i };
+}
+
+/**
+ * Index of the ')' matching the '(' at tokens[open]
+ */
+function matchingParen(tokens, open) {
+    let depth = 0;
+    for (let k = open; k < tokens.length; k++) {
+        if (isPunct(tokens[k], '(')) depth++;
+        else if (isPunct(tokens[k], ')')) {
+            depth--;
+            if (depth === 0) return k;
+        }
+    }
+    return tokens.length - 1;
+}
+
+/**
+ * Split tokens[start..end) on commas at parenthesis depth 0
+ */
+function splitTopLevel(tokens, start, end) {
+    const items = [];
+    let depth = 0;
+    let current = [];
+    for (let k = start; k < end; k++) {
+        const tok = tokens[k];
+        if (isPunct(tok, '(')) depth++;
+        else if (isPunct(tok, ')')) depth--;
+        if (depth === 0 && isPunct(tok, ',')) {
+            if (current.length > 0) items.push(current);
+            current = [];
+        } else {
+            current.push(tok);
+        }
+    }
+    if (current.length > 0) items.push(current);
+    return items;
+}
+
+// =============================================================================
+// CREATE TABLE
+// =============================================================================
+
+/**
+ * Column list inside "(a, b)" starting at item[i]
+ */
+function readColumnList(item, i) {
+    const columns = [];
+    if (!isPunct(item[i], '(')) return columns;
+    const close = matchingParen(item, i);
+    for (let k = i + 1; k < close; k++) {
+        if (item[k].type === 'word' || item[k].type === 'identifier') {
+            if (!['ASC', 'DESC'].includes(item[k].value.toUpperCase()) || item[k].type === 'identifier') {
+                columns.push(item[k].value);
+            }
+        }
+    }
+    return columns;
+}
+
+function parseTableConstraint(item) {
+    let i = 0;
+    let name = null;
+    if (isWord(item[0], 'CONSTRAINT')) {
+        name = item[1] ? item[1].value : null;
+        i = 2;
+    }
+    const kind = item[i] ? item[i].value.toUpperCase() : null;
+    const constraint = { kind: kind === 'PRIMARY' ? 'PRIMARY KEY' : kind === 'FOREIGN' ? 'FOREIGN KEY' : kind, name, columns: [] };
+
+    // PRIMARY KEY [CLUSTERED] (cols) / UNIQUE [NONCLUSTERED] (cols) / FOREIGN KEY (cols) REFERENCES t (cols)
+    let k = i + 1;
+    while (item[k] && !isPunct(item[k], '(') && !isWord(item[k], 'REFERENCES')) k++;
+    if (kind !== 'CHECK') {
+        constraint.columns = readColumnList(item, k);
+    }
+    const refIndex = item.findIndex(t => isWord(t, 'REFERENCES'));
+    if (refIndex !== -1) {
+        const ref = readObjectName(item, refIndex + 1);
+        constraint.references = { table: ref.parts.join('.'), columns: readColumnList(item, ref.next) };
+    }
+    return constraint;
+}
+
+function parseColumn(item) {
+    const column = {
+        name: item[0].value,
+        type: null,
+        maxLength: null,
+        precision: null,
+        scale: null,
+        nullable: true,
+        identity: false,
+        primaryKey: false,
+        computed: false,
+        hasDefault: false,
+        line: item[0].line
+    };
+
+    if (isWord(item[1], 'AS')) {
+        column.computed = true;
+        return column;
+    }
+
+    const type = readObjectName(item, 1);
+    column.type = (type.parts[type.parts.length - 1] || '').toLowerCase();
+    let i = type.next;
+
+    if (isPunct(item[i], '(')) {
+        const close = matchingParen(item, i);
+        const args = item.slice(i + 1, close).filter(t => !isPunct(t, ','));
+        const first = args[0] ? args[0].value.toUpperCase() : null;
+        if (LENGTH_TYPES.has(column.type)) {
+            column.maxLength = first === 'MAX' ? -1 : parseInt(first, 10);
+        } else if (PRECISION_TYPES.has(column.type)) {
+            column.precision = parseInt(first, 10);
+            column.scale = args[1] ? parseInt(args[1].value, 10) : 0;
+        } else if (SCALE_TYPES.has(column.type)) {
+            column.scale = parseInt(first, 10);
+        } else if (column.type === 'float') {
+            column.precision = parseInt(first, 10) <= 24 ? 24 : 53;
+        }
+        i = close + 1;
+    } else if (LENGTH_TYPES.has(column.type)) {
+        // char / varchar without a length is 1 character in a column definition
+        column.maxLength = 1;
+    } else if (PRECISION_TYPES.has(column.type)) {
+        column.precision = 18;
+        column.scale = 0;
+    }
+
+    for (; i < item.length; i++) {
+        const word = item[i].type === 'word' ? item[i].value.toUpperCase() : null;
+        if (word === 'NOT' && isWord(item[i + 1], 'NULL')) {
+            column.nullable = false;
+            i++;
+        } else if (word === 'NULL') {
+            column.nullable = true;
+        } else if (word === 'IDENTITY') {
+            column.identity = true;
+            column.nullable = false;
+            if (isPunct(item[i + 1], '(')) i = matchingParen(item, i + 1);
+        } else if (word === 'PRIMARY' && isWord(item[i + 1], 'KEY')) {
+            column.primaryKey = true;
+            column.nullable = false;
+            i++;
+        } else if (word === 'DEFAULT' || word === 'CHECK') {
+            if (word === 'DEFAULT') column.hasDefault = true;
+            // Skip the expression: a literal/function call or a parenthesized expression
+            if (isPunct(item[i + 1], '(')) {
+                i = matchingParen(item, i + 1);
+            } else {
+                i++;
+                if (isPunct(item[i + 1], '(')) i = matchingParen(item, i + 1);
+            }
+        } else if (word === 'CONSTRAINT' || word === 'COLLATE') {
+            i++;
+        }
+    }
+
+    return column;
+}
+
+/**
+ * Every CREATE TABLE in a script:
+ * [{ schema, name, line, columns: [{ name, type, maxLength, precision, scale,
+ *    nullable, identity, primaryKey, computed, hasDefault, line }], constraints }]
+ * Table variables and temp tables (#x) are included; callers filter.
+ */
+function parseCreateTables(text) {
+    const tokens = tokenize(text);
+    const tables = [];
+
+    for (let i = 0; i < tokens.length - 2; i++) {
+        if (!isWord(tokens[i], 'CREATE') || !isWord(tokens[i + 1], 'TABLE')) continue;
+
+        const name = readObjectName(tokens, i + 2);
+        if (name.parts.length === 0 || !isPunct(tokens[name.next], '(')) continue;
+        const close = matchingParen(tokens, name.next);
+
+        const table = {
+            schema: (name.parts.length > 1 && name.parts[name.parts.length - 2]) || 'dbo',
+            name: name.parts[name.parts.length - 1],
+            line: tokens[i].line,
+            columns: [],
+            constraints: []
+        };
+
+        for (const item of splitTopLevel(tokens, name.next + 1, close)) {
+            if (item[0].type === 'word' && TABLE_CONSTRAINT_WORDS.has(item[0].value.toUpperCase())) {
+                table.constraints.push(parseTableConstraint(item));
+            } else {
+                table.columns.push(parseColumn(item));
+            }
+        }
+
+        // PRIMARY KEY (a, b) makes its columns NOT NULL
+        for (const constraint of table.constraints) {
+            if (constraint.kind !== 'PRIMARY KEY') continue;
+            for (const column of table.columns) {
+                if (constraint.columns.some(c => c.toLowerCase() === column.name.toLowerCase())) {
+                    column.primaryKey = true;
+                    column.nullable = false;
+                }
+            }
+        }
+
+        tables.push(table);
+        i = close;
+    }
+
+    return tables;
+}
+
+/**
+ * "CHAR(9)", "NVARCHAR(MAX)", "DECIMAL(10,2)" - display form of a parsed column type
+ */
+function formatType(column) {
+    const type = (column.type || '?').toUpperCase();
+    if (column.maxLength !== null && column.maxLength !== undefined) {
+        return `${type}(${column.maxLength <= 0 ? 'MAX' : column.maxLength})`;
+    }
+    if (PRECISION_TYPES.has(column.type) && column.precision) {
+        return `${type}(${column.precision},${column.scale || 0})`;
+    }
+    if (SCALE_TYPES.has(column.type) && column.scale !== null && column.scale !== undefined) {
+        return `${type}(${column.scale})`;
+    }
+    return type;
+}
+
+module.exports = {
+    tokenize,
+    parseCreateTables,
+    formatType,
+    splitTopLevel,
+    matchingParen,
+    readObjectName,
+    isWord,
+    isPunct
+};
@@ -0,0 +1,259 @@
+/**
+ * MICS Read-Only SQL Guard
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Classifies ad-hoc T-SQL before db-util.js sends it to the server, so
+ * nothing that changes data or schema runs by accident against
+ * production. Blocked:
+ *
+ *   - INSERT, UPDATE, DELETE, MERGE, TRUNCATE, BULK INSERT
+ *   - CREATE, ALTER, DROP, GRANT, REVOKE, DENY, BACKUP, RESTORE, DBCC, ...
+ *   - ENABLE/DISABLE TRIGGER
+ *   - SELECT ... INTO and OUTPUT ... INTO a permanent table, and NEXT
+ *     VALUE FOR (it advances the sequence)
+ *   - EXEC of anything but the catalog procedures in READ_ONLY_PROCS,
+ *     and EXEC of dynamic SQL (EXEC (@sql), EXEC @proc). A procedure
+ *     called without EXEC at the start of the batch counts as an EXEC.
+ *   - OPENQUERY, OPENROWSET and OPENDATASOURCE, whose query text runs on
+ *     another server unchecked
+ *   - transaction control (BEGIN TRAN, COMMIT, ROLLBACK, SAVE,
+ *     SET IMPLICIT_TRANSACTIONS), which would end or outlive the
+ *     rollback-only transaction reads run in
+ *   - SET TRANSACTION ISOLATION LEVEL and lock hints that take exclusive
+ *     or long-held locks (TABLOCKX, XLOCK, UPDLOCK, HOLDLOCK, ...), which
+ *     would block writers on production while the read runs
+ *
+ * Writes to #temp tables and @table variables are allowed; they only
+ * live in the session. Every name in a DROP list must be one of them.
+ *
+ * The scan is keyword based: these words are reserved in T-SQL, so
+ * outside comments, strings and [quoted] names they can only start or
+ * belong to the statements above. An unusual but harmless statement may
+ * be blocked; a write should never pass.
+ */
+
+const { tokenize, isWord, isPunct, readObjectName, matchingParen } = require('./sql-ddl-parser');
+
+// Always a write, whatever follows
+const WRITE_WORDS = new Set([
+    'MERGE', 'GRANT', 'REVOKE', 'DENY', 'BACKUP', 'RESTORE', 'DBCC', 'BULK',
+    'RECONFIGURE', 'SHUTDOWN', 'KILL', 'WRITETEXT', 'UPDATETEXT', 'CHECKPOINT'
+]);
+
+// Writes unless the target is a #temp table or @table variable
+const TARGET_WORDS = new Set(['INSERT', 'UPDATE', 'DELETE', 'CREATE', 'ALTER', 'DROP', 'TRUNCATE']);
+
+// Words between the statement keyword and its target
+const TARGET_NOISE = new Set(['INTO', 'FROM', 'TABLE', 'IF', 'EXISTS']);
+
+const TRANSACTION_WORDS = new Set(['COMMIT', 'ROLLBACK', 'SAVE']);
+
+// Table hints that lock more, or longer, than the READ UNCOMMITTED reads run in
+const LOCK_HINTS = new Set([
+    'TABLOCK', 'TABLOCKX', 'XLOCK', 'UPDLOCK', 'HOLDLOCK', 'SERIALIZABLE', 'REPEATABLEREAD'
+]);
+
+// Pass-through queries to a linked server or data source
+const REMOTE_WORDS = new Set(['OPENQUERY', 'OPENROWSET', 'OPENDATASOURCE']);
+
+// Words that start a statement; any other word first in the batch is a
+// procedure called without EXEC
+const STATEMENT_WORDS = new Set([
+    'SELECT', 'WITH', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'TRUNCATE', 'CREATE', 'ALTER',
+    'DROP', 'ENABLE', 'DISABLE', 'DECLARE', 'SET', 'IF', 'ELSE', 'WHILE', 'BEGIN', 'END',
+    'BREAK', 'CONTINUE', 'RETURN', 'GOTO', 'WAITFOR', 'EXEC', 'EXECUTE', 'PRINT', 'RAISERROR',
+    'THROW', 'USE', 'OPEN', 'FETCH', 'CLOSE', 'DEALLOCATE', 'COMMIT', 'ROLLBACK', 'SAVE',
+    'READTEXT', 'REVERT', ...WRITE_WORDS
+]);
+
+// Catalog procedures that only read
+const READ_ONLY_PROCS = new Set([
+    'sp_help', 'sp_helptext', 'sp_helpindex', 'sp_helpconstraint', 'sp_helpdb',
+    'sp_helptrigger', 'sp_columns', 'sp_tables', 'sp_pkeys', 'sp_fkeys',
+    'sp_stored_procedures', 'sp_sproc_columns', 'sp_databases', 'sp_statistics',
+    'sp_depends', 'sp_who', 'sp_who2', 'sp_describe_first_result_set',
+    'sp_describe_undeclared_parameters', 'sp_server_info'
+]);
+
+// =============================================================================
+// CLASSIFIER
+// =============================================================================
+
+function isSessionObject(token) {
+    return token && (token.type === 'variable' || /^\[?#/.test(token.value));
+}
+
+/**
+ * Index of the target of INSERT/UPDATE/DELETE/CREATE/... at tokens[i]
+ */
+function targetOf(tokens, i) {
+    let j = i + 1;
+    // DELETE TOP (n) FROM t
+    if (isWord(tokens[j], 'TOP') && isPunct(tokens[j + 1], '(')) {
+        j = matchingParen(tokens, j + 1) + 1;
+    }
+    // CREATE TABLE #t, DROP TABLE IF EXISTS #t, INSERT INTO @t
+    while (tokens[j] && tokens[j].type === 'word' && TARGET_NOISE.has(tokens[j].value.toUpperCase())) {
+        j++;
+    }
+    return j;
+}
+
+function objectName(tokens, i) {
+    const { parts } = readObjectName(tokens, i);
+    return parts.length > 0 ? parts.join('.') : (tokens[i] ? tokens[i].value : '');
+}
+
+/**
+ * Why calling the procedure named at tokens[i] is blocked, or null when
+ * it is one of `procs`
+ */
+function checkProc(tokens, i, procs) {
+    const { parts } = readObjectName(tokens, i);
+    const proc = parts.length > 0 ? parts[parts.length - 1] : tokens[i].value;
+    if (!procs.has(proc.toLowerCase())) {
+        return `EXEC ${parts.join('.') || proc} (not a read-only procedure)`;
+    }
+    return null;
+}
+
+/**
+ * Why EXEC at tokens[i] is blocked, or null when it runs one of `procs`
+ */
+function checkExec(tokens, i, procs) {
+    let j = i + 1;
+    // EXEC @rc = proc
+    if (tokens[j] && tokens[j].type === 'variable' && isPunct(tokens[j + 1], '=')) {
+        j += 2;
+    }
+    const next = tokens[j];
+    if (!next || isPunct(next, '(') || next.type === 'string' || next.type === 'variable') {
+        return 'EXEC of dynamic SQL';
+    }
+    if (isWord(next, 'AS')) {
+        return 'EXECUTE AS';
+    }
+    return checkProc(tokens, j, procs);
+}
+
+/**
+ * Index of a procedure called without EXEC at the start of the batch
+ * ("sp_rename 'a', 'b'"), or -1
+ */
+function leadingProcCall(tokens) {
+    let i = 0;
+    while (isPunct(tokens[i], ';')) i++;
+    const first = tokens[i];
+    if (!first || (first.type !== 'word' && first.type !== 'identifier')) return -1;
+    if (first.type === 'word' && STATEMENT_WORDS.has(first.value.toUpperCase())) return -1;
+    // A label ("retry:") is not a call
+    if (isPunct(tokens[i + 1], ':')) return -1;
+    return i;
+}
+
+/**
+ * Classify T-SQL text: { readOnly, problems: [{ keyword, line, reason }] }
+ * `allowProcs` adds procedure names that may be executed.
+ */
+function classifySql(text, { allowProcs = [] } = {}) {
+    const tokens = tokenize(text);
+    const procs = new Set([...READ_ONLY_PROCS, ...allowProcs.map(p => p.toLowerCase())]);
+    const problems = [];
+    const add = (token, reason) => problems.push({ keyword: token.value.toUpperCase(), line: token.line, reason });
+
+    const leading = leadingProcCall(tokens);
+    if (leading !== -1) {
+        const reason = checkProc(tokens, leading, procs);
+        if (reason) {
+            add(tokens[leading], reason);
+        }
+    }
+
+    // Paren depths with an open SELECT or OUTPUT clause, for ... INTO
+    let selects = [];
+    let outputs = [];
+    let depth = 0;
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (isPunct(token, '(')) depth++;
+        if (isPunct(token, ')')) {
+            depth--;
+            selects = selects.filter(d => d <= depth);
+            outputs = outputs.filter(d => d <= depth);
+        }
+        if (token.type !== 'word' || isPunct(tokens[i - 1], '.')) continue;
+
+        const word = token.value.toUpperCase();
+        if (WRITE_WORDS.has(word)) {
+            add(token, `${word} changes data or server state`);
+        } else if ((word === 'ENABLE' || word === 'DISABLE') && isWord(tokens[i + 1], 'TRIGGER')) {
+            add(token, `${word} TRIGGER changes server state`);
+        } else if (REMOTE_WORDS.has(word)) {
+            add(token, `${word} runs a query on another server`);
+        } else if (word === 'NEXT' && isWord(tokens[i + 1], 'VALUE') && isWord(tokens[i + 2], 'FOR')) {
+            add(token, `NEXT VALUE FOR ${objectName(tokens, i + 3)} advances a sequence`.trim());
+        } else if (word === 'SET' && isWord(tokens[i + 1], 'IMPLICIT_TRANSACTIONS')) {
+            add(token, 'transaction control');
+        } else if (word === 'SET' && isWord(tokens[i + 1], 'TRANSACTION')) {
+            add(token, 'SET TRANSACTION ISOLATION LEVEL changes how the session locks');
+        } else if (LOCK_HINTS.has(word)) {
+            add(token, `${word} hint takes or holds locks`);
+        } else if (TARGET_WORDS.has(word)) {
+            // UPDATE( col ) inside a trigger, or a cursor's FOR UPDATE, is not a statement
+            if (word === 'UPDATE' && (isPunct(tokens[i + 1], '(') || isWord(tokens[i - 1], 'FOR'))) continue;
+            const targets = [targetOf(tokens, i)];
+            // DROP TABLE #a, dbo.b
+            if (word === 'DROP') {
+                let { next } = readObjectName(tokens, targets[0]);
+                while (isPunct(tokens[next], ',')) {
+                    targets.push(next + 1);
+                    next = readObjectName(tokens, next + 1).next;
+                }
+            }
+            const target = targets.find(t => !isSessionObject(tokens[t]));
+            if (target !== undefined) {
+                add(token, `${word} ${objectName(tokens, target)}`.trim());
+            }
+            // INSERT INTO ... SELECT: the INTO belongs to the INSERT
+            selects = selects.filter(d => d < depth);
+            outputs = outputs.filter(d => d < depth);
+        } else if (word === 'SELECT') {
+            selects.push(depth);
+            // A procedure's @p OUTPUT argument has no INTO
+            outputs = outputs.filter(d => d < depth);
+        } else if (word === 'OUTPUT') {
+            outputs.push(depth);
+        } else if (word === 'INTO' && (selects.includes(depth) || outputs.includes(depth))) {
+            // OUTPUT ... INTO writes wherever the statement's own target is
+            const clause = outputs.includes(depth) ? 'OUTPUT' : 'SELECT';
+            outputs = outputs.filter(d => d !== depth);
+            if (!isSessionObject(tokens[i + 1])) {
+                add(token, `${clause} INTO ${objectName(tokens, i + 1)}`.trim());
+            }
+        } else if (word === 'EXEC' || word === 'EXECUTE') {
+            const reason = checkExec(tokens, i, procs);
+            if (reason) {
+                add(token, reason);
+            }
+        } else if (TRANSACTION_WORDS.has(word)
+            || (word === 'BEGIN' && /^(TRAN|TRANSACTION|DISTRIBUTED)$/i.test(tokens[i + 1] ? tokens[i + 1].value : ''))) {
+            add(token, 'transaction control');
+        }
+    }
+
+    return { readOnly: problems.length === 0, problems };
+}
+
+/**
+ * One-line summary of the problems, for error messages
+ */
+function describeProblems(problems) {
+    return problems.map(p => `${p.reason} (line ${p.line})`).join('; ');
+}
+
+module.exports = {
+    READ_ONLY_PROCS,
+    classifySql,
+    describeProblems
+};
@@ -0,0 +1,435 @@
+/**
+ * MICS# SQL Usage Extraction
+ *
+ * READ-ONLY ANALYSIS TOOL
+ * =======================
+ * Finds SQL text in the C# token stream: string literals, "a" + x + "b"
+ * concatenations, $"..." interpolations and string.Format templates.
+ * Dynamic parts become {} placeholders, so "tt_" + name + "_chan" and
+ * string.Format("tt_{0}_chan", name) both give the table pattern tt_*_chan.
+ *
+ * Strings that only mention a table with a known prefix (tt_, ft_, ...)
+ * without a SQL statement are kept as kind NAME; they are usually table
+ * names handed to a helper that builds the statement.
+ *
+ * Columns are extracted for single-table statements only (see
+ * extractColumns); db-schema-check.js checks them against the database.
+ */
+
+const config = require('./config');
+
+// ADO.NET / ODBC types and calls that hit the database
+const DB_APIS = new Set([
+    'OdbcConnection', 'OdbcCommand', 'OdbcDataAdapter', 'OdbcDataReader', 'OdbcTransaction',
+    'SqlConnection', 'SqlCommand', 'SqlDataAdapter', 'SqlBulkCopy',
+    'ExecuteNonQuery', 'ExecuteReader', 'ExecuteScalar',
+    'SQLExecDirect', 'SQLPrepare', 'SQLExecute', 'SQLFetch', 'SQLConnect', 'SQLDriverConnect'
+]);
+
+// Statement kind -> what must also appear for the string to count as SQL
+// (keeps "Select a file" or "Update the status" out)
+const STATEMENT_CUES = {
+    SELECT: /\bFROM\b|@@\w+/i,
+    INSERT: /\bINTO\b/i,
+    UPDATE: /\bSET\b/i,
+    DELETE: /\bFROM\b|\bWHERE\b/i,
+    CREATE: /\b(TABLE|VIEW|INDEX|PROC|PROCEDURE|FUNCTION|TRIGGER|SCHEMA)\b/i,
+    DROP: /\b(TABLE|VIEW|INDEX|PROC|PROCEDURE|FUNCTION|TRIGGER|SCHEMA)\b/i,
+    ALTER: /\b(TABLE|VIEW|INDEX|PROC|PROCEDURE|FUNCTION|TRIGGER|SCHEMA)\b/i,
+    TRUNCATE: /\bTABLE\b/i,
+    EXEC: /^\s*EXEC(UTE)?\s+[\w[\]{}.]+/i,
+    MERGE: /\bUSING\b/i
+};
+
+const KINDS = Object.keys(STATEMENT_CUES);
+
+// Tables referenced after these keywords
+const TABLE_REGEX = /\b(?:FROM|JOIN|INTO|UPDATE|TABLE|OBJECT_ID\s*\(\s*N?')\s*((?:\[?[\w{}#]+\]?\.){0,2}\[?[\w{}#]+\]?)/gi;
+const PROCEDURE_REGEX = /\bEXEC(?:UTE)?\s+((?:\[?[\w{}]+\]?\.){0,2}\[?[\w{}]+\]?)/gi;
+
+const SQL_KEYWORDS = new Set(['SELECT', 'WHERE', 'SET', 'VALUES', 'AS', 'ON', 'IF', 'EXISTS', 'NOT', 'NULL']);
+
+// =============================================================================
+// STRING EXPRESSIONS
+// =============================================================================
+
+/**
+ * Text of a string token without quotes/prefixes. Interpolation holes
+ * are kept as {expr}; escaped braces in $"..." become plain braces.
+ */
+function literalContent(value) {
+    const prefix = /^[$@]*/.exec(value)[0];
+    const body = value.substring(prefix.length);
+    const interpolated = prefix.includes('$');
+    let text;
+
+    if (body.startsWith('"""')) {
+        text = body.replace(/^"{3,}/, '').replace(/"{3,}$/, '');
+    } else if (prefix.includes('@')) {
+        text = body.slice(1, -1).replace(/""/g, '"');
+    } else {
+        text = body.slice(1, -1)
+            .replace(/\\r/g, '\r')
+            .replace(/\\n/g, '\n')
+            .replace(/\\t/g, '\t')
+            .replace(/\\(["'\\])/g, '$1');
+    }
+
+    if (interpolated) {
+        text = text.replace(/\{\{/g, '\u0001').replace(/\}\}/g, '\u0002')
+            .replace(/\{[^{}]*\}/g, '{}')
+            .replace(/\u0001/g, '{').replace(/\u0002/g, '}');
+    }
+    return text;
+}
+
+/**
+ * Read the string expression starting at the string token at index i.
+ * Returns { text, source, next } where source is literal, concat,
+ * interpolated or format and next is the index after the expression.
+ */
+function readStringExpression(tokens, i, end) {
+    let text = '';
+    let source = 'literal';
+    let j = i;
+
+    // x + "..." - an operand before the first literal
+    if (tokens[i - 1] && tokens[i - 1].value === '+') {
+        text += '{}';
+        source = 'concat';
+    }
+    // string.Format("...", ...) / sb.AppendFormat("...", ...)
+    const callee = tokens[i - 2];
+    if (tokens[i - 1] && tokens[i - 1].value === '(' && callee && /^(Format|AppendFormat)$/.test(callee.value)) {
+        source = 'format';
+    }
+
+    while (j <= end) {
+        const tok = tokens[j];
+        if (tok.type === 'string') {
+            text += literalContent(tok.value);
+            if (/^@?\$/.test(tok.value) && source === 'literal') {
+                source = 'interpolated';
+            }
+            j++;
+        } else {
+            // Non-literal operand: skip to the next '+' or the end of the expression
+            let depth = 0;
+            const start = j;
+            while (j <= end) {
+                const v = tokens[j].value;
+                if (v === '(' || v === '[' || v === '{') depth++;
+                else if (v === ')' || v === ']' || v === '}') {
+                    if (depth === 0) break;
+                    depth--;
+                } else if (depth === 0 && ['+', ';', ',', '?', ':', '=', '=>'].includes(v)) {
+                    break;
+                }
+                j++;
+            }
+            if (j === start) break;
+            text += '{}';
+            if (source === 'literal') source = 'concat';
+        }
+
+        if (tokens[j] && tokens[j].value === '+' && j < end) {
+            j++;
+            continue;
+        }
+        break;
+    }
+
+    return { text, source, next: Math.max(j, i + 1) };
+}
+
+// =============================================================================
+// CLASSIFICATION
+// =============================================================================
+
+/**
+ * Statement kind of a SQL string, or null if it does not look like SQL.
+ * Leading IF/DECLARE/WITH blocks are skipped to the first real statement.
+ */
+function classifySql(text) {
+    const trimmed = text.replace(/\s+/g, ' ').trim();
+    const lead = /^\(?\s*(\w+)/.exec(trimmed);
+    if (!lead) {
+        return null;
+    }
+    let keyword = lead[1].toUpperCase();
+    if (keyword === 'EXECUTE') keyword = 'EXEC';
+
+    if (['IF', 'DECLARE', 'WITH', 'BEGIN'].includes(keyword)) {
+        const inner = new RegExp(`\\b(${KINDS.join('|')})\\b`, 'i').exec(trimmed.substring(lead[0].length));
+        if (!inner) return null;
+        keyword = inner[1].toUpperCase();
+        return STATEMENT_CUES[keyword].test(trimmed) || keyword === 'EXEC' ? keyword : null;
+    }
+    if (!STATEMENT_CUES[keyword]) {
+        return null;
+    }
+    return STATEMENT_CUES[keyword].test(trimmed) ? keyword : null;
+}
+
+/**
+ * "[dbo].[tt_{0}_chan]" -> "tt_{}_chan"
+ */
+function normalizeObjectName(name) {
+    return name
+        .replace(/[[\]]/g, '')
+        .replace(/^dbo\./i, '')
+        .replace(/\{[^}]*\}/g, '{}');
+}
+
+/**
+ * Table pattern used for grouping: placeholders become *
+ */
+function tablePattern(name) {
+    return name.replace(/\{\}/g, '*').toLowerCase();
+}
+
+function prefixRegex() {
+    const prefixes = (config.options.sqlTablePrefixes || []).map(p => p.replace(/[^\w]/g, ''));
+    if (prefixes.length === 0) {
+        return null;
+    }
+    return new RegExp(`(?:^|[^\\w{}])((?:\\w+\\.)?(?:${prefixes.join('|')})_[\\w{}]*)`, 'gi');
+}
+
+function extractTables(text, kind) {
+    const tables = new Set();
+    let match;
+    if (kind) {
+        TABLE_REGEX.lastIndex = 0;
+        while ((match = TABLE_REGEX.exec(text)) !== null) {
+            const name = normalizeObjectName(match[1]);
+            if (!SQL_KEYWORDS.has(name.toUpperCase()) && !name.startsWith('@')) {
+                tables.add(name);
+            }
+        }
+    }
+    const prefixes = prefixRegex();
+    if (prefixes) {
+        while ((match = prefixes.exec(text)) !== null) {
+            tables.add(normalizeObjectName(match[1]));
+        }
+    }
+    return [...tables].sort();
+}
+
+function extractProcedures(text) {
+    const procedures = new Set();
+    let match;
+    PROCEDURE_REGEX.lastIndex = 0;
+    while ((match = PROCEDURE_REGEX.exec(text)) !== null) {
+        procedures.add(normalizeObjectName(match[1]));
+    }
+    return [...procedures].sort();
+}
+
+// =============================================================================
+// COLUMNS
+// =============================================================================
+
+const SQL_TOKEN_REGEX = /N?'(?:[^']|'')*'|(?:\[[^\]]*\]|[\w{}#@$]+)(?:\.(?:\[[^\]]*\]|[\w{}#@$]+))*|<>|!=|<=|>=|[(),=<>*+\-/;]/g;
+
+const RESERVED = new Set([
+    'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'NULL', 'IS', 'IN', 'AS', 'ON', 'SET', 'VALUES',
+    'INTO', 'TOP', 'DISTINCT', 'ORDER', 'BY', 'GROUP', 'HAVING', 'ASC', 'DESC', 'LIKE', 'BETWEEN',
+    'JOIN', 'INNER', 'LEFT', 'RIGHT', 'OUTER', 'CROSS', 'UNION', 'ALL', 'CASE', 'WHEN', 'THEN',
+    'ELSE', 'END', 'EXISTS', 'UPDATE', 'DELETE', 'INSERT', 'WITH', 'NOLOCK', 'OUTPUT', 'PERCENT'
+]);
+
+const COMPARISON_OPERATORS = new Set(['=', '<>', '!=', '<', '>', '<=', '>=', 'LIKE', 'IS', 'IN', 'BETWEEN']);
+
+function isColumnToken(tok) {
+    return /^[[A-Za-z_]/.test(tok) && !RESERVED.has(tok.toUpperCase()) && !tok.includes('{}');
+}
+
+function columnName(tok) {
+    const name = tok.replace(/[[\]]/g, '');
+    return name.substring(name.lastIndexOf('.') + 1);
+}
+
+function literalType(tok) {
+    if (!tok) return null;
+    if (/^N?'/.test(tok)) return 'string';
+    if (/^\d+(\.\d+)?$/.test(tok)) return 'number';
+    return null;
+}
+
+/**
+ * Split tokens[start..end) on top-level commas
+ */
+function splitOnCommas(tokens, start, end) {
+    const items = [];
+    let depth = 0;
+    let current = [];
+    for (let i = start; i < end; i++) {
+        const tok = tokens[i];
+        if (tok === '(') depth++;
+        else if (tok === ')') depth--;
+        if (tok === ',' && depth === 0) {
+            items.push(current);
+            current = [];
+        } else {
+            current.push(tok);
+        }
+    }
+    if (current.length > 0) items.push(current);
+    return items;
+}
+
+function indexOfKeyword(tokens, keyword, from = 0) {
+    for (let i = from; i < tokens.length; i++) {
+        if (tokens[i].toUpperCase() === keyword) return i;
+    }
+    return -1;
+}
+
+/**
+ * Columns compared in a WHERE (or SET) clause: "col = 'x'", "t.col IS NULL", ...
+ */
+function comparedColumns(tokens, start, end) {
+    const columns = [];
+    for (let i = start; i < end - 1; i++) {
+        const tok = tokens[i];
+        const op = tokens[i + 1].toUpperCase();
+        if (!isColumnToken(tok) || !COMPARISON_OPERATORS.has(op) || tokens[i + 1] === '(') continue;
+        // "NOT LIKE", "IS NOT NULL" - the literal follows the operator words
+        let valueIndex = i + 2;
+        while (tokens[valueIndex] && ['NOT', 'NULL'].includes(tokens[valueIndex].toUpperCase()) && op === 'IS') valueIndex++;
+        const literal = literalType(tokens[valueIndex]);
+        columns.push({
+            name: columnName(tok),
+            literal,
+            value: literal ? tokens[valueIndex] : null
+        });
+    }
+    return columns;
+}
+
+/**
+ * Columns a single-table statement reads or writes, with the type of any
+ * literal they are compared to or assigned. Statements with joins or
+ * several tables are skipped - columns cannot be attributed reliably.
+ * Returns [{ table, name, literal, value }].
+ */
+function extractColumns(text, kind, tables) {
+    const tokens = text.match(SQL_TOKEN_REGEX) || [];
+    const upper = tokens.map(t => t.toUpperCase());
+    if (upper.includes('JOIN') || !['SELECT', 'INSERT', 'UPDATE', 'DELETE'].includes(kind)) {
+        return [];
+    }
+
+    let table = null;
+    let columns = [];
+    const where = indexOfKeyword(tokens, 'WHERE');
+    const clauseEnd = (from) => {
+        const ends = ['GROUP', 'ORDER', 'HAVING', 'UNION', 'OPTION', ';']
+            .map(k => indexOfKeyword(tokens, k, from)).filter(i => i !== -1);
+        return ends.length > 0 ? Math.min(...ends) : tokens.length;
+    };
+
+    if (kind === 'INSERT') {
+        const into = indexOfKeyword(tokens, 'INTO');
+        if (into === -1 || !tokens[into + 1]) return [];
+        table = normalizeObjectName(tokens[into + 1]);
+        if (tokens[into + 2] === '(') {
+            const close = tokens.indexOf(')', into + 3);
+            for (const item of splitOnCommas(tokens, into + 3, close === -1 ? tokens.length : close)) {
+                if (item.length === 1 && isColumnToken(item[0])) {
+                    columns.push({ name: columnName(item[0]), literal: null, value: null });
+                }
+            }
+        }
+    } else if (kind === 'UPDATE') {
+        const setIndex = indexOfKeyword(tokens, 'SET');
+        if (setIndex === -1 || indexOfKeyword(tokens, 'FROM') !== -1) return [];
+        table = normalizeObjectName(tokens[1]);
+        columns = comparedColumns(tokens, setIndex + 1, where === -1 ? clauseEnd(setIndex) : where);
+    } else {
+        const from = indexOfKeyword(tokens, 'FROM');
+        if (from === -1 || !tokens[from + 1] || tokens[from + 1] === '(') return [];
+        // FROM a, b is a join too
+        const afterFrom = where === -1 ? clauseEnd(from) : where;
+        if (tokens.slice(from + 1, afterFrom).includes(',')) return [];
+        table = normalizeObjectName(tokens[from + 1]);
+
+        if (kind === 'SELECT') {
+            let start = 1;
+            if (upper[start] === 'TOP') start += upper[start + 1] === '(' ? 4 : 2;
+            if (upper[start] === 'DISTINCT') start++;
+            for (const item of splitOnCommas(tokens, start, from)) {
+                // col, t.col, col AS x, col x
+                const isAlias = item.length === 3 && item[1].toUpperCase() === 'AS' || item.length === 2;
+                if ((item.length === 1 || isAlias) && isColumnToken(item[0])) {
+                    columns.push({ name: columnName(item[0]), literal: null, value: null });
+                }
+            }
+        }
+    }
+
+    // INSERT ... SELECT: the WHERE belongs to the source table
+    if (where !== -1 && kind !== 'INSERT') {
+        columns.push(...comparedColumns(tokens, where + 1, clauseEnd(where)));
+    }
+    if (!table || !tables.includes(table)) {
+        return [];
+    }
+    return columns
+        .filter(c => !c.name.startsWith('@') && !/^\d/.test(c.name))
+        .map(c => ({ table, ...c }));
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * SQL usages in tokens[start..end].
+ * Returns [{ kind, source, text, tables, procedures, line }]; kind is a
+ * statement kind (SELECT, INSERT, ...) or NAME for bare table mentions.
+ */
+function extractSqlUsage(tokens, start, end) {
+    const usages = [];
+    for (let i = start; i <= end; i++) {
+        if (tokens[i].type !== 'string') continue;
+
+        const expr = readStringExpression(tokens, i, end);
+        const line = tokens[i].line;
+        i = expr.next - 1;
+
+        const kind = classifySql(expr.text);
+        const tables = extractTables(expr.text, kind);
+        if (!kind && tables.length === 0) continue;
+
+        usages.push({
+            kind: kind || 'NAME',
+            source: expr.source,
+            text: expr.text.replace(/\s+/g, ' ').trim().substring(0, 300),
+            tables,
+            columns: extractColumns(expr.text, kind, tables),
+            procedures: kind === 'EXEC' ? extractProcedures(expr.text) : [],
+            line
+        });
+    }
+    return usages;
+}
+
+/**
+ * Database API names (OdbcCommand, ExecuteReader, SQLExecDirect, ...)
+ * among a method's extracted calls
+ */
+function findDbApiCalls(calls) {
+    return [...new Set((calls || []).map(c => c.name).filter(name => DB_APIS.has(name)))].sort();
+}
+
+module.exports = {
+    DB_APIS,
+    extractSqlUsage,
+    findDbApiCalls,
+    classifySql,
+    extractColumns,
+    tablePattern
+};
@@ -1,150 +1,461 @@
 #!/usr/bin/env node
 /**
  * test-ft-archive-columns.js
- * 
- * Tests that our FT archive table definitions match the actual FT table columns
- * by comparing against a real FT table set (e.g., bmce.ft_f3268_*)
- * 
- * Usage: node test-ft-archive-columns.js [schema.prefix]
+ *
+ * Tests that our archive table definitions match the actual user table columns
+ * by comparing against real table sets (e.g., bmce.ft_f3268_*)
+ *
+ * The expected columns are not hard-coded: they are derived from the archive
+ * scripts (notes/shared/scripts/*-archive-capture) - the CREATE TABLE
+ * tsip_archive.Archive* DDL and the trigger INSERT ... SELECT column lists -
+ * so the test checks exactly what the triggers copy. TT, FT and FE tables
+ * are all covered, and drift between a trigger and its DDL is reported too.
+ *
+ * Usage: node test-ft-archive-columns.js [schema.prefix ...] [options]
  *        Default: bmce.ft_f3268
+ *
+ *   schema.prefix     Table set to test: bmce.ft_f3268, bchy.fe_envproj,
+ *                     dbo.tt_001tom_001. * (or %) matches anything, so
+ *                     bmce.ft_* tests every FT set in bmce and *.fe_* every
+ *                     FE set. The ft_/fe_/tt_ start of the prefix decides
+ *                     which archive tables apply.
+ *   --type <list>     Only these archive types, e.g. FT_SITE,FE_AZIM or FE
+ *   --design <name>   Script folder to take the definitions from
+ *                     (default: tt-archive-capture; "all" for every folder)
+ *   --snapshot <file> Use a db-util.js snapshot instead of the live database
+ *   --profile <name>  Connection profile from db-config.js (live database)
+ *   --junit <file>    Write a JUnit-style XML result file
+ *   --json <file>     Write a JSON result file
+ *
+ * Exits with 1 when any test fails or errors.
  */
 
+const fs = require('fs');
+const path = require('path');
 const sql = require('mssql');
-const { sqlConfig } = require('./db-config');
-
-// Expected columns for each archive table (verified from micsprod)
-// These should match what we INSERT in the trigger
-const EXPECTED_FT_COLUMNS = {
-    titl: ['validated', 'namef', 'source', 'descr', 'mdate', 'mtime'],
-    shrl: ['userid', 'mdate', 'mtime'],
-    site: [
-        'cmd', 'recstat', 'call1', 'name', 'prov', 'oper', 'latit', 'longit', 'grnd',
-        'stats', 'sdate', 'loc', 'icaccount', 'reg', 'spoint', 'nots', 'oprtyp', 'snumb',
-        'notwr', 'bandwd1', 'bandwd2', 'bandwd3', 'bandwd4', 'bandwd5', 'bandwd6', 'bandwd7', 'bandwd8',
-        'mdate', 'mtime'
-    ],
-    ante: [
-        'cmd', 'recstat', 'call1', 'call2', 'bndcde', 'anum', 'ause', 'acode',
-        'aht', 'azmth', 'elvtn', 'dist', 'offazm', 'tazmth', 'telvtn', 'tgain',
-        'txfdlnth', 'txfdlnlh', 'txfdlntv', 'txfdlnlv', 'rxfdlnth', 'rxfdlnlh', 'rxfdlntv', 'rxfdlnlv',
-        'txpadpam', 'rxpadlna', 'txcompl', 'rxcompl', 'obsloss', 'kvalue', 'atwrno', 'nota', 'apoint',
-        'sdate', 'mdate', 'mtime', 'licence'
-    ],
-    chan: [
-        'cmd', 'recstat', 'call1', 'call2', 'bndcde', 'splan', 'hl', 'vh', 'chid',
-        'freqtx', 'poltx', 'antnumbtx1', 'antnumbtx2', 'eqpttx', 'eqptutx', 'pwrtx', 'atpccde',
-        'afsltx1', 'afsltx2', 'traftx', 'srvctx', 'stattx',
-        'freqrx', 'polrx', 'antnumbrx1', 'antnumbrx2', 'antnumbrx3', 'eqptrx', 'eqpturx',
-        'afslrx1', 'afslrx2', 'afslrx3', 'pwrrx1', 'pwrrx2', 'pwrrx3', 'trafrx', 'esint', 'tsint',
-        'srvcrx', 'statrx', 'routnumb', 'stnnumb', 'hopnumb', 'sdate',
-        'notetx', 'noterx', 'notegnl', 'cpoint', 'feetx', 'feerx', 'mdate', 'mtime'
-    ],
-    chng_call: ['newcall1', 'oldcall1', 'name']
-};
-
-async function getTableColumns(tableName) {
-    const request = new sql.Request();
-    request.input('tableName', sql.NVarChar, tableName);
-    const result = await request.query(`
-        SELECT c.name AS ColumnName
-        FROM sys.columns c
-        WHERE c.object_id = OBJECT_ID(@tableName)
-        ORDER BY c.column_id
-    `);
-    return result.recordset.map(r => r.ColumnName.toLowerCase());
+const dbConfig = require('./db-config');
+const config = require('./config');
+const schemaSnapshot = require('./schema-snapshot');
+const archiveDefinitions = require('./archive-definitions');
+
+const DEFAULT_TARGET = 'bmce.ft_f3268';
+
+// The FT/FE drop trigger folder is superseded by the TT capture scripts
+const DEFAULT_DESIGN = 'tt-archive-capture';
+
+// Extra (not archived) source columns named per table
+const EXTRA_LISTED = 5;
+
+/**
+ * Safely write output (never to MICS_PATH)
+ */
+function safeWriteFile(outputPath, content) {
+    if (!config.isPathSafeForWrite(outputPath)) {
+        throw new Error(`Refusing to write to unsafe path: ${outputPath}`);
+    }
+
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.writeFileSync(outputPath, content);
+}
+
+function parseArgs(argv) {
+    const options = { targets: [], type: null, design: DEFAULT_DESIGN, snapshot: null, profile: null, junit: null, json: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].substring(2);
+            if (!(name in options) || name === 'targets') {
+                throw new Error(`Unknown option: ${argv[i]}`);
+            }
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${argv[i]}`);
+            }
+            options[name] = argv[++i];
+        } else {
+            options.targets.push(argv[i]);
+        }
+    }
+    if (options.targets.length === 0) {
+        options.targets.push(DEFAULT_TARGET);
+    }
+    return options;
+}
+
+// =============================================================================
+// TARGETS
+// =============================================================================
+
+/**
+ * Target text -> LIKE pattern: * and % match anything, _ and [ are literal
+ */
+function toLike(text) {
+    return text.replace(/[[_]/g, '[$&]').replace(/\*/g, '%');
+}
+
+/**
+ * "bmce.ft_f3268" -> { label, schema, prefix, wildcard }; no schema means dbo
+ */
+function parseTarget(arg) {
+    const dot = arg.indexOf('.');
+    const schema = dot === -1 ? 'dbo' : arg.substring(0, dot);
+    const prefix = dot === -1 ? arg : arg.substring(dot + 1);
+    return {
+        label: `${schema}.${prefix}`,
+        schema,
+        prefix,
+        wildcard: /[*%]/.test(arg)
+    };
 }
 
-async function testTable(schema, prefix, suffix) {
-    const tableName = `${schema}.${prefix}_${suffix}`;
-    const expectedCols = EXPECTED_FT_COLUMNS[suffix];
-    
-    if (!expectedCols) {
-        console.log(`  [SKIP] ${suffix} - no expected columns defined`);
-        return { status: 'skip', table: suffix };
+/**
+ * "FT_CHNG_CALL" -> { family: 'ft', suffix: 'chng_call' }
+ */
+function splitType(type) {
+    const [family, ...rest] = type.toLowerCase().split('_');
+    return { family, suffix: rest.join('_') };
+}
+
+/**
+ * Expectations selected by --design and --type
+ */
+function selectExpectations(options) {
+    let expectations = archiveDefinitions.loadArchiveExpectations();
+    if (options.design !== 'all') {
+        expectations = expectations.filter(e => e.design === options.design);
+        if (expectations.length === 0) {
+            throw new Error(`No archive definitions in design ${options.design}`);
+        }
+    }
+    if (options.type) {
+        const wanted = options.type.toUpperCase().split(',').map(t => t.trim()).filter(Boolean);
+        expectations = expectations.filter(e => wanted.some(w => e.type === w || e.type.startsWith(`${w}_`)));
+        if (expectations.length === 0) {
+            throw new Error(`No archive definitions for type ${options.type}`);
+        }
+    }
+    return expectations;
+}
+
+/**
+ * User tables under a target, live or from the snapshot
+ */
+async function findTables(target, snapshot) {
+    const pattern = `${toLike(target.prefix)}[_]%`;
+    const schema = toLike(target.schema);
+    if (snapshot) {
+        const schemaRegex = schemaSnapshot.likeToRegExp(schema);
+        return schemaSnapshot.tablesLike(snapshot, pattern).filter(t => schemaRegex.test(t.schema));
     }
-    
+    return schemaSnapshot.captureSchema(sql, { pattern, schema });
+}
+
+/**
+ * Table sets under a target: [{ schema, prefix, tables: Map(type -> table) }].
+ * A literal target always yields its own set, even when no table exists.
+ */
+function groupTableSets(target, tables, expectations) {
+    const prefixRegex = schemaSnapshot.likeToRegExp(toLike(target.prefix));
+    const sets = new Map();
+    const setFor = (schema, prefix) => {
+        const key = `${schema}.${prefix}`.toLowerCase();
+        if (!sets.has(key)) sets.set(key, { schema, prefix, tables: new Map() });
+        return sets.get(key);
+    };
+
+    if (!target.wildcard) {
+        setFor(target.schema, target.prefix);
+    }
+    // Longest suffix first, so ft_x_chng_call is never taken for a shorter suffix
+    const bySuffix = [...expectations].sort((a, b) => splitType(b.type).suffix.length - splitType(a.type).suffix.length);
+
+    for (const table of tables) {
+        const name = table.name.toLowerCase();
+        for (const expectation of bySuffix) {
+            const { family, suffix } = splitType(expectation.type);
+            if (!name.startsWith(`${family}_`) || !name.endsWith(`_${suffix}`)) continue;
+            const prefix = table.name.substring(0, table.name.length - suffix.length - 1);
+            if (prefixRegex.test(prefix)) {
+                setFor(table.schema, prefix).tables.set(expectation.type, table);
+                break;
+            }
+        }
+    }
+    return [...sets.values()].sort((a, b) => `${a.schema}.${a.prefix}`.localeCompare(`${b.schema}.${b.prefix}`));
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+/**
+ * Check the archive scripts themselves: trigger INSERTs against the DDL
+ */
+function testScripts(expectations, caseName) {
+    console.log('Archive scripts (trigger INSERT vs CREATE TABLE):');
+    const results = [];
+    for (const expectation of expectations) {
+        const name = caseName(expectation, expectation.type);
+        const errors = expectation.problems.filter(p => p.severity === 'error');
+        const warnings = expectation.problems.filter(p => p.severity === 'warning');
+        const result = {
+            suite: 'archive-scripts',
+            name,
+            type: expectation.type,
+            design: expectation.design,
+            table: expectation.table,
+            problems: expectation.problems
+        };
+
+        if (errors.length > 0) {
+            console.log(`  [FAIL] ${name} - trigger and DDL disagree`);
+            result.status = 'fail';
+            result.message = errors.map(p => p.message).join('; ');
+        } else {
+            const source = expectation.inserts.length > 0 ? 'trigger' : 'DDL only, no trigger INSERT';
+            console.log(`  [PASS] ${name} - ${expectation.columns.length} source columns (${source})`);
+            result.status = 'pass';
+        }
+        for (const problem of expectation.problems) {
+            console.log(`         ${problem.severity}: ${problem.column ? problem.column + ' ' : ''}${problem.message}`);
+        }
+        result.warnings = warnings.length;
+        results.push(result);
+    }
+    console.log('');
+    return results;
+}
+
+function testTable(set, expectation, table, caseName) {
+    const name = caseName(expectation);
+    const tableName = `${set.schema}.${set.prefix}_${splitType(expectation.type).suffix}`;
+    const result = {
+        suite: `${set.schema}.${set.prefix}`,
+        name,
+        type: expectation.type,
+        design: expectation.design,
+        table: table ? `${table.schema}.${table.name}` : tableName
+    };
+
+    if (expectation.columns.length === 0) {
+        console.log(`  [SKIP] ${name} - no expected columns defined`);
+        return { ...result, status: 'skip', message: 'no expected columns defined' };
+    }
+    if (!table) {
+        console.log(`  [SKIP] ${tableName} - table not found`);
+        return { ...result, status: 'skip', message: 'table not found' };
+    }
+
     try {
-        const actualCols = await getTableColumns(tableName);
-        
-        if (actualCols.length === 0) {
-            console.log(`  [SKIP] ${tableName} - table not found`);
-            return { status: 'skip', table: suffix };
-        }
-        
-        // Check if all expected columns exist in actual table
-        const missing = expectedCols.filter(c => !actualCols.includes(c.toLowerCase()));
-        const extra = actualCols.filter(c => !expectedCols.map(e => e.toLowerCase()).includes(c));
-        
-        if (missing.length === 0) {
-            console.log(`  [PASS] ${suffix} - all ${expectedCols.length} archive columns found in source`);
-            if (extra.length > 0) {
-                console.log(`         (${extra.length} extra cols in source not archived: ${extra.slice(0, 5).join(', ')}${extra.length > 5 ? '...' : ''})`);
+        const comparison = archiveDefinitions.compareTable(expectation, table.columns);
+        const missing = comparison.issues.filter(i => i.kind === 'missing').map(i => i.column);
+        const errors = comparison.issues.filter(i => i.severity === 'error' && i.kind !== 'missing');
+        const warnings = comparison.issues.filter(i => i.severity === 'warning');
+        Object.assign(result, { missing, issues: comparison.issues, notArchived: comparison.notArchived });
+
+        if (comparison.breaks) {
+            if (missing.length > 0) {
+                console.log(`  [FAIL] ${name} - MISSING columns: ${missing.join(', ')}`);
+            } else {
+                console.log(`  [FAIL] ${name} - trigger INSERT would fail`);
             }
-            return { status: 'pass', table: suffix, extra: extra.length };
+            result.status = 'fail';
+            result.message = comparison.issues
+                .filter(i => i.severity === 'error')
+                .map(i => `${i.column}: ${i.message}`)
+                .join('; ');
         } else {
-            console.log(`  [FAIL] ${suffix} - MISSING columns: ${missing.join(', ')}`);
-            return { status: 'fail', table: suffix, missing };
+            console.log(`  [PASS] ${name} - all ${expectation.columns.length} archive columns found in source`);
+            result.status = 'pass';
+        }
+        for (const issue of [...errors, ...warnings]) {
+            console.log(`         ${issue.severity}: ${issue.column} ${issue.message}`);
         }
+        const extra = comparison.notArchived;
+        if (extra.length > 0) {
+            console.log(`         (${extra.length} extra cols in source not archived: ${extra.slice(0, EXTRA_LISTED).join(', ')}${extra.length > EXTRA_LISTED ? '...' : ''})`);
+        }
+        return result;
     } catch (err) {
-        console.log(`  [ERROR] ${suffix} - ${err.message}`);
-        return { status: 'error', table: suffix, error: err.message };
+        console.log(`  [ERROR] ${name} - ${err.message}`);
+        return { ...result, status: 'error', message: err.message };
     }
 }
 
+// =============================================================================
+// RESULT FILES
+// =============================================================================
+
+function xmlEscape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function countStatus(results, status) {
+    return results.filter(r => r.status === status).length;
+}
+
+/**
+ * JUnit-style XML: one <testsuite> per table set (plus archive-scripts)
+ */
+function generateJUnit(results, timestamp) {
+    const suites = new Map();
+    for (const result of results) {
+        if (!suites.has(result.suite)) suites.set(result.suite, []);
+        suites.get(result.suite).push(result);
+    }
+
+    const counts = list => `tests="${list.length}" failures="${countStatus(list, 'fail')}" errors="${countStatus(list, 'error')}" skipped="${countStatus(list, 'skip')}"`;
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    lines.push(`<testsuites name="archive-columns" ${counts(results)}>`);
+    for (const [name, list] of suites) {
+        lines.push(`  <testsuite name="${xmlEscape(name)}" ${counts(list)} timestamp="${timestamp}">`);
+        for (const result of list) {
+            const open = `    <testcase classname="${xmlEscape(name)}" name="${xmlEscape(result.name)}"`;
+            const message = xmlEscape(result.message || '');
+            if (result.status === 'fail') {
+                lines.push(`${open}>`);
+                lines.push(`      <failure message="${message}" type="${xmlEscape(result.type)}">${xmlEscape(result.table)}</failure>`);
+                lines.push('    </testcase>');
+            } else if (result.status === 'error') {
+                lines.push(`${open}>`);
+                lines.push(`      <error message="${message}"/>`);
+                lines.push('    </testcase>');
+            } else if (result.status === 'skip') {
+                lines.push(`${open}>`);
+                lines.push(`      <skipped message="${message}"/>`);
+                lines.push('    </testcase>');
+            } else {
+                lines.push(`${open}/>`);
+            }
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
 async function main() {
-    const arg = process.argv[2] || 'bmce.ft_f3268';
-    const parts = arg.split('.');
-    const schema = parts[0];
-    const prefix = parts[1] || 'ft_f3268';
-    
+    const options = parseArgs(process.argv.slice(2));
+    const targets = options.targets.map(parseTarget);
+    const expectations = selectExpectations(options);
+    const designs = new Set(expectations.map(e => e.design));
+    const caseName = (e, label = splitType(e.type).suffix) => (designs.size > 1 ? `${label} [${e.design}]` : label);
+    const startedAt = new Date().toISOString();
+    const sqlConfig = options.snapshot ? null : await dbConfig.resolveSqlConfig(options.profile);
+
     console.log('='.repeat(70));
-    console.log('FT Archive Column Validation Test');
+    console.log('Archive Column Validation Test');
     console.log('='.repeat(70));
-    console.log(`Testing against: ${schema}.${prefix}_*`);
-    console.log(`Database: ${sqlConfig.database}`);
+    console.log(`Testing against: ${targets.map(t => `${t.label}_*`).join(', ')}`);
+    console.log(`Definitions: ${[...designs].join(', ')} (${expectations.length} archive tables)`);
+    if (options.snapshot) {
+        console.log(`Snapshot: ${path.resolve(options.snapshot)}`);
+    } else {
+        console.log(`Database: ${sqlConfig.database}`);
+    }
     console.log('');
-    
+
+    let snapshot = null;
     try {
-        await sql.connect(sqlConfig);
-        console.log('Connected to database.\n');
-        
-        const suffixes = ['titl', 'shrl', 'site', 'ante', 'chan', 'chng_call'];
-        const results = [];
-        
-        for (const suffix of suffixes) {
-            const result = await testTable(schema, prefix, suffix);
-            results.push(result);
-        }
-        
-        console.log('\n' + '='.repeat(70));
+        if (options.snapshot) {
+            snapshot = schemaSnapshot.loadSnapshot(path.resolve(options.snapshot));
+        } else {
+            await sql.connect(sqlConfig);
+            console.log('Connected to database.\n');
+        }
+
+        const results = testScripts(expectations, caseName);
+
+        for (const target of targets) {
+            const tables = await findTables(target, snapshot);
+            const sets = groupTableSets(target, tables, expectations);
+            if (sets.length === 0) {
+                console.log(`${target.label}_*:`);
+                console.log(`  [SKIP] ${target.label}_* - no matching tables\n`);
+                results.push({ suite: target.label, name: target.label, table: `${target.label}_*`, status: 'skip', message: 'no matching tables' });
+                continue;
+            }
+
+            for (const set of sets) {
+                const family = set.prefix.split('_')[0].toLowerCase();
+                const applicable = expectations.filter(e => splitType(e.type).family === family);
+                console.log(`${set.schema}.${set.prefix}_*:`);
+                if (applicable.length === 0) {
+                    console.log(`  [SKIP] ${set.schema}.${set.prefix} - no archive tables for prefix ${family}_\n`);
+                    results.push({ suite: `${set.schema}.${set.prefix}`, name: set.prefix, table: `${set.schema}.${set.prefix}_*`, status: 'skip', message: `no archive tables for prefix ${family}_` });
+                    continue;
+                }
+                for (const expectation of applicable) {
+                    results.push(testTable(set, expectation, set.tables.get(expectation.type), caseName));
+                }
+                console.log('');
+            }
+        }
+
+        console.log('='.repeat(70));
         console.log('SUMMARY');
         console.log('='.repeat(70));
-        
-        const passed = results.filter(r => r.status === 'pass').length;
-        const failed = results.filter(r => r.status === 'fail').length;
-        const skipped = results.filter(r => r.status === 'skip').length;
-        const errors = results.filter(r => r.status === 'error').length;
-        
+
+        const passed = countStatus(results, 'pass');
+        const failed = countStatus(results, 'fail');
+        const skipped = countStatus(results, 'skip');
+        const errors = countStatus(results, 'error');
+
         console.log(`Passed:  ${passed}`);
         console.log(`Failed:  ${failed}`);
         console.log(`Skipped: ${skipped}`);
         console.log(`Errors:  ${errors}`);
         console.log('');
-        
+
         if (failed === 0 && errors === 0) {
             console.log('SUCCESS: All archive column definitions match the source tables!');
             console.log('The trigger INSERT statements should work correctly.');
         } else {
             console.log('ISSUES FOUND: Some archive definitions do not match source tables.');
-            console.log('Review the failures above and update the archive definitions.');
+            console.log('Review the failures above and update the archive scripts.');
+            process.exitCode = 1;
+        }
+
+        if (options.junit) {
+            const junitPath = path.resolve(options.junit);
+            safeWriteFile(junitPath, generateJUnit(results, startedAt));
+            console.log(`\nJUnit results: ${junitPath}`);
         }
-        
+        if (options.json) {
+            const jsonPath = path.resolve(options.json);
+            safeWriteFile(jsonPath, JSON.stringify({
+                generatedAt: startedAt,
+                database: snapshot ? null : sqlConfig.database,
+                snapshot: snapshot ? path.resolve(options.snapshot) : null,
+                targets: targets.map(t => t.label),
+                designs: [...designs],
+                summary: { passed, failed, skipped, errors },
+                results
+            }, null, 2));
+            console.log(`${options.junit ? '' : '\n'}JSON results: ${jsonPath}`);
+        }
+
     } catch (err) {
         console.error('Fatal error:', err.message);
-        process.exit(1);
+        process.exitCode = 1;
     } finally {
-        await sql.close();
+        if (!snapshot) {
+            await sql.close();
+        }
     }
 }
 
-main();
+main().catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+});
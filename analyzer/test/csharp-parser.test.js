@@ -0,0 +1,152 @@
+/**
+ * csharp-parser.js against the C# snippets in fixtures/csharp
+ *
+ * Each fixture holds constructs the regex extraction analyzeCSharpFile
+ * used before the parser got wrong; the regex baseline tests below show
+ * the old output for the same files.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const csharpParser = require('../csharp-parser');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'csharp');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function parseFixture(name, options) {
+    return csharpParser.parse(fixture(name), options);
+}
+
+const typeNames = result => result.types.map(t => t.fullName);
+const methodNames = result => result.methods.map(m => m.name);
+
+function method(result, name) {
+    const found = result.methods.find(m => m.name === name);
+    assert.ok(found, `no method ${name} in ${methodNames(result).join(', ')}`);
+    return found;
+}
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+test('ignores declarations inside comments, strings and char literals', () => {
+    const result = parseFixture('comments-and-strings.cs');
+    assert.deepEqual(typeNames(result), ['Strings']);
+    assert.deepEqual(methodNames(result), ['Real']);
+    assert.deepEqual(result.namespaces, [{ name: 'Mics.Fixtures', startLine: 1, endLine: 17 }]);
+    assert.equal(result.types[0].endLine, 16);
+    assert.equal(method(result, 'Real').startLine, 15);
+});
+
+test('reads generic and tuple return types', () => {
+    const result = parseFixture('generics-and-tuples.cs');
+    const [cache] = result.types;
+    assert.equal(cache.name, 'Cache');
+    assert.match(cache.inheritance, /^Base<TKey>, IDisposable$/);
+
+    assert.deepEqual(methodNames(result), ['Lookup', 'Summary', 'LoadAsync']);
+    assert.equal(method(result, 'Lookup').returnType, 'Dictionary<string, List<int>>');
+    assert.equal(method(result, 'Lookup').parameters, 'int key');
+    assert.equal(method(result, 'Summary').returnType, '(int Count, string Name)');
+    assert.equal(method(result, 'Summary').expressionBodied, true);
+    assert.equal(method(result, 'LoadAsync').returnType, 'Task<IEnumerable<T>>');
+});
+
+test('classifies constructors, destructors, operators and explicit interface members', () => {
+    const result = parseFixture('members.cs');
+    const summary = result.methods.map(m => [m.kind, m.name, m.explicitInterface]);
+    assert.deepEqual(summary, [
+        ['constructor', 'Vector', null],
+        ['destructor', '~Vector', null],
+        ['method', 'Dispose', 'IDisposable'],
+        ['method', 'CompareTo', 'IComparable<Vector>'],
+        ['operator', 'operator +', null],
+        ['operator', 'operator double', null],
+        ['method', 'Loop', null]
+    ]);
+    assert.equal(method(result, 'Vector').returnType, null);
+    assert.deepEqual(method(result, 'operator double').modifiers, ['public', 'static', 'implicit']);
+});
+
+test('does not report indexers, accessors or control statements as methods', () => {
+    const result = parseFixture('members.cs');
+    for (const name of ['this', 'get', 'set', 'if', 'while', 'foreach']) {
+        assert.ok(!methodNames(result).includes(name), `${name} reported as a method`);
+    }
+    const loop = method(result, 'Loop');
+    assert.equal(loop.startLine, 16);
+    assert.equal(loop.endLine, 21);
+});
+
+test('tracks nested types, partial types and several namespaces', () => {
+    const result = parseFixture('nested-and-partial.cs');
+    assert.deepEqual(result.types.map(t => [t.kind, t.fullName, t.containingType, t.namespace]), [
+        ['class', 'Host', null, 'Mics.Fixtures.Outer'],
+        ['class', 'Host.Inner', 'Host', 'Mics.Fixtures.Outer'],
+        ['struct', 'Host.Inner.Deepest', 'Host.Inner', 'Mics.Fixtures.Outer'],
+        ['enum', 'Band', null, 'Mics.Fixtures.Second'],
+        ['record', 'Link', null, 'Mics.Fixtures.Second']
+    ]);
+    assert.deepEqual(result.types[0].modifiers, ['public', 'partial']);
+    assert.equal(method(result, 'Deep').containingType, 'Host.Inner.Deepest');
+    assert.equal(method(result, 'OnLoaded').containingType, 'Host');
+    assert.equal(method(result, 'OnLoaded').bodyStart, null);
+});
+
+test('takes the first #if branch when no symbols are given', () => {
+    const result = parseFixture('preprocessor.cs');
+    assert.deepEqual(methodNames(result), ['DebugOnly', 'Always']);
+    assert.deepEqual(result.inactiveRanges, [{ startLine: 7, endLine: 11 }]);
+});
+
+test('evaluates #if/#elif/#else against defines', () => {
+    assert.deepEqual(methodNames(parseFixture('preprocessor.cs', { defines: ['TRACE'] })), ['TraceOnly', 'Always']);
+    assert.deepEqual(methodNames(parseFixture('preprocessor.cs', { defines: [] })), ['ReleaseOnly', 'Always']);
+});
+
+test('keeps DllImport attributes and parameters of extern methods', () => {
+    const result = parseFixture('pinvoke.cs');
+    assert.deepEqual(methodNames(result), ['QueryPerformanceCounter', 'MessageBox']);
+
+    const counter = method(result, 'QueryPerformanceCounter');
+    assert.deepEqual(counter.modifiers, ['internal', 'static', 'extern']);
+    assert.deepEqual(counter.attributes, [{
+        name: 'DllImport',
+        arguments: [{ name: null, value: '"kernel32.dll"' }, { name: 'SetLastError', value: 'true' }],
+        line: 6
+    }]);
+    assert.deepEqual(counter.parameterList.map(p => [p.modifier, p.type, p.name]), [['out', 'long', 'count']]);
+    assert.equal(method(result, 'MessageBox').parameterList.length, 4);
+});
+
+// =============================================================================
+// REGEX BASELINE
+// =============================================================================
+
+// The expressions analyzeCSharpFile used before csharp-parser.js
+const classRegex = /(?:public|private|internal|protected)?\s*(?:static|abstract|sealed|partial)?\s*(class|struct|interface|enum)\s+(\w+)(?:<[^>]+>)?(?:\s*:\s*([^\{]+))?/g;
+const methodRegex = /(?:public|private|internal|protected)\s+(?:static\s+)?(?:virtual\s+|override\s+|abstract\s+|async\s+)?(?:[\w<>\[\],\s]+)\s+(\w+)\s*\(([^)]*)\)/g;
+const pInvokeRegex = /\[DllImport\s*\(\s*"([^"]+)"[^\]]*\)\s*\][^;]*(?:extern\s+)?(?:static\s+)?(?:\w+\s+)+(\w+)\s*\([^)]*\)/g;
+
+const regexNames = (regex, content, group) => [...content.matchAll(regex)].map(m => m[group]);
+
+test('regex baseline: matched declarations inside comments and strings', () => {
+    const content = fixture('comments-and-strings.cs');
+    assert.ok(regexNames(classRegex, content, 2).includes('CommentedOut'));
+    assert.ok(regexNames(methodRegex, content, 1).includes('Fake'));
+});
+
+test('regex baseline: missed tuple returns and explicit interface members', () => {
+    assert.ok(!regexNames(methodRegex, fixture('generics-and-tuples.cs'), 1).includes('Summary'));
+    assert.ok(!regexNames(methodRegex, fixture('members.cs'), 1).includes('Dispose'));
+});
+
+test('regex baseline: read P/Invokes out of comments', () => {
+    assert.ok(regexNames(pInvokeRegex, fixture('pinvoke.cs'), 2).includes('Ghost'));
+});
@@ -0,0 +1,17 @@
+namespace Mics.Fixtures
+{
+    // public class CommentedOut { public void NotAMethod() { } }
+    /* public class BlockComment { public void AlsoNot() { } } */
+    public class Strings
+    {
+        private string plain = "public class InString { public void Fake() { } }";
+        private string verbatim = @"C:\temp\ ""public void Quoted()"" {";
+        private string interpolated = $"{Format(x => { return x; })} }} public void Hole() {{";
+        private string raw = """
+            public class Raw { public void RawMethod() { } }
+            """;
+        private char brace = '{';
+
+        public void Real() { }
+    }
+}
@@ -0,0 +1,10 @@
+namespace Mics.Fixtures
+{
+    public class Cache<TKey, TValue> : Base<TKey>, IDisposable where TKey : class
+    {
+        public Dictionary<string, List<int>> Lookup(int key) { return null; }
+        public (int Count, string Name) Summary() => (0, "");
+        public Task<IEnumerable<T>> LoadAsync<T>(CancellationToken token) where T : new() { return null; }
+        public int Count => items.Count;
+    }
+}
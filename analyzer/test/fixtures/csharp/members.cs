@@ -0,0 +1,23 @@
+namespace Mics.Fixtures
+{
+    public sealed class Vector : IDisposable, IComparable<Vector>
+    {
+        public Vector() { }
+        ~Vector() { }
+        void IDisposable.Dispose() { }
+        int IComparable<Vector>.CompareTo(Vector other) => 0;
+        public static Vector operator +(Vector a, Vector b) => a;
+        public static implicit operator double(Vector v) => 0;
+        public double this[int index]
+        {
+            get { return 0; }
+            set { }
+        }
+        public void Loop()
+        {
+            if (true) { }
+            while (false) { }
+            foreach (var x in items) { }
+        }
+    }
+}
@@ -0,0 +1,20 @@
+namespace Mics.Fixtures.Outer
+{
+    public partial class Host
+    {
+        private class Inner
+        {
+            internal struct Deepest
+            {
+                public void Deep() { }
+            }
+        }
+        partial void OnLoaded();
+    }
+}
+
+namespace Mics.Fixtures.Second
+{
+    internal enum Band { Low, High }
+    public record Link(string From, string To);
+}
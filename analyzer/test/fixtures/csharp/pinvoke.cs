@@ -0,0 +1,12 @@
+namespace Mics.Fixtures
+{
+    internal static class NativeMethods
+    {
+        // [DllImport("commented.dll")] static extern int Ghost();
+        [DllImport("kernel32.dll", SetLastError = true)]
+        internal static extern bool QueryPerformanceCounter(out long count);
+
+        [DllImport("user32.dll")]
+        public static extern int MessageBox(IntPtr hWnd, string text, string caption, uint type);
+    }
+}
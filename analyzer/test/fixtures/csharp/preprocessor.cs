@@ -0,0 +1,14 @@
+namespace Mics.Fixtures
+{
+    public class Build
+    {
+#if DEBUG
+        public void DebugOnly() { }
+#elif TRACE
+        public void TraceOnly() { }
+#else
+        public void ReleaseOnly() { }
+#endif
+        public void Always() { }
+    }
+}
@@ -0,0 +1 @@
+CREATE TABLE dbo.a (id int);
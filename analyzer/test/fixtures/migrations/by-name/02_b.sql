@@ -0,0 +1 @@
+CREATE TABLE dbo.b (id int);
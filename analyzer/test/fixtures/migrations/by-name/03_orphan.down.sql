@@ -0,0 +1 @@
+orphan
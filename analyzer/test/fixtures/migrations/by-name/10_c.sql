@@ -0,0 +1 @@
+CREATE TABLE dbo.c (id int);
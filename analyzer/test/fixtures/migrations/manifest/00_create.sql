@@ -0,0 +1 @@
+CREATE TABLE dbo.tt_archive (id int);
@@ -0,0 +1 @@
+CREATE TRIGGER trg_archive ON dbo.tt_site AFTER INSERT AS SELECT 1;
@@ -0,0 +1 @@
+DROP INDEX ix_archive ON dbo.tt_archive;
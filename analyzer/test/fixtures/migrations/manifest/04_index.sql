@@ -0,0 +1 @@
+CREATE INDEX ix_archive ON dbo.tt_archive (id);
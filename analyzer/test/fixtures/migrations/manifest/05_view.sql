@@ -0,0 +1 @@
+CREATE VIEW dbo.v_archive AS SELECT id FROM dbo.tt_archive;
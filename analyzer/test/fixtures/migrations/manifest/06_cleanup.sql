@@ -0,0 +1,2 @@
+DROP TRIGGER trg_archive;
+DROP TABLE dbo.tt_archive;
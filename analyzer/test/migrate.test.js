@@ -0,0 +1,119 @@
+/**
+ * migrate.js ordering and rollback planning against the script sets in
+ * fixtures/migrations
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadMigrations, migrationStatus, planUp, planDown } = require('../migrate');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'migrations');
+
+function loadFixture(name) {
+    return loadMigrations(path.join(FIXTURES, name));
+}
+
+/**
+ * Status with the named migrations applied; `overrides` replaces fields of
+ * single tracking rows ({ '02_b.sql': { Outcome: 'failed' } })
+ */
+function statusWith(set, applied, overrides = {}) {
+    const history = set.migrations.filter(m => applied.includes(m.name)).map(m => ({
+        ScriptName: m.name,
+        Direction: 'up',
+        Outcome: 'success',
+        Checksum: m.checksum,
+        ...overrides[m.name]
+    }));
+    return migrationStatus(set, history);
+}
+
+const names = migrations => migrations.map(m => m.name);
+const steps = plan => plan.map(step => [step.script.name, names(step.undoes)]);
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+test('orders migrations by migrate.json and groups shared down scripts', () => {
+    const set = loadFixture('manifest');
+    assert.equal(set.name, 'tt-archive-capture');
+    assert.deepEqual(names(set.migrations), ['00_create.sql', '02_trigger.sql', '04_index.sql', '05_view.sql']);
+    assert.deepEqual(set.migrations.map(m => m.down), ['06_cleanup.sql', '06_cleanup.sql', '04_index.down.sql', null]);
+    assert.deepEqual(set.downScripts.get('04_index.down.sql'), ['04_index.sql']);
+});
+
+test('orders migrations by file name and pairs <name>.down.sql without a manifest', () => {
+    const set = loadFixture('by-name');
+    assert.equal(set.name, 'by-name');
+    assert.deepEqual(names(set.migrations), ['01_a.sql', '02_b.sql', '10_c.sql']);
+    assert.deepEqual(set.migrations.map(m => m.down), ['01_a.down.sql', null, '10_c.down.sql']);
+    // A down script without its migration undoes nothing
+    assert.equal(set.downScripts.has('03_orphan.down.sql'), false);
+});
+
+test('rejects a missing directory', () => {
+    assert.throws(() => loadFixture('missing'), /Not a directory/);
+});
+
+// =============================================================================
+// STATUS
+// =============================================================================
+
+test('reports applied, changed, failed and rolled-back scripts', () => {
+    const set = loadFixture('by-name');
+    const status = migrationStatus(set, [
+        { ScriptName: '01_a.sql', Direction: 'up', Outcome: 'success', Checksum: 'old' },
+        { ScriptName: '02_b.sql', Direction: 'up', Outcome: 'failed', Checksum: set.migrations[1].checksum },
+        { ScriptName: '10_c.sql', Direction: 'up', Outcome: 'success', Checksum: set.migrations[2].checksum },
+        { ScriptName: '10_C.SQL', Direction: 'down', Outcome: 'success', Checksum: set.migrations[2].checksum },
+        { ScriptName: '09_gone.sql', Direction: 'up', Outcome: 'success', Checksum: 'x' }
+    ]);
+    assert.deepEqual(status.migrations.map(m => m.state), ['changed', 'failed', 'rolled-back']);
+    assert.deepEqual(status.orphans.map(row => row.ScriptName), ['09_gone.sql']);
+});
+
+// =============================================================================
+// PLANNING
+// =============================================================================
+
+test('plans up for everything not applied, up to --to', () => {
+    const set = loadFixture('by-name');
+    const status = statusWith(set, ['01_a.sql'], { '01_a.sql': { Checksum: 'old' } });
+    assert.deepEqual(names(planUp(status)), ['02_b.sql', '10_c.sql']);
+    assert.deepEqual(names(planUp(status, '02_B.sql')), ['02_b.sql']);
+    assert.throws(() => planUp(status, '99_x.sql'), /not a migration of this set/);
+
+    // A failed run is retried
+    const failed = statusWith(set, ['01_a.sql', '02_b.sql'], { '02_b.sql': { Outcome: 'failed' } });
+    assert.deepEqual(names(planUp(failed)), ['02_b.sql', '10_c.sql']);
+});
+
+test('plans down newest first by --steps and --to', () => {
+    const set = loadFixture('manifest');
+    const status = statusWith(set, ['00_create.sql', '02_trigger.sql', '04_index.sql']);
+    assert.deepEqual(steps(planDown(set, status)), [['04_index.down.sql', ['04_index.sql']]]);
+    assert.deepEqual(steps(planDown(set, status, { to: '02_TRIGGER.sql' })), [['04_index.down.sql', ['04_index.sql']]]);
+    assert.deepEqual(steps(planDown(set, status, { steps: 3 })), [
+        ['04_index.down.sql', ['04_index.sql']],
+        ['06_cleanup.sql', ['00_create.sql', '02_trigger.sql']]
+    ]);
+});
+
+test('rolls back migrations sharing a down script together or not at all', () => {
+    const set = loadFixture('manifest');
+    const status = statusWith(set, ['00_create.sql', '02_trigger.sql', '04_index.sql']);
+    assert.throws(() => planDown(set, status, { steps: 2 }), /06_cleanup\.sql also undoes 00_create\.sql/);
+    assert.throws(() => planDown(set, status, { to: '00_create.sql' }), /06_cleanup\.sql also undoes/);
+
+    // Only the applied half of a group is undone
+    const partial = statusWith(set, ['00_create.sql']);
+    assert.deepEqual(steps(planDown(set, partial)), [['06_cleanup.sql', ['00_create.sql']]]);
+});
+
+test('refuses to roll back a migration without a down script', () => {
+    const set = loadFixture('manifest');
+    const status = statusWith(set, ['00_create.sql', '02_trigger.sql', '04_index.sql', '05_view.sql']);
+    assert.throws(() => planDown(set, status), /05_view\.sql has no down script/);
+});
@@ -0,0 +1,172 @@
+/**
+ * sql-guard.js read-only classification
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifySql, describeProblems } = require('../sql-guard');
+
+function assertReadOnly(text, options) {
+    const result = classifySql(text, options);
+    assert.equal(result.readOnly, true, `${text}\n  blocked: ${describeProblems(result.problems)}`);
+}
+
+function assertBlocked(text, options) {
+    const result = classifySql(text, options);
+    assert.equal(result.readOnly, false, `${text}\n  was classified read-only`);
+    return result.problems;
+}
+
+// =============================================================================
+// READS
+// =============================================================================
+
+test('allows plain and compound reads', () => {
+    assertReadOnly('SELECT * FROM dbo.t WHERE x = 1');
+    assertReadOnly('WITH c AS (SELECT 1 a) SELECT * FROM c');
+    assertReadOnly('(SELECT 1)');
+    assertReadOnly('SET NOCOUNT ON; SELECT 1');
+    assertReadOnly('DECLARE @x int; SELECT @x');
+    assertReadOnly('SELECT 1 FROM t ORDER BY a OFFSET 1 ROWS FETCH NEXT 5 ROWS ONLY');
+    assertReadOnly('DECLARE c CURSOR FOR SELECT a FROM t FOR UPDATE; OPEN c; FETCH NEXT FROM c INTO @a');
+    assertReadOnly('retry: SELECT 1');
+});
+
+test('ignores keywords in strings, comments and quoted names', () => {
+    assertReadOnly("SELECT 'DROP TABLE x' AS s -- DELETE FROM y");
+    assertReadOnly('SELECT 1 /* UPDATE t SET a = 1 */');
+    assertReadOnly('SELECT [update], t.[Drop], t.disable FROM t');
+});
+
+test('allows writes to #temp tables and table variables', () => {
+    assertReadOnly('SELECT a INTO #tmp FROM t; SELECT * FROM #tmp');
+    assertReadOnly('DECLARE @t TABLE (a int); INSERT @t VALUES (1); UPDATE @t SET a = 2; DELETE FROM @t');
+    assertReadOnly('CREATE TABLE #x (a int); DROP TABLE IF EXISTS #x');
+    assertReadOnly('INSERT INTO #t SELECT * FROM u');
+    assertReadOnly('DELETE TOP (10) FROM #t');
+    assertReadOnly('DROP TABLE #a, #b');
+    assertReadOnly('DELETE FROM #t OUTPUT deleted.id INTO @ids');
+    assertReadOnly('SELECT * FROM t WITH (NOLOCK)');
+});
+
+test('allows read-only catalog procedures, with or without EXEC', () => {
+    assertReadOnly("EXEC sp_help 'dbo.t'");
+    assertReadOnly("EXEC @rc = sys.sp_helptext N'p'");
+    assertReadOnly("sp_columns 'ft_site'");
+    assertReadOnly('EXEC dbo.usp_Report', { allowProcs: ['usp_report'] });
+    assertReadOnly('usp_Report 1', { allowProcs: ['usp_Report'] });
+});
+
+// =============================================================================
+// WRITES
+// =============================================================================
+
+test('blocks DML and DDL', () => {
+    for (const text of [
+        'INSERT INTO dbo.t SELECT * FROM u',
+        'UPDATE t SET a = 1',
+        'DELETE TOP (10) FROM dbo.t',
+        'WITH c AS (SELECT * FROM t) DELETE FROM c',
+        'MERGE t USING u ON 1 = 1 WHEN MATCHED THEN DELETE;',
+        'TRUNCATE TABLE t',
+        'DROP TABLE dbo.x',
+        'ALTER TABLE t ADD c int',
+        'CREATE INDEX ix ON t (a)',
+        'GRANT SELECT ON t TO x',
+        'DBCC CHECKDB',
+        'select 1; drop table t'
+    ]) {
+        assertBlocked(text);
+    }
+});
+
+test('blocks SELECT INTO a permanent table at any nesting', () => {
+    assertBlocked('SELECT a INTO dbo.copy FROM t');
+    assertBlocked('SELECT a, (SELECT b FROM u) x INTO newt FROM t');
+    assertBlocked('SELECT * FROM (SELECT a FROM t) d INTO x');
+});
+
+test('blocks OUTPUT INTO a permanent table and every name in a DROP list', () => {
+    assertBlocked('DROP TABLE #a, dbo.Real');
+    assertBlocked('DROP TABLE IF EXISTS #a, #b, [dbo].[Real]');
+    assertBlocked('INSERT #t (a) OUTPUT inserted.a INTO dbo.Real SELECT 1');
+    assertBlocked('DELETE FROM #t OUTPUT deleted.id INTO dbo.Real');
+    assertBlocked('UPDATE #t SET a = 1 OUTPUT inserted.a INTO dbo.Real(a)');
+    assertBlocked('UPDATE #t SET a = 1 OUTPUT inserted.a INTO dbo.Real(a) WHERE a IN (SELECT b FROM u)');
+});
+
+test('blocks EXEC of other procedures and dynamic SQL', () => {
+    assertBlocked('EXEC dbo.usp_DoThings');
+    assertBlocked("EXEC ('DROP TABLE x')");
+    assertBlocked('EXEC @proc');
+    assertBlocked("EXEC sp_executesql N'SELECT 1'");
+    assertBlocked("EXECUTE AS USER = 'x'");
+});
+
+test('blocks transaction control', () => {
+    assertBlocked('BEGIN TRAN; SELECT 1');
+    assertBlocked('COMMIT');
+    assertBlocked('ROLLBACK');
+    assertBlocked('SET IMPLICIT_TRANSACTIONS ON');
+});
+
+test('blocks isolation levels and lock hints that hold locks', () => {
+    assertBlocked('SET TRANSACTION ISOLATION LEVEL SNAPSHOT; SELECT 1');
+    assertBlocked('SET TRANSACTION ISOLATION LEVEL SERIALIZABLE; SELECT * FROM t');
+    assertBlocked('SELECT * FROM t WITH (TABLOCKX, HOLDLOCK)');
+    for (const hint of ['TABLOCK', 'XLOCK', 'UPDLOCK', 'SERIALIZABLE', 'REPEATABLEREAD', 'ROWLOCK, XLOCK', 'PAGLOCK, UPDLOCK']) {
+        assertBlocked(`SELECT * FROM dbo.t WITH (${hint}) WHERE id = 1`);
+    }
+    assertBlocked('SELECT * FROM t (HOLDLOCK)');
+});
+
+// =============================================================================
+// BYPASSES
+// =============================================================================
+
+test('treats a procedure at the start of the batch as an EXEC', () => {
+    assertBlocked("sp_executesql N'DROP TABLE foo'");
+    assertBlocked("sp_executesql N'COMMIT; DROP TABLE x'");
+    assertBlocked("sp_rename 'a', 'b'");
+    assertBlocked("[sp_rename] 'a', 'b'");
+    assertBlocked('; dbo.usp_DoThings 1');
+});
+
+test('blocks ENABLE and DISABLE TRIGGER', () => {
+    assertBlocked('DISABLE TRIGGER trg_archive ON DATABASE');
+    assertBlocked('ENABLE TRIGGER ALL ON dbo.tt_site');
+    assertBlocked('SELECT 1; DISABLE TRIGGER trg ON dbo.t');
+});
+
+test('blocks sequence and pass-through queries', () => {
+    assertBlocked('SELECT NEXT VALUE FOR dbo.seq');
+    assertBlocked("SELECT * FROM OPENQUERY(LinkedSrv, 'DELETE FROM t')");
+    assertBlocked("SELECT * FROM OPENROWSET('SQLNCLI', 'Server=x;', 'UPDATE t SET a = 1')");
+    assertBlocked("SELECT * FROM OPENDATASOURCE('SQLNCLI', 'Data Source=x').db.dbo.t");
+});
+
+test('names db..procedure targets in full', () => {
+    const [problem] = assertBlocked("EXEC master..xp_cmdshell 'dir'");
+    assert.equal(problem.reason, 'EXEC master..xp_cmdshell (not a read-only procedure)');
+    // A database named like an allowed procedure is not that procedure
+    assertBlocked('EXEC sp_help..xp_cmdshell');
+});
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+test('reports each problem with its keyword and line', () => {
+    const { problems } = classifySql('SELECT 1\nUPDATE dbo.t SET a = 1\nEXEC dbo.x\nSELECT a INTO [dbo].[c] FROM t');
+    assert.deepEqual(problems, [
+        { keyword: 'UPDATE', line: 2, reason: 'UPDATE dbo.t' },
+        { keyword: 'EXEC', line: 3, reason: 'EXEC dbo.x (not a read-only procedure)' },
+        { keyword: 'INTO', line: 4, reason: 'SELECT INTO dbo.c' }
+    ]);
+    assert.deepEqual(classifySql('DELETE FROM #t\nOUTPUT deleted.id INTO dbo.Real; DROP TABLE #a, dbo.b').problems, [
+        { keyword: 'INTO', line: 2, reason: 'OUTPUT INTO dbo.Real' },
+        { keyword: 'DROP', line: 2, reason: 'DROP dbo.b' }
+    ]);
+    assert.equal(describeProblems(problems),
+        'UPDATE dbo.t (line 2); EXEC dbo.x (not a read-only procedure) (line 3); SELECT INTO dbo.c (line 4)');
+});